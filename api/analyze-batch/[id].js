@@ -0,0 +1,38 @@
+// pages/api/analyze-batch/[id].js
+// One batch job — GET runs its next few pending items, then returns its progress and every
+// item's outcome; poll until status is "done". ?format=json|csv downloads the results as
+// they stand instead.
+
+import { getBatchStore, advanceBatch, isBatchId, summarizeBatch, batchResultsCsv, BATCH_RESULT_FORMATS } from '../../lib/batch.js';
+import { analyzeIncident, siteHost } from '../analyze-intranet.js';
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') return res.status(405).end();
+
+  const { id, format } = req.query;
+  if (!isBatchId(id)) return res.status(400).json({ error: "Invalid batch id" });
+  if (format && !BATCH_RESULT_FORMATS[format]) {
+    return res.status(400).json({ error: `format must be one of: ${Object.keys(BATCH_RESULT_FORMATS).join(', ')}` });
+  }
+
+  try {
+    const store = getBatchStore();
+    let job = await store.get(id);
+    if (!job) return res.status(404).json({ error: "Batch not found" });
+    if (!format) {
+      const parent = siteHost(req);
+      job = await advanceBatch(job, { analyze: body => analyzeIncident(body, { parent }), store });
+    }
+
+    const items = job.items.map(({ input, ...item }) => ({ ...item, incidentType: input.incidentType || "", manualTitle: input.manualTitle || "" }));
+    if (!format) return res.status(200).json({ ...summarizeBatch(job), items });
+
+    const { type, extension } = BATCH_RESULT_FORMATS[format];
+    res.setHeader('Content-Type', type);
+    res.setHeader('Content-Disposition', `attachment; filename="${job.id}-results.${extension}"`);
+    res.status(200).send(format === "csv" ? batchResultsCsv(job) : JSON.stringify({ ...summarizeBatch(job), items }, null, 2));
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Could not read the batch" });
+  }
+}
@@ -0,0 +1,62 @@
+// pages/api/analyze-batch/index.js
+// Batch analysis — POST stores a batch of incidents, runs the first few through the same
+// analysis as /api/analyze-intranet and answers 202 with the job id; polling
+// /api/analyze-batch/<id> runs the rest. GET lists recent jobs with their progress.
+// POST body: [{ ...analyze body }, ...]
+//        or { items: [...], defaults?: { league, eventId, ... }, concurrency? }
+//        or { csv: "incidentType,carA,carB,lap,turn,notes\n...", defaults?, concurrency? }
+//        or the CSV itself as a text/csv body
+
+import {
+  getBatchStore, advanceBatch, parseBatchCsv, summarizeBatch,
+  MAX_BATCH_ITEMS, MAX_BATCH_CONCURRENCY, DEFAULT_BATCH_CONCURRENCY
+} from '../../lib/batch.js';
+import { analyzeIncident, siteHost } from '../analyze-intranet.js';
+
+const isPlainObject = v => v !== null && typeof v === 'object' && !Array.isArray(v);
+
+// → { items, source, errors } from whichever shape the body came in
+function readItems(body) {
+  if (typeof body === 'string') return { ...parseBatchCsv(body), source: "csv" };
+  if (Array.isArray(body)) return { items: body, source: "json", errors: [] };
+  if (typeof body?.csv === 'string') return { ...parseBatchCsv(body.csv), source: "csv" };
+  if (Array.isArray(body?.items)) return { items: body.items, source: "json", errors: [] };
+  return { items: [], source: null, errors: ["Send a JSON array of incidents, { items: [...] } or { csv }"] };
+}
+
+export default async function handler(req, res) {
+  try {
+    const store = getBatchStore();
+
+    if (req.method === 'GET') {
+      const jobs = await store.all();
+      return res.status(200).json({ total: jobs.length, jobs: jobs.slice(0, 50).map(summarizeBatch) });
+    }
+
+    if (req.method === 'POST') {
+      const { items, source, errors } = readItems(req.body);
+      if (errors.length && !items.length) return res.status(400).json({ error: errors.join('; ') });
+      if (!items.length) return res.status(400).json({ error: "No incidents in the batch" });
+      if (items.length > MAX_BATCH_ITEMS) return res.status(400).json({ error: `At most ${MAX_BATCH_ITEMS} incidents per batch` });
+      const badItem = items.findIndex(item => !isPlainObject(item));
+      if (badItem !== -1) return res.status(400).json({ error: `Item ${badItem + 1} is not an object` });
+
+      const defaults = isPlainObject(req.body?.defaults) ? req.body.defaults : {};
+      const requested = parseInt(req.body?.concurrency ?? req.query?.concurrency);
+      const concurrency = Math.min(MAX_BATCH_CONCURRENCY, Math.max(1, requested || DEFAULT_BATCH_CONCURRENCY));
+
+      const created = await store.create({ items: items.map(item => ({ ...defaults, ...item })), source, concurrency });
+
+      // First step inside this request — nothing may run once the response is sent
+      const parent = siteHost(req);
+      const job = await advanceBatch(created, { analyze: body => analyzeIncident(body, { parent }), store });
+
+      return res.status(202).json({ ...summarizeBatch(job), warnings: errors, statusUrl: `/api/analyze-batch/${job.id}` });
+    }
+
+    res.status(405).end();
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Could not access the batch store" });
+  }
+}
@@ -1,144 +1,271 @@
 // pages/api/analyze-intranet.js
-// Version: 2.7.1 — Curated Precedents With Randomization
-// January 07, 2026
+// Version: 2.28.0 — analyzeIncident() shared with the batch endpoint
+// October 19, 2026
 
 import { z } from 'zod';
-import Papa from 'papaparse';
 import fs from 'fs';
 import path from 'path';
+import { getRulebook, findRule, formatRule } from '../lib/rulebooks.js';
+import { resolveIncidentType, getRoles, GENERAL_CONTACT } from '../lib/taxonomy.js';
+import { loadPrecedents } from '../lib/precedents.js';
+import { createBm25Index } from '../lib/retrieval.js';
+import { getDatasetIndex, datasetStats, extractTurn } from '../lib/dataset.js';
+import { computeFault, splitFault } from '../lib/faultEngine.js';
+import { buildCars, carName, carRoles, primaryPair, faultRecord, CAR_ROLES, CAR_LETTERS, MAX_CARS } from '../lib/cars.js';
+import { scoreConfidence } from '../lib/confidence.js';
+import { generateVerdict } from '../lib/llm.js';
+import { validateVerdictOutput, correctionPrompt } from '../lib/verdictSchema.js';
+import { getCaseStore } from '../lib/caseStore.js';
+import { recommendPenalty, escalationPolicy, escalatePenalty, SEVERITIES } from '../lib/penalties.js';
+import { loadRoster, findDriver } from '../lib/roster.js';
+import { resolveDriver, priorIncidents, describePriors } from '../lib/offenders.js';
+import { getProtestStore, protestClaims, replyStatus } from '../lib/protests.js';
+import { buildVideos, resolveVideos, describeVideos, VIDEO_ANGLES, MAX_VIDEOS } from '../lib/video.js';
+import { analyzeTelemetry, TELEMETRY_FORMATS, MAX_TELEMETRY_FILES } from '../lib/telemetry.js';
+import { getLiveStore, isLiveId } from '../lib/liveIncidents.js';
+import { getEventStore } from '../lib/eventStore.js';
+import { eventName, sessionLabel, flagState, normalizeTurn, describePosition, summarizeEvent, FLAG_STATES } from '../lib/events.js';
+
+const carSchema = z.object({
+  label: z.string().optional().default(""),
+  driverId: z.string().optional().default(""),
+  role: z.enum(CAR_ROLES.map(r => r.id)).optional().default("auto")
+});
+
+const timestamp = z.union([z.string(), z.number()]).optional().nullable();   // "1:23", "83", 83
+
+const videoSchema = z.object({
+  angle: z.enum(VIDEO_ANGLES.map(a => a.id)).optional().default("main"),
+  url: z.string(),
+  start: timestamp
+});
+
+// One uploaded export; single-car files say which car they belong to
+const telemetrySchema = z.object({
+  name: z.string().optional().default(""),
+  csv: z.string().min(1).max(3_000_000),
+  car: z.enum(CAR_LETTERS).optional(),
+  format: z.enum(TELEMETRY_FORMATS).optional().default("auto"),
+  offset: z.coerce.number().optional().default(0),            // seconds added to this file's clock
+  carMap: z.record(z.string()).optional()                     // { A: "12" } for multi-car logs
+});
 
 const schema = z.object({
   url: z.string().optional().default(""),
+  videos: z.array(videoSchema).max(MAX_VIDEOS).optional().default([]),   // extra angles
+  clipStart: timestamp,
+  clipEnd: timestamp,
   incidentType: z.string().min(1, "Please select an incident type"),
+  series: z.string().optional().default(""),
   carA: z.string().optional().default(""),
   carB: z.string().optional().default(""),
+  driverAId: z.string().optional().default(""),
+  driverBId: z.string().optional().default(""),
+  cars: z.array(carSchema).min(2).max(MAX_CARS).optional(),   // N-car incidents; replaces carA/carB
   stewardNotes: z.string().optional().default(""),
   overrideFaultA: z.coerce.number().min(0).max(100).optional().nullable(),
+  overrideFault: z.array(z.coerce.number().int().min(0).max(100)).optional().nullable(),   // one % per car
+  severity: z.enum(SEVERITIES).optional().default("moderate"),
+  league: z.string().optional().default(""),
+  round: z.coerce.number().int().positive().optional().nullable(),
+  protestId: z.string().optional().default(""),     // statements from a filed protest
+  liveId: z.string().optional().default(""),        // flagged on the live race-control queue
+  eventId: z.string().optional().default(""),       // league round session the incident happened in
+  lap: z.coerce.number().int().min(0).optional().nullable(),
+  turn: z.union([z.string(), z.number()]).optional().nullable().transform(normalizeTurn),
+  flag: z.enum(FLAG_STATES.map(f => f.id)).optional().nullable(),
+  sessionTime: z.coerce.number().min(0).optional().nullable(),   // seconds into the session, orders same-lap incidents
+  telemetry: z.array(telemetrySchema).max(MAX_TELEMETRY_FILES).optional().default([]),
+  turnIn: z.coerce.number().optional().nullable(),          // defender's turn-in, in the files' clock
+  trackLength: z.coerce.number().positive().optional().nullable(),   // metres, for spline positions
+  carLength: z.coerce.number().positive().optional().nullable(),
   manualTitle: z.string().optional().default("")
+}).superRefine((v, ctx) => {
+  if (!v.overrideFault) return;
+  if (v.overrideFault.length !== (v.cars?.length || 2)) {
+    ctx.addIssue({ code: "custom", path: ["overrideFault"], message: "overrideFault needs one value per car" });
+  } else if (v.overrideFault.reduce((s, f) => s + f, 0) !== 100) {
+    ctx.addIssue({ code: "custom", path: ["overrideFault"], message: "overrideFault must sum to 100" });
+  }
 });
 
-async function fetchWithRetry(url, options = {}, retries = 3) {
-  for (let i = 0; i < retries; i++) {
-    try {
-      const res = await fetch(url, { ...options });
-      if (res.ok) return res;
-      if (i === retries - 1) throw new Error(`Fetch failed: ${res.status}`);
-      await new Promise(r => setTimeout(r, 1000 * (i + 1)));
-    } catch (e) {
-      if (i === retries - 1) throw e;
-    }
-  }
+// Hostname this app is served from — Twitch only plays embeds on a declared parent domain
+export function siteHost(req) {
+  try {
+    if (process.env.PUBLIC_BASE_URL) return new URL(process.env.PUBLIC_BASE_URL).hostname;
+  } catch {}
+  return String(req.headers?.host || "localhost").split(':')[0];
 }
 
-// Simple Fisher-Yates shuffle
-function shuffleArray(array) {
-  for (let i = array.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
-    [array[i], array[j]] = [array[j], array[i]];
-  }
-  return array;
+// Index the 28k dataset on cold start, not per request
+try {
+  getDatasetIndex();
+} catch (e) {
+  console.warn("28k dataset index failed:", e.message);
 }
 
-export default async function handler(req, res) {
-  if (req.method !== 'POST') return res.status(405).end();
-
+/**
+ * The whole analysis for one incident — used by this handler and by the batch endpoint.
+ * Bad input throws (ZodError); a missing event or protest comes back as a 400.
+ * @param {object} body                 analyze request body
+ * @param {object} [options]
+ * @param {string} [options.parent]     hostname for Twitch embeds
+ * @returns {Promise<{ status: number, body: object }>}
+ */
+export async function analyzeIncident(body, { parent = "localhost" } = {}) {
   const controller = new AbortController();
   const timeout = setTimeout(() => controller.abort(), 30000);
 
   try {
+    const input = schema.parse(body);
+
+    // The event fills in league, series and round the form left empty
+    let event = null;
+    if (input.eventId) {
+      event = await getEventStore().get(input.eventId);
+      if (!event) return { status: 400, body: { error: "Event not found" } };
+      input.league = input.league || event.league || "";
+      input.series = input.series || event.series || "";
+      input.round = input.round || event.round || null;
+    }
+
     const {
       url = "",
       incidentType: userType,
+      series = "",
       carA = "",
       carB = "",
+      driverAId = "",
+      driverBId = "",
       stewardNotes = "",
       overrideFaultA = null,
+      overrideFault = null,
+      severity = "moderate",
+      league = "",
+      protestId = "",
       manualTitle = ""
-    } = schema.parse(req.body);
+    } = input;
+
+    let protest = null;
+    if (protestId) {
+      protest = await getProtestStore().get(protestId);
+      if (!protest) return { status: 400, body: { error: "Protest not found" } };
+    }
 
     const humanInput = stewardNotes.trim();
+    const cars = buildCars({ cars: input.cars, carA, carB, driverAId, driverBId });
 
-    // 1. Title resolution
-    let title = 'Sim racing incident';
-    const videoId = url.match(/(?:v=|youtu\.be\/)([0-9A-Za-z_-]{11})/)?.[1];
-    if (videoId) {
-      try {
-        const oembed = await fetch(`https://www.youtube.com/oembed?url=${url}&format=json`, { signal: controller.signal });
-        if (oembed.ok) title = (await oembed.json()).title || title;
-      } catch {}
-    }
+    // 1. Videos and title resolution — each link's source adapter finds its title and player;
+    //    the first title found names the incident
+    const video = buildVideos({ url, videos: input.videos, clipStart: input.clipStart, clipEnd: input.clipEnd, parent });
+    video.videos = await resolveVideos(video.videos, { signal: controller.signal, parent });
+    const title = video.videos.find(v => v.title)?.title || 'Sim racing incident';
     const effectiveTitle = manualTitle.trim() || title;
 
-    // 2. Incident key mapping (unchanged)
-    const typeMap = {
-      "Divebomb / Late lunge": "divebomb",
-      "Weave / Block / Defending move": "weave block",
-      "Unsafe rejoin": "unsafe rejoin",
-      "Vortex of Danger": "vortex exit",
-      "Netcode / Lag / Teleport": "netcode",
-      "Used as a barrier / Squeeze": "used as barrier",
-      "Pit-lane incident": "pit-lane incident",
-      "Start-line chaos / T1 pile-up": "t1 chaos",
-      "Intentional wreck / Revenge": "intentional wreck",
-      "Racing incident (no fault)": "racing incident",
-      "Crowd-strike / Accordion effect": "accordion",
-      "Blocking while being lapped": "blue flag block",
-      "Blue-flag violation / Ignoring blue flags": "blue flag",
-      "Brake test": "brake test",
-      "Brake check": "brake test",
-      "Cutting the track / Track limits abuse": "track limits",
-      "False start / Jump start": "jump start",
-      "Illegal overtake under SC/VSC/FCY": "illegal overtake sc",
-      "Move under braking": "move under braking",
-      "Over-aggressive defense (2+ moves)": "aggressive defense",
-      "Punt / Rear-end under braking": "punt",
-      "Re-entry after off-track (gaining advantage)": "rejoin advantage",
-      "Side-by-side contact / Mid-corner": "side contact",
-      "Track rejoin blocking racing line": "rejoin block",
-      "Unsportsmanlike conduct / Chat abuse": "unsportsmanlike",
-      "Wrong way / Ghosting violation": "wrong way"
-    };
-    const incidentKey = typeMap[userType] || "general contact";
+    // 2. Incident type — resolved against the shared taxonomy (id, label or alias)
+    const incidentType = resolveIncidentType(userType) || GENERAL_CONTACT;
+    const incidentKey = incidentType.id;
+    const incidentLabel = incidentType === GENERAL_CONTACT ? userType : incidentType.label;
 
-    // 3. Load curated precedents
+    // 2b. Rulebook for the chosen series
+    const rulebook = getRulebook(series);
+    const rule = findRule(rulebook, incidentKey);
+    const ruleSummary = formatRule(rulebook, rule);
+
+    // 3. Curated precedents — BM25-ranked against title, notes and car descriptions
 let precedentCases = [];
-let confidence = "Medium";
+let precedentsOfType = false;   // false: the CSV has no ruling of this type, so these are the closest of any type
 
 try {
-  const curatedPath = path.join(process.cwd(), 'public', 'precedents_real.csv');
-  const text = fs.readFileSync(curatedPath, 'utf8');
-  const parsed = Papa.parse(text, { header: true }).data;
-
-  let matches = parsed.filter(row => row.incident_type === userType);
-  matches = shuffleArray(matches).slice(0, 5);  // Shuffle for variety, take up to 5
-
-  precedentCases = matches.map(m => ({
-  title: m.title || "Sim Racing Incident",
-  ruling: m.ruling || "No ruling",
-  reason: m.reason || "No reason provided",
-  faultA: parseInt(m.fault_a) || 50,
-  thread: m.thread_id ? `https://old.reddit.com/r/simracingstewards/comments/${m.thread_id}/` : null
-}));
-
-  if (precedentCases.length >= 4) confidence = "Very High";
-  else if (precedentCases.length === 3) confidence = "High";
-  else if (precedentCases.length === 2) confidence = "Medium";
-  else if (precedentCases.length === 1) confidence = "Low";
-  else confidence = "Low (using defaults)";
+  const rows = loadPrecedents();
+  const index = createBm25Index(rows.map(r => `${r.title} ${r.reason} ${r.ruling}`));
+  const query = [effectiveTitle, humanInput, ...cars.map(c => c.label)].join(' ');
+  const multiCar = cars.length > 2;
+  const sameType = rows.some(r => r.typeId === incidentKey);
+  precedentsOfType = sameType;
+
+  // Same incident type when the CSV has it; otherwise the closest text matches of any type.
+  // Multi-car incidents rank multi-car rulings first (and two-car incidents two-car ones).
+  const ranked = index.search(query, {
+    filter: i => sameType ? rows[i].typeId === incidentKey : true,
+    limit: 10
+  })
+    .filter(r => sameType || r.score > 0)
+    .sort((a, b) => Number(rows[b.index].parties > 2 === multiCar) - Number(rows[a.index].parties > 2 === multiCar))
+    .slice(0, 5);
+
+  precedentCases = ranked.map(({ index: i, score, similarity, matchedTerms }) => {
+    const m = rows[i];
+    return {
+      title: m.title || "Sim Racing Incident",
+      ruling: m.ruling || "No ruling",
+      reason: m.reason || "No reason provided",
+      faultA: m.faultSplit ? m.faultSplit[0] : parseInt(m.fault_a) || 50,
+      faultSplit: m.faultSplit,       // null for two-car rulings
+      parties: m.parties,
+      thread: m.thread_id ? `https://old.reddit.com/r/simracingstewards/comments/${m.thread_id}/` : null,
+      caseId: m.source === "league" ? m.case_id || null : null,   // promoted from our own reviewed case
+      incidentType: m.incident_type,
+      score: Math.round(score * 100) / 100,         // raw BM25
+      similarity: Math.round(similarity * 100) / 100, // 0–1, relative to the best match in the CSV
+      matchedTerms
+    };
+  });
 } catch (e) {
   console.warn("Curated precedents failed:", e.message);
 }
 
-    // 4. Fault % — simple average from curated precedents
-    let finalFaultA = 60;
-    if (overrideFaultA !== null) {
-      finalFaultA = Math.round(overrideFaultA);
-      confidence = "Human Override";
-    } else if (precedentCases.length > 0) {
-      const avg = precedentCases.reduce((sum, p) => sum + p.faultA, 0) / precedentCases.length;
-      finalFaultA = Math.round(avg);
+    // 3b. Historical statistics from the 28k dataset (in-memory index)
+    let historical = null;
+    try {
+      historical = datasetStats({
+        keywords: [incidentKey],
+        turn: input.turn || extractTurn(`${effectiveTitle} ${humanInput}`)
+      });
+    } catch (e) {
+      console.warn("28k dataset stats failed:", e.message);
+    }
+
+    // 4. Fault % — weighted fault engine (precedents + dataset + baseline, then rule adjustments)
+    // judges the initiator / struck pair (Car A / Car B by default); splitFault() covers the rest
+    const roles = carRoles(cars, rulebook.roles[incidentKey] || getRoles(incidentType));
+    const pair = primaryPair(cars);
+    const isAttacker = role => /overtaking|diving|faster/.test(role);
+    const attacker = isAttacker(roles[pair[0]]) ? "A" : isAttacker(roles[pair[1]]) ? "B" : null;
+
+    // 4a. Telemetry — measured speed, brake and lateral position at the defender's turn-in, plus
+    //     the attacker's overlap for types with an overtaking / defending pair (not a rejoin or lag)
+    let telemetry = null;
+    try {
+      const [attackerCar, defenderCar] = attacker === "B" ? [cars[pair[1]], cars[pair[0]]] : [cars[pair[0]], cars[pair[1]]];
+      telemetry = analyzeTelemetry(input.telemetry, cars, {
+        attacker: attacker ? attackerCar.key : null,
+        defender: defenderCar.key,
+        turnIn: input.turnIn ?? null,
+        trackLength: input.trackLength ?? null,
+        carLength: input.carLength ?? undefined
+      });
+    } catch (e) {
+      console.warn("Telemetry failed:", e.message);
     }
-    finalFaultA = Math.min(98, Math.max(2, finalFaultA));
+
+    // Rulings of other types are context for the model, not a fault figure — without any of
+    // this type their 40% goes to the dataset and the baseline
+    const { faultA: finalFaultA, breakdown: faultBreakdown } = computeFault({
+      incidentKey,
+      precedents: precedentsOfType ? precedentCases : [],
+      dataset: historical,
+      notes: humanInput,
+      attacker,
+      override: overrideFault ? overrideFault[pair[0]] : overrideFaultA,
+      telemetry
+    });
+    const faultSplit = overrideFault || splitFault(finalFaultA, cars).split;
+    faultBreakdown.split = faultSplit;
+
+    // 4b. Confidence from evidence quality — the LLM parse factor is added after step 7
+    const evidence = { precedents: precedentCases, sameType: precedentsOfType, dataset: historical, notes: humanInput, url: video.videos[0]?.url || "", override: overrideFaultA !== null || overrideFault !== null };
+    let confidence = scoreConfidence(evidence);
 
     // 5. Pro Tip — unchanged, perfect as-is
     let proTip = "";
@@ -147,36 +274,15 @@ try {
       const text = fs.readFileSync(tipPath, 'utf8');
       const lines = text.split('\n').map(l => l.trim()).filter(l => l.includes('|') && l.split('|')[0].length > 10);
 
-      const aliases = {
-        "divebomb": ["divebomb", "dive", "lunge", "late lunge"],
-        "weave block": ["weave block", "weave", "block", "blocking", "defending", "defense"],
-        "unsafe rejoin": ["unsafe rejoin", "rejoin", "re-join", "rejoining"],
-        "vortex exit": ["vortex", "draft lift-off", "lift-off", "lift in draft", "vortex of danger"],
-        "netcode": ["netcode", "lag", "teleport", "desync"],
-        "used as barrier": ["used as barrier", "squeeze", "barrier"],
-        "pit-lane incident": ["pit-lane", "pit lane"],
-        "t1 chaos": ["t1", "start-line", "lap 1", "pile-up"],
-        "intentional wreck": ["intentional wreck", "revenge", "wrecking"],
-        "racing incident": ["racing incident", "no fault", "50/50", "both at fault"],
-        "accordion": ["accordion", "crowd-strike", "concertina"],
-        "blue flag block": ["blue flag block", "lapped block"],
-        "blue flag": ["blue flag", "lapped", "yield"],
-        "brake test": ["brake test", "brake check"],
-        "track limits": ["track limits", "cutting", "track cut"],
-        "jump start": ["jump start", "false start"],
-        "illegal overtake sc": ["illegal overtake", "sc", "vsc", "fcy"],
-        "move under braking": ["move under braking"],
-        "aggressive defense": ["aggressive defense", "2+ moves"],
-        "punt": ["punt", "rear-end", "shunt"],
-        "rejoin advantage": ["rejoin advantage", "gaining advantage"],
-        "side contact": ["side contact", "side-by-side", "mid-corner"],
-        "rejoin block": ["rejoin block", "blocking racing line"],
-        "unsportsmanlike": ["unsportsmanlike", "chat abuse"],
-        "wrong way": ["wrong way", "ghosting"]
-      };
-
-      const terms = aliases[incidentKey] || [incidentKey];
-      const candidates = lines.filter(line => terms.some(t => line.toLowerCase().includes(t)));
+      const terms = incidentType.aliases.map(t => t.toLowerCase());
+      let candidates = lines.filter(line => terms.some(t => line.toLowerCase().includes(t)));
+
+      // Prefer tips sourced from the chosen series' rulebook or community
+      const seriesTips = candidates.filter(line => {
+        const source = line.split('|').slice(2).join('|').toLowerCase();
+        return rulebook.tipSources.some(s => source.includes(s));
+      });
+      if (seriesTips.length > 0) candidates = seriesTips;
 
       if (candidates.length > 0) {
         const chosen = candidates[Math.floor(Math.random() * candidates.length)].split('|')[0].trim();
@@ -187,80 +293,201 @@ try {
     }
     if (!proTip) proTip = "Tip: Both drivers can improve situational awareness.";
 
-    // 6. Car roles
-    let carARole = "the overtaking car", carBRole = "the defending car";
-    switch (incidentKey) {
-      case 'weave block': [carARole, carBRole] = ["the defending car", "the overtaking car"]; break;
-      case 'unsafe rejoin': [carARole, carBRole] = ["the rejoining car", "the on-track car"]; break;
-      case 'netcode': [carARole, carBRole] = ["the teleporting car", "the affected car"]; break;
-      case 'used as barrier': [carARole, carBRole] = ["the car using another as a barrier", "the car used as a barrier"]; break;
-      case 'intentional wreck': [carARole, carBRole] = ["the aggressor", "the victim"]; break;
-      case 'racing incident': [carARole, carBRole] = ["Car A", "Car B"]; break;
+    // 6. Car identification (roles resolved in step 4)
+    const carNames = cars.map(carName);
+    const carIdentification = cars.map((c, i) => `${carNames[i]} is ${roles[i]}.`).join(' ');
+
+    // 6a. Driver identity — explicit ID, roster match or normalized car text; links the
+    // verdict to a driver for the points ledger and repeat-offender history
+    let roster = { drivers: [], currentRound: 1 };
+    try {
+      roster = await loadRoster();
+    } catch (e) {
+      console.warn("Roster failed:", e.message);
+    }
+    const drivers = Object.fromEntries(cars.map(c => [
+      `car${c.key}`,
+      resolveDriver({ text: c.label, driverId: c.driverId, match: findDriver(c.label, roster.drivers) }, roster.drivers)
+    ]));
+    const round = input.round || roster.currentRound;
+
+    // 6b. Recommended sanction from the series / league tariff
+    const basePenalty = recommendPenalty({
+      incidentKey,
+      split: faultSplit,
+      cars: carNames,
+      severity,
+      rulebookId: rulebook.id,
+      league
+    });
+
+    // 6c. Repeat offenders — history escalates the sanction only; the fault split above never sees it
+    const policy = escalationPolicy({ league, rulebookId: rulebook.id });
+    let priors = Object.fromEntries(cars.map(c => [`car${c.key}`, []]));
+    try {
+      const cases = await getCaseStore().all();
+      priors = Object.fromEntries(cars.map(c => [
+        `car${c.key}`,
+        priorIncidents(drivers[`car${c.key}`]?.id, cases, { round, league, incidentKey, policy })
+      ]));
+    } catch (e) {
+      console.warn("Driver history failed:", e.message);
     }
+    const countedPriors = priors[`car${basePenalty.atFaultCar}`].filter(p => p.counted).length;
+    const penalty = escalatePenalty(basePenalty, countedPriors, policy);
+    const driverHistory = cars.map((c, i) => describePriors(carNames[i], priors[`car${c.key}`])).filter(Boolean);
 
-    const carAIdentifier = carA ? ` (${carA.trim()})` : "";
-    const carBIdentifier = carB ? ` (${carB.trim()})` : "";
-    const carIdentification = `Car A${carAIdentifier} is ${carARole}. Car B${carBIdentifier} is ${carBRole}.`;
+    // 6d. Protest — both drivers' accounts go in as labelled claims, never as steward findings
+    const claims = protest ? protestClaims(protest, carNames) : [];
 
-    // 7. Grok verdict
+    // 7. LLM verdict (xAI, OpenAI-compatible or offline template — see lib/llm.js)
     const humanContext = humanInput ? `HUMAN STEWARD OBSERVATIONS:\n"${humanInput}"\n\n` : "";
+    const telemetryContext = !telemetry?.facts.length ? ""
+      : telemetry.turnIn.found
+        ? `TELEMETRY (measured from uploaded data — these are facts, prefer them over the drivers' and the notes' descriptions; turn-in of Car ${telemetry.turnIn.car} at ${telemetry.turnIn.time}s, from ${telemetry.turnIn.method}):\n${telemetry.facts.join("\n")}\n\n`
+        : `TELEMETRY (no turn-in found in the data — values at ${telemetry.turnIn.time}s, the middle of the uploaded window, for context only; they are not turn-in facts):\n${telemetry.facts.join("\n")}\n\n`;
+    const videoContext = video.videos.length
+      ? `VIDEO (refer to the incident by these timestamps and angles):\n${describeVideos(video)}\n\n`
+      : "";
+    // Session, lap, turn and flag — a safety car or blue flag changes what either driver was allowed to do
+    const position = describePosition(input);
+    const flag = input.flag && input.flag !== "green" ? flagState(input.flag) : null;
+    const sessionContext = event || position
+      ? `SESSION:\n${[
+        event && `Event: ${eventName(event)}${event.name ? ` (${[event.track, sessionLabel(event.sessionType)].filter(Boolean).join(", ")})` : ""}`,
+        position && `When: ${position}`,
+        flag && `Flag: ${flag.label} — ${flag.rule}`
+      ].filter(Boolean).join("\n")}\n\n`
+      : "";
+    const claimsContext = claims.length
+      ? `DRIVER STATEMENTS (claims by the drivers involved, not established facts — weigh them against the video and the evidence below, never repeat them as fact, and treat both sides equally):\n${claims.join("\n")}\n\n`
+      : "";
     const prompt = `You are a senior, neutral sim-racing steward.
-${humanContext}Incident type: ${userType}
+${humanContext}${sessionContext}${videoContext}${telemetryContext}${claimsContext}Series: ${series || "Not specified"}
+Rulebook: ${rulebook.name}
+Applicable rule (a summary, not the official wording): ${ruleSummary}
+Incident type: ${incidentLabel}
 Car identification: ${carIdentification}
-Fault allocation: Car A${carAIdentifier} ${finalFaultA}% — Car B${carBIdentifier} ${100 - finalFaultA}%
-Confidence: ${confidence}
-
+Fault allocation: ${carNames.map((n, i) => `${n} ${faultSplit[i]}%`).join(" — ")}
+Confidence: ${confidence.label}
+Recommended action: ${penalty.appliesTo ? `${penalty.label} for ${penalty.appliesTo}` : penalty.label}${penalty.escalation ? ` (escalated from ${penalty.escalation.from} for ${penalty.escalation.priors} prior incident(s))` : ""}
+${driverHistory.length ? `Driver history (affects the sanction only — do not let it change the fault split):\n${driverHistory.join("\n")}\n` : ""}${historical?.sampleSize ? `Historical dataset: ${historical.sampleSize} similar rulings, median ${historical.median}% fault (IQR ${historical.p25}–${historical.p75}%)\n` : ""}
 Write a unique, calm, educational verdict in 3–5 sentences.
-Start with: "In this ${userType.toLowerCase()}..."
+Judge the incident by ${rulebook.name} only — do not cite other series' rules.
+Start with: "In this ${incidentLabel.toLowerCase()}..."
 End with: "${proTip}"
 
 Return ONLY valid JSON:
 {
-  "rule": "relevant rule",
-  "fault": { "Car A${carAIdentifier}": "${finalFaultA}%", "Car B${carBIdentifier}": "${100-finalFaultA}%" },
+  "rule": "the applicable rule above (${rule.article}), in your own words — it is a summary, never present it as a quote",
+  "fault": ${JSON.stringify(faultRecord(carNames, faultSplit))},
   "car_identification": "${carIdentification}",
   "explanation": "3–5 sentences",
   "pro_tip": "${proTip}",
-  "confidence": "${confidence}"
+  "confidence": "${confidence.label}"
 }`;
 
-    const grokRes = await fetchWithRetry('https://api.x.ai/v1/chat/completions', {
-      method: 'POST',
-      headers: { Authorization: `Bearer ${process.env.GROK_API_KEY}`, 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        model: 'grok-3',
-        messages: [{ role: 'user', content: prompt }],
-        max_tokens: 700,
-        temperature: 0.7
-      }),
-      signal: controller.signal
-    });
+    const llmContext = {
+      incidentLabel,
+      cars: cars.map((c, i) => ({ name: carNames[i], role: roles[i], fault: faultSplit[i] })),
+      rule,
+      ruleSummary,
+      precedents: precedentCases,
+      proTip,
+      confidence: confidence.label
+    };
+
+    let llm = await generateVerdict({ prompt, context: llmContext, signal: controller.signal });
+    let output = validateVerdictOutput(llm.raw, faultSplit);
+    let outputStatus = output.ok ? (output.repaired ? "repaired" : "parsed") : "fallback";
+    const outputIssues = [...output.issues];
+
+    // One re-request when the answer was unusable or tried to change the fault split
+    if (!output.ok) {
+      try {
+        const retry = await generateVerdict({ prompt: prompt + correctionPrompt(output.issues, faultSplit), context: llmContext, signal: controller.signal });
+        const retryOutput = validateVerdictOutput(retry.raw, faultSplit);
+        outputIssues.push(...retryOutput.issues);
+        if (retryOutput.ok) {
+          llm = retry;
+          output = retryOutput;
+          outputStatus = "re-requested";
+        }
+      } catch (e) {
+        outputIssues.push(`Re-request failed: ${e.message}`);
+      }
+    }
 
     clearTimeout(timeout);
-    const data = await grokRes.json();
-    const raw = data.choices?.[0]?.message?.content?.trim() || '';
 
     let verdict = {
-      rule: "iRacing Sporting Code / ACC LFM Regulations",
-      fault: { [`Car A${carAIdentifier}`]: `${finalFaultA}%`, [`Car B${carBIdentifier}`]: `${100-finalFaultA}%` },
+      rule: ruleSummary,
+      fault: faultRecord(carNames, faultSplit),
       car_identification: carIdentification,
-      explanation: `In this ${userType.toLowerCase()}, contact occurred between Car A${carAIdentifier} and Car B${carBIdentifier}.\n\n${proTip}`,
+      explanation: `In this ${incidentLabel.toLowerCase()}, contact occurred between ${carNames.slice(0, -1).join(", ")} and ${carNames[carNames.length - 1]}.\n\n${proTip}`,
       pro_tip: proTip,
-      confidence
+      confidence: confidence.label
     };
 
-    try { Object.assign(verdict, JSON.parse(raw)); } catch {}
+    // Only rule + explanation come from the model; everything else stays server-owned
+    if (output.ok) Object.assign(verdict, output.data);
+
+    confidence = scoreConfidence({ ...evidence, llmOutput: outputStatus });
+    verdict.confidence = confidence.label;
 
     verdict.video_title = effectiveTitle;
 
-    res.status(200).json({
+    const result = {
       verdict,
+      incident: { id: incidentKey, label: incidentLabel },
       precedents: precedentCases,     // ← Now perfect, curated, working links
+      rulebook: { id: rulebook.id, name: rulebook.name, article: rule.article },
+      dataset: historical,
+      fault_breakdown: faultBreakdown,
+      penalty,
+      cars: cars.map((c, i) => ({ ...c, name: carNames[i], roleText: roles[i], fault: faultSplit[i] })),
+      drivers,
+      round,
+      event: event ? summarizeEvent(event) : null,
+      lap: input.lap ?? null,
+      turn: input.turn || null,
+      flag: input.flag || null,
+      prior_incidents: priors,
+      videos: video.videos,
+      clip: video.clip,
+      telemetry,
+      protest: protest ? { id: protest.id, replyStatus: replyStatus(protest), accusedReplied: Boolean(protest.accused.repliedAt), claims } : null,
+      confidence,
+      llm: { provider: llm.provider, model: llm.model, fallback: llm.fallback, output: outputStatus, issues: outputIssues },
+      fallback: llm.fallback || outputStatus === "fallback",
       matches: []                     // Legacy field — kept for compatibility
-    });
+    };
 
-  } catch (err) {
+    // 8. Save the case — a store failure must never cost the user their verdict. Raw telemetry
+    //    stays out of the case file; the derived facts and traces are in result.telemetry.
+    const savedTelemetry = input.telemetry.map(({ csv, ...file }) => ({ ...file, bytes: csv.length }));
+    try {
+      const saved = await getCaseStore().create({ status: "draft", input: { ...input, round, telemetry: savedTelemetry }, result, llmRaw: llm.raw });
+      result.case_id = saved.id;
+      if (protest) await getProtestStore().update(protest.id, { caseId: saved.id });
+      if (isLiveId(input.liveId)) await getLiveStore().update(input.liveId, { status: "analyzed", caseId: saved.id });
+    } catch (e) {
+      console.warn("Case store failed:", e.message);
+    }
+
+    return { status: 200, body: result };
+  } finally {
     clearTimeout(timeout);
+  }
+}
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') return res.status(405).end();
+
+  try {
+    const { status, body } = await analyzeIncident(req.body, { parent: siteHost(req) });
+    res.status(status).json(body);
+  } catch (err) {
     console.error(err);
     res.status(500).json({
       verdict: { rule: "Error", fault: { "Car A": "—", "Car B": "—" }, explanation: "Something went wrong.", pro_tip: "", confidence: "N/A" },
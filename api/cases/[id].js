@@ -0,0 +1,55 @@
+// pages/api/cases/[id].js
+// Single case — GET returns the full record, PATCH runs a review action, DELETE removes it.
+// PATCH and DELETE are for stewards only (STEWARDS_TOKEN): publishing adds ledger points and
+// feeds escalation, and a ruling under appeal must not vanish.
+// PATCH body: { action: "review" | "publish" | "reopen", steward, reason, fault? (one % per car) | faultA?, severity?, rule?, explanation? }
+
+import { getCaseStore, isCaseId } from '../../lib/caseStore.js';
+import { applyReviewAction } from '../../lib/review.js';
+import { getProtestStore } from '../../lib/protests.js';
+import { requireToken, STEWARD_ACCESS } from '../../lib/auth.js';
+
+export default async function handler(req, res) {
+  const { id } = req.query;
+  if (!isCaseId(id)) return res.status(400).json({ error: "Invalid case id" });
+
+  try {
+    const store = getCaseStore();
+
+    if (req.method === 'GET') {
+      const found = await store.get(id);
+      if (!found) return res.status(404).json({ error: "Case not found" });
+      return res.status(200).json(found);
+    }
+
+    if (req.method === 'PATCH') {
+      if (!requireToken(req, res, STEWARD_ACCESS)) return;
+      const found = await store.get(id);
+      if (!found) return res.status(404).json({ error: "Case not found" });
+      const protest = found.input?.protestId ? await getProtestStore().get(found.input.protestId) : null;
+      // The action is applied to the case as it is inside the write queue, so a concurrent
+      // review can't drop this one's audit entry (or the other way round)
+      let error = null;
+      const updated = await store.update(id, current => {
+        const outcome = applyReviewAction(current, req.body || {}, { protest });
+        error = outcome.error || null;
+        return error ? null : outcome.patch;
+      });
+      if (!updated) return res.status(404).json({ error: "Case not found" });
+      if (error) return res.status(400).json({ error });
+      return res.status(200).json(updated);
+    }
+
+    if (req.method === 'DELETE') {
+      if (!requireToken(req, res, STEWARD_ACCESS)) return;
+      const removed = await store.remove(id);
+      if (!removed) return res.status(404).json({ error: "Case not found" });
+      return res.status(204).end();
+    }
+
+    res.status(405).end();
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Could not access the case store" });
+  }
+}
@@ -0,0 +1,17 @@
+// pages/api/cases/index.js
+// Verdict history — GET lists saved cases, newest first (?limit=&offset=)
+
+import { getCaseStore } from '../../lib/caseStore.js';
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') return res.status(405).end();
+
+  try {
+    const limit = Math.min(200, Math.max(1, parseInt(req.query?.limit) || 50));
+    const offset = Math.max(0, parseInt(req.query?.offset) || 0);
+    res.status(200).json(await getCaseStore().list({ limit, offset }));
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Could not read the case store" });
+  }
+}
@@ -0,0 +1,47 @@
+// pages/api/discord.js
+// Discord output for a saved case — GET ?case=<id> returns the embed payload (copy/paste or
+// preview), POST { caseId } sends a published verdict to the league's webhook.
+// Every POST attempt is appended to the case's delivery log (case.deliveries).
+
+import { getCaseStore, isCaseId } from '../lib/caseStore.js';
+import { verdictEmbed, webhookFor, postWebhook } from '../lib/discord.js';
+
+function siteUrl(req) {
+  if (process.env.PUBLIC_BASE_URL) return process.env.PUBLIC_BASE_URL;
+  const host = req.headers?.host;
+  return host ? `${req.headers['x-forwarded-proto'] || 'http'}://${host}` : "";
+}
+
+export default async function handler(req, res) {
+  const id = req.method === 'GET' ? req.query?.case : req.body?.caseId;
+  if (!isCaseId(id)) return res.status(400).json({ error: "Invalid case id" });
+
+  try {
+    const store = getCaseStore();
+    const found = await store.get(id);
+    if (!found) return res.status(404).json({ error: "Case not found" });
+
+    const league = found.input?.league || "";
+    const payload = verdictEmbed(found, { baseUrl: siteUrl(req) });
+
+    if (req.method === 'GET') {
+      return res.status(200).json({ payload, webhookConfigured: Boolean(webhookFor(league)), deliveries: found.deliveries || [] });
+    }
+
+    if (req.method === 'POST') {
+      if (found.status !== "published") return res.status(409).json({ error: "Only published verdicts can be posted to Discord" });
+      const url = webhookFor(league);
+      if (!url) return res.status(400).json({ error: "No Discord webhook configured (DISCORD_WEBHOOK_URL or DISCORD_WEBHOOKS)" });
+
+      const outcome = await postWebhook(url, payload);
+      const delivery = { at: new Date().toISOString(), target: league || "default", ...outcome };
+      const updated = await store.update(id, current => ({ deliveries: [...(current.deliveries || []), delivery] }));
+      return res.status(outcome.ok ? 200 : 502).json({ delivery, deliveries: updated.deliveries });
+    }
+
+    res.status(405).end();
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Could not deliver to Discord" });
+  }
+}
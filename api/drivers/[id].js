@@ -0,0 +1,26 @@
+// pages/api/drivers/[id].js
+// Driver history — roster entry, points ledger (with expiry) and every case they were in
+
+import { getCaseStore } from '../../lib/caseStore.js';
+import { loadRoster } from '../../lib/roster.js';
+import { driverHistory } from '../../lib/ledger.js';
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') return res.status(405).end();
+
+  try {
+    const roster = await loadRoster();
+    const driver = roster.drivers.find(d => d.id === req.query.id);
+    if (!driver) return res.status(404).json({ error: "Driver not found" });
+
+    const cases = await getCaseStore().all();
+    res.status(200).json({
+      currentRound: roster.currentRound,
+      expiryRaces: roster.expiryRaces,
+      ...driverHistory(driver, roster, cases)
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Could not load driver history" });
+  }
+}
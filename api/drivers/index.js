@@ -0,0 +1,23 @@
+// pages/api/drivers/index.js
+// Penalty-points standings — every roster driver with active points (published verdicts only)
+
+import { getCaseStore } from '../../lib/caseStore.js';
+import { loadRoster } from '../../lib/roster.js';
+import { standings } from '../../lib/ledger.js';
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') return res.status(405).end();
+
+  try {
+    const roster = await loadRoster();
+    const cases = await getCaseStore().all();
+    res.status(200).json({
+      currentRound: roster.currentRound,
+      expiryRaces: roster.expiryRaces,
+      drivers: standings(roster, cases)
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Could not build the points ledger" });
+  }
+}
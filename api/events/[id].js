@@ -0,0 +1,41 @@
+// pages/api/events/[id].js
+// Single event — GET returns it with its incidents in race order, PATCH edits it
+// PATCH body: any of { name, league, round, track, sessionType, series, date }
+
+import { getEventStore, isEventId, eventSchema } from '../../lib/eventStore.js';
+import { getCaseStore, summarizeCase } from '../../lib/caseStore.js';
+import { byRaceOrder } from '../../lib/events.js';
+
+export default async function handler(req, res) {
+  const { id } = req.query;
+  if (!isEventId(id)) return res.status(400).json({ error: "Invalid event id" });
+
+  try {
+    const store = getEventStore();
+
+    if (req.method === 'GET') {
+      const event = await store.get(id);
+      if (!event) return res.status(404).json({ error: "Event not found" });
+      const cases = (await getCaseStore().all())
+        .filter(c => c.input?.eventId === id)
+        .map(c => ({ ...summarizeCase(c), sessionTime: c.input?.sessionTime ?? null }))
+        .sort(byRaceOrder);
+      return res.status(200).json({ ...event, cases });
+    }
+
+    if (req.method === 'PATCH') {
+      const parsed = eventSchema.partial().safeParse(req.body || {});
+      if (!parsed.success) return res.status(400).json({ error: parsed.error.issues.map(i => i.message).join('; ') });
+      // Only the fields sent — the schema's defaults must not blank the others
+      const patch = Object.fromEntries(Object.entries(parsed.data).filter(([key]) => key in req.body));
+      const updated = await store.update(id, patch);
+      if (!updated) return res.status(404).json({ error: "Event not found" });
+      return res.status(200).json(updated);
+    }
+
+    res.status(405).end();
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Could not access the event store" });
+  }
+}
@@ -0,0 +1,30 @@
+// pages/api/events/index.js
+// Events — GET lists them, POST creates one. An event is one session of a league round;
+// incidents join it through the analyze form's eventId.
+// POST body: { league, round?, track, sessionType: "practice" | "qualifying" | "sprint" | "race", series?, date?, name? }
+
+import { getEventStore, eventSchema } from '../../lib/eventStore.js';
+import { summarizeEvent } from '../../lib/events.js';
+
+export default async function handler(req, res) {
+  try {
+    const store = getEventStore();
+
+    if (req.method === 'GET') {
+      const events = await store.all();
+      return res.status(200).json({ total: events.length, events: events.map(summarizeEvent) });
+    }
+
+    if (req.method === 'POST') {
+      const parsed = eventSchema.safeParse(req.body || {});
+      if (!parsed.success) return res.status(400).json({ error: parsed.error.issues.map(i => i.message).join('; ') });
+      const saved = await store.create({ ...parsed.data, round: parsed.data.round || null, date: parsed.data.date || null });
+      return res.status(201).json(saved);
+    }
+
+    res.status(405).end();
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Could not access the event store" });
+  }
+}
@@ -0,0 +1,42 @@
+// pages/api/events/report.js
+// Post-race steward report — GET ?event=<id>&format=json|md|pdf: every incident of the
+// session in the order it happened, verdicts (reviewed ones win), penalties and what is
+// still outstanding.
+
+import { getEventStore, isEventId } from '../../lib/eventStore.js';
+import { getCaseStore } from '../../lib/caseStore.js';
+import { getProtestStore } from '../../lib/protests.js';
+import { buildEventReport, eventReportMarkdown, eventReportPdf } from '../../lib/eventReport.js';
+import { EXPORT_FORMATS } from '../../lib/verdictExport.js';
+
+const FORMATS = ["json", "md", "pdf"];
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') return res.status(405).end();
+
+  const { event: id, format = "json" } = req.query || {};
+  if (!isEventId(id)) return res.status(400).json({ error: "Invalid event id" });
+  if (!FORMATS.includes(format)) return res.status(400).json({ error: `format must be one of: ${FORMATS.join(', ')}` });
+
+  try {
+    const event = await getEventStore().get(id);
+    if (!event) return res.status(404).json({ error: "Event not found" });
+
+    const cases = (await getCaseStore().all()).filter(c => c.input?.eventId === id);
+    const protestIds = [...new Set(cases.map(c => c.input?.protestId).filter(Boolean))];
+    const protests = Object.fromEntries(
+      (await Promise.all(protestIds.map(p => getProtestStore().get(p)))).filter(Boolean).map(p => [p.id, p])
+    );
+    const report = buildEventReport(event, cases, protests);
+
+    if (format === "json") return res.status(200).json(report);
+
+    const { type, extension } = EXPORT_FORMATS[format];
+    res.setHeader('Content-Type', type);
+    res.setHeader('Content-Disposition', `attachment; filename="${id}-report.${extension}"`);
+    res.status(200).send(format === "md" ? eventReportMarkdown(report) : eventReportPdf(report));
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Could not build the event report" });
+  }
+}
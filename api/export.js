@@ -0,0 +1,47 @@
+// pages/api/export.js
+// Verdict exports — Markdown, printable PDF or PNG share card.
+// GET ?case=<id>&format=md|pdf|png exports a saved case (reviewed verdict wins);
+// POST { format, result } exports an analyze response as the page received it.
+
+import { getCaseStore, isCaseId } from '../lib/caseStore.js';
+import { EXPORT_FORMATS, exportView, verdictMarkdown, verdictPdf, verdictCard } from '../lib/verdictExport.js';
+
+async function render(format, result) {
+  if (format === "md") return verdictMarkdown(result);
+  if (format === "pdf") return verdictPdf(result);
+  return verdictCard(result);
+}
+
+export default async function handler(req, res) {
+  if (!['GET', 'POST'].includes(req.method)) return res.status(405).end();
+
+  const format = (req.method === 'GET' ? req.query?.format : req.body?.format) || "md";
+  if (!EXPORT_FORMATS[format]) return res.status(400).json({ error: `format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` });
+
+  try {
+    let result;
+    if (req.method === 'GET') {
+      const id = req.query?.case;
+      if (!isCaseId(id)) return res.status(400).json({ error: "Invalid case id" });
+      const found = await getCaseStore().get(id);
+      if (!found) return res.status(404).json({ error: "Case not found" });
+      result = exportView(found);
+    } else {
+      result = req.body?.result;
+      if (!result?.verdict?.fault || typeof result.verdict.fault !== 'object') {
+        return res.status(400).json({ error: "result must be an analyze response with a verdict" });
+      }
+    }
+
+    const body = await render(format, result);
+    const { type, extension } = EXPORT_FORMATS[format];
+    res.setHeader('Content-Type', type);
+    // A POSTed result is client data — only id characters go into the header
+    const name = String(result.case_id || "").replace(/[^A-Za-z0-9_-]/g, '').slice(0, 64) || "verdict";
+    res.setHeader('Content-Disposition', `attachment; filename="${name}.${extension}"`);
+    res.status(200).send(body);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Export failed" });
+  }
+}
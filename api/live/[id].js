@@ -0,0 +1,49 @@
+// pages/api/live/[id].js
+// Single live incident — GET returns it with the analyze-form prefill, PATCH triages it
+// (steward token required)
+// PATCH body: { status: "new" | "investigating" | "no_action" | "analyzed", steward?, note? }
+
+import { z } from 'zod';
+import { getLiveStore, isLiveId, analyzePrefill, LIVE_STATUSES } from '../../lib/liveIncidents.js';
+import { requireToken, STEWARD_ACCESS } from '../../lib/auth.js';
+
+const triageSchema = z.object({
+  status: z.enum(LIVE_STATUSES.map(s => s.id)).optional(),
+  steward: z.string().trim().max(80).optional(),
+  note: z.string().trim().max(500).optional()
+});
+
+export default async function handler(req, res) {
+  const { id } = req.query;
+  if (!isLiveId(id)) return res.status(400).json({ error: "Invalid live incident id" });
+
+  try {
+    const store = getLiveStore();
+
+    if (req.method === 'GET') {
+      const incident = await store.get(id);
+      if (!incident) return res.status(404).json({ error: "Incident not found" });
+      return res.status(200).json({ ...incident, prefill: analyzePrefill(incident) });
+    }
+
+    if (req.method === 'PATCH') {
+      if (!requireToken(req, res, STEWARD_ACCESS)) return;
+      const parsed = triageSchema.safeParse(req.body || {});
+      if (!parsed.success) return res.status(400).json({ error: parsed.error.issues.map(i => i.message).join('; ') });
+      const { status, steward, note } = parsed.data;
+      const patch = {
+        ...(status && { status }),
+        ...(steward !== undefined && { triagedBy: steward }),
+        ...(note !== undefined && { note })
+      };
+      const updated = await store.update(id, patch);
+      if (!updated) return res.status(404).json({ error: "Incident not found" });
+      return res.status(200).json(updated);
+    }
+
+    res.status(405).end();
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Could not access the live incident store" });
+  }
+}
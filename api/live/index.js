@@ -0,0 +1,73 @@
+// pages/api/live/index.js
+// Live incident queue — POST is the ingest for a SimHub plugin / telemetry bridge (one event
+// or an array), GET lists the queue for race control (?session=, ?status=)
+// POST body: { session, lap, turn?, cars: ["12", "7"], gForce?, timestamp? (ISO or epoch), sessionTime?, league?, source? }
+// The bridge must send "Authorization: Bearer <LIVE_INGEST_TOKEN>"; without the env var set,
+// ingest is refused everywhere but `next dev`.
+
+import { z } from 'zod';
+import { getLiveStore, summarizeLive, LIVE_STATUSES } from '../../lib/liveIncidents.js';
+import { MAX_CARS } from '../../lib/cars.js';
+import { requireToken } from '../../lib/auth.js';
+
+const carNumber = z.union([z.string(), z.number()])
+  .transform(v => String(v).trim().replace(/^#/, ''))
+  .refine(v => v.length > 0 && v.length <= 12, "Car numbers must be 1–12 characters");
+
+const eventSchema = z.object({
+  session: z.string().trim().min(1, "session is required").max(120),
+  lap: z.coerce.number().int().min(0),
+  turn: z.union([z.string(), z.number()]).optional().transform(v => (v === undefined ? "" : String(v).trim())),
+  cars: z.array(carNumber).min(1, "At least one car number is required").max(MAX_CARS),
+  gForce: z.coerce.number().min(0).max(200).optional().nullable(),
+  timestamp: z.union([z.string(), z.number()]).optional().nullable(),
+  sessionTime: z.coerce.number().min(0).optional().nullable(),
+  league: z.string().optional().default(""),
+  source: z.string().max(60).optional().default("")
+});
+
+const MAX_BATCH = 50;
+
+export default async function handler(req, res) {
+  try {
+    const store = getLiveStore();
+
+    if (req.method === 'GET') {
+      const { session, status } = req.query || {};
+      const all = await store.all();
+      const incidents = all
+        .filter(i => !session || i.session === session)
+        .filter(i => !status || i.status === status);
+      return res.status(200).json({
+        total: incidents.length,
+        sessions: [...new Set(all.map(i => i.session))],
+        statuses: LIVE_STATUSES,
+        incidents: incidents.map(summarizeLive)
+      });
+    }
+
+    if (req.method === 'POST') {
+      if (!requireToken(req, res, { env: "LIVE_INGEST_TOKEN", what: "Live ingest", header: 'x-ingest-token' })) return;
+
+      const events = Array.isArray(req.body) ? req.body : [req.body || {}];
+      if (events.length > MAX_BATCH) return res.status(400).json({ error: `At most ${MAX_BATCH} events per request` });
+      const parsed = events.map(e => eventSchema.safeParse(e));
+      const invalid = parsed.findIndex(p => !p.success);
+      if (invalid !== -1) {
+        return res.status(400).json({ error: `Event ${invalid}: ${parsed[invalid].error.issues.map(i => `${i.path.join('.') || 'event'}: ${i.message}`).join('; ')}` });
+      }
+
+      // One at a time, so a second report of a contact finds the first
+      const results = [];
+      for (const p of parsed) results.push(await store.ingest(p.data));
+      return res.status(201).json({
+        incidents: results.map(r => ({ id: r.incident.id, duplicate: r.duplicate, reports: r.incident.reports }))
+      });
+    }
+
+    res.status(405).end();
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Could not access the live incident store" });
+  }
+}
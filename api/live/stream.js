@@ -0,0 +1,57 @@
+// pages/api/live/stream.js
+// Race-control stream (Server-Sent Events) — every new or updated live incident is pushed as
+// an "incident" event, by tailing the store's feed. The connection closes itself after a few
+// minutes so serverless time limits never cut it mid-write; EventSource reconnects on its own.
+
+import { getLiveStore } from '../../lib/liveIncidents.js';
+
+const POLL_MS = 1000;
+const HEARTBEAT_MS = 15000;
+const MAX_CONNECTION_MS = 5 * 60 * 1000;
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') return res.status(405).end();
+
+  const store = getLiveStore();
+  let offset;
+  try {
+    ({ offset } = await store.feedSince(null));
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ error: "Could not access the live incident store" });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  // The client reloads the queue on "ready", which covers anything missed while reconnecting
+  res.write(`retry: 2000\nevent: ready\ndata: ${JSON.stringify({ at: new Date().toISOString() })}\n\n`);
+
+  let polling = false;
+  const poll = setInterval(async () => {
+    if (polling) return;
+    polling = true;
+    try {
+      const feed = await store.feedSince(offset);
+      offset = feed.offset;
+      for (const incident of feed.incidents) res.write(`event: incident\ndata: ${JSON.stringify(incident)}\n\n`);
+    } catch (e) {
+      console.warn("Live feed failed:", e.message);
+    } finally {
+      polling = false;
+    }
+  }, POLL_MS);
+  const heartbeat = setInterval(() => res.write(`: heartbeat\n\n`), HEARTBEAT_MS);
+
+  const close = () => {
+    clearInterval(poll);
+    clearInterval(heartbeat);
+    clearTimeout(limit);
+    res.end();
+  };
+  const limit = setTimeout(close, MAX_CONNECTION_MS);
+  req.on('close', close);
+}
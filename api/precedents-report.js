@@ -0,0 +1,15 @@
+// pages/api/precedents-report.js
+// Taxonomy validation report for the precedent set (public/precedents_real.csv plus runtime edits)
+
+import { precedentReport } from '../lib/precedents.js';
+
+export default function handler(req, res) {
+  if (req.method !== 'GET') return res.status(405).end();
+
+  try {
+    res.status(200).json(precedentReport());
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Could not read precedents_real.csv" });
+  }
+}
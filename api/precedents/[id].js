@@ -0,0 +1,56 @@
+// pages/api/precedents/[id].js
+// Single precedent — GET returns it, PATCH edits, retires or restores it
+// PATCH body: { steward, status?: "active" | "retired", note?, ...any precedent field }
+
+import { getPrecedentStore, precedentSchema, summarizePrecedent, isPrecedentId, PRECEDENT_FIELDS, PRECEDENT_STATUSES, PRECEDENT_ADMIN } from '../../lib/precedents.js';
+import { requireToken } from '../../lib/auth.js';
+
+export default async function handler(req, res) {
+  const { id } = req.query;
+  if (!isPrecedentId(id)) return res.status(400).json({ error: "Invalid precedent id" });
+
+  try {
+    const store = getPrecedentStore();
+
+    if (req.method === 'GET') {
+      const row = await store.get(id);
+      if (!row) return res.status(404).json({ error: "Precedent not found" });
+      return res.status(200).json(summarizePrecedent(row));
+    }
+
+    if (req.method === 'PATCH') {
+      if (!requireToken(req, res, PRECEDENT_ADMIN)) return;
+      const body = req.body || {};
+      const steward = String(body.steward || "").trim();
+      if (!steward) return res.status(400).json({ error: "Steward name is required" });
+      if (body.status !== undefined && !PRECEDENT_STATUSES.includes(body.status)) {
+        return res.status(400).json({ error: `status must be one of: ${PRECEDENT_STATUSES.join(', ')}` });
+      }
+      if (body.status === "retired" && !String(body.note || "").trim()) {
+        return res.status(400).json({ error: "A note is required to retire a precedent" });
+      }
+
+      const existing = await store.get(id);
+      if (!existing) return res.status(404).json({ error: "Precedent not found" });
+
+      // Edited fields are validated together with the rest of the row (fault_a vs fault_split)
+      const edited = PRECEDENT_FIELDS.filter(key => body[key] !== undefined);
+      const patch = {};
+      if (edited.length) {
+        const parsed = precedentSchema.safeParse({ ...existing, ...body });
+        if (!parsed.success) return res.status(400).json({ error: parsed.error.issues.map(i => i.message).join('; ') });
+        for (const key of edited) patch[key] = parsed.data[key];
+      }
+      if (body.status !== undefined) patch.status = body.status;
+      if (body.note !== undefined) patch.note = String(body.note).trim().slice(0, 500);
+
+      const { row, warnings } = await store.update(id, patch, { steward });
+      return res.status(200).json({ ...summarizePrecedent(row), warnings });
+    }
+
+    res.status(405).end();
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Could not access the precedent set" });
+  }
+}
@@ -0,0 +1,60 @@
+// pages/api/precedents/candidates/[id].js
+// One imported candidate — GET returns it with every comment vote, PATCH accepts it into
+// the precedent set (with the steward's edits; answers with the new precedent) or rejects it.
+// PATCH body: { action: "accept" | "reject", steward, note?, ...precedent fields overriding the candidate }
+
+import { getCandidateStore, isCandidateId } from '../../../lib/redditImport.js';
+import { getPrecedentStore, precedentSchema, summarizePrecedent, PRECEDENT_ADMIN } from '../../../lib/precedents.js';
+import { requireToken } from '../../../lib/auth.js';
+
+export default async function handler(req, res) {
+  const { id } = req.query;
+  if (!isCandidateId(id)) return res.status(400).json({ error: "Invalid candidate id" });
+
+  try {
+    const store = getCandidateStore();
+    const candidate = await store.get(id);
+    if (!candidate) return res.status(404).json({ error: "Candidate not found" });
+
+    if (req.method === 'GET') return res.status(200).json(candidate);
+
+    if (req.method === 'PATCH') {
+      if (!requireToken(req, res, PRECEDENT_ADMIN)) return;
+      const body = req.body || {};
+      const steward = String(body.steward || "").trim();
+      if (!steward) return res.status(400).json({ error: "Steward name is required" });
+      if (!["accept", "reject"].includes(body.action)) return res.status(400).json({ error: "action must be accept or reject" });
+      const note = String(body.note || "").trim().slice(0, 500);
+
+      // Status check, precedent and candidate update in one queued step — a second accept
+      // of the same candidate waits, then finds it already accepted
+      let error = null;
+      let accepted = null;
+      const updated = await store.update(id, async current => {
+        if (current.status !== "pending") {
+          error = `Candidate already ${current.status}`;
+          return null;
+        }
+        if (body.action === "reject") return { status: "rejected", reviewedBy: steward, note };
+
+        // The thread stays the candidate's — provenance is the point
+        const parsed = precedentSchema.safeParse({ ...current, ...body, thread_id: current.thread_id });
+        if (!parsed.success) {
+          error = parsed.error.issues.map(i => i.message).join('; ');
+          return null;
+        }
+        const provenance = `Imported from ${current.source}: ${current.votes.length} steward comment(s), ${current.confidence.label} confidence (${current.confidence.score})`;
+        accepted = await getPrecedentStore().add({ ...parsed.data, note: note || provenance }, { steward, source: "reddit" });
+        return { status: "accepted", reviewedBy: steward, note, precedentId: accepted.row.id };
+      });
+      if (error) return res.status(400).json({ error });
+      if (!accepted) return res.status(200).json(updated);
+      return res.status(200).json({ ...summarizePrecedent(accepted.row), warnings: accepted.warnings, candidate: updated });
+    }
+
+    res.status(405).end();
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Could not update the candidate" });
+  }
+}
@@ -0,0 +1,70 @@
+// pages/api/precedents/candidates/index.js
+// Precedent review queue — candidates built offline from r/simracingstewards dumps.
+// GET ?status=pending|accepted|rejected|all lists them, strongest first.
+// POST imports a dump: { dump: "<JSON or NDJSON text>" | parsed JSON, name?, minConfidence?, minScore?, dryRun? }
+//   or { file: "<name>" } for a dump already on disk in REDDIT_DUMP_DIR (default data/reddit-dumps) —
+//   large archives go through `node scripts/import-reddit.js` instead.
+
+import fs from 'fs/promises';
+import path from 'path';
+import { getCandidateStore, readRedditDump, groupThreads, importThreads, summarizeCandidate, CANDIDATE_STATUSES } from '../../../lib/redditImport.js';
+import { getPrecedentStore, PRECEDENT_ADMIN } from '../../../lib/precedents.js';
+import { requireToken } from '../../../lib/auth.js';
+import { DATA_DIR } from '../../../lib/caseStore.js';
+
+const DUMP_DIR = process.env.REDDIT_DUMP_DIR || path.join(DATA_DIR, 'reddit-dumps');
+
+async function dumpText(body) {
+  if (body.file) {
+    const name = path.basename(String(body.file));
+    try {
+      return { text: await fs.readFile(path.join(DUMP_DIR, name), 'utf8'), name };
+    } catch (e) {
+      if (e.code === 'ENOENT') return { error: `No dump named ${name} in ${DUMP_DIR}` };
+      throw e;
+    }
+  }
+  if (body.dump === undefined || body.dump === null || body.dump === "") return { error: "dump or file is required" };
+  return { text: typeof body.dump === 'string' ? body.dump : JSON.stringify(body.dump), name: String(body.name || "upload") };
+}
+
+export default async function handler(req, res) {
+  try {
+    const store = getCandidateStore();
+
+    if (req.method === 'GET') {
+      const status = req.query?.status || "pending";
+      if (status !== "all" && !CANDIDATE_STATUSES.includes(status)) {
+        return res.status(400).json({ error: `status must be all or one of: ${CANDIDATE_STATUSES.join(', ')}` });
+      }
+      const candidates = (await store.all()).filter(c => status === "all" || c.status === status);
+      return res.status(200).json({ total: candidates.length, candidates: candidates.map(summarizeCandidate) });
+    }
+
+    if (req.method === 'POST') {
+      if (!requireToken(req, res, PRECEDENT_ADMIN)) return;
+      const body = req.body || {};
+      const { text, name, error } = await dumpText(body);
+      if (error) return res.status(400).json({ error });
+
+      const { posts, comments, errors } = readRedditDump(text);
+      if (!posts.length) return res.status(400).json({ error: "No Reddit posts found in the dump", errors: errors.slice(0, 20) });
+
+      const known = new Set((await getPrecedentStore().all()).map(r => r.thread_id).filter(Boolean));
+      const summary = await importThreads(groupThreads(posts, comments), {
+        source: name,
+        known,
+        minConfidence: Number(body.minConfidence) || 0,
+        minScore: body.minScore !== undefined ? Number(body.minScore) || 0 : 1,
+        dryRun: Boolean(body.dryRun),
+        store
+      });
+      return res.status(body.dryRun ? 200 : 201).json({ ...summary, errors: errors.slice(0, 20) });
+    }
+
+    res.status(405).end();
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Could not import the dump" });
+  }
+}
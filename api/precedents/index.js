@@ -0,0 +1,55 @@
+// pages/api/precedents/index.js
+// Precedent curation — GET browses the precedent set (seed CSV plus runtime edits), POST adds
+// a precedent. Writes here and in the other precedent routes need PRECEDENTS_ADMIN_TOKEN.
+// GET ?status=active|retired|all&type=<incident type>&tag=&source=reddit|league&q=<text>
+// POST body: { steward, incident_type, title, ruling, reason, fault_a, fault_split?, thread_id?,
+//              youtube_url?, tags?: "lap 1; netcode" | [...], league? }
+
+import { getPrecedentStore, precedentSchema, summarizePrecedent, PRECEDENT_ADMIN } from '../../lib/precedents.js';
+import { requireToken } from '../../lib/auth.js';
+import { resolveIncidentType, validateIncidentTypes } from '../../lib/taxonomy.js';
+
+export default async function handler(req, res) {
+  try {
+    const store = getPrecedentStore();
+
+    if (req.method === 'GET') {
+      const { status = "active", type, tag, source, q } = req.query || {};
+      const typeId = type ? resolveIncidentType(type)?.id : null;
+      if (type && !typeId) return res.status(400).json({ error: `Unknown incident type: ${type}` });
+
+      const rows = await store.all();
+      const precedents = rows.map(summarizePrecedent).filter(p =>
+        (status === "all" || p.status === status) &&
+        (!typeId || p.typeId === typeId) &&
+        (!tag || p.tags.includes(String(tag).toLowerCase())) &&
+        (!source || p.source === source) &&
+        (!q || `${p.title} ${p.ruling} ${p.reason}`.toLowerCase().includes(String(q).toLowerCase()))
+      );
+      const active = rows.filter(r => r.status !== "retired");
+      return res.status(200).json({
+        total: precedents.length,
+        precedents,
+        coverage: validateIncidentTypes(active),
+        tags: [...new Set(rows.flatMap(r => summarizePrecedent(r).tags))].sort()
+      });
+    }
+
+    if (req.method === 'POST') {
+      if (!requireToken(req, res, PRECEDENT_ADMIN)) return;
+      const steward = String(req.body?.steward || "").trim();
+      if (!steward) return res.status(400).json({ error: "Steward name is required" });
+      const parsed = precedentSchema.safeParse(req.body || {});
+      if (!parsed.success) return res.status(400).json({ error: parsed.error.issues.map(i => i.message).join('; ') });
+
+      const source = parsed.data.thread_id ? "reddit" : "manual";
+      const { row, warnings } = await store.add(parsed.data, { steward, source });
+      return res.status(201).json({ ...summarizePrecedent(row), warnings });
+    }
+
+    res.status(405).end();
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Could not access the precedent set" });
+  }
+}
@@ -0,0 +1,52 @@
+// pages/api/precedents/promote.js
+// Promote a steward-reviewed league verdict into the precedent set, so retrieval and the
+// fault engine learn from our own rulings. GET ?case=<id> returns the draft for the admin
+// to edit; POST adds it with the case id, league and steward as provenance.
+// POST body: { caseId, steward, ...precedent fields overriding the draft }
+
+import { getCaseStore, isCaseId } from '../../lib/caseStore.js';
+import { getPrecedentStore, precedentSchema, precedentFromCase, summarizePrecedent, PROMOTABLE_STATUSES, PRECEDENT_ADMIN } from '../../lib/precedents.js';
+import { requireToken } from '../../lib/auth.js';
+
+async function loadCase(id) {
+  if (!isCaseId(id)) return { status: 400, error: "Invalid case id" };
+  const found = await getCaseStore().get(id);
+  if (!found) return { status: 404, error: "Case not found" };
+  if (!PROMOTABLE_STATUSES.includes(found.status || "draft")) {
+    return { status: 400, error: "Only reviewed or published cases can become precedents" };
+  }
+  return { found };
+}
+
+export default async function handler(req, res) {
+  if (!['GET', 'POST'].includes(req.method)) return res.status(405).end();
+  if (req.method === 'POST' && !requireToken(req, res, PRECEDENT_ADMIN)) return;
+
+  try {
+    const caseId = req.method === 'GET' ? req.query?.case : req.body?.caseId;
+    const { found, status, error } = await loadCase(caseId);
+    if (error) return res.status(status).json({ error });
+
+    const store = getPrecedentStore();
+    const existing = (await store.all()).find(r => r.case_id === found.id);
+    const draft = precedentFromCase(found);
+
+    if (req.method === 'GET') {
+      return res.status(200).json({ draft, existing: existing ? summarizePrecedent(existing) : null });
+    }
+
+    const steward = String(req.body?.steward || "").trim();
+    if (!steward) return res.status(400).json({ error: "Steward name is required" });
+    if (existing) return res.status(409).json({ error: `Case already promoted as ${existing.id}` });
+
+    const parsed = precedentSchema.safeParse({ ...draft, ...req.body });
+    if (!parsed.success) return res.status(400).json({ error: parsed.error.issues.map(i => i.message).join('; ') });
+
+    const added = await store.add(parsed.data, { steward, source: "league", caseId: found.id });
+    if (added.duplicate) return res.status(409).json({ error: `Case already promoted as ${added.duplicate.id}` });
+    return res.status(201).json({ ...summarizePrecedent(added.row), warnings: added.warnings });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Could not promote the case" });
+  }
+}
@@ -0,0 +1,28 @@
+// pages/api/protests/[id].js
+// Single protest for the stewards (STEWARDS_TOKEN) — both statements, reply status and the
+// reply link to send the accused
+
+import { getProtestStore, isProtestId, publicView } from '../../lib/protests.js';
+import { requireToken, STEWARD_ACCESS } from '../../lib/auth.js';
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') return res.status(405).end();
+
+  const { id } = req.query;
+  if (!isProtestId(id)) return res.status(400).json({ error: "Invalid protest id" });
+  if (!requireToken(req, res, STEWARD_ACCESS)) return;
+
+  try {
+    const protest = await getProtestStore().get(id);
+    if (!protest) return res.status(404).json({ error: "Protest not found" });
+    res.status(200).json({
+      ...publicView(protest),
+      protester: protest.protester,
+      caseId: protest.caseId,
+      replyPath: `/protests/reply/${protest.replyToken}`
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Could not access the protest store" });
+  }
+}
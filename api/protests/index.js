@@ -0,0 +1,59 @@
+// pages/api/protests/index.js
+// Protests — GET lists them for the stewards (STEWARDS_TOKEN), POST files a new one. The
+// accused driver's private reply link only goes to the stewards, never back to the filer.
+// POST body: { incidentType, series?, league?, round?, url?, protester: { name, car, side: "A" | "B", statement },
+//              accused: { name, car }, replyHours? }
+
+import { z } from 'zod';
+import { getProtestStore, summarizeProtest, publicView } from '../../lib/protests.js';
+import { requireToken, STEWARD_ACCESS } from '../../lib/auth.js';
+
+const driver = z.object({
+  name: z.string().trim().min(1, "Driver name is required"),
+  car: z.string().trim().optional().default("")
+});
+
+const schema = z.object({
+  incidentType: z.string().min(1, "Please select an incident type"),
+  series: z.string().optional().default(""),
+  league: z.string().optional().default(""),
+  round: z.coerce.number().int().positive().optional().nullable(),
+  url: z.string().optional().default(""),
+  protester: driver.extend({
+    side: z.enum(["A", "B"]).optional().default("A"),
+    statement: z.string().trim().min(10, "Please describe what happened")
+  }),
+  accused: driver,
+  replyHours: z.coerce.number().int().min(1).max(336).optional()
+});
+
+export default async function handler(req, res) {
+  try {
+    const store = getProtestStore();
+
+    if (req.method === 'GET') {
+      if (!requireToken(req, res, STEWARD_ACCESS)) return;
+      const protests = await store.all();
+      return res.status(200).json({ total: protests.length, protests: protests.map(summarizeProtest) });
+    }
+
+    if (req.method === 'POST') {
+      const parsed = schema.safeParse(req.body || {});
+      if (!parsed.success) return res.status(400).json({ error: parsed.error.issues.map(i => i.message).join('; ') });
+
+      const { incidentType, series, league, round, url, protester, accused, replyHours } = parsed.data;
+      const saved = await store.create({
+        incident: { incidentType, series, league, round: round || null, url },
+        protester: { ...protester, clip: url },
+        accused,
+        replyHours
+      });
+      return res.status(201).json(publicView(saved));
+    }
+
+    res.status(405).end();
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Could not access the protest store" });
+  }
+}
@@ -0,0 +1,42 @@
+// pages/api/protests/reply/[token].js
+// The accused driver's side — GET shows the protest, POST submits the counter-statement
+// POST body: { statement, clip? } — one reply per protest, accepted until the verdict is published
+
+import { z } from 'zod';
+import { getProtestStore, publicView } from '../../../lib/protests.js';
+import { getCaseStore } from '../../../lib/caseStore.js';
+
+const schema = z.object({
+  statement: z.string().trim().min(10, "Please give your side of the incident"),
+  clip: z.string().trim().url("Clip must be a link").optional().or(z.literal("")).default("")
+});
+
+export default async function handler(req, res) {
+  try {
+    const store = getProtestStore();
+    const protest = await store.findByToken(req.query.token);
+    if (!protest) return res.status(404).json({ error: "Protest not found — check your link" });
+
+    if (req.method === 'GET') return res.status(200).json(publicView(protest));
+
+    if (req.method === 'POST') {
+      if (protest.accused.repliedAt) return res.status(409).json({ error: "A reply has already been submitted" });
+      if (protest.caseId && (await getCaseStore().get(protest.caseId))?.status === "published") {
+        return res.status(409).json({ error: "The stewards have already published a ruling" });
+      }
+
+      const parsed = schema.safeParse(req.body || {});
+      if (!parsed.success) return res.status(400).json({ error: parsed.error.issues.map(i => i.message).join('; ') });
+
+      const updated = await store.update(protest.id, {
+        accused: { ...protest.accused, ...parsed.data, repliedAt: new Date().toISOString() }
+      });
+      return res.status(200).json(publicView(updated));
+    }
+
+    res.status(405).end();
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Could not access the protest store" });
+  }
+}
@@ -0,0 +1,48 @@
+// pages/api/roster.js
+// League roster — GET returns drivers (with their autocomplete label) + season settings,
+// POST imports a CSV, PATCH updates the season settings used by the points ledger
+// POST body: { csv: "name,number,class,team\n...", mode: "merge" | "replace" }
+// PATCH body: { currentRound?, expiryRaces? }
+
+import { loadRoster, saveRoster, parseRosterCsv, mergeDrivers, driverLabel } from '../lib/roster.js';
+
+const positiveInt = value => Number.isInteger(Number(value)) && Number(value) > 0;
+
+export default async function handler(req, res) {
+  try {
+    const roster = await loadRoster();
+
+    if (req.method === 'GET') {
+      return res.status(200).json({ ...roster, drivers: roster.drivers.map(d => ({ ...d, label: driverLabel(d) })) });
+    }
+
+    if (req.method === 'POST') {
+      const { csv, mode = "merge" } = req.body || {};
+      if (!csv || typeof csv !== 'string') return res.status(400).json({ error: "csv is required" });
+      if (!["merge", "replace"].includes(mode)) return res.status(400).json({ error: "mode must be merge or replace" });
+
+      const { drivers, errors } = parseRosterCsv(csv);
+      if (drivers.length === 0) return res.status(400).json({ error: "No drivers found in CSV", errors });
+
+      const saved = await saveRoster({ ...roster, drivers: mergeDrivers(roster.drivers, drivers, mode) });
+      return res.status(200).json({ ...saved, imported: drivers.length, errors });
+    }
+
+    if (req.method === 'PATCH') {
+      const { currentRound, expiryRaces } = req.body || {};
+      if (currentRound !== undefined && !positiveInt(currentRound)) return res.status(400).json({ error: "currentRound must be a positive integer" });
+      if (expiryRaces !== undefined && !positiveInt(expiryRaces)) return res.status(400).json({ error: "expiryRaces must be a positive integer" });
+
+      return res.status(200).json(await saveRoster({
+        ...roster,
+        currentRound: currentRound !== undefined ? Number(currentRound) : roster.currentRound,
+        expiryRaces: expiryRaces !== undefined ? Number(expiryRaces) : roster.expiryRaces
+      }));
+    }
+
+    res.status(405).end();
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Could not access the roster" });
+  }
+}
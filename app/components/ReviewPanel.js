@@ -0,0 +1,322 @@
+'use client';
+
+import { useEffect, useState } from 'react';
+
+const STATUS_STYLES = {
+  draft: 'bg-gray-200 text-gray-800 dark:bg-gray-700 dark:text-gray-200',
+  reviewed: 'bg-amber-200 text-amber-900 dark:bg-amber-900/50 dark:text-amber-200',
+  published: 'bg-green-200 text-green-900 dark:bg-green-900/50 dark:text-green-200',
+};
+
+const percent = (value) => parseInt(String(value).replace('%', ''), 10);
+
+// Steward review of a saved case: adjust fault, edit rule/explanation, then publish.
+// `caseRecord` is the full case from /api/cases/{id}; onUpdated receives the saved case.
+// Review actions need STEWARDS_TOKEN: pass `stewardToken` when the page already asks for it,
+// otherwise the panel has its own field.
+export default function ReviewPanel({ caseRecord, onUpdated, stewardToken }) {
+  const ai = caseRecord.result.verdict;
+  const current = caseRecord.final || ai;
+  const names = Object.keys(ai.fault);
+  const aiFault = Object.values(ai.fault).map(percent);
+
+  const [fault, setFault] = useState(Object.values(current.fault).map(percent));
+  const [rule, setRule] = useState(current.rule);
+  const [explanation, setExplanation] = useState(current.explanation);
+  const [severity, setSeverity] = useState((caseRecord.final?.penalty || caseRecord.result.penalty)?.severity || 'moderate');
+  const [steward, setSteward] = useState(caseRecord.review?.steward || '');
+  const [reason, setReason] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [discord, setDiscord] = useState('');
+  const [ownToken, setOwnToken] = useState('');
+  const token = stewardToken ?? ownToken;
+
+  useEffect(() => {
+    const latest = caseRecord.final || caseRecord.result.verdict;
+    setFault(Object.values(latest.fault).map(percent));
+    setRule(latest.rule);
+    setExplanation(latest.explanation);
+    setSeverity((caseRecord.final?.penalty || caseRecord.result.penalty)?.severity || 'moderate');
+  }, [caseRecord]);
+
+  const status = caseRecord.status || 'draft';
+  const overridden = fault.some((f, i) => f !== aiFault[i]);
+  const total = fault.reduce((sum, f) => sum + (f || 0), 0);
+  const setCarFault = (i, value) => setFault(fault.map((f, j) => (j === i ? value : f)));
+
+  const send = async (action) => {
+    setSaving(true);
+    setError('');
+    try {
+      const body = action === 'review'
+        ? { action, steward, reason, fault, severity, rule, explanation }
+        : { action, steward, reason };
+      const res = await fetch(`/api/cases/${caseRecord.id}`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json', ...(token && { Authorization: `Bearer ${token}` }) },
+        body: JSON.stringify(body),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Review failed');
+      setReason('');
+      onUpdated(data);
+    } catch (err) {
+      setError(err.message || 'Review failed');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const postToDiscord = async () => {
+    setSaving(true);
+    setDiscord('');
+    try {
+      const res = await fetch('/api/discord', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ caseId: caseRecord.id }),
+      });
+      const data = await res.json();
+      if (!data.delivery) throw new Error(data.error || 'Discord post failed');
+      setDiscord(data.delivery.ok ? 'Posted to Discord.' : `Discord post failed: ${data.delivery.error}`);
+      onUpdated({ ...caseRecord, deliveries: data.deliveries });
+    } catch (err) {
+      setDiscord(err.message || 'Discord post failed');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const copyEmbed = async () => {
+    try {
+      const res = await fetch(`/api/discord?case=${caseRecord.id}`);
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Could not build embed');
+      await navigator.clipboard.writeText(JSON.stringify(data.payload, null, 2));
+      setDiscord('Embed JSON copied.');
+    } catch (err) {
+      setDiscord(err.message || 'Could not copy embed');
+    }
+  };
+
+  const locked = status === 'published';
+
+  return (
+    <div className="p-8 bg-white dark:bg-gray-800 rounded-2xl shadow-xl border border-gray-200 dark:border-gray-700 mb-10">
+      <div className="flex items-center justify-between mb-6">
+        <h3 className="text-2xl font-bold">Steward Review</h3>
+        <span className={`px-3 py-1 rounded-full text-sm font-bold uppercase ${STATUS_STYLES[status]}`}>{status}</span>
+      </div>
+
+      <div className="space-y-5">
+        {names.length === 2 ? (
+          <div>
+            <label className="block text-sm font-medium mb-2">
+              Fault — {names[0]}: <strong>{fault[0]}%</strong> · {names[1]}: <strong>{fault[1]}%</strong>
+              {overridden && <span className="ml-2 text-amber-600">(AI said {aiFault[0]}%)</span>}
+            </label>
+            <input
+              type="range"
+              min={0}
+              max={100}
+              value={fault[0]}
+              disabled={locked}
+              onChange={(e) => {
+                const a = parseInt(e.target.value, 10);
+                setFault([a, 100 - a]);
+              }}
+              className="w-full"
+            />
+          </div>
+        ) : (
+          <div>
+            <label className="block text-sm font-medium mb-2">
+              Fault — total <strong className={total === 100 ? '' : 'text-red-600'}>{total}%</strong> (must be 100)
+              {overridden && <span className="ml-2 text-amber-600">(AI said {aiFault.join(' / ')})</span>}
+            </label>
+            <div className="grid grid-cols-2 gap-3">
+              {names.map((name, i) => (
+                <label key={name} className="flex items-center gap-2 text-sm">
+                  <span className="flex-1 truncate">{name}</span>
+                  <input
+                    type="number"
+                    min={0}
+                    max={100}
+                    value={fault[i]}
+                    disabled={locked}
+                    onChange={(e) => setCarFault(i, parseInt(e.target.value, 10) || 0)}
+                    className="w-20 p-2 border rounded-lg dark:bg-gray-700"
+                  />
+                  %
+                </label>
+              ))}
+            </div>
+          </div>
+        )}
+
+        <div>
+          <label className="block text-sm font-medium mb-2">Severity</label>
+          <select
+            value={severity}
+            disabled={locked}
+            onChange={(e) => setSeverity(e.target.value)}
+            className="w-full p-3 border rounded-xl dark:bg-gray-700"
+          >
+            <option value="minor">Minor</option>
+            <option value="moderate">Moderate</option>
+            <option value="major">Major</option>
+          </select>
+          {caseRecord.final?.penalty && (
+            <p className="text-sm text-gray-600 dark:text-gray-400 mt-2">
+              Reviewed action: <strong>{caseRecord.final.penalty.label}</strong>
+              {caseRecord.final.penalty.appliesTo && ` for ${caseRecord.final.penalty.appliesTo}`}
+            </p>
+          )}
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium mb-2">Rule</label>
+          <textarea
+            value={rule}
+            disabled={locked}
+            onChange={(e) => setRule(e.target.value)}
+            rows={2}
+            className="w-full p-3 border rounded-xl dark:bg-gray-700"
+          />
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium mb-2">Explanation</label>
+          <textarea
+            value={explanation}
+            disabled={locked}
+            onChange={(e) => setExplanation(e.target.value)}
+            rows={6}
+            className="w-full p-3 border rounded-xl dark:bg-gray-700"
+          />
+        </div>
+
+        <div className="grid grid-cols-2 gap-4">
+          <div>
+            <label className="block text-sm font-medium mb-2">Steward name *</label>
+            <input
+              type="text"
+              value={steward}
+              onChange={(e) => setSteward(e.target.value)}
+              className="w-full p-3 border rounded-xl dark:bg-gray-700"
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium mb-2">
+              Reason {(overridden || locked) && '*'}
+            </label>
+            <input
+              type="text"
+              value={reason}
+              onChange={(e) => setReason(e.target.value)}
+              placeholder={locked ? 'Why reopen? (e.g. appeal)' : 'Why the change?'}
+              className="w-full p-3 border rounded-xl dark:bg-gray-700"
+            />
+          </div>
+        </div>
+
+        {stewardToken === undefined && (
+          <input
+            type="password"
+            value={ownToken}
+            onChange={(e) => setOwnToken(e.target.value)}
+            autoComplete="off"
+            placeholder="Steward token (STEWARDS_TOKEN)"
+            className="w-full p-3 border rounded-xl dark:bg-gray-700"
+          />
+        )}
+
+        {error && <p className="text-red-600 dark:text-red-400">{error}</p>}
+
+        <div className="flex gap-4">
+          {!locked && (
+            <button
+              type="button"
+              disabled={saving || total !== 100}
+              onClick={() => send('review')}
+              className="flex-1 py-3 bg-amber-600 hover:bg-amber-700 text-white font-bold rounded-xl disabled:opacity-50"
+            >
+              Save review
+            </button>
+          )}
+          {status === 'reviewed' && (
+            <button
+              type="button"
+              disabled={saving}
+              onClick={() => send('publish')}
+              className="flex-1 py-3 bg-green-600 hover:bg-green-700 text-white font-bold rounded-xl disabled:opacity-50"
+            >
+              Publish
+            </button>
+          )}
+          {locked && (
+            <button
+              type="button"
+              disabled={saving}
+              onClick={() => send('reopen')}
+              className="flex-1 py-3 bg-gray-600 hover:bg-gray-700 text-white font-bold rounded-xl disabled:opacity-50"
+            >
+              Reopen for review
+            </button>
+          )}
+        </div>
+
+        {status !== 'draft' && (
+          <a href={`/precedents?promote=${caseRecord.id}`} className="block text-sm text-blue-600 hover:text-blue-800 dark:text-blue-400 font-medium">
+            Promote to the precedent set →
+          </a>
+        )}
+
+        {locked && (
+          <div className="border-t border-gray-200 dark:border-gray-700 pt-4 space-y-3">
+            <div className="flex gap-4">
+              <button
+                type="button"
+                disabled={saving}
+                onClick={postToDiscord}
+                className="flex-1 py-3 bg-indigo-600 hover:bg-indigo-700 text-white font-bold rounded-xl disabled:opacity-50"
+              >
+                Post to Discord
+              </button>
+              <button
+                type="button"
+                onClick={copyEmbed}
+                className="flex-1 py-3 border border-indigo-600 text-indigo-600 dark:text-indigo-300 font-bold rounded-xl"
+              >
+                Copy embed JSON
+              </button>
+            </div>
+            {discord && <p className="text-sm">{discord}</p>}
+            {caseRecord.deliveries?.length > 0 && (
+              <ul className="text-xs text-gray-500 space-y-1">
+                {caseRecord.deliveries.map((d, i) => (
+                  <li key={i}>
+                    {new Date(d.at).toLocaleString()} — Discord ({d.target}): {d.ok ? 'delivered' : `failed — ${d.error}`}
+                    {` after ${d.attempts} attempt${d.attempts === 1 ? '' : 's'}`}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        )}
+
+        {caseRecord.audit?.length > 0 && (
+          <ul className="text-xs text-gray-500 space-y-1 border-t border-gray-200 dark:border-gray-700 pt-4">
+            {caseRecord.audit.map((a, i) => (
+              <li key={i}>
+                {new Date(a.at).toLocaleString()} — {a.steward}: {a.action} ({a.from})
+                {a.reason && ` — "${a.reason}"`}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,105 @@
+'use client';
+
+const CAR_COLOURS = ['#2563eb', '#dc2626', '#16a34a', '#d97706', '#7c3aed', '#0891b2', '#db2777', '#4b5563'];
+
+const CHARTS = [
+  { channel: 'speed', label: 'Speed', unit: 'km/h' },
+  { channel: 'brake', label: 'Brake', unit: '%' },
+  { channel: 'lateral', label: 'Lateral position', unit: 'm' },
+];
+
+const WIDTH = 600;
+const HEIGHT = 140;
+const PAD = { left: 44, right: 8, top: 8, bottom: 20 };
+
+// One channel, every car as a line, the defender's turn-in as a dashed marker
+function LineChart({ time, turnIn, series, unit }) {
+  const values = series.flatMap(s => s.values).filter(v => v !== null);
+  if (values.length === 0) return <p className="text-xs text-gray-500">No data in these exports.</p>;
+
+  let [min, max] = [Math.min(...values), Math.max(...values)];
+  if (max - min < 1e-6) [min, max] = [min - 1, max + 1];
+  const [t0, t1] = [time[0], time[time.length - 1]];
+  const x = t => PAD.left + ((t - t0) / (t1 - t0 || 1)) * (WIDTH - PAD.left - PAD.right);
+  const y = v => HEIGHT - PAD.bottom - ((v - min) / (max - min)) * (HEIGHT - PAD.top - PAD.bottom);
+
+  // Gaps in a trace (no data at that time) break the line instead of bridging it
+  const path = trace => trace
+    .map((v, i) => (v === null ? null : `${i === 0 || trace[i - 1] === null ? 'M' : 'L'}${x(time[i]).toFixed(1)},${y(v).toFixed(1)}`))
+    .filter(Boolean)
+    .join(' ');
+
+  return (
+    <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full h-auto" role="img">
+      {[min, max].map(v => (
+        <g key={v}>
+          <line x1={PAD.left} x2={WIDTH - PAD.right} y1={y(v)} y2={y(v)} stroke="currentColor" strokeOpacity="0.15" />
+          <text x={PAD.left - 4} y={y(v) + 4} textAnchor="end" fontSize="10" fill="currentColor" opacity="0.6">
+            {Math.round(v * 10) / 10}
+          </text>
+        </g>
+      ))}
+      <text x={PAD.left} y={HEIGHT - 4} fontSize="10" fill="currentColor" opacity="0.6">{t0}s</text>
+      <text x={WIDTH - PAD.right} y={HEIGHT - 4} textAnchor="end" fontSize="10" fill="currentColor" opacity="0.6">{t1}s</text>
+      <text x={PAD.left + 4} y={PAD.top + 10} fontSize="10" fill="currentColor" opacity="0.6">{unit}</text>
+      {turnIn >= t0 && turnIn <= t1 && (
+        <g>
+          <line x1={x(turnIn)} x2={x(turnIn)} y1={PAD.top} y2={HEIGHT - PAD.bottom} stroke="#f59e0b" strokeDasharray="4 3" />
+          <text x={x(turnIn)} y={HEIGHT - 4} textAnchor="middle" fontSize="10" fill="#f59e0b">turn-in {turnIn}s</text>
+        </g>
+      )}
+      {series.map(s => <path key={s.key} d={path(s.values)} fill="none" stroke={s.colour} strokeWidth="2" />)}
+    </svg>
+  );
+}
+
+// Measured speed, brake and lateral position around the incident, from result.telemetry
+export default function TelemetryCharts({ telemetry }) {
+  const keys = Object.keys(telemetry.charts?.cars || {});
+  const colour = key => CAR_COLOURS[keys.indexOf(key) % CAR_COLOURS.length];
+
+  return (
+    <div className="p-8 bg-white dark:bg-gray-800 rounded-2xl shadow-2xl border border-gray-200 dark:border-gray-700 mb-10">
+      <h3 className="text-2xl font-bold mb-2 text-blue-700 dark:text-blue-400">Telemetry</h3>
+      {telemetry.turnIn && (
+        <p className="text-sm text-gray-500 mb-4">
+          Turn-in of Car {telemetry.turnIn.car} at {telemetry.turnIn.time}s ({telemetry.turnIn.method})
+          {telemetry.overlapPct !== null && <> · Overlap <strong>{telemetry.overlapPct}%</strong></>}
+        </p>
+      )}
+      {telemetry.facts.length > 0 && (
+        <ul className="text-sm space-y-1 mb-4">
+          {telemetry.facts.map(f => <li key={f}>{f}</li>)}
+        </ul>
+      )}
+      {keys.length > 0 && (
+        <>
+          <div className="flex flex-wrap gap-4 text-sm mb-4">
+            {keys.map(key => (
+              <span key={key} className="flex items-center gap-2">
+                <span className="inline-block w-4 h-1 rounded" style={{ background: colour(key) }} />
+                Car {key}
+              </span>
+            ))}
+          </div>
+          {CHARTS.map(chart => (
+            <div key={chart.channel} className="mb-4">
+              <div className="text-sm font-medium mb-1">{chart.label}</div>
+              <LineChart
+                time={telemetry.charts.time}
+                turnIn={telemetry.charts.turnIn}
+                unit={chart.unit}
+                series={keys.map(key => ({ key, colour: colour(key), values: telemetry.charts.cars[key][chart.channel] }))}
+              />
+            </div>
+          ))}
+        </>
+      )}
+      {telemetry.warnings.length > 0 && (
+        <ul className="text-xs text-amber-700 dark:text-amber-300 space-y-1">
+          {telemetry.warnings.map(w => <li key={w}>⚠ {w}</li>)}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,95 @@
+'use client';
+
+import { useEffect, useState } from 'react';
+
+export default function DriverHistory({ params }) {
+  const [data, setData] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    fetch(`/api/drivers/${encodeURIComponent(params.id)}`)
+      .then(async res => {
+        const body = await res.json();
+        if (!res.ok) throw new Error(body.error || 'Could not load driver');
+        setData(body);
+      })
+      .catch(err => setError(err.message || 'Could not load driver'));
+  }, [params.id]);
+
+  return (
+    <div className="min-h-screen bg-gray-50 dark:bg-gray-900 py-10 px-4">
+      <div className="max-w-5xl mx-auto">
+        <div className="flex items-center justify-between mb-8">
+          <h1 className="text-4xl font-bold text-gray-900 dark:text-white">
+            {data ? `${data.driver.number ? `#${data.driver.number} ` : ''}${data.driver.name}` : 'Driver'}
+          </h1>
+          <a href="/drivers" className="text-blue-600 hover:text-blue-800 dark:text-blue-400 font-medium">← All drivers</a>
+        </div>
+
+        {error && (
+          <div className="mb-8 p-6 bg-red-50 dark:bg-red-900/30 border border-red-300 dark:border-red-700 rounded-xl">
+            <p className="text-red-800 dark:text-red-200">{error}</p>
+          </div>
+        )}
+
+        {data && (
+          <div className="space-y-10">
+            <div className="grid grid-cols-3 gap-4">
+              <div className="text-center p-6 bg-white dark:bg-gray-800 rounded-2xl shadow-xl">
+                <div className="text-sm text-gray-500">Active points</div>
+                <div className="text-5xl font-black text-red-600 dark:text-red-400">{data.activePoints}</div>
+              </div>
+              <div className="text-center p-6 bg-white dark:bg-gray-800 rounded-2xl shadow-xl">
+                <div className="text-sm text-gray-500">Class / team</div>
+                <div className="text-xl font-bold mt-3">{[data.driver.class, data.driver.team].filter(Boolean).join(' · ') || '—'}</div>
+              </div>
+              <div className="text-center p-6 bg-white dark:bg-gray-800 rounded-2xl shadow-xl">
+                <div className="text-sm text-gray-500">Season</div>
+                <div className="text-xl font-bold mt-3">Round {data.currentRound} · expiry {data.expiryRaces} race(s)</div>
+              </div>
+            </div>
+
+            <div className="p-8 bg-white dark:bg-gray-800 rounded-2xl shadow-xl border border-gray-200 dark:border-gray-700">
+              <h3 className="text-2xl font-bold mb-4">Points ledger</h3>
+              {data.ledger.length === 0 ? (
+                <p className="text-gray-500">No penalty points from published verdicts.</p>
+              ) : (
+                <ul className="space-y-3">
+                  {data.ledger.map(e => (
+                    <li key={e.caseId} className={`flex justify-between gap-4 ${e.active ? '' : 'text-gray-400 line-through'}`}>
+                      <span>
+                        Round {e.round} — {e.label}{' '}
+                        <a href="/history" className="font-mono text-sm text-blue-600 dark:text-blue-400">{e.caseId}</a>
+                      </span>
+                      <span className="font-bold">
+                        +{e.points} {e.active ? `(expires after round ${e.expiresAfterRound})` : '(expired)'}
+                      </span>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+
+            <div className="p-8 bg-white dark:bg-gray-800 rounded-2xl shadow-xl border border-gray-200 dark:border-gray-700">
+              <h3 className="text-2xl font-bold mb-4">Incident history</h3>
+              {data.cases.length === 0 && <p className="text-gray-500">No incidents on record.</p>}
+              {data.cases.map(c => (
+                <div key={c.id} className="py-3 border-b border-gray-100 dark:border-gray-700">
+                  <div className="flex justify-between gap-4 text-sm text-gray-500">
+                    <span className="font-mono">{c.id} · {c.status}{c.round && ` · round ${c.round}`}</span>
+                    <span>{new Date(c.createdAt).toLocaleString()}</span>
+                  </div>
+                  <div className="font-bold mt-1">{c.title}</div>
+                  <div className="text-sm text-gray-600 dark:text-gray-400">
+                    Car {c.car} · {c.incidentType} — {Object.entries(c.fault).map(([car, f]) => `${car}: ${f}`).join(' | ')}
+                    {c.penalty && ` · ${c.penalty}`}
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
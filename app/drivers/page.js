@@ -0,0 +1,183 @@
+'use client';
+
+import { useEffect, useState } from 'react';
+
+export default function Drivers() {
+  const [drivers, setDrivers] = useState([]);
+  const [season, setSeason] = useState({ currentRound: 1, expiryRaces: 6 });
+  const [csv, setCsv] = useState('');
+  const [mode, setMode] = useState('merge');
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(true);
+
+  const loadStandings = async () => {
+    setLoading(true);
+    setError('');
+    try {
+      const res = await fetch('/api/drivers');
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Could not load drivers');
+      setDrivers(data.drivers);
+      setSeason({ currentRound: data.currentRound, expiryRaces: data.expiryRaces });
+    } catch (err) {
+      setError(err.message || 'Could not load drivers');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => { loadStandings(); }, []);
+
+  const send = async (method, body) => {
+    setError('');
+    setMessage('');
+    try {
+      const res = await fetch('/api/roster', {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error([data.error, ...(data.errors || [])].join(' — '));
+      return data;
+    } catch (err) {
+      setError(err.message || 'Roster update failed');
+      return null;
+    }
+  };
+
+  const importCsv = async () => {
+    const data = await send('POST', { csv, mode });
+    if (!data) return;
+    setCsv('');
+    setMessage(`Imported ${data.imported} driver(s)${data.errors.length ? ` — skipped: ${data.errors.join('; ')}` : ''}`);
+    loadStandings();
+  };
+
+  const saveSeason = async () => {
+    const data = await send('PATCH', season);
+    if (!data) return;
+    setMessage(`Season saved — round ${data.currentRound}, points expire after ${data.expiryRaces} race(s)`);
+    loadStandings();
+  };
+
+  const readFile = (e) => {
+    const file = e.target.files?.[0];
+    if (file) file.text().then(setCsv);
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50 dark:bg-gray-900 py-10 px-4">
+      <div className="max-w-7xl mx-auto">
+        <div className="flex items-center justify-between mb-8">
+          <h1 className="text-4xl font-bold text-gray-900 dark:text-white">Drivers &amp; Penalty Points</h1>
+          <a href="/" className="text-blue-600 hover:text-blue-800 dark:text-blue-400 font-medium">← New verdict</a>
+        </div>
+
+        {error && (
+          <div className="mb-8 p-6 bg-red-50 dark:bg-red-900/30 border border-red-300 dark:border-red-700 rounded-xl">
+            <p className="text-red-800 dark:text-red-200">{error}</p>
+          </div>
+        )}
+        {message && (
+          <div className="mb-8 p-6 bg-green-50 dark:bg-green-900/30 border border-green-300 dark:border-green-700 rounded-xl">
+            <p className="text-green-800 dark:text-green-200">{message}</p>
+          </div>
+        )}
+
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-10">
+          <div className="lg:col-span-2 bg-white dark:bg-gray-800 rounded-2xl shadow-xl border border-gray-200 dark:border-gray-700 overflow-hidden">
+            <div className="px-6 py-4 border-b border-gray-200 dark:border-gray-700 text-sm text-gray-500">
+              {loading ? 'Loading…' : `${drivers.length} driver(s) · round ${season.currentRound} · points expire after ${season.expiryRaces} race(s)`}
+            </div>
+            <table className="w-full text-left">
+              <thead className="text-sm text-gray-500">
+                <tr>
+                  <th className="px-6 py-3">#</th>
+                  <th className="px-6 py-3">Driver</th>
+                  <th className="px-6 py-3">Class</th>
+                  <th className="px-6 py-3">Team</th>
+                  <th className="px-6 py-3 text-right">Active points</th>
+                  <th className="px-6 py-3 text-right">Incidents</th>
+                </tr>
+              </thead>
+              <tbody>
+                {drivers.map(d => (
+                  <tr key={d.id} className="border-t border-gray-100 dark:border-gray-700 hover:bg-gray-50 dark:hover:bg-gray-700">
+                    <td className="px-6 py-3 font-mono">{d.number}</td>
+                    <td className="px-6 py-3">
+                      <a href={`/drivers/${d.id}`} className="font-bold text-blue-600 dark:text-blue-400">{d.name}</a>
+                    </td>
+                    <td className="px-6 py-3">{d.class}</td>
+                    <td className="px-6 py-3">{d.team}</td>
+                    <td className="px-6 py-3 text-right text-2xl font-black text-red-600 dark:text-red-400">{d.activePoints}</td>
+                    <td className="px-6 py-3 text-right">{d.incidents}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <div className="space-y-10">
+            <div className="p-8 bg-white dark:bg-gray-800 rounded-2xl shadow-xl border border-gray-200 dark:border-gray-700 space-y-4">
+              <h3 className="text-2xl font-bold">Import roster</h3>
+              <p className="text-sm text-gray-500">CSV with a header row: name, car number, class, team</p>
+              <input type="file" accept=".csv,text/csv" onChange={readFile} className="text-sm" />
+              <textarea
+                value={csv}
+                onChange={(e) => setCsv(e.target.value)}
+                rows={6}
+                placeholder={'name,number,class,team\nMax Müller,12,GT3,Apex Racing'}
+                className="w-full p-3 border rounded-xl font-mono text-sm dark:bg-gray-700"
+              />
+              <select
+                value={mode}
+                onChange={(e) => setMode(e.target.value)}
+                className="w-full p-3 border rounded-xl dark:bg-gray-700"
+              >
+                <option value="merge">Merge with current roster</option>
+                <option value="replace">Replace current roster</option>
+              </select>
+              <button
+                type="button"
+                disabled={!csv.trim()}
+                onClick={importCsv}
+                className="w-full py-3 bg-blue-600 hover:bg-blue-700 text-white font-bold rounded-xl disabled:opacity-50"
+              >
+                Import
+              </button>
+            </div>
+
+            <div className="p-8 bg-white dark:bg-gray-800 rounded-2xl shadow-xl border border-gray-200 dark:border-gray-700 space-y-4">
+              <h3 className="text-2xl font-bold">Season</h3>
+              <label className="block text-sm font-medium">Current round</label>
+              <input
+                type="number"
+                min={1}
+                value={season.currentRound}
+                onChange={(e) => setSeason({ ...season, currentRound: parseInt(e.target.value, 10) || 1 })}
+                className="w-full p-3 border rounded-xl dark:bg-gray-700"
+              />
+              <label className="block text-sm font-medium">Points expire after (races)</label>
+              <input
+                type="number"
+                min={1}
+                value={season.expiryRaces}
+                onChange={(e) => setSeason({ ...season, expiryRaces: parseInt(e.target.value, 10) || 1 })}
+                className="w-full p-3 border rounded-xl dark:bg-gray-700"
+              />
+              <button
+                type="button"
+                onClick={saveSeason}
+                className="w-full py-3 bg-gray-700 hover:bg-gray-800 text-white font-bold rounded-xl"
+              >
+                Save season
+              </button>
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
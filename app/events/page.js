@@ -0,0 +1,194 @@
+'use client';
+
+import { useEffect, useState } from 'react';
+import { SERIES_OPTIONS } from '../../lib/rulebooks';
+import { SESSION_TYPES } from '../../lib/events';
+
+const emptyForm = {
+  league: '',
+  round: '',
+  track: '',
+  sessionType: 'race',
+  series: '',
+  date: '',
+  name: '',
+};
+
+const STATUS_STYLES = {
+  draft: 'bg-gray-200 text-gray-800 dark:bg-gray-700 dark:text-gray-200',
+  reviewed: 'bg-amber-200 text-amber-900 dark:bg-amber-900/50 dark:text-amber-200',
+  published: 'bg-green-200 text-green-900 dark:bg-green-900/50 dark:text-green-200',
+};
+
+// Events (one session of a league round) and their post-race steward report
+export default function Events() {
+  const [form, setForm] = useState(emptyForm);
+  const [events, setEvents] = useState([]);
+  const [report, setReport] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  const set = (key) => (e) => setForm({ ...form, [key]: e.target.value });
+
+  const loadEvents = async () => {
+    try {
+      const res = await fetch('/api/events');
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Could not load events');
+      setEvents(data.events);
+    } catch (err) {
+      setError(err.message || 'Could not load events');
+    }
+  };
+
+  useEffect(() => { loadEvents(); }, []);
+
+  const openReport = async (id) => {
+    setError('');
+    try {
+      const res = await fetch(`/api/events/report?event=${id}`);
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Could not load the report');
+      setReport(data);
+    } catch (err) {
+      setError(err.message || 'Could not load the report');
+    }
+  };
+
+  const createEvent = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    setError('');
+    try {
+      const res = await fetch('/api/events', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          ...form,
+          round: form.round ? parseInt(form.round, 10) : null,
+          date: form.date || null,
+        }),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Could not create the event');
+      setForm(emptyForm);
+      loadEvents();
+      openReport(data.id);
+    } catch (err) {
+      setError(err.message || 'Could not create the event');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50 dark:bg-gray-900 py-10 px-4">
+      <div className="max-w-7xl mx-auto">
+        <div className="flex items-center justify-between mb-8">
+          <h1 className="text-4xl font-bold text-gray-900 dark:text-white">Events</h1>
+          <a href="/" className="text-blue-600 hover:text-blue-800 dark:text-blue-400 font-medium">← New verdict</a>
+        </div>
+
+        {error && (
+          <div className="mb-8 p-6 bg-red-50 dark:bg-red-900/30 border border-red-300 dark:border-red-700 rounded-xl">
+            <p className="text-red-800 dark:text-red-200">{error}</p>
+          </div>
+        )}
+
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-10">
+          <div className="space-y-10">
+            <form onSubmit={createEvent} className="p-8 bg-white dark:bg-gray-800 rounded-2xl shadow-xl border border-gray-200 dark:border-gray-700 space-y-4">
+              <h3 className="text-2xl font-bold">New event</h3>
+              <input value={form.league} onChange={set('league')} required placeholder="League (e.g. sunday-gt3-league)" className="w-full p-3 border rounded-xl dark:bg-gray-700" />
+              <div className="grid grid-cols-2 gap-4">
+                <input type="number" min={1} value={form.round} onChange={set('round')} placeholder="Round" className="p-3 border rounded-xl dark:bg-gray-700" />
+                <input type="date" value={form.date} onChange={set('date')} className="p-3 border rounded-xl dark:bg-gray-700" />
+              </div>
+              <input value={form.track} onChange={set('track')} required placeholder="Track" className="w-full p-3 border rounded-xl dark:bg-gray-700" />
+              <div className="grid grid-cols-2 gap-4">
+                <select value={form.sessionType} onChange={set('sessionType')} className="p-3 border rounded-xl dark:bg-gray-700">
+                  {SESSION_TYPES.map(s => <option key={s.id} value={s.id}>{s.label}</option>)}
+                </select>
+                <select value={form.series} onChange={set('series')} className="p-3 border rounded-xl dark:bg-gray-700">
+                  <option value="">Series (optional)</option>
+                  {SERIES_OPTIONS.map(o => <option key={o.label}>{o.label}</option>)}
+                </select>
+              </div>
+              <input value={form.name} onChange={set('name')} placeholder="Display name (optional)" className="w-full p-3 border rounded-xl dark:bg-gray-700" />
+              <button type="submit" disabled={busy} className="w-full py-3 bg-blue-600 hover:bg-blue-700 text-white font-bold rounded-xl disabled:opacity-50">
+                Create event
+              </button>
+            </form>
+
+            <div className="bg-white dark:bg-gray-800 rounded-2xl shadow-xl border border-gray-200 dark:border-gray-700 overflow-hidden">
+              <div className="px-6 py-4 border-b border-gray-200 dark:border-gray-700 text-sm text-gray-500">{events.length} event(s)</div>
+              {events.map(ev => (
+                <div
+                  key={ev.id}
+                  onClick={() => openReport(ev.id)}
+                  className={`px-6 py-4 border-b border-gray-100 dark:border-gray-700 cursor-pointer hover:bg-gray-50 dark:hover:bg-gray-700 ${report?.event.id === ev.id ? 'bg-blue-50 dark:bg-blue-900/30' : ''}`}
+                >
+                  <div className="font-bold">{ev.name}</div>
+                  <div className="text-sm text-gray-500">{ev.date || ev.id}</div>
+                </div>
+              ))}
+            </div>
+          </div>
+
+          {report && (
+            <div className="lg:col-span-2 p-8 bg-white dark:bg-gray-800 rounded-2xl shadow-xl border border-gray-200 dark:border-gray-700 self-start">
+              <div className="flex flex-wrap items-start justify-between gap-4 mb-6">
+                <div>
+                  <h2 className="text-2xl font-bold">Steward Decisions — {report.event.name}</h2>
+                  <p className="text-sm text-gray-500">
+                    {report.totals.incidents} incident(s) · {report.totals.published} published · {report.totals.penalties} with a penalty · {report.totals.outstanding} outstanding
+                  </p>
+                </div>
+                <div className="flex gap-2 text-sm">
+                  <a href={`/?event=${report.event.id}`} className="px-4 py-2 bg-indigo-600 hover:bg-indigo-700 text-white font-bold rounded-lg">+ Add incident</a>
+                  {[['md', 'Markdown'], ['pdf', 'PDF']].map(([format, label]) => (
+                    <a
+                      key={format}
+                      href={`/api/events/report?event=${report.event.id}&format=${format}`}
+                      className="px-4 py-2 border border-blue-600 text-blue-600 dark:text-blue-400 rounded-lg hover:bg-blue-50 dark:hover:bg-blue-900/30"
+                    >
+                      {label}
+                    </a>
+                  ))}
+                </div>
+              </div>
+
+              {report.incidents.length === 0 && <p className="text-gray-500">No incidents analyzed for this session yet.</p>}
+              <ol className="space-y-4">
+                {report.incidents.map(i => (
+                  <li key={i.caseId} className="p-4 bg-gray-50 dark:bg-gray-700 rounded-xl">
+                    <div className="flex justify-between gap-4">
+                      <span className="font-bold">{i.number}. {i.position || 'Position not given'} — {i.incident}</span>
+                      <span className={`px-2 py-0.5 rounded-full text-xs font-bold self-start ${STATUS_STYLES[i.status]}`}>{i.status}</span>
+                    </div>
+                    {i.title && <div className="text-sm text-gray-500">{i.title}</div>}
+                    <div className="text-sm mt-2">{i.fault.map(f => `${f.car}: ${f.fault}`).join(' | ')}</div>
+                    <div className="text-sm font-medium">{i.decision}</div>
+                    <div className="text-sm">Action: {i.action}</div>
+                    <a href={`/history?case=${i.caseId}`} className="text-xs font-mono text-blue-600 dark:text-blue-400">{i.caseId}</a>
+                  </li>
+                ))}
+              </ol>
+
+              {report.outstanding.length > 0 && (
+                <div className="mt-8 p-4 bg-amber-50 dark:bg-amber-900/20 border border-amber-300 dark:border-amber-700 rounded-xl">
+                  <strong>Outstanding</strong>
+                  <ul className="list-disc ml-6 mt-2 text-sm">
+                    {report.outstanding.map((o, n) => (
+                      <li key={n}>#{o.number} (<a href={`/history?case=${o.caseId}`} className="font-mono text-blue-600 dark:text-blue-400">{o.caseId}</a>): {o.reason}</li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,229 @@
+'use client';
+
+import { useEffect, useState } from 'react';
+import { formatTimestamp } from '../../lib/video';
+import { describePosition } from '../../lib/events';
+import ReviewPanel from '../components/ReviewPanel';
+
+export default function History() {
+  const [cases, setCases] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [selected, setSelected] = useState(null);
+  const [filter, setFilter] = useState('');
+  const [stewardToken, setStewardToken] = useState('');
+
+  const stewardHeaders = stewardToken ? { Authorization: `Bearer ${stewardToken}` } : {};
+
+  const loadCases = async () => {
+    setLoading(true);
+    setError('');
+    try {
+      const res = await fetch('/api/cases?limit=200');
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Could not load cases');
+      setCases(data.cases);
+      setTotal(data.total);
+    } catch (err) {
+      setError(err.message || 'Could not load cases');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => { loadCases(); }, []);
+
+  const openCase = async (id) => {
+    setError('');
+    try {
+      const res = await fetch(`/api/cases/${id}`);
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Could not load case');
+      setSelected(data);
+    } catch (err) {
+      setError(err.message || 'Could not load case');
+    }
+  };
+
+  // Case links shared elsewhere (e.g. Discord embeds) land on /history?case=<id>
+  useEffect(() => {
+    const id = new URLSearchParams(window.location.search).get('case');
+    if (id) openCase(id);
+  }, []);
+
+  const deleteCase = async (id) => {
+    if (!window.confirm(`Delete case ${id}? This cannot be undone.`)) return;
+    const res = await fetch(`/api/cases/${id}`, { method: 'DELETE', headers: stewardHeaders });
+    if (!res.ok && res.status !== 404) {
+      const data = await res.json().catch(() => ({}));
+      setError(data.error || 'Could not delete case');
+      return;
+    }
+    if (selected?.id === id) setSelected(null);
+    loadCases();
+  };
+
+  const needle = filter.trim().toLowerCase();
+  const visible = needle
+    ? cases.filter(c => [c.id, c.title, c.carA, c.carB, ...(c.cars || []), c.incidentType].some(v => v.toLowerCase().includes(needle)))
+    : cases;
+
+  return (
+    <div className="min-h-screen bg-gray-50 dark:bg-gray-900 py-10 px-4">
+      <div className="max-w-7xl mx-auto">
+        <div className="flex items-center justify-between mb-8">
+          <h1 className="text-4xl font-bold text-gray-900 dark:text-white">Verdict History</h1>
+          <a href="/" className="text-blue-600 hover:text-blue-800 dark:text-blue-400 font-medium">← New verdict</a>
+        </div>
+
+        <input
+          type="text"
+          value={filter}
+          onChange={(e) => setFilter(e.target.value)}
+          placeholder="Search by case ID, title, car or incident type"
+          className="w-full p-4 mb-4 border rounded-xl dark:bg-gray-700 dark:border-gray-600"
+        />
+        <input
+          type="password"
+          value={stewardToken}
+          onChange={(e) => setStewardToken(e.target.value)}
+          autoComplete="off"
+          placeholder="Steward token (STEWARDS_TOKEN) — needed to review, publish and delete"
+          className="w-full p-4 mb-8 border rounded-xl dark:bg-gray-700 dark:border-gray-600"
+        />
+
+        {error && (
+          <div className="mb-8 p-6 bg-red-50 dark:bg-red-900/30 border border-red-300 dark:border-red-700 rounded-xl">
+            <p className="text-red-800 dark:text-red-200">{error}</p>
+          </div>
+        )}
+
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-10">
+          <div className="bg-white dark:bg-gray-800 rounded-2xl shadow-xl border border-gray-200 dark:border-gray-700 overflow-hidden">
+            <div className="px-6 py-4 border-b border-gray-200 dark:border-gray-700 text-sm text-gray-500">
+              {loading ? 'Loading…' : `${visible.length} of ${total} case(s)`}
+            </div>
+            {visible.map(c => (
+              <div
+                key={c.id}
+                className={`px-6 py-4 border-b border-gray-100 dark:border-gray-700 cursor-pointer hover:bg-gray-50 dark:hover:bg-gray-700 ${selected?.id === c.id ? 'bg-blue-50 dark:bg-blue-900/30' : ''}`}
+                onClick={() => openCase(c.id)}
+              >
+                <div className="flex justify-between gap-4">
+                  <span className="font-mono text-sm text-gray-500">{c.id}</span>
+                  <span className="text-sm text-gray-500">{new Date(c.createdAt).toLocaleString()}</span>
+                </div>
+                <div className="font-bold mt-1">
+                  {c.title} <span className="ml-2 text-xs uppercase text-gray-500">{c.status}</span>
+                </div>
+                <div className="text-sm text-gray-600 dark:text-gray-400">
+                  {c.incidentType} — {Object.entries(c.fault).map(([car, f]) => `${car}: ${f}`).join(' | ')}
+                </div>
+              </div>
+            ))}
+          </div>
+
+          {selected && (
+            <div className="bg-white dark:bg-gray-800 p-8 rounded-2xl shadow-2xl border border-gray-200 dark:border-gray-700 self-start">
+              <div className="flex justify-between items-start mb-6">
+                <div>
+                  <div className="font-mono text-sm text-gray-500">{selected.id}</div>
+                  <h2 className="text-2xl font-bold text-blue-700 dark:text-blue-400">{selected.result.verdict.video_title}</h2>
+                </div>
+                <button
+                  onClick={() => deleteCase(selected.id)}
+                  className="px-4 py-2 text-sm bg-red-600 hover:bg-red-700 text-white rounded-lg"
+                >
+                  Delete
+                </button>
+              </div>
+              <div className="space-y-4">
+                <div><strong>Incident:</strong> {selected.result.incident?.label || selected.input.incidentType} {selected.input.series && `(${selected.input.series})`}</div>
+                {(selected.result.event || describePosition(selected.input)) && (
+                  <div>
+                    <strong>Session:</strong> {[selected.result.event?.name, describePosition(selected.input)].filter(Boolean).join(' — ')}
+                    {selected.input.eventId && <a href="/events" className="ml-2 text-sm text-blue-600 dark:text-blue-400">Event report →</a>}
+                  </div>
+                )}
+                {selected.final && (
+                  <div className="text-sm text-amber-700 dark:text-amber-300">
+                    Human-reviewed by {selected.review.steward}
+                    {selected.review.overridden && ` — fault changed from ${selected.review.originalFault ? selected.review.originalFault.map(f => `${f}%`).join(' / ') : `${selected.review.originalFaultA}%`} (${selected.review.reason})`}
+                  </div>
+                )}
+                <div><strong>Rule:</strong> {(selected.final || selected.result.verdict).rule}</div>
+                <div className="grid grid-cols-2 gap-4">
+                  {Object.entries((selected.final || selected.result.verdict).fault).map(([car, fault]) => (
+                    <div key={car} className="text-center p-4 bg-gray-50 dark:bg-gray-700 rounded-xl">
+                      <div className="font-bold">{car}</div>
+                      <div className="text-3xl font-black text-red-600 dark:text-red-400">{fault}</div>
+                    </div>
+                  ))}
+                </div>
+                <p className="whitespace-pre-wrap">{(selected.final || selected.result.verdict).explanation}</p>
+                {selected.final && (
+                  <details className="text-sm text-gray-600 dark:text-gray-400">
+                    <summary className="cursor-pointer font-medium">Original AI verdict</summary>
+                    <div className="mt-2 space-y-2">
+                      <div><strong>Rule:</strong> {selected.result.verdict.rule}</div>
+                      <div><strong>Fault:</strong> {Object.entries(selected.result.verdict.fault).map(([car, f]) => `${car}: ${f}`).join(' | ')}</div>
+                      <p className="whitespace-pre-wrap">{selected.result.verdict.explanation}</p>
+                    </div>
+                  </details>
+                )}
+                {selected.input.stewardNotes && (
+                  <div><strong>Steward notes:</strong> <span className="italic">"{selected.input.stewardNotes}"</span></div>
+                )}
+                <div className="text-sm text-gray-500">
+                  Confidence: {(selected.final || selected.result.verdict).confidence} · Saved {new Date(selected.createdAt).toLocaleString()}
+                </div>
+                {selected.result.precedents?.length > 0 && (
+                  <div>
+                    <strong>Precedents cited:</strong>
+                    <ul className="list-disc ml-6 mt-2 text-sm">
+                      {selected.result.precedents.map((p, i) => (
+                        <li key={i}>
+                          {p.thread ? <a href={p.thread} target="_blank" rel="noopener noreferrer" className="text-blue-600 dark:text-blue-400">{p.title}</a> : p.title}
+                          {' '}— {p.ruling}, {p.faultSplit ? p.faultSplit.map(f => `${f}%`).join(' / ') : `${p.faultA}%`}
+                        </li>
+                      ))}
+                    </ul>
+                  </div>
+                )}
+                <div className="flex gap-4 text-sm">
+                  <span className="text-gray-500">Export:</span>
+                  {[['md', 'Markdown'], ['pdf', 'PDF'], ['png', 'Share card']].map(([format, label]) => (
+                    <a key={format} href={`/api/export?case=${selected.id}&format=${format}`} className="text-blue-600 dark:text-blue-400 font-medium">
+                      {label}
+                    </a>
+                  ))}
+                </div>
+                {selected.result.videos?.length > 0 ? (
+                  <div className="flex flex-wrap gap-4">
+                    {selected.result.videos.map((v, i) => (
+                      <a key={i} href={v.url} target="_blank" rel="noopener noreferrer" className="text-blue-600 dark:text-blue-400 font-medium">
+                        {v.label} video{v.start != null && ` @ ${formatTimestamp(v.start)}`} →
+                      </a>
+                    ))}
+                  </div>
+                ) : selected.input.url && (
+                  <a href={selected.input.url} target="_blank" rel="noopener noreferrer" className="inline-block text-blue-600 dark:text-blue-400 font-medium">
+                    Open submitted video →
+                  </a>
+                )}
+              </div>
+              <div className="mt-8">
+                <ReviewPanel
+                  caseRecord={selected}
+                  stewardToken={stewardToken}
+                  onUpdated={(updated) => { setSelected(updated); loadCases(); }}
+                />
+              </div>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,191 @@
+'use client';
+
+import { useEffect, useState } from 'react';
+
+const STATUS_LABELS = {
+  new: 'New',
+  investigating: 'Under investigation',
+  no_action: 'No further action',
+  analyzed: 'Analyzed',
+};
+
+const STATUS_STYLES = {
+  new: 'bg-red-200 text-red-900 dark:bg-red-900/50 dark:text-red-200',
+  investigating: 'bg-amber-200 text-amber-900 dark:bg-amber-900/50 dark:text-amber-200',
+  no_action: 'bg-gray-200 text-gray-800 dark:bg-gray-700 dark:text-gray-200',
+  analyzed: 'bg-green-200 text-green-900 dark:bg-green-900/50 dark:text-green-200',
+};
+
+const IMPACT_STYLES = {
+  major: 'text-red-600 dark:text-red-400',
+  moderate: 'text-amber-600 dark:text-amber-400',
+  minor: 'text-gray-500',
+  unknown: 'text-gray-400',
+};
+
+// Open incidents first, heaviest contact first, then newest
+const OPEN = ['new', 'investigating'];
+const IMPACT_ORDER = ['major', 'moderate', 'minor', 'unknown'];
+const queueOrder = (a, b) =>
+  (OPEN.includes(b.status) - OPEN.includes(a.status)) ||
+  (IMPACT_ORDER.indexOf(a.impact) - IMPACT_ORDER.indexOf(b.impact)) ||
+  b.occurredAt.localeCompare(a.occurredAt);
+
+// Race control: incidents flagged by the telemetry bridge arrive over /api/live/stream
+export default function Live() {
+  const [incidents, setIncidents] = useState([]);
+  const [sessions, setSessions] = useState([]);
+  const [session, setSession] = useState('');
+  const [showClosed, setShowClosed] = useState(false);
+  const [connected, setConnected] = useState(false);
+  const [steward, setSteward] = useState('');
+  const [stewardToken, setStewardToken] = useState('');
+  const [error, setError] = useState('');
+
+  const loadQueue = async () => {
+    try {
+      const res = await fetch('/api/live');
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Could not load the live queue');
+      setIncidents(data.incidents);
+      setSessions(data.sessions);
+    } catch (err) {
+      setError(err.message || 'Could not load the live queue');
+    }
+  };
+
+  useEffect(() => {
+    loadQueue();
+    const stream = new EventSource('/api/live/stream');
+    // Sent on every (re)connect — reload to pick up anything missed while disconnected
+    stream.addEventListener('ready', () => {
+      setConnected(true);
+      loadQueue();
+    });
+    stream.addEventListener('incident', (e) => {
+      const incident = JSON.parse(e.data);
+      setIncidents(list => [incident, ...list.filter(i => i.id !== incident.id)]);
+      setSessions(list => (list.includes(incident.session) ? list : [...list, incident.session]));
+    });
+    stream.onerror = () => setConnected(false);
+    return () => stream.close();
+  }, []);
+
+  const triage = async (id, status) => {
+    setError('');
+    try {
+      const res = await fetch(`/api/live/${id}`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json', ...(stewardToken && { Authorization: `Bearer ${stewardToken}` }) },
+        body: JSON.stringify({ status, steward: steward.trim() || undefined }),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Could not update the incident');
+      // The stream echoes this too; updating here keeps the queue right while it reconnects
+      setIncidents(list => list.map(i => (i.id === id ? { ...i, status: data.status, triagedBy: data.triagedBy } : i)));
+    } catch (err) {
+      setError(err.message || 'Could not update the incident');
+    }
+  };
+
+  const queue = incidents
+    .filter(i => !session || i.session === session)
+    .filter(i => showClosed || OPEN.includes(i.status))
+    .sort(queueOrder);
+  const waiting = incidents.filter(i => i.status === 'new' && (!session || i.session === session)).length;
+
+  return (
+    <div className="min-h-screen bg-gray-50 dark:bg-gray-900 py-10 px-4">
+      <div className="max-w-5xl mx-auto">
+        <div className="flex items-center justify-between mb-8">
+          <h1 className="text-4xl font-bold text-gray-900 dark:text-white">Race Control</h1>
+          <a href="/" className="text-blue-600 hover:text-blue-800 dark:text-blue-400 font-medium">← New verdict</a>
+        </div>
+
+        <div className="flex flex-wrap items-center gap-4 mb-6">
+          <span className={`px-3 py-1 rounded-full text-sm font-bold ${connected ? 'bg-green-200 text-green-900' : 'bg-gray-200 text-gray-700'}`}>
+            {connected ? '● Live' : '○ Reconnecting…'}
+          </span>
+          <select value={session} onChange={(e) => setSession(e.target.value)} className="p-3 border rounded-xl dark:bg-gray-700">
+            <option value="">All sessions</option>
+            {sessions.map(s => <option key={s} value={s}>{s}</option>)}
+          </select>
+          <input
+            value={steward}
+            onChange={(e) => setSteward(e.target.value)}
+            placeholder="Your name (for triage)"
+            className="p-3 border rounded-xl dark:bg-gray-700"
+          />
+          <input
+            type="password"
+            value={stewardToken}
+            onChange={(e) => setStewardToken(e.target.value)}
+            autoComplete="off"
+            placeholder="Steward token (STEWARDS_TOKEN)"
+            className="p-3 border rounded-xl dark:bg-gray-700"
+          />
+          <label className="flex items-center gap-2 text-sm">
+            <input type="checkbox" checked={showClosed} onChange={(e) => setShowClosed(e.target.checked)} />
+            Show closed
+          </label>
+          <span className="text-sm text-gray-500">{waiting} waiting</span>
+        </div>
+
+        {error && (
+          <div className="mb-8 p-6 bg-red-50 dark:bg-red-900/30 border border-red-300 dark:border-red-700 rounded-xl">
+            <p className="text-red-800 dark:text-red-200">{error}</p>
+          </div>
+        )}
+
+        <div className="bg-white dark:bg-gray-800 rounded-2xl shadow-xl border border-gray-200 dark:border-gray-700 overflow-hidden">
+          {queue.length === 0 && (
+            <div className="px-6 py-10 text-center text-gray-500">No flagged incidents{showClosed ? '' : ' waiting'}.</div>
+          )}
+          {queue.map(i => (
+            <div key={i.id} className="px-6 py-4 border-b border-gray-100 dark:border-gray-700 flex flex-wrap items-center gap-4">
+              <div className="flex-1 min-w-[16rem]">
+                <div className="flex items-center gap-3">
+                  <span className="font-bold text-lg">{i.cars.map(c => `#${c}`).join(' / ')}</span>
+                  <span className={`px-2 py-0.5 rounded-full text-xs font-bold ${STATUS_STYLES[i.status]}`}>{STATUS_LABELS[i.status]}</span>
+                </div>
+                <div className="text-sm text-gray-600 dark:text-gray-400">
+                  {i.session} · Lap {i.lap}{i.turn && ` · Turn ${i.turn}`} · {new Date(i.occurredAt).toLocaleTimeString()}
+                  {i.reports > 1 && ` · ${i.reports} reports`}
+                </div>
+                {(i.triagedBy || i.caseId) && (
+                  <div className="text-xs text-gray-500">
+                    {i.triagedBy && `Triaged by ${i.triagedBy}`}
+                    {i.caseId && <> · Case <a href={`/history?case=${i.caseId}`} className="font-mono text-blue-600 dark:text-blue-400">{i.caseId}</a></>}
+                  </div>
+                )}
+              </div>
+              <div className={`w-20 text-right font-black text-xl ${IMPACT_STYLES[i.impact]}`}>
+                {i.gForce !== null ? `${i.gForce}g` : '—'}
+              </div>
+              <div className="flex gap-2 text-sm">
+                {i.status !== 'investigating' && i.status !== 'analyzed' && (
+                  <button type="button" onClick={() => triage(i.id, 'investigating')} className="px-3 py-2 border border-amber-500 text-amber-700 dark:text-amber-300 rounded-lg">
+                    Investigate
+                  </button>
+                )}
+                {i.status !== 'no_action' && i.status !== 'analyzed' && (
+                  <button type="button" onClick={() => triage(i.id, 'no_action')} className="px-3 py-2 border border-gray-400 text-gray-700 dark:text-gray-300 rounded-lg">
+                    No action
+                  </button>
+                )}
+                {i.status === 'no_action' && (
+                  <button type="button" onClick={() => triage(i.id, 'new')} className="px-3 py-2 border border-gray-400 text-gray-700 dark:text-gray-300 rounded-lg">
+                    Reopen
+                  </button>
+                )}
+                <a href={`/?live=${i.id}`} className="px-3 py-2 bg-indigo-600 hover:bg-indigo-700 text-white font-bold rounded-lg">
+                  {i.caseId ? 'Re-analyze' : 'Analyze'}
+                </a>
+              </div>
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
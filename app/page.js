@@ -1,24 +1,118 @@
 'use client';
 
-import { useState } from 'react';
+import { useEffect, useState } from 'react';
+import { SERIES_OPTIONS } from '../lib/rulebooks';
+import { INCIDENT_TYPES } from '../lib/taxonomy';
+import { CAR_LETTERS, CAR_ROLES, MAX_CARS } from '../lib/cars';
+import { VIDEO_ANGLES, MAX_VIDEOS, formatTimestamp } from '../lib/video';
+import { TELEMETRY_FORMATS, MAX_TELEMETRY_FILES } from '../lib/telemetry';
+import { FLAG_STATES, describePosition } from '../lib/events';
+import ReviewPanel from './components/ReviewPanel';
+import TelemetryCharts from './components/TelemetryCharts';
+
+const newCar = () => ({ label: '', role: 'auto' });
+const newAngle = () => ({ angle: 'onboard_a', url: '', start: '' });
+const TELEMETRY_FORMAT_LABELS = { auto: 'Detect format', simhub: 'SimHub', motec: 'MoTeC', iracing: 'iRacing (IBT → CSV)', acc: 'ACC position log' };
 
 export default function Home() {
   const [url, setUrl] = useState('');
+  const [angles, setAngles] = useState([]);
+  const [clipStart, setClipStart] = useState('');
+  const [clipEnd, setClipEnd] = useState('');
+  const [activeVideo, setActiveVideo] = useState(0);
   const [incidentType, setIncidentType] = useState('');
   const [series, setSeries] = useState(''); // ← NEW
-  const [carA, setCarA] = useState('');
-  const [carB, setCarB] = useState('');
+  const [cars, setCars] = useState([newCar(), newCar()]);
   const [stewardNotes, setStewardNotes] = useState('');
   const [manualTitle, setManualTitle] = useState('');
+  const [severity, setSeverity] = useState('moderate');
+  const [league, setLeague] = useState('');
+  const [useOverride, setUseOverride] = useState(false);
+  const [overrideFaultA, setOverrideFaultA] = useState(50);
+  const [overrideFault, setOverrideFault] = useState([]);
   const [loading, setLoading] = useState(false);
   const [result, setResult] = useState(null);
+  const [caseRecord, setCaseRecord] = useState(null);
   const [error, setError] = useState('');
+  const [roster, setRoster] = useState([]);
+  const [telemetry, setTelemetry] = useState([]);
+  const [turnIn, setTurnIn] = useState('');
+  const [liveId, setLiveId] = useState('');
+  const [events, setEvents] = useState([]);
+  const [eventId, setEventId] = useState('');
+  const [lap, setLap] = useState('');
+  const [turn, setTurn] = useState('');
+  const [flag, setFlag] = useState('green');
+  const [sessionTime, setSessionTime] = useState(null);
+
+  // Roster drivers for the Car A / Car B autocomplete — the form works without one
+  useEffect(() => {
+    fetch('/api/roster')
+      .then(res => (res.ok ? res.json() : { drivers: [] }))
+      .then(data => setRoster(data.drivers || []))
+      .catch(() => setRoster([]));
+    fetch('/api/events')
+      .then(res => (res.ok ? res.json() : { events: [] }))
+      .then(data => setEvents(data.events || []))
+      .catch(() => setEvents([]));
+  }, []);
+
+  // "Analyze" on the race-control page lands here as /?live=<id> with the form pre-filled;
+  // "Add incident" on the events page as /?event=<id>
+  useEffect(() => {
+    const params = new URLSearchParams(window.location.search);
+    if (params.get('event')) setEventId(params.get('event'));
+    const id = params.get('live');
+    if (!id) return;
+    fetch(`/api/live/${id}`)
+      .then(res => (res.ok ? res.json() : null))
+      .then(incident => {
+        if (!incident) return;
+        const { prefill } = incident;
+        setLiveId(prefill.liveId);
+        setManualTitle(prefill.manualTitle);
+        setLeague(prefill.league);
+        setLap(prefill.lap != null ? String(prefill.lap) : '');
+        setTurn(prefill.turn);
+        setSessionTime(prefill.sessionTime);
+        setSeverity(prefill.severity);
+        setStewardNotes(prefill.stewardNotes);
+        const prefilled = prefill.cars.slice(0, MAX_CARS).map(c => ({ ...newCar(), label: c.label }));
+        setCars(prefilled.length >= 2 ? prefilled : [...prefilled, newCar()]);
+      })
+      .catch(() => {});
+  }, []);
+
+  const updateCar = (i, patch) => setCars(cars.map((c, j) => (j === i ? { ...c, ...patch } : c)));
+  const addCar = () => setCars([...cars, newCar()]);
+  const removeCar = (i) => setCars(cars.filter((_, j) => j !== i));
+  const updateAngle = (i, patch) => setAngles(angles.map((a, j) => (j === i ? { ...a, ...patch } : a)));
+  const updateTelemetry = (i, patch) => setTelemetry(telemetry.map((f, j) => (j === i ? { ...f, ...patch } : f)));
+
+  // Single-car exports are tagged by position (first file Car A, …); multi-car logs leave it to the race numbers
+  const addTelemetryFiles = async (fileList) => {
+    const files = [...fileList].slice(0, MAX_TELEMETRY_FILES - telemetry.length);
+    const added = await Promise.all(files.map(async (file, i) => ({
+      name: file.name,
+      csv: await file.text(),
+      car: CAR_LETTERS[Math.min(telemetry.length + i, cars.length - 1)],
+      format: 'auto',
+      offset: 0,
+    })));
+    setTelemetry([...telemetry, ...added]);
+  };
+
+  // Two cars use the Car A slider; more cars need one value each, summing to 100
+  const multiOverride = cars.map((_, i) => overrideFault[i] ?? 0);
+  const multiOverrideTotal = multiOverride.reduce((sum, f) => sum + f, 0);
 
   const handleSubmit = async (e) => {
     e.preventDefault();
     setLoading(true);
     setError('');
     setResult(null);
+    setCaseRecord(null);
+    setActiveVideo(0);
 
     try {
       const res = await fetch('/api/analyze-intranet', {
@@ -26,18 +120,33 @@ export default function Home() {
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
           url,
+          videos: angles.filter(a => a.url.trim()),
+          clipStart: clipStart.trim() || null,
+          clipEnd: clipEnd.trim() || null,
           incidentType,
           series, // ← NEW: Sent to backend
-          carA: carA.trim(),
-          carB: carB.trim(),
+          cars: cars.map(c => ({ label: c.label.trim(), role: c.role })),
           stewardNotes,
           manualTitle: manualTitle.trim() || undefined,
+          severity,
+          league: league.trim(),
+          overrideFaultA: useOverride && cars.length === 2 ? overrideFaultA : null,
+          overrideFault: useOverride && cars.length > 2 ? multiOverride : null,
+          telemetry: telemetry.map(f => ({ ...f, car: f.car || undefined })),
+          turnIn: turnIn.trim() ? parseFloat(turnIn) : null,
+          liveId: liveId || undefined,
+          eventId: eventId || undefined,
+          lap: lap.trim() ? parseInt(lap, 10) : null,
+          turn: turn.trim() || null,
+          flag,
+          sessionTime,
         }),
       });
 
       const data = await res.json();
       if (!res.ok) throw new Error(data.message || 'Something went wrong');
       setResult(data);
+      if (data.case_id) setCaseRecord({ id: data.case_id, status: 'draft', result: data });
     } catch (err) {
       setError(err.message || 'Failed to generate verdict');
     } finally {
@@ -45,12 +154,23 @@ export default function Home() {
     }
   };
 
-  // Helper to extract YouTube ID
-  const getYouTubeId = (url) => {
-    if (!url) return '';
-    if (url.includes('youtu.be')) return url.split('/').pop()?.split('?')[0] || '';
-    if (url.includes('watch?v=')) return url.split('v=')[1]?.split('&')[0] || '';
-    return '';
+  // Exports are rendered server-side from the same response object shown below
+  const exportVerdict = async (format) => {
+    try {
+      const res = await fetch('/api/export', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ format, result }),
+      });
+      if (!res.ok) throw new Error((await res.json()).error || 'Export failed');
+      const link = document.createElement('a');
+      link.href = URL.createObjectURL(await res.blob());
+      link.download = `${result.case_id || 'verdict'}.${format}`;
+      link.click();
+      URL.revokeObjectURL(link.href);
+    } catch (err) {
+      setError(err.message || 'Export failed');
+    }
   };
 
   return (
@@ -77,12 +197,42 @@ export default function Home() {
         <h1 className="text-4xl font-bold text-center mb-2 text-gray-900 dark:text-white">
           Incident Verdict Tool
         </h1>
-        <p className="text-center text-gray-600 dark:text-gray-300 mb-12">
+        <p className="text-center text-gray-600 dark:text-gray-300 mb-2">
           Professional • Neutral • Precedent-backed
         </p>
+        <p className="text-center mb-12">
+          <a href="/history" className="text-blue-600 hover:text-blue-800 dark:text-blue-400 font-medium">
+            Verdict history →
+          </a>
+          <span className="mx-3 text-gray-400">·</span>
+          <a href="/drivers" className="text-blue-600 hover:text-blue-800 dark:text-blue-400 font-medium">
+            Drivers &amp; points →
+          </a>
+          <span className="mx-3 text-gray-400">·</span>
+          <a href="/protests" className="text-blue-600 hover:text-blue-800 dark:text-blue-400 font-medium">
+            Protests →
+          </a>
+          <span className="mx-3 text-gray-400">·</span>
+          <a href="/live" className="text-blue-600 hover:text-blue-800 dark:text-blue-400 font-medium">
+            Race control →
+          </a>
+          <span className="mx-3 text-gray-400">·</span>
+          <a href="/events" className="text-blue-600 hover:text-blue-800 dark:text-blue-400 font-medium">
+            Events &amp; reports →
+          </a>
+          <span className="mx-3 text-gray-400">·</span>
+          <a href="/precedents" className="text-blue-600 hover:text-blue-800 dark:text-blue-400 font-medium">
+            Precedents →
+          </a>
+        </p>
 
         {/* FORM */}
         <form onSubmit={handleSubmit} className="bg-white dark:bg-gray-800 p-8 rounded-2xl shadow-xl mb-12">
+          {liveId && (
+            <div className="mb-6 p-3 text-sm bg-blue-50 dark:bg-blue-900/30 border border-blue-300 dark:border-blue-700 rounded-xl">
+              Pre-filled from live incident <a href="/live" className="font-mono font-bold text-blue-600 dark:text-blue-400">{liveId}</a> — pick the incident type and add the video.
+            </div>
+          )}
           <div className="grid gap-6">
             <div>
               <label className="block text-sm font-medium mb-2">Video URL or Reddit Post (optional)</label>
@@ -90,11 +240,69 @@ export default function Home() {
                 type="text"
                 value={url}
                 onChange={(e) => setUrl(e.target.value)}
-                placeholder="https://youtu.be/..."
+                placeholder="YouTube, Twitch clip, Streamable, Reddit post or .mp4 link (?t=45 keeps the timestamp)"
                 className="w-full p-4 border rounded-xl dark:bg-gray-700 dark:border-gray-600"
               />
             </div>
 
+            <div className="space-y-3">
+              <div className="grid grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium mb-2">Incident at (optional)</label>
+                  <input
+                    type="text"
+                    value={clipStart}
+                    onChange={(e) => setClipStart(e.target.value)}
+                    placeholder="0:45 — or use ?t=45 in the link"
+                    className="w-full p-4 border rounded-xl dark:bg-gray-700"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium mb-2">Clip end (optional)</label>
+                  <input
+                    type="text"
+                    value={clipEnd}
+                    onChange={(e) => setClipEnd(e.target.value)}
+                    placeholder="0:52"
+                    className="w-full p-4 border rounded-xl dark:bg-gray-700"
+                  />
+                </div>
+              </div>
+              {angles.map((a, i) => (
+                <div key={i} className="flex gap-3 items-center">
+                  <select
+                    value={a.angle}
+                    onChange={(e) => updateAngle(i, { angle: e.target.value })}
+                    className="p-4 border rounded-xl dark:bg-gray-700"
+                  >
+                    {VIDEO_ANGLES.map(v => <option key={v.id} value={v.id}>{v.label}</option>)}
+                  </select>
+                  <input
+                    type="text"
+                    value={a.url}
+                    onChange={(e) => updateAngle(i, { url: e.target.value })}
+                    placeholder="Another angle of the same incident"
+                    className="flex-1 p-4 border rounded-xl dark:bg-gray-700"
+                  />
+                  <input
+                    type="text"
+                    value={a.start}
+                    onChange={(e) => updateAngle(i, { start: e.target.value })}
+                    placeholder="at 1:12"
+                    className="w-24 p-4 border rounded-xl dark:bg-gray-700"
+                  />
+                  <button type="button" onClick={() => setAngles(angles.filter((_, j) => j !== i))} className="px-3 py-2 text-red-600 hover:text-red-800" aria-label="Remove angle">
+                    ✕
+                  </button>
+                </div>
+              ))}
+              {angles.length < MAX_VIDEOS - 1 && (
+                <button type="button" onClick={() => setAngles([...angles, newAngle()])} className="text-blue-600 hover:text-blue-800 dark:text-blue-400 font-medium">
+                  + Add camera angle (onboard, broadcast)
+                </button>
+              )}
+            </div>
+
             <div>
               <label className="block text-sm font-medium mb-2">Manual Title (if no video)</label>
               <input
@@ -116,16 +324,9 @@ export default function Home() {
                 className="w-full p-5 border-2 border-gray-300 dark:border-gray-600 rounded-xl focus:ring-4 focus:ring-blue-500 text-lg bg-white dark:bg-gray-800"
               >
                 <option value="">— Choose series/game —</option>
-                <option>Formula 1 (F1 2xxx / Codemasters)</option>
-                <option>Gran Turismo 7</option>
-                <option>iRacing</option>
-                <option>Assetto Corsa Competizione (ACC / LFM)</option>
-                <option>NASCAR / Oval Racing</option>
-                <option>Forza Motorsport</option>
-                <option>rFactor 2</option>
-                <option>Dirt / Rallycross</option>
-                <option>BeamNG.drive</option>
-                <option>Other / League-Specific Rules</option>
+                {SERIES_OPTIONS.map(o => (
+                  <option key={o.label}>{o.label}</option>
+                ))}
               </select>
             </div>
 
@@ -138,72 +339,245 @@ export default function Home() {
                 className="w-full p-5 border-2 border-gray-300 dark:border-gray-600 rounded-xl focus:ring-4 focus:ring-blue-500 text-lg bg-white dark:bg-gray-800"
               >
                 <option value="">— Choose incident type —</option>
-                <option>Divebomb / Late lunge</option>
-                <option>Weave / Block / Defending move</option>
-                <option>Unsafe rejoin</option>
-                <option>Vortex of Danger</option>
-                <option>Netcode / Lag / Teleport</option>
-                <option>Used as a barrier / Squeeze</option>
-                <option>Pit-lane incident</option>
-                <option>Start-line chaos / T1 pile-up</option>
-                <option>Intentional wreck / Revenge</option>
-                <option>Racing incident (no fault)</option>
-                <option>Crowd-strike / Accordion effect</option>
-                <option>Blocking while being lapped</option>
-                <option>Blue-flag violation / Ignoring blue flags</option>
-                <option>Brake test</option>
-                <option>Brake check</option>
-                <option>Cutting the track / Track limits abuse</option>
-                <option>False start / Jump start</option>
-                <option>Illegal overtake under SC/VSC/FCY</option>
-                <option>Move under braking</option>
-                <option>Over-aggressive defense (2+ moves)</option>
-                <option>Punt / Rear-end under braking</option>
-                <option>Re-entry after off-track (gaining advantage)</option>
-                <option>Side-by-side contact mid-corner</option>
-                <option>Track rejoin blocking racing line</option>
-                <option>Unsportsmanlike conduct / Chat abuse</option>
-                <option>Wrong way / Ghosting violation</option>
+                {INCIDENT_TYPES.map(t => (
+                  <option key={t.id} value={t.id}>{t.label}</option>
+                ))}
               </select>
             </div>
 
+            <div className="space-y-3">
+              <label className="block text-sm font-medium">
+                Cars involved (Car A usually the overtaking car, Car B defending — up to {MAX_CARS} for pile-ups)
+              </label>
+              {cars.map((car, i) => (
+                <div key={i} className="flex gap-3 items-center">
+                  <span className="w-14 font-bold">Car {CAR_LETTERS[i]}</span>
+                  <input
+                    type="text"
+                    value={car.label}
+                    onChange={(e) => updateCar(i, { label: e.target.value })}
+                    list="roster-drivers"
+                    placeholder="Description (e.g. Red/White Ferrari) or roster driver"
+                    className="flex-1 p-4 border rounded-xl dark:bg-gray-700"
+                  />
+                  <select
+                    value={car.role}
+                    onChange={(e) => updateCar(i, { role: e.target.value })}
+                    className="p-4 border rounded-xl dark:bg-gray-700"
+                  >
+                    {CAR_ROLES.map(r => <option key={r.id} value={r.id}>{r.label}</option>)}
+                  </select>
+                  {i >= 2 && (
+                    <button type="button" onClick={() => removeCar(i)} className="px-3 py-2 text-red-600 hover:text-red-800" aria-label={`Remove Car ${CAR_LETTERS[i]}`}>
+                      ✕
+                    </button>
+                  )}
+                </div>
+              ))}
+              {cars.length < MAX_CARS && (
+                <button type="button" onClick={addCar} className="text-blue-600 hover:text-blue-800 dark:text-blue-400 font-medium">
+                  + Add car
+                </button>
+              )}
+              <datalist id="roster-drivers">
+                {roster.map(d => (
+                  <option key={d.id} value={d.label}>{[d.class, d.team].filter(Boolean).join(' · ')}</option>
+                ))}
+              </datalist>
+            </div>
+
+            <div className="space-y-3">
+              <label className="block text-sm font-medium">
+                Telemetry (optional) — SimHub / MoTeC CSV, iRacing IBT exported to CSV, or an ACC position log
+              </label>
+              {telemetry.map((f, i) => (
+                <div key={i} className="flex gap-3 items-center">
+                  <span className="flex-1 truncate text-sm">{f.name} <span className="text-gray-500">({Math.round(f.csv.length / 1024)} KB)</span></span>
+                  <select
+                    value={f.car || ''}
+                    onChange={(e) => updateTelemetry(i, { car: e.target.value })}
+                    className="p-3 border rounded-xl dark:bg-gray-700"
+                  >
+                    <option value="">All cars (by race number)</option>
+                    {cars.map((_, j) => <option key={j} value={CAR_LETTERS[j]}>Car {CAR_LETTERS[j]}</option>)}
+                  </select>
+                  <select
+                    value={f.format}
+                    onChange={(e) => updateTelemetry(i, { format: e.target.value })}
+                    className="p-3 border rounded-xl dark:bg-gray-700"
+                  >
+                    {TELEMETRY_FORMATS.map(id => <option key={id} value={id}>{TELEMETRY_FORMAT_LABELS[id]}</option>)}
+                  </select>
+                  <input
+                    type="number"
+                    step="0.01"
+                    value={f.offset}
+                    onChange={(e) => updateTelemetry(i, { offset: parseFloat(e.target.value) || 0 })}
+                    title="Seconds added to this file's clock, to line it up with the others"
+                    className="w-24 p-3 border rounded-xl dark:bg-gray-700"
+                  />
+                  <button type="button" onClick={() => setTelemetry(telemetry.filter((_, j) => j !== i))} className="px-3 py-2 text-red-600 hover:text-red-800" aria-label="Remove telemetry file">
+                    ✕
+                  </button>
+                </div>
+              ))}
+              <div className="flex gap-3 items-center">
+                {telemetry.length < MAX_TELEMETRY_FILES && (
+                  <input
+                    type="file"
+                    accept=".csv,.txt,text/csv"
+                    multiple
+                    onChange={(e) => { addTelemetryFiles(e.target.files); e.target.value = ''; }}
+                    className="flex-1 text-sm"
+                  />
+                )}
+                {telemetry.length > 0 && (
+                  <input
+                    type="text"
+                    value={turnIn}
+                    onChange={(e) => setTurnIn(e.target.value)}
+                    placeholder="Turn-in at (s) — detected if empty"
+                    className="w-64 p-3 border rounded-xl dark:bg-gray-700"
+                  />
+                )}
+              </div>
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium mb-2">Steward Notes (optional but helps accuracy)</label>
+              <textarea
+                value={stewardNotes}
+                onChange={(e) => setStewardNotes(e.target.value)}
+                rows={4}
+                placeholder="e.g. Car A dove into the inside late, Car B turned in normally..."
+                className="w-full p-4 border rounded-xl dark:bg-gray-700"
+              />
+            </div>
+
             <div className="grid grid-cols-2 gap-4">
               <div>
-                <label className="block text-sm font-medium mb-2">Car A (e.g. Red/White Ferrari - usually Overtaking Car)</label>
+                <label className="block text-sm font-medium mb-2">Severity (consequence of the contact)</label>
+                <select
+                  value={severity}
+                  onChange={(e) => setSeverity(e.target.value)}
+                  className="w-full p-4 border rounded-xl dark:bg-gray-700"
+                >
+                  <option value="minor">Minor — no position or time lost</option>
+                  <option value="moderate">Moderate — positions or time lost</option>
+                  <option value="major">Major — race ruined / DNF</option>
+                </select>
+              </div>
+              <div>
+                <label className="block text-sm font-medium mb-2">League tariff (optional)</label>
                 <input
                   type="text"
-                  value={carA}
-                  onChange={(e) => setCarA(e.target.value)}
-                  placeholder="Car A description"
+                  value={league}
+                  onChange={(e) => setLeague(e.target.value)}
+                  placeholder="e.g. sunday-gt3-league"
+                  className="w-full p-4 border rounded-xl dark:bg-gray-700"
+                />
+              </div>
+            </div>
+
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+              <div className="col-span-2 md:col-span-1">
+                <label className="block text-sm font-medium mb-2">Event (optional)</label>
+                <select
+                  value={eventId}
+                  onChange={(e) => {
+                    setEventId(e.target.value);
+                    const picked = events.find(ev => ev.id === e.target.value);
+                    if (picked && !league.trim()) setLeague(picked.league || '');
+                  }}
+                  className="w-full p-4 border rounded-xl dark:bg-gray-700"
+                >
+                  <option value="">— No event —</option>
+                  {events.map(ev => <option key={ev.id} value={ev.id}>{ev.name}</option>)}
+                </select>
+              </div>
+              <div>
+                <label className="block text-sm font-medium mb-2">Lap</label>
+                <input
+                  type="number"
+                  min={0}
+                  value={lap}
+                  onChange={(e) => setLap(e.target.value)}
+                  placeholder="e.g. 12"
                   className="w-full p-4 border rounded-xl dark:bg-gray-700"
                 />
               </div>
               <div>
-                <label className="block text-sm font-medium mb-2">Car B (defending)</label>
+                <label className="block text-sm font-medium mb-2">Turn</label>
                 <input
                   type="text"
-                  value={carB}
-                  onChange={(e) => setCarB(e.target.value)}
-                  placeholder="Car B description"
+                  value={turn}
+                  onChange={(e) => setTurn(e.target.value)}
+                  placeholder="e.g. 3 or hairpin"
                   className="w-full p-4 border rounded-xl dark:bg-gray-700"
                 />
               </div>
+              <div>
+                <label className="block text-sm font-medium mb-2">Flag</label>
+                <select
+                  value={flag}
+                  onChange={(e) => setFlag(e.target.value)}
+                  className="w-full p-4 border rounded-xl dark:bg-gray-700"
+                >
+                  {FLAG_STATES.map(f => <option key={f.id} value={f.id}>{f.label}</option>)}
+                </select>
+              </div>
             </div>
 
             <div>
-              <label className="block text-sm font-medium mb-2">Steward Notes (optional but helps accuracy)</label>
-              <textarea
-                value={stewardNotes}
-                onChange={(e) => setStewardNotes(e.target.value)}
-                rows={4}
-                placeholder="e.g. Car A dove into the inside late, Car B turned in normally..."
-                className="w-full p-4 border rounded-xl dark:bg-gray-700"
-              />
+              <label className="flex items-center gap-3 text-sm font-medium mb-2">
+                <input
+                  type="checkbox"
+                  checked={useOverride}
+                  onChange={(e) => setUseOverride(e.target.checked)}
+                />
+                Steward fault override (skip the fault engine)
+              </label>
+              {useOverride && cars.length > 2 && (
+                <div className="grid grid-cols-2 gap-3">
+                  {cars.map((_, i) => (
+                    <label key={i} className="flex items-center gap-2 text-sm">
+                      <span className="w-14">Car {CAR_LETTERS[i]}</span>
+                      <input
+                        type="number"
+                        min={0}
+                        max={100}
+                        value={multiOverride[i]}
+                        onChange={(e) => setOverrideFault(multiOverride.map((f, j) => (j === i ? parseInt(e.target.value, 10) || 0 : f)))}
+                        className="w-20 p-2 border rounded-lg dark:bg-gray-700"
+                      />
+                      %
+                    </label>
+                  ))}
+                  <p className={`col-span-2 text-sm ${multiOverrideTotal === 100 ? 'text-gray-600 dark:text-gray-400' : 'text-red-600'}`}>
+                    Total {multiOverrideTotal}% (must be 100)
+                  </p>
+                </div>
+              )}
+              {useOverride && cars.length === 2 && (
+                <div>
+                  <input
+                    type="range"
+                    min={0}
+                    max={100}
+                    value={overrideFaultA}
+                    onChange={(e) => setOverrideFaultA(parseInt(e.target.value, 10))}
+                    className="w-full"
+                  />
+                  <p className="text-sm text-gray-600 dark:text-gray-400">
+                    Car A: <strong>{overrideFaultA}%</strong> · Car B: <strong>{100 - overrideFaultA}%</strong>
+                  </p>
+                </div>
+              )}
             </div>
 
             <button
               type="submit"
-              disabled={loading}
+              disabled={loading || (useOverride && cars.length > 2 && multiOverrideTotal !== 100)}
               className="w-full py-5 bg-gradient-to-r from-blue-600 to-indigo-700 text-white text-xl font-bold rounded-xl hover:from-blue-700 hover:to-indigo-800 disabled:opacity-50 transition"
             >
               {loading ? 'Generating Professional Verdict...' : 'Generate Professional Verdict'}
@@ -220,34 +594,88 @@ export default function Home() {
 
         {result && result.verdict && (
           <div className="mt-12 grid grid-cols-1 lg:grid-cols-2 gap-10 xl:gap-16">
-            {url && (
+            {result.videos?.length > 0 && (
               <div className="order-2 lg:order-1">
                 <div className="sticky top-6 bg-white dark:bg-gray-800 rounded-2xl shadow-2xl overflow-hidden border border-gray-200 dark:border-gray-700">
                   <div className="bg-gradient-to-r from-blue-600 to-indigo-700 text-white px-6 py-3">
                     <h3 className="text-xl font-bold">Submitted Incident Video</h3>
+                    {result.clip?.start != null && (
+                      <p className="text-sm opacity-90">
+                        Incident at {formatTimestamp(result.clip.start)}{result.clip.end ? `–${formatTimestamp(result.clip.end)}` : ''}
+                      </p>
+                    )}
                   </div>
-                  <div className="aspect-video">
-                    <iframe
-                      src={`https://www.youtube-nocookie.com/embed/${getYouTubeId(url)}`}
-                      title="Submitted Incident"
-                      className="w-full h-full"
-                      frameBorder="0"
-                      allow="accelerometer; autoplay; clipboard-write; encrypted-media; gyroscope; picture-in-picture"
-                      allowFullScreen
-                    ></iframe>
-                  </div>
+                  {result.videos.length > 1 && (
+                    <div className="flex flex-wrap gap-2 px-4 pt-4">
+                      {result.videos.map((v, i) => (
+                        <button
+                          key={i}
+                          type="button"
+                          onClick={() => setActiveVideo(i)}
+                          className={`px-3 py-1 rounded-full text-sm font-medium ${i === activeVideo ? 'bg-blue-600 text-white' : 'bg-gray-200 dark:bg-gray-700'}`}
+                        >
+                          {v.label}{v.sourceLabel && v.source !== 'youtube' && ` (${v.sourceLabel})`}{v.start != null && ` · ${formatTimestamp(v.start)}`}
+                        </button>
+                      ))}
+                    </div>
+                  )}
+                  {(() => {
+                    // Each angle opens at its own incident timestamp, so switching keeps the moment
+                    const video = result.videos[activeVideo] || result.videos[0];
+                    if (video.player === 'video') {
+                      return (
+                        <div className={`aspect-video bg-black ${result.videos.length > 1 ? 'mt-4' : ''}`}>
+                          <video key={video.embed} src={video.embed} controls preload="metadata" className="w-full h-full" />
+                        </div>
+                      );
+                    }
+                    return video.embed ? (
+                      <div className={`aspect-video ${result.videos.length > 1 ? 'mt-4' : ''}`}>
+                        <iframe
+                          key={video.embed}
+                          src={video.embed}
+                          title={`Submitted Incident — ${video.label}`}
+                          className="w-full h-full"
+                          frameBorder="0"
+                          allow="accelerometer; autoplay; clipboard-write; encrypted-media; gyroscope; picture-in-picture"
+                          allowFullScreen
+                        ></iframe>
+                      </div>
+                    ) : (
+                      <div className="p-6">
+                        <a href={video.url} target="_blank" rel="noopener noreferrer" className="text-blue-600 dark:text-blue-400 font-medium">
+                          Open {video.label} video{video.sourceLabel && video.source !== 'link' && ` on ${video.sourceLabel}`}{video.start != null && ` (incident at ${formatTimestamp(video.start)})`} →
+                        </a>
+                      </div>
+                    );
+                  })()}
                 </div>
               </div>
             )}
 
-            <div className={`order-1 lg:order-2 ${url ? '' : 'lg:col-span-2'}`}>
+            <div className={`order-1 lg:order-2 ${result.videos?.length ? '' : 'lg:col-span-2'}`}>
               <div className="bg-white dark:bg-gray-800 p-8 rounded-2xl shadow-2xl border border-gray-200 dark:border-gray-700 mb-10">
                 <h2 className="text-3xl font-bold mb-6 text-center text-blue-700 dark:text-blue-400">
                   Official Verdict
                 </h2>
+                {result.fallback && (
+                  <div className="mb-6 p-3 text-sm text-center bg-yellow-50 dark:bg-yellow-900/30 border border-yellow-300 dark:border-yellow-700 rounded-xl text-yellow-900 dark:text-yellow-200">
+                    {result.llm?.output === 'fallback'
+                      ? 'The AI explanation was rejected — showing the template verdict. Fault and confidence are unaffected.'
+                      : `The ${result.llm?.provider || 'template'} provider wrote this verdict because the primary AI provider was unavailable.`}
+                  </div>
+                )}
                 <div className="space-y-6 text-lg">
+                  {result.rulebook && (
+                    <div className="text-sm text-gray-500">Rulebook: {result.rulebook.name}</div>
+                  )}
+                  {(result.event || describePosition(result)) && (
+                    <div className="text-sm text-gray-500">
+                      {[result.event?.name, describePosition(result)].filter(Boolean).join(' · ')}
+                    </div>
+                  )}
                   <div><strong>Rule:</strong> {result.verdict.rule}</div>
-                  <div className="grid grid-cols-2 gap-6">
+                  <div className={`grid gap-6 ${Object.keys(result.verdict.fault).length > 2 ? 'grid-cols-2 md:grid-cols-3' : 'grid-cols-2'}`}>
                     {Object.entries(result.verdict.fault).map(([car, fault]) => (
                       <div key={car} className="text-center p-6 bg-gray-50 dark:bg-gray-700 rounded-xl">
                         <div className="text-2xl font-bold text-gray-900 dark:text-white">{car}</div>
@@ -255,7 +683,79 @@ export default function Home() {
                       </div>
                     ))}
                   </div>
+                  {result.fault_breakdown && (
+                    <details className="p-4 bg-gray-50 dark:bg-gray-700 rounded-xl text-base">
+                      <summary className="cursor-pointer font-bold">
+                        Why {result.fault_breakdown.faultA}%? Fault breakdown
+                      </summary>
+                      <table className="w-full mt-4 text-sm">
+                        <tbody>
+                          {result.fault_breakdown.components.map(c => (
+                            <tr key={c.factor} className="border-b border-gray-200 dark:border-gray-600">
+                              <td className="py-2">{c.label}</td>
+                              <td className="py-2 text-right">{c.value}% × {Math.round(c.weight * 100)}%</td>
+                              <td className="py-2 text-right font-bold">{c.contribution}</td>
+                            </tr>
+                          ))}
+                          {result.fault_breakdown.adjustments.map(a => (
+                            <tr key={a.factor} className="border-b border-gray-200 dark:border-gray-600">
+                              <td className="py-2" colSpan={2}>{a.label}</td>
+                              <td className="py-2 text-right font-bold">{a.delta > 0 ? `+${a.delta}` : a.delta}</td>
+                            </tr>
+                          ))}
+                          <tr>
+                            <td className="py-2 font-bold" colSpan={2}>
+                              {result.fault_breakdown.split?.length > 2 ? 'Initiator fault (vs. the first car hit)' : 'Car A fault'}
+                              {result.fault_breakdown.clamped ? ' (clamped to 2–98%)' : ''}
+                            </td>
+                            <td className="py-2 text-right font-black">{result.fault_breakdown.faultA}%</td>
+                          </tr>
+                        </tbody>
+                      </table>
+                    </details>
+                  )}
                   <div><strong>Car Roles:</strong> {result.verdict.car_identification}</div>
+                  {Object.values(result.drivers || {}).some(d => d?.rostered) && (
+                    <div className="text-sm text-gray-600 dark:text-gray-400">
+                      <strong>Roster:</strong>{' '}
+                      {Object.entries(result.drivers).map(([key, d]) => d?.rostered && (
+                        <span key={key} className="mr-4">
+                          Car {key.replace('car', '')} → <a href={`/drivers/${d.id}`} className="text-blue-600 dark:text-blue-400">{d.name}</a>
+                        </span>
+                      ))}
+                      · Round {result.round}
+                    </div>
+                  )}
+                  {result.penalty && (
+                    <div className="p-4 bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800 rounded-xl">
+                      <strong>Recommended action:</strong> {result.penalty.label}
+                      {result.penalty.appliesTo && <> for <strong>{result.penalty.appliesTo}</strong></>}
+                      <div className="text-xs text-gray-500 mt-1">
+                        {result.penalty.tariff.name} · severity {result.penalty.severity}
+                        {result.penalty.escalation && ` · escalated from ${result.penalty.escalation.from} (${result.penalty.escalation.priors} prior incident(s))`}
+                      </div>
+                    </div>
+                  )}
+                  {Object.values(result.prior_incidents || {}).some(list => list.length > 0) && (
+                    <div className="p-4 bg-gray-50 dark:bg-gray-700 rounded-xl">
+                      <strong>Prior incidents</strong>
+                      <span className="ml-2 text-xs text-gray-500">(sanction only — the fault split ignores history)</span>
+                      {Object.entries(result.prior_incidents).map(([key, list]) => list.length > 0 && (
+                        <div key={key} className="mt-2 text-sm">
+                          <div className="font-medium">Car {key.replace('car', '')} — {result.drivers[key]?.name}</div>
+                          <ul className="list-disc ml-6">
+                            {result.prior_incidents[key].map(p => (
+                              <li key={p.caseId} className={p.counted ? 'text-red-700 dark:text-red-300' : 'text-gray-500'}>
+                                Round {p.round}: {p.incidentLabel || p.incidentType}, {p.fault ?? '?'}% fault ({p.status})
+                                {p.counted && ' — counts toward escalation'}
+                                <span className="ml-2 font-mono text-xs">{p.caseId}</span>
+                              </li>
+                            ))}
+                          </ul>
+                        </div>
+                      ))}
+                    </div>
+                  )}
                   <div className="prose prose-lg dark:prose-invert max-w-none">
                     <p className="whitespace-pre-wrap">{result.verdict.explanation}</p>
                   </div>
@@ -264,12 +764,50 @@ export default function Home() {
                       {result.verdict.pro_tip.replace(/^TheSimRacingStewards Tip:\s*/, '').replace(/^Tip:\s*/, '')}
                     </p>
                   </div>
+                  <div className="flex justify-center gap-3 text-sm">
+                    {[['md', 'Markdown'], ['pdf', 'PDF'], ['png', 'Share card']].map(([format, label]) => (
+                      <button
+                        key={format}
+                        type="button"
+                        onClick={() => exportVerdict(format)}
+                        className="px-4 py-2 border border-blue-600 text-blue-600 dark:text-blue-400 rounded-lg hover:bg-blue-50 dark:hover:bg-blue-900/30"
+                      >
+                        {label}
+                      </button>
+                    ))}
+                  </div>
+                  {result.case_id && (
+                    <div className="text-center text-sm text-gray-500">
+                      Case ID: <a href="/history" className="font-mono font-bold text-blue-600 dark:text-blue-400">{result.case_id}</a>
+                    </div>
+                  )}
                   <div className="text-center text-sm text-gray-500">
                     Confidence: <span className="font-bold">{result.verdict.confidence}</span>
+                    {typeof result.confidence?.score === 'number' && ` (${result.confidence.score}/100)`}
                   </div>
+                  {result.confidence?.reasons?.length > 0 && (
+                    <ul className="text-xs text-gray-500 space-y-1 max-w-md mx-auto">
+                      {result.confidence.reasons.map(r => (
+                        <li key={r.factor} className="flex justify-between gap-4">
+                          <span>{r.detail}</span>
+                          <span className="font-mono">{r.points > 0 ? `+${r.points}` : r.points}</span>
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                  {result.dataset?.sampleSize > 0 && (
+                    <div className="text-center text-sm text-gray-500">
+                      Historical dataset: median <span className="font-bold">{result.dataset.median}%</span> fault
+                      {' '}(IQR {result.dataset.p25}–{result.dataset.p75}%, n={result.dataset.sampleSize.toLocaleString()})
+                    </div>
+                  )}
                 </div>
               </div>
 
+              {result.telemetry && <TelemetryCharts telemetry={result.telemetry} />}
+
+              {caseRecord && <ReviewPanel caseRecord={caseRecord} onUpdated={setCaseRecord} />}
+
               {result.precedents && result.precedents.length > 0 && (
                 <div className="p-8 bg-gradient-to-r from-green-50 to-blue-50 dark:from-green-900/20 dark:to-blue-900/20 rounded-2xl shadow-xl border border-green-200 dark:border-green-700">
                   <h3 className="text-2xl font-bold text-green-700 dark:text-green-300 mb-6 text-center">
@@ -279,9 +817,19 @@ export default function Home() {
                     <div key={i} className="mb-8 p-6 bg-white dark:bg-gray-800 rounded-xl shadow border">
                       <h4 className="text-xl font-bold mb-2">{p.title}</h4>
                       <p className="text-sm text-gray-600 dark:text-gray-400">
-                        <strong>Ruling:</strong> {p.ruling} | <strong>Fault A:</strong> {p.faultA}%
+                        <strong>Ruling:</strong> {p.ruling} | {p.faultSplit
+                          ? <><strong>Fault ({p.parties} cars):</strong> {p.faultSplit.map(f => `${f}%`).join(' / ')}</>
+                          : <><strong>Fault A:</strong> {p.faultA}%</>}
+                        {typeof p.similarity === 'number' && (
+                          <> | <strong>Similarity:</strong> {Math.round(p.similarity * 100)}%</>
+                        )}
                       </p>
                       <p className="text-gray-700 dark:text-gray-300 italic mt-2">"{p.reason}"</p>
+                      {p.matchedTerms?.length > 0 && (
+                        <p className="text-xs text-gray-500 mt-2">
+                          Matched on: {p.matchedTerms.join(', ')}
+                        </p>
+                      )}
                       {p.thread && (
                         <a
                           href={p.thread}
@@ -292,6 +840,14 @@ export default function Home() {
                           View Original Reddit Discussion →
                         </a>
                       )}
+                      {p.caseId && (
+                        <a
+                          href={`/history?case=${p.caseId}`}
+                          className="inline-block mt-3 text-blue-600 hover:text-blue-800 dark:text-blue-400 font-medium"
+                        >
+                          League ruling — view case {p.caseId} →
+                        </a>
+                      )}
                     </div>
                   ))}
                 </div>
@@ -0,0 +1,352 @@
+'use client';
+
+import { useEffect, useState } from 'react';
+import { INCIDENT_TYPES } from '../../lib/taxonomy';
+
+const emptyForm = {
+  incident_type: '',
+  title: '',
+  ruling: '',
+  reason: '',
+  fault_a: '',
+  fault_split: '',
+  thread_id: '',
+  youtube_url: '',
+  tags: '',
+  league: '',
+};
+
+const SOURCE_LABELS = {
+  reddit: 'r/simracingstewards',
+  league: 'League ruling',
+  manual: 'Added by hand',
+};
+
+// Precedent curation — browse, add, edit, retire and tag the precedent set, promote reviewed
+// league verdicts (/precedents?promote=<case id>) and review candidates imported from
+// r/simracingstewards dumps. Every change sends the admin token (PRECEDENTS_ADMIN_TOKEN).
+export default function Precedents() {
+  const [filters, setFilters] = useState({ status: 'active', type: '', tag: '', source: '', q: '' });
+  const [data, setData] = useState({ precedents: [], tags: [], coverage: null });
+  const [steward, setSteward] = useState('');
+  const [adminToken, setAdminToken] = useState('');
+  const [form, setForm] = useState(emptyForm);
+  const [editing, setEditing] = useState(null);     // precedent id, { caseId } when promoting, { candidate } when reviewing an import
+  const [candidates, setCandidates] = useState([]);
+  const [retireNote, setRetireNote] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+
+  const set = (key) => (e) => setForm({ ...form, [key]: e.target.value });
+  const writeHeaders = { 'Content-Type': 'application/json', ...(adminToken && { Authorization: `Bearer ${adminToken}` }) };
+  const setFilter = (key) => (e) => setFilters({ ...filters, [key]: e.target.value });
+
+  const load = async () => {
+    try {
+      const params = new URLSearchParams(Object.entries(filters).filter(([, v]) => v));
+      const res = await fetch(`/api/precedents?${params}`);
+      const body = await res.json();
+      if (!res.ok) throw new Error(body.error || 'Could not load precedents');
+      setData(body);
+    } catch (err) {
+      setError(err.message || 'Could not load precedents');
+    }
+  };
+
+  useEffect(() => { load(); }, [filters]);
+
+  const loadCandidates = async () => {
+    try {
+      const res = await fetch('/api/precedents/candidates');
+      const body = await res.json();
+      if (!res.ok) throw new Error(body.error || 'Could not load the review queue');
+      setCandidates(body.candidates);
+    } catch (err) {
+      setError(err.message || 'Could not load the review queue');
+    }
+  };
+
+  useEffect(() => { loadCandidates(); }, []);
+
+  // Dumps are read in the browser and posted as text — nothing is fetched from Reddit
+  const importDump = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    setBusy(true);
+    setError('');
+    setNotice('');
+    try {
+      const res = await fetch('/api/precedents/candidates', {
+        method: 'POST',
+        headers: writeHeaders,
+        body: JSON.stringify({ dump: await file.text(), name: file.name }),
+      });
+      const body = await res.json();
+      if (!res.ok) throw new Error(body.error || 'Import failed');
+      const skipped = Object.entries(body.skipped).filter(([, n]) => n).map(([why, n]) => `${n} ${why}`).join(', ');
+      setNotice(`${file.name}: ${body.threads} thread(s), ${body.queued} queued, ${body.updated} updated${skipped ? `, skipped ${skipped}` : ''}.`);
+      loadCandidates();
+    } catch (err) {
+      setError(err.message || 'Import failed');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const startReview = (c) => {
+    setForm({
+      ...emptyForm,
+      ...Object.fromEntries(Object.keys(emptyForm).map(k => [k, String(c[k] ?? '')])),
+      tags: 'imported',
+    });
+    setEditing({ candidate: c });
+    setNotice('');
+  };
+
+  // ?promote=<case id> — pre-fill the form from the reviewed verdict
+  useEffect(() => {
+    const caseId = new URLSearchParams(window.location.search).get('promote');
+    if (!caseId) return;
+    (async () => {
+      try {
+        const res = await fetch(`/api/precedents/promote?case=${caseId}`);
+        const body = await res.json();
+        if (!res.ok) throw new Error(body.error || 'Could not load the case');
+        if (body.existing) {
+          setNotice(`Case ${caseId} is already precedent ${body.existing.id}`);
+          return;
+        }
+        setForm({ ...emptyForm, ...body.draft, fault_a: String(body.draft.fault_a), tags: body.draft.tags.join('; ') });
+        setEditing({ caseId });
+      } catch (err) {
+        setError(err.message || 'Could not load the case');
+      }
+    })();
+  }, []);
+
+  const startEdit = (p) => {
+    setForm({ ...emptyForm, ...Object.fromEntries(Object.keys(emptyForm).map(k => [k, String(p[k] ?? '')])), tags: p.tags.join('; ') });
+    setEditing(p.id);
+    setRetireNote('');
+    setNotice('');
+  };
+
+  const reset = () => {
+    setForm(emptyForm);
+    setEditing(null);
+    setRetireNote('');
+  };
+
+  const send = async (url, method, body, done) => {
+    setBusy(true);
+    setError('');
+    setNotice('');
+    try {
+      const res = await fetch(url, {
+        method,
+        headers: writeHeaders,
+        body: JSON.stringify({ steward, ...body }),
+      });
+      const saved = await res.json();
+      if (!res.ok) throw new Error(saved.error || 'Could not save the precedent');
+      setNotice([`${done} ${saved.id}.`, ...(saved.warnings || [])].join(' '));
+      reset();
+      load();
+      loadCandidates();
+    } catch (err) {
+      setError(err.message || 'Could not save the precedent');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const save = (e) => {
+    e.preventDefault();
+    if (editing?.candidate) return send(`/api/precedents/candidates/${editing.candidate.id}`, 'PATCH', { ...form, action: 'accept' }, 'Accepted as');
+    if (editing?.caseId) return send('/api/precedents/promote', 'POST', { ...form, caseId: editing.caseId }, 'Promoted as');
+    if (editing) return send(`/api/precedents/${editing}`, 'PATCH', form, 'Saved');
+    return send('/api/precedents', 'POST', form, 'Added');
+  };
+
+  const setStatus = (id, status) => send(`/api/precedents/${id}`, 'PATCH', { status, note: retireNote }, status === 'retired' ? 'Retired' : 'Restored');
+
+  const editingRow = typeof editing === 'string' ? data.precedents.find(p => p.id === editing) : null;
+
+  return (
+    <div className="min-h-screen bg-gray-50 dark:bg-gray-900 py-10 px-4">
+      <div className="max-w-7xl mx-auto">
+        <div className="flex items-center justify-between mb-8">
+          <h1 className="text-4xl font-bold text-gray-900 dark:text-white">Precedents</h1>
+          <a href="/" className="text-blue-600 hover:text-blue-800 dark:text-blue-400 font-medium">← New verdict</a>
+        </div>
+
+        {error && (
+          <div className="mb-8 p-6 bg-red-50 dark:bg-red-900/30 border border-red-300 dark:border-red-700 rounded-xl">
+            <p className="text-red-800 dark:text-red-200">{error}</p>
+          </div>
+        )}
+        {notice && (
+          <div className="mb-8 p-6 bg-green-50 dark:bg-green-900/30 border border-green-300 dark:border-green-700 rounded-xl">
+            <p className="text-green-800 dark:text-green-200">{notice}</p>
+          </div>
+        )}
+
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-10">
+          <form onSubmit={save} className="p-8 bg-white dark:bg-gray-800 rounded-2xl shadow-xl border border-gray-200 dark:border-gray-700 space-y-4 self-start">
+            <h3 className="text-2xl font-bold">
+              {editing?.candidate ? 'Review imported thread' : editing?.caseId ? `Promote ${editing.caseId}` : editing ? `Edit ${editing}` : 'New precedent'}
+            </h3>
+            <input value={steward} onChange={(e) => setSteward(e.target.value)} required placeholder="Your steward name" className="w-full p-3 border rounded-xl dark:bg-gray-700" />
+            <input type="password" value={adminToken} onChange={(e) => setAdminToken(e.target.value)} autoComplete="off" placeholder="Admin token (PRECEDENTS_ADMIN_TOKEN)" className="w-full p-3 border rounded-xl dark:bg-gray-700" />
+            <select value={form.incident_type} onChange={set('incident_type')} required className="w-full p-3 border rounded-xl dark:bg-gray-700">
+              <option value="">Incident type</option>
+              {INCIDENT_TYPES.map(t => <option key={t.id} value={t.label}>{t.label}</option>)}
+            </select>
+            <input value={form.title} onChange={set('title')} required placeholder="Title" className="w-full p-3 border rounded-xl dark:bg-gray-700" />
+            <input value={form.ruling} onChange={set('ruling')} required placeholder="Ruling (e.g. Overtaker Fault)" className="w-full p-3 border rounded-xl dark:bg-gray-700" />
+            <textarea value={form.reason} onChange={set('reason')} required rows={4} placeholder="Reason — the principle behind the ruling" className="w-full p-3 border rounded-xl dark:bg-gray-700" />
+            <div className="grid grid-cols-2 gap-4">
+              <input type="number" min={0} max={100} value={form.fault_a} onChange={set('fault_a')} required placeholder="Fault A %" className="p-3 border rounded-xl dark:bg-gray-700" />
+              <input value={form.fault_split} onChange={set('fault_split')} placeholder="Split, 3+ cars (50/30/20)" className="p-3 border rounded-xl dark:bg-gray-700" />
+            </div>
+            <div className="grid grid-cols-2 gap-4">
+              <input value={form.thread_id} onChange={set('thread_id')} placeholder="Reddit thread id" className="p-3 border rounded-xl dark:bg-gray-700" />
+              <input value={form.league} onChange={set('league')} placeholder="League" className="p-3 border rounded-xl dark:bg-gray-700" />
+            </div>
+            <input value={form.youtube_url} onChange={set('youtube_url')} placeholder="Video URL" className="w-full p-3 border rounded-xl dark:bg-gray-700" />
+            <input value={form.tags} onChange={set('tags')} placeholder="Tags, separated by ; (lap 1; netcode)" className="w-full p-3 border rounded-xl dark:bg-gray-700" />
+            <div className="flex gap-4">
+              <button type="submit" disabled={busy} className="flex-1 py-3 bg-blue-600 hover:bg-blue-700 text-white font-bold rounded-xl disabled:opacity-50">
+                {editing?.candidate ? 'Accept' : editing?.caseId ? 'Promote' : editing ? 'Save changes' : 'Add precedent'}
+              </button>
+              {editing && (
+                <button type="button" onClick={reset} className="px-6 py-3 border border-gray-400 rounded-xl">Cancel</button>
+              )}
+            </div>
+
+            {editing?.candidate && (
+              <div className="border-t border-gray-200 dark:border-gray-700 pt-4 space-y-3">
+                <a href={editing.candidate.thread} target="_blank" rel="noopener noreferrer" className="block text-sm text-blue-600 dark:text-blue-400">
+                  Check the thread before accepting →
+                </a>
+                <input value={retireNote} onChange={(e) => setRetireNote(e.target.value)} placeholder="Why reject it? (optional)" className="w-full p-3 border rounded-xl dark:bg-gray-700" />
+                <button
+                  type="button"
+                  disabled={busy}
+                  onClick={() => send(`/api/precedents/candidates/${editing.candidate.id}`, 'PATCH', { action: 'reject', note: retireNote }, 'Rejected')}
+                  className="w-full py-3 bg-red-600 hover:bg-red-700 text-white font-bold rounded-xl disabled:opacity-50"
+                >
+                  Reject
+                </button>
+              </div>
+            )}
+
+            {editingRow && (
+              <div className="border-t border-gray-200 dark:border-gray-700 pt-4 space-y-3">
+                {editingRow.status === 'active' ? (
+                  <>
+                    <input value={retireNote} onChange={(e) => setRetireNote(e.target.value)} placeholder="Why retire it? (required)" className="w-full p-3 border rounded-xl dark:bg-gray-700" />
+                    <button type="button" disabled={busy || !retireNote.trim()} onClick={() => setStatus(editingRow.id, 'retired')} className="w-full py-3 bg-red-600 hover:bg-red-700 text-white font-bold rounded-xl disabled:opacity-50">
+                      Retire
+                    </button>
+                  </>
+                ) : (
+                  <button type="button" disabled={busy} onClick={() => setStatus(editingRow.id, 'active')} className="w-full py-3 bg-green-600 hover:bg-green-700 text-white font-bold rounded-xl disabled:opacity-50">
+                    Restore
+                  </button>
+                )}
+              </div>
+            )}
+          </form>
+
+          <div className="lg:col-span-2 space-y-6">
+            <div className="p-6 bg-white dark:bg-gray-800 rounded-2xl shadow-xl border border-gray-200 dark:border-gray-700">
+              <div className="flex flex-wrap items-center justify-between gap-4 mb-4">
+                <h3 className="text-xl font-bold">Review queue — imported from r/simracingstewards ({candidates.length})</h3>
+                <label className="text-sm text-blue-600 dark:text-blue-400 font-medium cursor-pointer">
+                  Import a Reddit dump…
+                  <input type="file" accept=".json,.ndjson,.jsonl" onChange={importDump} disabled={busy} className="hidden" />
+                </label>
+              </div>
+              {candidates.length === 0 && (
+                <p className="text-sm text-gray-500">Nothing waiting. Import a dump here or run <code>node scripts/import-reddit.js &lt;dump&gt;</code>.</p>
+              )}
+              {candidates.map(c => (
+                <div
+                  key={c.id}
+                  onClick={() => startReview(c)}
+                  className={`py-3 border-b border-gray-100 dark:border-gray-700 cursor-pointer hover:bg-gray-50 dark:hover:bg-gray-700 ${editing?.candidate?.id === c.id ? 'bg-blue-50 dark:bg-blue-900/30' : ''}`}
+                >
+                  <div className="flex justify-between gap-4">
+                    <span className="font-bold">{c.title}</span>
+                    <span className="text-sm font-mono text-gray-500">{c.fault_a}%</span>
+                  </div>
+                  <div className="text-sm text-gray-600 dark:text-gray-400">
+                    {c.incident_type} · {c.ruling} · {c.confidence.label} confidence ({c.confidence.score}) · {c.voteCount} vote(s), {Math.round(c.agreement * 100)}% agree
+                  </div>
+                  {c.reason && <div className="text-sm italic text-gray-500 mt-1">"{c.reason}"</div>}
+                </div>
+              ))}
+            </div>
+
+            <div className="grid grid-cols-2 md:grid-cols-5 gap-3">
+              <select value={filters.status} onChange={setFilter('status')} className="p-3 border rounded-xl dark:bg-gray-700">
+                <option value="active">Active</option>
+                <option value="retired">Retired</option>
+                <option value="all">All</option>
+              </select>
+              <select value={filters.type} onChange={setFilter('type')} className="p-3 border rounded-xl dark:bg-gray-700">
+                <option value="">All types</option>
+                {INCIDENT_TYPES.map(t => <option key={t.id} value={t.id}>{t.label}</option>)}
+              </select>
+              <select value={filters.tag} onChange={setFilter('tag')} className="p-3 border rounded-xl dark:bg-gray-700">
+                <option value="">All tags</option>
+                {data.tags.map(t => <option key={t}>{t}</option>)}
+              </select>
+              <select value={filters.source} onChange={setFilter('source')} className="p-3 border rounded-xl dark:bg-gray-700">
+                <option value="">All sources</option>
+                {Object.entries(SOURCE_LABELS).map(([id, label]) => <option key={id} value={id}>{label}</option>)}
+              </select>
+              <input value={filters.q} onChange={setFilter('q')} placeholder="Search" className="p-3 border rounded-xl dark:bg-gray-700" />
+            </div>
+
+            {data.coverage && (
+              <p className="text-sm text-gray-500">
+                {data.coverage.total} active precedent(s) · {Object.keys(data.coverage.counts).length} of {INCIDENT_TYPES.length} incident types covered
+                {data.coverage.unresolved.length > 0 && ` · ${data.coverage.unresolved.length} with an unknown type`}
+                {data.coverage.missing.length > 0 && ` · no precedents yet for: ${data.coverage.missing.join(', ')}`}
+              </p>
+            )}
+
+            <div className="bg-white dark:bg-gray-800 rounded-2xl shadow-xl border border-gray-200 dark:border-gray-700 overflow-hidden">
+              <div className="px-6 py-4 border-b border-gray-200 dark:border-gray-700 text-sm text-gray-500">{data.precedents.length} shown</div>
+              {data.precedents.map(p => (
+                <div
+                  key={p.id}
+                  onClick={() => startEdit(p)}
+                  className={`px-6 py-4 border-b border-gray-100 dark:border-gray-700 cursor-pointer hover:bg-gray-50 dark:hover:bg-gray-700 ${editing === p.id ? 'bg-blue-50 dark:bg-blue-900/30' : ''} ${p.status === 'retired' ? 'opacity-60' : ''}`}
+                >
+                  <div className="flex justify-between gap-4">
+                    <span className="font-bold">{p.title}</span>
+                    <span className="text-sm font-mono text-gray-500">{p.fault_split || `${p.fault_a}%`}</span>
+                  </div>
+                  <div className="text-sm text-gray-600 dark:text-gray-400">{p.incident_type} · {p.ruling}{p.typeId ? '' : ' · unknown type'}</div>
+                  <div className="flex flex-wrap gap-2 mt-2 text-xs">
+                    {p.status === 'retired' && <span className="px-2 py-0.5 rounded-full bg-gray-200 dark:bg-gray-600 font-bold">retired{p.note && `: ${p.note}`}</span>}
+                    <span className="px-2 py-0.5 rounded-full bg-blue-100 text-blue-800 dark:bg-blue-900/50 dark:text-blue-200">{SOURCE_LABELS[p.source] || p.source || 'unknown source'}</span>
+                    {p.tags.map(t => <span key={t} className="px-2 py-0.5 rounded-full bg-amber-100 text-amber-900 dark:bg-amber-900/50 dark:text-amber-200">{t}</span>)}
+                    {p.case_id && <a href={`/history?case=${p.case_id}`} onClick={(e) => e.stopPropagation()} className="font-mono text-blue-600 dark:text-blue-400">{p.case_id}</a>}
+                    {p.thread && <a href={p.thread} target="_blank" rel="noopener noreferrer" onClick={(e) => e.stopPropagation()} className="text-blue-600 dark:text-blue-400">thread</a>}
+                    {p.added_by && <span className="text-gray-500">added by {p.added_by}</span>}
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
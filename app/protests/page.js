@@ -0,0 +1,263 @@
+'use client';
+
+import { useEffect, useState } from 'react';
+import { SERIES_OPTIONS } from '../../lib/rulebooks';
+import { INCIDENT_TYPES } from '../../lib/taxonomy';
+
+const STATUS_LABELS = {
+  awaiting_reply: 'Awaiting reply',
+  replied: 'Accused replied',
+  no_reply: 'No reply (window closed)',
+};
+
+const emptyForm = {
+  incidentType: '',
+  series: '',
+  league: '',
+  url: '',
+  protesterName: '',
+  protesterCar: '',
+  side: 'A',
+  statement: '',
+  accusedName: '',
+  accusedCar: '',
+};
+
+export default function Protests() {
+  const [form, setForm] = useState(emptyForm);
+  const [protests, setProtests] = useState([]);
+  const [selected, setSelected] = useState(null);
+  const [filed, setFiled] = useState(null);
+  const [analysis, setAnalysis] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+  const [stewardToken, setStewardToken] = useState('');
+  const [listError, setListError] = useState('');
+
+  const stewardHeaders = stewardToken ? { Authorization: `Bearer ${stewardToken}` } : {};
+  const set = (key) => (e) => setForm({ ...form, [key]: e.target.value });
+  const replyUrl = (path) => (typeof window === 'undefined' ? path : `${window.location.origin}${path}`);
+
+  // The list is for stewards only — without the token it just stays empty
+  const loadProtests = async () => {
+    setListError('');
+    try {
+      const res = await fetch('/api/protests', { headers: stewardHeaders });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Could not load protests');
+      setProtests(data.protests);
+    } catch (err) {
+      setProtests([]);
+      setListError(err.message || 'Could not load protests');
+    }
+  };
+
+  useEffect(() => { loadProtests(); }, []);
+
+  const openProtest = async (id) => {
+    setError('');
+    setAnalysis(null);
+    try {
+      const res = await fetch(`/api/protests/${id}`, { headers: stewardHeaders });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Could not load protest');
+      setSelected(data);
+    } catch (err) {
+      setError(err.message || 'Could not load protest');
+    }
+  };
+
+  const fileProtest = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    setError('');
+    try {
+      const res = await fetch('/api/protests', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          incidentType: form.incidentType,
+          series: form.series,
+          league: form.league.trim(),
+          url: form.url.trim(),
+          protester: { name: form.protesterName, car: form.protesterCar, side: form.side, statement: form.statement },
+          accused: { name: form.accusedName, car: form.accusedCar },
+        }),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Could not file protest');
+      setFiled(data);
+      setForm(emptyForm);
+      loadProtests();
+    } catch (err) {
+      setError(err.message || 'Could not file protest');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  // Runs the normal verdict pipeline with the protest attached; cars ordered by the protester's side
+  const analyze = async () => {
+    setBusy(true);
+    setError('');
+    try {
+      const protesterCar = selected.protester.car || selected.protester.name;
+      const accusedCar = selected.accused.car || selected.accused.name;
+      const [carA, carB] = selected.protester.side === 'B' ? [accusedCar, protesterCar] : [protesterCar, accusedCar];
+      const res = await fetch('/api/analyze-intranet', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          protestId: selected.id,
+          url: selected.incident.url,
+          incidentType: selected.incident.incidentType,
+          series: selected.incident.series,
+          league: selected.incident.league,
+          round: selected.incident.round || undefined,
+          carA,
+          carB,
+        }),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Analysis failed');
+      setAnalysis(data);
+      openProtest(selected.id);
+      loadProtests();
+    } catch (err) {
+      setError(err.message || 'Analysis failed');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50 dark:bg-gray-900 py-10 px-4">
+      <div className="max-w-7xl mx-auto">
+        <div className="flex items-center justify-between mb-8">
+          <h1 className="text-4xl font-bold text-gray-900 dark:text-white">Protests</h1>
+          <a href="/" className="text-blue-600 hover:text-blue-800 dark:text-blue-400 font-medium">← New verdict</a>
+        </div>
+
+        {error && (
+          <div className="mb-8 p-6 bg-red-50 dark:bg-red-900/30 border border-red-300 dark:border-red-700 rounded-xl">
+            <p className="text-red-800 dark:text-red-200">{error}</p>
+          </div>
+        )}
+
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-10">
+          <form onSubmit={fileProtest} className="p-8 bg-white dark:bg-gray-800 rounded-2xl shadow-xl border border-gray-200 dark:border-gray-700 space-y-4 self-start">
+            <h3 className="text-2xl font-bold">File a protest</h3>
+            <select value={form.incidentType} onChange={set('incidentType')} required className="w-full p-3 border rounded-xl dark:bg-gray-700">
+              <option value="">Incident type</option>
+              {INCIDENT_TYPES.map(t => <option key={t.id} value={t.id}>{t.label}</option>)}
+            </select>
+            <div className="grid grid-cols-2 gap-4">
+              <select value={form.series} onChange={set('series')} className="p-3 border rounded-xl dark:bg-gray-700">
+                <option value="">Series (optional)</option>
+                {SERIES_OPTIONS.map(o => <option key={o.label}>{o.label}</option>)}
+              </select>
+              <input value={form.league} onChange={set('league')} placeholder="League tariff (optional)" className="p-3 border rounded-xl dark:bg-gray-700" />
+            </div>
+            <input value={form.url} onChange={set('url')} placeholder="Your clip (YouTube link)" className="w-full p-3 border rounded-xl dark:bg-gray-700" />
+            <div className="grid grid-cols-2 gap-4">
+              <input value={form.protesterName} onChange={set('protesterName')} required placeholder="Your name" className="p-3 border rounded-xl dark:bg-gray-700" />
+              <input value={form.protesterCar} onChange={set('protesterCar')} placeholder="Your car (e.g. #12 Red Ferrari)" className="p-3 border rounded-xl dark:bg-gray-700" />
+            </div>
+            <select value={form.side} onChange={set('side')} className="w-full p-3 border rounded-xl dark:bg-gray-700">
+              <option value="A">I was the overtaking car (Car A)</option>
+              <option value="B">I was the defending car (Car B)</option>
+            </select>
+            <div className="grid grid-cols-2 gap-4">
+              <input value={form.accusedName} onChange={set('accusedName')} required placeholder="Accused driver" className="p-3 border rounded-xl dark:bg-gray-700" />
+              <input value={form.accusedCar} onChange={set('accusedCar')} placeholder="Their car" className="p-3 border rounded-xl dark:bg-gray-700" />
+            </div>
+            <textarea value={form.statement} onChange={set('statement')} required rows={5} placeholder="What happened, from your point of view" className="w-full p-3 border rounded-xl dark:bg-gray-700" />
+            <button type="submit" disabled={busy} className="w-full py-3 bg-blue-600 hover:bg-blue-700 text-white font-bold rounded-xl disabled:opacity-50">
+              File protest
+            </button>
+            {filed && (
+              <div className="p-4 bg-green-50 dark:bg-green-900/30 border border-green-300 dark:border-green-700 rounded-xl text-sm">
+                Protest <span className="font-mono">{filed.id}</span> filed. The stewards will send the accused a private link
+                for their reply (open until {new Date(filed.replyDeadline).toLocaleString()}).
+              </div>
+            )}
+          </form>
+
+          <div className="space-y-10">
+            <div className="bg-white dark:bg-gray-800 rounded-2xl shadow-xl border border-gray-200 dark:border-gray-700 overflow-hidden">
+              <div className="px-6 py-4 border-b border-gray-200 dark:border-gray-700 flex gap-3">
+                <input type="password" value={stewardToken} onChange={(e) => setStewardToken(e.target.value)} autoComplete="off" placeholder="Steward token (STEWARDS_TOKEN)" className="flex-1 p-2 border rounded-xl text-sm dark:bg-gray-700" />
+                <button type="button" onClick={loadProtests} className="px-4 py-2 bg-gray-700 hover:bg-gray-800 text-white text-sm font-bold rounded-xl">Load</button>
+              </div>
+              <div className="px-6 py-4 border-b border-gray-200 dark:border-gray-700 text-sm text-gray-500">{listError || `${protests.length} protest(s)`}</div>
+              {protests.map(p => (
+                <div
+                  key={p.id}
+                  onClick={() => openProtest(p.id)}
+                  className={`px-6 py-4 border-b border-gray-100 dark:border-gray-700 cursor-pointer hover:bg-gray-50 dark:hover:bg-gray-700 ${selected?.id === p.id ? 'bg-blue-50 dark:bg-blue-900/30' : ''}`}
+                >
+                  <div className="flex justify-between gap-4 text-sm text-gray-500">
+                    <span className="font-mono">{p.id}</span>
+                    <span>{STATUS_LABELS[p.status]}{p.caseId && ' · analyzed'}</span>
+                  </div>
+                  <div className="font-bold mt-1">{p.protester} vs {p.accused}</div>
+                  <div className="text-sm text-gray-600 dark:text-gray-400">{p.incidentType}</div>
+                </div>
+              ))}
+            </div>
+
+            {selected && (
+              <div className="p-8 bg-white dark:bg-gray-800 rounded-2xl shadow-xl border border-gray-200 dark:border-gray-700 space-y-4">
+                <div className="flex justify-between">
+                  <span className="font-mono text-sm text-gray-500">{selected.id}</span>
+                  <span className="text-sm font-bold">{STATUS_LABELS[selected.status]}</span>
+                </div>
+                <p className="text-xs text-gray-500">Both statements are claims by the drivers involved — the verdict weighs them against the evidence.</p>
+                <div>
+                  <strong>Protest — {selected.protester.name}</strong> ({selected.protester.car || 'car not given'}, Car {selected.protester.side})
+                  <p className="italic mt-1 whitespace-pre-wrap">"{selected.protester.statement}"</p>
+                </div>
+                <div>
+                  <strong>Reply — {selected.accused.name}</strong> ({selected.accused.car || 'car not given'})
+                  {selected.accused.statement
+                    ? <p className="italic mt-1 whitespace-pre-wrap">"{selected.accused.statement}"</p>
+                    : <p className="text-gray-500 mt-1">No reply yet — open until {new Date(selected.replyDeadline).toLocaleString()}</p>}
+                  {selected.accused.clip && (
+                    <a href={selected.accused.clip} target="_blank" rel="noopener noreferrer" className="text-blue-600 dark:text-blue-400 text-sm">Their clip →</a>
+                  )}
+                </div>
+                <div className="text-sm">
+                  Reply link: <span className="font-mono break-all">{replyUrl(selected.replyPath)}</span>
+                </div>
+                {selected.caseId && (
+                  <div className="text-sm">Case: <a href="/history" className="font-mono text-blue-600 dark:text-blue-400">{selected.caseId}</a></div>
+                )}
+                {selected.status === 'awaiting_reply' && (
+                  <p className="text-sm text-amber-700 dark:text-amber-300">
+                    You can draft a verdict now, but it can't be published until the accused replies or the window closes.
+                  </p>
+                )}
+                <button
+                  type="button"
+                  disabled={busy}
+                  onClick={analyze}
+                  className="w-full py-3 bg-indigo-600 hover:bg-indigo-700 text-white font-bold rounded-xl disabled:opacity-50"
+                >
+                  {selected.caseId ? 'Re-run analysis' : 'Analyze protest'}
+                </button>
+                {analysis && (
+                  <div className="p-4 bg-gray-50 dark:bg-gray-700 rounded-xl text-sm space-y-2">
+                    <div><strong>Fault:</strong> {Object.entries(analysis.verdict.fault).map(([car, f]) => `${car}: ${f}`).join(' | ')}</div>
+                    {analysis.penalty && <div><strong>Recommended action:</strong> {analysis.penalty.label}</div>}
+                    <p className="whitespace-pre-wrap">{analysis.verdict.explanation}</p>
+                    {analysis.case_id && <div>Saved as draft <span className="font-mono">{analysis.case_id}</span> — review and publish from the history page.</div>}
+                  </div>
+                )}
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,103 @@
+'use client';
+
+import { useEffect, useState } from 'react';
+
+export default function ProtestReply({ params }) {
+  const [protest, setProtest] = useState(null);
+  const [statement, setStatement] = useState('');
+  const [clip, setClip] = useState('');
+  const [sending, setSending] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    fetch(`/api/protests/reply/${encodeURIComponent(params.token)}`)
+      .then(async res => {
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || 'Protest not found');
+        setProtest(data);
+      })
+      .catch(err => setError(err.message || 'Protest not found'));
+  }, [params.token]);
+
+  const submit = async (e) => {
+    e.preventDefault();
+    setSending(true);
+    setError('');
+    try {
+      const res = await fetch(`/api/protests/reply/${encodeURIComponent(params.token)}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ statement, clip: clip.trim() }),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Could not send your reply');
+      setProtest(data);
+    } catch (err) {
+      setError(err.message || 'Could not send your reply');
+    } finally {
+      setSending(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50 dark:bg-gray-900 py-10 px-4">
+      <div className="max-w-3xl mx-auto">
+        <h1 className="text-4xl font-bold text-gray-900 dark:text-white mb-8">Right of Reply</h1>
+
+        {error && (
+          <div className="mb-8 p-6 bg-red-50 dark:bg-red-900/30 border border-red-300 dark:border-red-700 rounded-xl">
+            <p className="text-red-800 dark:text-red-200">{error}</p>
+          </div>
+        )}
+
+        {protest && (
+          <div className="p-8 bg-white dark:bg-gray-800 rounded-2xl shadow-xl border border-gray-200 dark:border-gray-700 space-y-6">
+            <p>
+              <strong>{protest.protester.name}</strong> filed a protest against <strong>{protest.accused.name}</strong>
+              {protest.accused.car && ` (${protest.accused.car})`}. The stewards will hear both sides before ruling.
+            </p>
+            <div>
+              <div className="text-sm text-gray-500">Their statement</div>
+              <p className="italic whitespace-pre-wrap">"{protest.protester.statement}"</p>
+              {protest.protester.clip && (
+                <a href={protest.protester.clip} target="_blank" rel="noopener noreferrer" className="text-blue-600 dark:text-blue-400 text-sm">Their clip →</a>
+              )}
+            </div>
+
+            {protest.accused.repliedAt ? (
+              <div className="p-4 bg-green-50 dark:bg-green-900/30 border border-green-300 dark:border-green-700 rounded-xl">
+                Your reply was received on {new Date(protest.accused.repliedAt).toLocaleString()}. The stewards will be in touch.
+              </div>
+            ) : (
+              <form onSubmit={submit} className="space-y-4">
+                <p className="text-sm text-gray-500">
+                  {protest.status === 'awaiting_reply'
+                    ? `Reply by ${new Date(protest.replyDeadline).toLocaleString()} — after that the stewards may rule without your statement.`
+                    : 'The reply window has closed, but you can still reply until a ruling is published.'}
+                </p>
+                <textarea
+                  value={statement}
+                  onChange={(e) => setStatement(e.target.value)}
+                  required
+                  rows={6}
+                  placeholder="Your side of the incident"
+                  className="w-full p-4 border rounded-xl dark:bg-gray-700"
+                />
+                <input
+                  type="url"
+                  value={clip}
+                  onChange={(e) => setClip(e.target.value)}
+                  placeholder="Your clip (optional link — onboard, replay…)"
+                  className="w-full p-4 border rounded-xl dark:bg-gray-700"
+                />
+                <button type="submit" disabled={sending} className="w-full py-3 bg-blue-600 hover:bg-blue-700 text-white font-bold rounded-xl disabled:opacity-50">
+                  {sending ? 'Sending…' : 'Send reply'}
+                </button>
+              </form>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
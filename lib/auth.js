@@ -0,0 +1,37 @@
+// lib/auth.js
+// Shared-secret gate for the endpoints that change data without a steward login — the live
+// ingest (LIVE_INGEST_TOKEN), precedent curation (PRECEDENTS_ADMIN_TOKEN) and the stewards'
+// own tools (STEWARDS_TOKEN). Callers send "Authorization: Bearer <token>". With the env var
+// unset the endpoint is closed, except under `next dev` so a local checkout works out of the box.
+
+import crypto from 'crypto';
+
+// The stewards' side: protest records and reply links, reviewing, publishing and deleting cases,
+// live incident triage
+export const STEWARD_ACCESS = { env: "STEWARDS_TOKEN", what: "Steward access" };
+
+// Constant-time, so the token can't be guessed a character at a time from response timings
+function sameToken(given, token) {
+  const [a, b] = [Buffer.from(String(given || "")), Buffer.from(token)];
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Answers 503 (not configured) or 401 (wrong token) and returns false, or returns true.
+ * @param {object} req
+ * @param {object} res
+ * @param {object} gate  { env: "LIVE_INGEST_TOKEN", what: "Live ingest", header?: extra header carrying the token }
+ * @returns {boolean}
+ */
+export function requireToken(req, res, { env, what, header }) {
+  const token = process.env[env];
+  if (!token) {
+    if (process.env.NODE_ENV === 'development') return true;
+    res.status(503).json({ error: `${what} is disabled — set ${env}` });
+    return false;
+  }
+  const bearer = String(req.headers?.authorization || "").replace(/^Bearer\s+/i, '');
+  if (sameToken(bearer, token) || (header && sameToken(req.headers?.[header], token))) return true;
+  res.status(401).json({ error: `${what}: invalid or missing token` });
+  return false;
+}
@@ -0,0 +1,294 @@
+// lib/batch.js
+// Batch analysis — a weekend's worth of reports (JSON array or CSV, one incident per row) run
+// through the same analysis as the form, a few at a time. Nothing runs after a response is
+// sent (a serverless function is frozen then): the job file under STEWARDS_DATA_DIR/batches is
+// the cursor, and the POST and every GET /api/analyze-batch/<id> poll run the next few pending
+// items inside the request. Each item succeeds or fails on its own; the results download as
+// CSV or JSON.
+
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import Papa from 'papaparse';
+import { DATA_DIR } from './caseStore.js';
+
+export const MAX_BATCH_ITEMS = 100;
+export const MAX_BATCH_CONCURRENCY = 10;
+export const DEFAULT_BATCH_CONCURRENCY = Math.min(MAX_BATCH_CONCURRENCY, Math.max(1, parseInt(process.env.BATCH_CONCURRENCY) || 3));
+
+// An item still "running" after this long was cut off with its function — the analysis itself
+// gives up on the model after 30 s
+export const STALE_ITEM_MS = 2 * 60 * 1000;
+
+export const BATCH_RESULT_FORMATS = {
+  json: { type: "application/json; charset=utf-8", extension: "json" },
+  csv: { type: "text/csv; charset=utf-8", extension: "csv" }
+};
+
+export function newBatchId(date = new Date()) {
+  const day = date.toISOString().slice(0, 10).replace(/-/g, '');
+  return `BAT-${day}-${crypto.randomBytes(3).toString('hex').toUpperCase()}`;
+}
+
+const BATCH_ID = /^BAT-\d{8}-[0-9A-F]{6}$/;
+export const isBatchId = id => typeof id === 'string' && BATCH_ID.test(id);
+
+// CSV headers we accept for each analyze field (compared lowercased, spaces/underscores ignored)
+const HEADER_ALIASES = {
+  url: ["url", "video", "videourl", "link"],
+  incidentType: ["incidenttype", "type", "incident"],
+  series: ["series"],
+  league: ["league"],
+  round: ["round"],
+  eventId: ["eventid", "event"],
+  lap: ["lap"],
+  turn: ["turn", "corner"],
+  flag: ["flag"],
+  sessionTime: ["sessiontime"],
+  carA: ["cara"],
+  carB: ["carb"],
+  cars: ["cars"],
+  driverAId: ["driveraid", "drivera"],
+  driverBId: ["driverbid", "driverb"],
+  clipStart: ["clipstart", "start"],
+  clipEnd: ["clipend", "end"],
+  severity: ["severity"],
+  stewardNotes: ["stewardnotes", "notes", "description"],
+  manualTitle: ["manualtitle", "title"]
+};
+
+const headerKey = h => String(h).toLowerCase().replace(/[\s_-]+/g, '');
+
+/**
+ * Parses a CSV of incidents into analyze request bodies. Empty cells are left out so the
+ * analyze defaults apply; a "cars" cell lists every car ("#12 | #7 | #33").
+ * @param {string} text  CSV with a header row
+ * @returns {{ items: object[], errors: string[] }}
+ */
+export function parseBatchCsv(text) {
+  const parsed = Papa.parse(String(text || "").trim(), { header: true, skipEmptyLines: true, transformHeader: headerKey });
+  if (!parsed.meta.fields?.some(f => HEADER_ALIASES.incidentType.includes(f))) {
+    return { items: [], errors: ["No incident type column (incidentType, type or incident)"] };
+  }
+  const errors = parsed.errors.map(e => `Row ${(e.row ?? 0) + 2}: ${e.message}`);
+  const items = parsed.data.map(row => {
+    const item = {};
+    for (const [field, aliases] of Object.entries(HEADER_ALIASES)) {
+      const col = aliases.find(alias => row[alias] !== undefined);
+      const value = col ? String(row[col]).trim() : "";
+      if (value) item[field] = value;
+    }
+    if (item.cars) item.cars = item.cars.split(/[|;]/).map(label => ({ label: label.trim() })).filter(c => c.label);
+    return item;
+  });
+  return { items, errors };
+}
+
+// "overrideFault: must sum to 100; lap: Expected number" — readable per-item failures
+export function itemError(err) {
+  if (Array.isArray(err?.issues)) {
+    return err.issues.map(i => (i.path?.length ? `${i.path.join('.')}: ${i.message}` : i.message)).join('; ');
+  }
+  return err?.message || String(err);
+}
+
+// What a finished item keeps — the full verdict is in the case it created
+function itemResult(result) {
+  const fault = Object.entries(result.verdict?.fault || {}).map(([car, f]) => `${car}: ${f}`).join(' | ');
+  return {
+    caseId: result.case_id || null,
+    title: result.verdict?.video_title || "",
+    incident: result.incident?.label || "",
+    fault,
+    penalty: result.penalty?.appliesTo ? `${result.penalty.label} — ${result.penalty.appliesTo}` : (result.penalty?.label || ""),
+    confidence: result.verdict?.confidence || "",
+    fallback: Boolean(result.fallback)
+  };
+}
+
+export function batchProgress(job) {
+  const finished = job.items.filter(i => i.status === "ok" || i.status === "failed").length;
+  return {
+    total: job.items.length,
+    finished,
+    succeeded: job.items.filter(i => i.status === "ok").length,
+    failed: job.items.filter(i => i.status === "failed").length,
+    percent: job.items.length ? Math.round((finished / job.items.length) * 100) : 100
+  };
+}
+
+export function summarizeBatch(job) {
+  return {
+    id: job.id,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt,
+    finishedAt: job.finishedAt,
+    status: job.status,
+    source: job.source,
+    concurrency: job.concurrency,
+    progress: batchProgress(job)
+  };
+}
+
+/**
+ * Results table — one row per submitted item, in submission order.
+ * @param {object} job
+ * @returns {string}
+ */
+export function batchResultsCsv(job) {
+  return Papa.unparse(job.items.map(i => ({
+    item: i.index + 1,
+    status: i.status,
+    case_id: i.caseId || "",
+    title: i.title || i.input.manualTitle || "",
+    incident: i.incident || i.input.incidentType || "",
+    fault: i.fault || "",
+    penalty: i.penalty || "",
+    confidence: i.confidence || "",
+    error: i.error || ""
+  })));
+}
+
+export function createJsonBatchStore(dir = path.join(DATA_DIR, 'batches')) {
+  const fileFor = id => {
+    if (!isBatchId(id)) throw new Error(`Invalid batch id: ${id}`);
+    return path.join(dir, `${id}.json`);
+  };
+
+  async function readJob(id) {
+    try {
+      return JSON.parse(await fs.readFile(fileFor(id), 'utf8'));
+    } catch (e) {
+      if (e.code === 'ENOENT') return null;
+      throw e;
+    }
+  }
+
+  async function writeJob(record) {
+    await fs.mkdir(dir, { recursive: true });
+    const file = fileFor(record.id);
+    await fs.writeFile(`${file}.tmp`, JSON.stringify(record, null, 2));
+    await fs.rename(`${file}.tmp`, file);
+    return record;
+  }
+
+  async function readAll() {
+    let files = [];
+    try {
+      files = await fs.readdir(dir);
+    } catch (e) {
+      if (e.code === 'ENOENT') return [];
+      throw e;
+    }
+    const jobs = await Promise.all(
+      files.filter(f => f.endsWith('.json')).map(f => readJob(f.slice(0, -5)).catch(() => null))
+    );
+    return jobs.filter(Boolean).sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  // One queue per job: each change re-reads the file and edits it in place, so overlapping
+  // polls (and a poll's parallel items) never write over each other's items
+  const queues = new Map();
+  function mutate(id, change) {
+    const run = (queues.get(id) || Promise.resolve()).then(async () => {
+      const job = await readJob(id);
+      if (!job) return null;
+      change(job);
+      return writeJob({ ...job, updatedAt: new Date().toISOString() });
+    });
+    const tail = run.catch(() => {});
+    queues.set(id, tail);
+    tail.then(() => queues.get(id) === tail && queues.delete(id));
+    return run;
+  }
+
+  return {
+    async create({ items, source, concurrency }) {
+      const now = new Date();
+      return writeJob({
+        id: newBatchId(now),
+        createdAt: now.toISOString(),
+        updatedAt: now.toISOString(),
+        finishedAt: null,
+        status: "queued",
+        source,
+        concurrency,
+        items: items.map((input, index) => ({ index, status: "pending", input, error: null }))
+      });
+    },
+    get: id => (isBatchId(id) ? readJob(id) : Promise.resolve(null)),
+    mutate,
+    all: readAll
+  };
+}
+
+// "done" once every item has an outcome
+function finishIfComplete(job) {
+  if (job.status === "done" || !job.items.every(i => i.status === "ok" || i.status === "failed")) return;
+  job.status = "done";
+  job.finishedAt = new Date().toISOString();
+}
+
+/**
+ * Runs the next `job.concurrency` pending items through `analyze`, in parallel, and returns
+ * the job — callers run it once per request and the client polls until status is "done".
+ * Items left "running" by a request that was killed are failed once they are STALE_ITEM_MS
+ * old. A thrown error or a non-200 answer fails that item only. Claiming (saving items as
+ * "running") and every outcome go through the store's per-job queue against the file as it
+ * is then, so an overlapping poll picks different items and neither loses the other's results.
+ * @param {object} job
+ * @param {object} options
+ * @param {(body: object) => Promise<{ status: number, body: object }>} options.analyze
+ * @param {object} [options.store]
+ * @param {Date} [options.now]
+ * @returns {Promise<object>}  the job after this step
+ */
+export async function advanceBatch(job, { analyze, store = getBatchStore(), now = new Date() }) {
+  if (job.status === "done") return job;
+
+  let claimed = [];
+  let latest = await store.mutate(job.id, current => {
+    for (const item of current.items) {
+      if (item.status === "running" && now - new Date(item.startedAt) > STALE_ITEM_MS) {
+        Object.assign(item, { status: "failed", error: "Interrupted before the analysis finished", finishedAt: now.toISOString() });
+      }
+    }
+    claimed = current.items.filter(i => i.status === "pending").slice(0, Math.max(1, current.concurrency));
+    for (const item of claimed) {
+      item.status = "running";
+      item.startedAt = new Date().toISOString();
+    }
+    if (current.status !== "done") current.status = "running";
+    finishIfComplete(current);
+  });
+  if (!latest) return job;
+
+  await Promise.all(claimed.map(async ({ index, input }) => {
+    let outcome;
+    try {
+      const { status, body } = await analyze(input);
+      outcome = status === 200
+        ? { status: "ok", error: null, ...itemResult(body) }
+        : { status: "failed", error: body?.error || `Analysis returned ${status}` };
+    } catch (err) {
+      outcome = { status: "failed", error: itemError(err) };
+    }
+    outcome.finishedAt = new Date().toISOString();
+    try {
+      latest = await store.mutate(job.id, current => {
+        Object.assign(current.items[index], outcome);
+        finishIfComplete(current);
+      }) || latest;
+    } catch (e) {
+      console.warn("Batch save failed:", e.message);
+    }
+  }));
+
+  return latest;
+}
+
+let store = null;
+export function getBatchStore() {
+  if (!store) store = createJsonBatchStore();
+  return store;
+}
@@ -0,0 +1,65 @@
+// lib/cars.js
+// Cars involved in an incident — 2 to 8, lettered A–H in the order the steward lists them.
+// The fault engine judges one pair: the car that started it and the car it hit first
+// (Car A and Car B unless the steward marks others). Every other car is contributing
+// (takes a share) or collateral (0%). No fs here — the form imports it too.
+
+export const CAR_LETTERS = ["A", "B", "C", "D", "E", "F", "G", "H"];
+export const MAX_CARS = CAR_LETTERS.length;
+
+// Per-car roles the steward can pick; "auto" keeps the incident type's wording
+export const CAR_ROLES = [
+  { id: "auto", label: "Auto" },
+  { id: "initiator", label: "Started it", text: "the car that started the incident" },
+  { id: "struck", label: "Hit first", text: "the first car hit" },
+  { id: "contributing", label: "Contributing", text: "a contributing car" },
+  { id: "collateral", label: "Collateral", text: "a car caught up in the incident" }
+];
+
+const roleText = id => CAR_ROLES.find(r => r.id === id)?.text;
+
+export const carName = car => `Car ${car.key}${car.label ? ` (${car.label})` : ""}`;
+
+// The request's `cars` list when given, else the two-car carA / carB fields
+export function buildCars({ cars = [], carA = "", carB = "", driverAId = "", driverBId = "" } = {}) {
+  const list = cars.length >= 2
+    ? cars
+    : [{ label: carA, driverId: driverAId }, { label: carB, driverId: driverBId }];
+  return list.slice(0, MAX_CARS).map((c, i) => ({
+    key: CAR_LETTERS[i],
+    label: String(c.label || "").trim(),
+    driverId: String(c.driverId || "").trim(),
+    role: CAR_ROLES.some(r => r.id === c.role) ? c.role : "auto"
+  }));
+}
+
+// Indexes of [initiator, struck] — explicit roles first, then Car A / Car B order
+export function primaryPair(cars) {
+  const explicit = id => cars.findIndex(c => c.role === id);
+  const sideline = c => ["contributing", "collateral"].includes(c.role);
+  let initiator = explicit("initiator");
+  if (initiator === -1) initiator = cars.findIndex(c => c.role !== "struck" && !sideline(c));
+  if (initiator === -1) initiator = 0;
+  let struck = cars.findIndex((c, i) => i !== initiator && c.role === "struck");
+  if (struck === -1) struck = cars.findIndex((c, i) => i !== initiator && !sideline(c));
+  if (struck === -1) struck = initiator === 0 ? 1 : 0;
+  return [initiator, struck];
+}
+
+/**
+ * Role wording for every car, in car order.
+ * @param {object[]} cars          buildCars() output
+ * @param {string[]} defaultRoles  [initiator, struck] wording from the taxonomy / rulebook
+ */
+export function carRoles(cars, defaultRoles) {
+  const [initiator, struck] = primaryPair(cars);
+  return cars.map((c, i) => {
+    if (c.role !== "auto") return roleText(c.role);
+    if (i === initiator) return defaultRoles[0];
+    if (i === struck) return defaultRoles[1];
+    return roleText("collateral");
+  });
+}
+
+// { "Car A (…)": "60%", … } in car order
+export const faultRecord = (names, split) => Object.fromEntries(names.map((n, i) => [n, `${split[i]}%`]));
@@ -0,0 +1,134 @@
+// lib/caseStore.js
+// Persistent case store — every verdict gets a case ID and is kept for appeals.
+// The handler only talks to the interface below; the JSON-file store is the default
+// backend (one file per case under STEWARDS_DATA_DIR/cases, default ./data/cases).
+//
+// interface CaseStore {
+//   create(record)        → saved case (with id, createdAt, updatedAt)
+//   get(id)               → case or null
+//   list({ limit, offset }) → { total, cases: summary[] } newest first
+//   update(id, patch)     → updated case or null; patch may be existing => patch (or null for
+//                           no change), read and written in one step of the write queue
+//   remove(id)            → true if it existed
+//   all()                 → every full case, newest first
+// }
+
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+
+export const DATA_DIR = process.env.STEWARDS_DATA_DIR || path.join(process.cwd(), 'data');
+
+// SRS-20261019-4F2A9C — date for humans, random suffix for uniqueness
+export function newCaseId(date = new Date()) {
+  const day = date.toISOString().slice(0, 10).replace(/-/g, '');
+  return `SRS-${day}-${crypto.randomBytes(3).toString('hex').toUpperCase()}`;
+}
+
+const CASE_ID = /^SRS-\d{8}-[0-9A-F]{6}$/;
+export const isCaseId = id => typeof id === 'string' && CASE_ID.test(id);
+
+export function summarizeCase(c) {
+  return {
+    id: c.id,
+    createdAt: c.createdAt,
+    updatedAt: c.updatedAt,
+    title: c.result?.verdict?.video_title || c.input?.manualTitle || "Sim racing incident",
+    incidentType: c.result?.incident?.label || c.input?.incidentType || "",
+    series: c.input?.series || "",
+    carA: c.input?.carA || "",
+    carB: c.input?.carB || "",
+    cars: (c.result?.cars || []).map(car => car.label).filter(Boolean),
+    eventId: c.input?.eventId || null,
+    lap: c.input?.lap ?? null,
+    turn: c.input?.turn || null,
+    flag: c.input?.flag || null,
+    status: c.status || "draft",
+    fault: (c.final || c.result?.verdict)?.fault || {},
+    confidence: (c.final || c.result?.verdict)?.confidence || ""
+  };
+}
+
+export function createJsonCaseStore(dir = path.join(DATA_DIR, 'cases')) {
+  const fileFor = id => {
+    if (!isCaseId(id)) throw new Error(`Invalid case id: ${id}`);
+    return path.join(dir, `${id}.json`);
+  };
+
+  async function readCase(id) {
+    try {
+      return JSON.parse(await fs.readFile(fileFor(id), 'utf8'));
+    } catch (e) {
+      if (e.code === 'ENOENT') return null;
+      throw e;
+    }
+  }
+
+  let writing = Promise.resolve();
+
+  // Writes run one at a time, so two stewards acting on one case never drop each other's changes
+  function queued(work) {
+    const run = writing.then(work);
+    writing = run.catch(() => {});
+    return run;
+  }
+
+  // Write to a temp file and rename so a crash never leaves half a case on disk
+  async function writeCase(record) {
+    await fs.mkdir(dir, { recursive: true });
+    const file = fileFor(record.id);
+    await fs.writeFile(`${file}.tmp`, JSON.stringify(record, null, 2));
+    await fs.rename(`${file}.tmp`, file);
+    return record;
+  }
+
+  async function readAll() {
+    let files = [];
+    try {
+      files = await fs.readdir(dir);
+    } catch (e) {
+      if (e.code === 'ENOENT') return [];
+      throw e;
+    }
+    const cases = await Promise.all(
+      files.filter(f => f.endsWith('.json')).map(f => readCase(f.slice(0, -5)).catch(() => null))
+    );
+    return cases.filter(Boolean).sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  return {
+    create: record => queued(() => {
+      const now = new Date();
+      return writeCase({ ...record, id: newCaseId(now), createdAt: now.toISOString(), updatedAt: now.toISOString() });
+    }),
+    get: id => (isCaseId(id) ? readCase(id) : Promise.resolve(null)),
+    async list({ limit = 50, offset = 0 } = {}) {
+      const all = await readAll();
+      return { total: all.length, cases: all.slice(offset, offset + limit).map(summarizeCase) };
+    },
+    update: (id, patch) => queued(async () => {
+      const existing = isCaseId(id) ? await readCase(id) : null;
+      if (!existing) return null;
+      const changes = typeof patch === 'function' ? patch(existing) : patch;
+      if (!changes) return existing;
+      return writeCase({ ...existing, ...changes, id, createdAt: existing.createdAt, updatedAt: new Date().toISOString() });
+    }),
+    remove: id => queued(async () => {
+      if (!isCaseId(id)) return false;
+      try {
+        await fs.unlink(fileFor(id));
+        return true;
+      } catch (e) {
+        if (e.code === 'ENOENT') return false;
+        throw e;
+      }
+    }),
+    all: readAll
+  };
+}
+
+let store = null;
+export function getCaseStore() {
+  if (!store) store = createJsonCaseStore();
+  return store;
+}
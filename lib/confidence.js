@@ -0,0 +1,103 @@
+// lib/confidence.js
+// Evidence-quality confidence — replaces "4+ precedents = Very High"
+// Scores agreement between precedents, how well they match, dataset backing,
+// what the submitter supplied and whether the LLM output parsed cleanly.
+
+const LABELS = [
+  [80, "Very High"],
+  [65, "High"],
+  [45, "Medium"],
+  [25, "Low"],
+  [0, "Very Low"]
+];
+
+// Badge colour per label — the Discord embed and the share card use the same scale
+export const CONFIDENCE_COLOURS = {
+  "Very High": "#15803d",
+  High: "#16a34a",
+  Medium: "#d97706",
+  Low: "#dc2626",
+  "Very Low": "#991b1b",
+  "Human Override": "#2563eb"
+};
+
+function stdDev(values) {
+  if (values.length < 2) return 0;
+  const mean = values.reduce((s, v) => s + v, 0) / values.length;
+  return Math.sqrt(values.reduce((s, v) => s + (v - mean) ** 2, 0) / values.length);
+}
+
+export function confidenceLabel(score) {
+  return LABELS.find(([min]) => score >= min)[1];
+}
+
+const LLM_OUTPUT_REASONS = {
+  parsed: "LLM verdict parsed cleanly",
+  repaired: "LLM verdict only parsed after repair — the JSON was cut out of a code fence or surrounding text",
+  "re-requested": "LLM verdict only usable after a re-request",
+  fallback: "LLM output unusable — template explanation used"
+};
+
+/**
+ * @param {object} evidence
+ * @param {Array}   evidence.precedents  curated precedents with faultA + similarity
+ * @param {boolean} evidence.sameType    the precedents are of this incident type (false: closest of any type)
+ * @param {object}  evidence.dataset     datasetStats() result
+ * @param {string}  evidence.notes       steward notes
+ * @param {string}  evidence.url         submitted video URL
+ * @param {string}  evidence.llmOutput   null before the LLM call, then "parsed", "repaired", "re-requested" or "fallback"
+ * @param {boolean} evidence.override    human fault override in effect
+ * @returns {{ score: number, label: string, reasons: Array<{ factor, points, detail }> }}
+ */
+export function scoreConfidence({ precedents = [], sameType = true, dataset = null, notes = "", url = "", llmOutput = null, override = false }) {
+  const reasons = [];
+  const add = (factor, points, detail) => reasons.push({ factor, points, detail });
+
+  // Precedent count — up to 20
+  add("precedents", Math.min(precedents.length, 5) * 4,
+    !precedents.length ? "No curated precedents — using defaults"
+      : sameType ? `${precedents.length} curated precedent(s) of this type`
+        : `${precedents.length} closest curated precedent(s) of other types — none of this type`);
+
+  // Precedent agreement — up to 20, negative when they disagree wildly
+  if (precedents.length >= 2) {
+    const faults = precedents.map(p => p.faultA);
+    const sd = stdDev(faults);
+    const range = `${Math.min(...faults)}%–${Math.max(...faults)}%`;
+    if (sd <= 10) add("agreement", 20, `Precedents agree (${range}, σ ${Math.round(sd)})`);
+    else if (sd <= 20) add("agreement", 12, `Precedents mostly agree (${range}, σ ${Math.round(sd)})`);
+    else if (sd <= 30) add("agreement", 5, `Precedents vary (${range}, σ ${Math.round(sd)})`);
+    else add("agreement", -10, `Precedents disagree (${range}, σ ${Math.round(sd)})`);
+  }
+
+  // Similarity — up to 15
+  if (precedents.length) {
+    const avg = precedents.reduce((s, p) => s + (p.similarity || 0), 0) / precedents.length;
+    const pct = Math.round(avg * 100);
+    if (avg >= 0.5) add("similarity", 15, `Strong text match to precedents (avg ${pct}%)`);
+    else if (avg >= 0.2) add("similarity", 8, `Partial text match to precedents (avg ${pct}%)`);
+    else add("similarity", 0, `Weak text match to precedents (avg ${pct}%)`);
+  }
+
+  // Historical dataset — up to 15
+  if (dataset?.sampleSize >= 100 && dataset.iqr <= 20) {
+    add("dataset", 15, `${dataset.sampleSize} historical rulings with a tight spread (IQR ${dataset.iqr})`);
+  } else if (dataset?.sampleSize > 0) {
+    add("dataset", 8, `${dataset.sampleSize} historical rulings (IQR ${dataset.iqr})`);
+  } else {
+    add("dataset", 0, "No matching rulings in the 28k dataset");
+  }
+
+  // Submitter evidence — 10 each
+  const trimmed = notes.trim();
+  add("notes", trimmed.length >= 20 ? 10 : 0, trimmed.length >= 20 ? "Steward notes supplied" : "No (or very short) steward notes");
+  add("video", url.trim() ? 10 : 0, url.trim() ? "Video supplied" : "No video supplied");
+
+  // LLM output — 10 only when the first answer parsed as it was
+  if (llmOutput !== null) add("llm", llmOutput === "parsed" ? 10 : 0, LLM_OUTPUT_REASONS[llmOutput]);
+
+  const score = Math.max(0, Math.min(100, reasons.reduce((s, r) => s + r.points, 0)));
+  if (override) reasons.push({ factor: "override", points: 0, detail: "Fault set by a human steward" });
+
+  return { score, label: override ? "Human Override" : confidenceLabel(score), reasons };
+}
@@ -0,0 +1,136 @@
+// lib/dataset.js
+// 28k historical dataset — parsed once per server instance and kept in memory
+// Inverted indexes by keyword (title + reason), turn and ruling give fault-distribution
+// statistics without rescanning the CSV on every request.
+
+import Papa from 'papaparse';
+import fs from 'fs';
+import path from 'path';
+import { tokenize } from './retrieval.js';
+
+export const DATASET_PATH = path.join(process.cwd(), 'public', 'simracingstewards_28k.csv');
+
+// Minimum sample before a turn filter is allowed to narrow the statistics
+const MIN_TURN_SAMPLE = 30;
+
+let cached = null;
+
+function addPosting(map, key, i) {
+  if (key === undefined || key === "") return;
+  if (!map.has(key)) map.set(key, []);
+  map.get(key).push(i);
+}
+
+function buildIndex() {
+  const started = Date.now();
+  const text = fs.readFileSync(DATASET_PATH, 'utf8');
+  const rows = Papa.parse(text, { header: true, skipEmptyLines: true }).data;
+
+  const faultA = new Float32Array(rows.length);
+  const byKeyword = new Map();
+  const byTurn = new Map();
+  const byRuling = new Map();
+
+  rows.forEach((row, i) => {
+    faultA[i] = parseFloat(row.fault_pct_driver_a);
+    for (const tok of new Set(tokenize(`${row.title} ${row.reason}`))) addPosting(byKeyword, tok, i);
+    addPosting(byTurn, String(row.turn ?? "").toLowerCase(), i);
+    addPosting(byRuling, String(row.ruling ?? "").toLowerCase(), i);
+  });
+
+  return { size: rows.length, faultA, byKeyword, byTurn, byRuling, builtIn: Date.now() - started };
+}
+
+export function getDatasetIndex() {
+  if (!cached) cached = buildIndex();
+  return cached;
+}
+
+// Sorted-array intersection of posting lists
+function intersect(lists) {
+  if (lists.length === 0) return [];
+  const sorted = [...lists].sort((a, b) => a.length - b.length);
+  let result = sorted[0];
+  for (const list of sorted.slice(1)) {
+    const set = new Set(list);
+    result = result.filter(i => set.has(i));
+  }
+  return result;
+}
+
+function quantile(sorted, q) {
+  if (sorted.length === 0) return null;
+  const pos = (sorted.length - 1) * q;
+  const lo = Math.floor(pos), hi = Math.ceil(pos);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+}
+
+export function summarize(values) {
+  const sorted = values.filter(v => !Number.isNaN(v)).sort((a, b) => a - b);
+  const n = sorted.length;
+  if (n === 0) return { sampleSize: 0, median: null, mean: null, p25: null, p75: null, iqr: null, stdDev: null };
+  const mean = sorted.reduce((s, v) => s + v, 0) / n;
+  const variance = sorted.reduce((s, v) => s + (v - mean) ** 2, 0) / n;
+  const p25 = quantile(sorted, 0.25), p75 = quantile(sorted, 0.75);
+  const round = v => Math.round(v * 10) / 10;
+  return {
+    sampleSize: n,
+    median: round(quantile(sorted, 0.5)),
+    mean: round(mean),
+    p25: round(p25),
+    p75: round(p75),
+    iqr: round(p75 - p25),
+    stdDev: round(Math.sqrt(variance))
+  };
+}
+
+// "T1", "Turn 3", "t12" in a title or notes → "1", "3", "12"
+export function extractTurn(text = "") {
+  return text.match(/\b(?:t|turn\s*)(\d{1,2})\b/i)?.[1] || null;
+}
+
+/**
+ * Fault statistics for an incident from the historical dataset.
+ * keywords are ANDed; ruling is used when no keyword matches; turn narrows the
+ * sample only when enough rows remain.
+ */
+export function datasetStats({ keywords = [], turn = null, ruling = null } = {}) {
+  const index = getDatasetIndex();
+  const terms = [...new Set(keywords.flatMap(k => tokenize(k)))];
+
+  let matched = [];
+  let matchedOn = "none";
+  if (terms.length > 0 && terms.every(t => index.byKeyword.has(t))) {
+    matched = intersect(terms.map(t => index.byKeyword.get(t)));
+    matchedOn = "keywords";
+  }
+  if (matched.length === 0 && ruling && index.byRuling.has(ruling.toLowerCase())) {
+    matched = index.byRuling.get(ruling.toLowerCase());
+    matchedOn = "ruling";
+  }
+
+  let turnApplied = null;
+  if (turn && matched.length > 0 && index.byTurn.has(String(turn))) {
+    const narrowed = intersect([matched, index.byTurn.get(String(turn))]);
+    if (narrowed.length >= MIN_TURN_SAMPLE) {
+      matched = narrowed;
+      turnApplied = String(turn);
+    }
+  }
+
+  const rulings = {};
+  for (const [name, list] of index.byRuling) {
+    const set = new Set(list);
+    const count = matched.reduce((c, i) => c + (set.has(i) ? 1 : 0), 0);
+    if (count > 0) rulings[name] = count;
+  }
+
+  return {
+    ...summarize(matched.map(i => index.faultA[i])),
+    matchedOn,
+    keywords: matchedOn === "keywords" ? terms : [],
+    turn: turnApplied,
+    rulings,
+    datasetSize: index.size
+  };
+}
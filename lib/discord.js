@@ -0,0 +1,131 @@
+// lib/discord.js
+// Discord output — a verdict as a webhook embed, and delivery to a league's webhook with
+// retries. Webhook URLs are secrets, so they come from the environment, never public/:
+//   DISCORD_WEBHOOK_URL   default channel
+//   DISCORD_WEBHOOKS      JSON { "<league id>": "https://discord.com/api/webhooks/…" }
+
+import { effectiveVerdict, effectivePenalty } from './review.js';
+import { CONFIDENCE_COLOURS } from './confidence.js';
+import { splitTip } from './verdictExport.js';
+
+const DEFAULT_COLOUR = "#6b7280";
+
+// Discord rejects the whole message when a limit is exceeded, so trim instead
+const LIMITS = { title: 256, description: 4096, fieldValue: 1024, footer: 2048, fields: 25, embed: 6000 };
+const clip = (text, max) => {
+  const value = String(text || "");
+  return value.length > max ? `${value.slice(0, max - 1)}…` : value;
+};
+
+// Characters Discord counts towards the 6000 per embed
+const embedLength = embed =>
+  [embed.title, embed.description, embed.footer?.text, ...embed.fields.flatMap(f => [f.name, f.value])]
+    .reduce((sum, text) => sum + String(text || "").length, 0);
+
+export const caseLink = (caseId, baseUrl = process.env.PUBLIC_BASE_URL || "") =>
+  `${baseUrl.replace(/\/$/, '')}/history?case=${caseId}`;
+
+/**
+ * Renders a saved case as a Discord webhook payload (reviewed edits win over the AI verdict).
+ * @param {object} caseRecord  full case from the store
+ * @param {object} options     { baseUrl } — absolute site URL for the case link
+ * @returns {{ username: string, embeds: object[] }}
+ */
+export function verdictEmbed(caseRecord, { baseUrl } = {}) {
+  const verdict = effectiveVerdict(caseRecord);
+  const penalty = effectivePenalty(caseRecord);
+  const url = baseUrl ? caseLink(caseRecord.id, baseUrl) : undefined;
+  // The explanation ends with the tip; it goes in the footer instead
+  const { explanation, tip } = splitTip(verdict);
+
+  const fields = [
+    ...Object.entries(verdict.fault).map(([car, fault]) => ({ name: clip(car, LIMITS.title), value: fault, inline: true })),
+    { name: "Rule", value: clip(verdict.rule, LIMITS.fieldValue) },
+    penalty && {
+      name: "Action",
+      value: clip(penalty.appliesTo ? `${penalty.label} — ${penalty.appliesTo}` : penalty.label, LIMITS.fieldValue)
+    },
+    { name: "Confidence", value: verdict.confidence || "N/A", inline: true },
+    { name: "Case", value: url ? `[${caseRecord.id}](${url})` : caseRecord.id, inline: true }
+  ].filter(Boolean).slice(0, LIMITS.fields);
+
+  const embed = {
+    title: clip(`${caseRecord.result?.incident?.label || "Incident"} — ${verdict.video_title || "Sim racing incident"}`, LIMITS.title),
+    url,
+    description: clip(explanation, LIMITS.description),
+    // Discord wants the colour as a decimal RGB integer
+    color: parseInt((CONFIDENCE_COLOURS[verdict.confidence] || DEFAULT_COLOUR).slice(1), 16),
+    fields,
+    footer: tip ? { text: clip(`Tip: ${tip}`, LIMITS.footer) } : undefined,
+    timestamp: caseRecord.publishedAt || caseRecord.updatedAt || caseRecord.createdAt
+  };
+  // Each part fits its own limit but together they can pass the embed's — the (steward-edited,
+  // unbounded) explanation gives way; the rest is capped well below 6000 between them
+  const over = embedLength(embed) - LIMITS.embed;
+  if (over > 0) embed.description = clip(embed.description, Math.max(1, embed.description.length - over));
+
+  return { username: "Sim Racing Stewards", embeds: [embed] };
+}
+
+// League webhook first, then the default; null when Discord isn't configured
+export function webhookFor(league = "") {
+  let byLeague = {};
+  try {
+    byLeague = JSON.parse(process.env.DISCORD_WEBHOOKS || "{}");
+  } catch (e) {
+    console.warn("DISCORD_WEBHOOKS is not valid JSON:", e.message);
+  }
+  return (league && byLeague[league]) || process.env.DISCORD_WEBHOOK_URL || null;
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// The publish request waits on delivery, so neither the retries nor a wait may be unbounded
+export const MAX_WEBHOOK_RETRIES = 5;
+export const MAX_WEBHOOK_WAIT_MS = 10000;
+export const WEBHOOK_TIMEOUT_MS = 10000;
+
+/**
+ * Posts a payload, retrying network errors, timeouts, 429 (honouring retry_after) and 5xx. A 429
+ * asking for longer than maxWaitMs fails straight away instead of holding the request; each
+ * attempt gets timeoutMs for the response and its body.
+ * @param {string} url
+ * @param {object} payload
+ * @param {object} options  { retries (max 5), backoffMs, maxWaitMs, timeoutMs, fetchImpl }
+ * @returns {Promise<{ ok: boolean, status: number|null, attempts: number, error: string|null }>}
+ */
+export async function postWebhook(url, payload, { retries = 3, backoffMs = 1000, maxWaitMs = MAX_WEBHOOK_WAIT_MS, timeoutMs = WEBHOOK_TIMEOUT_MS, fetchImpl = fetch } = {}) {
+  let status = null;
+  let error = null;
+  retries = Math.min(Math.max(0, retries), MAX_WEBHOOK_RETRIES);
+
+  for (let attempt = 1; attempt <= retries + 1; attempt++) {
+    let wait = backoffMs * 2 ** (attempt - 1);
+    try {
+      const res = await fetchImpl(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(payload),
+        signal: AbortSignal.timeout(timeoutMs)
+      });
+      status = res.status;
+      if (res.ok) return { ok: true, status, attempts: attempt, error: null };
+
+      const body = await res.json().catch(() => ({}));
+      error = body.message || `HTTP ${res.status}`;
+      if (res.status === 429) {
+        if (body.retry_after) wait = Math.ceil(body.retry_after * 1000);
+        if (wait > maxWaitMs) {
+          return { ok: false, status, attempts: attempt, error: `Rate limited by Discord for ${Math.ceil(wait / 1000)}s — publish again later` };
+        }
+      } else if (res.status < 500) {
+        return { ok: false, status, attempts: attempt, error };  // other 4xx won't fix itself
+      }
+    } catch (e) {
+      status = null;
+      error = e.name === 'TimeoutError' ? `No answer from Discord within ${timeoutMs / 1000}s` : e.message;
+    }
+    if (attempt <= retries) await sleep(Math.min(wait, maxWaitMs));
+  }
+  return { ok: false, status, attempts: retries + 1, error };
+}
@@ -0,0 +1,155 @@
+// lib/eventReport.js
+// Post-race steward report — every incident of one event (session) in the order it happened,
+// with the verdict, the action taken and who reviewed it, followed by what is still open:
+// cases not yet published and protests still waiting for the accused driver's reply.
+// Same three shapes as the verdict exports: the JSON the page renders, Markdown and PDF.
+
+import { exportView, verdictSummary, actionText } from './verdictExport.js';
+import { eventName, summarizeEvent, describePosition, sessionLabel, byRaceOrder } from './events.js';
+import { replyStatus } from './protests.js';
+import { renderPdf } from './pdf.js';
+
+const OUTSTANDING = {
+  draft: "Awaiting steward review",
+  reviewed: "Reviewed, not yet published"
+};
+
+/**
+ * @param {object} event      stored event
+ * @param {object[]} cases    full cases with input.eventId === event.id
+ * @param {object} protests   { [protestId]: protest } for the cases that came from one
+ * @returns {object}
+ */
+export function buildEventReport(event, cases, protests = {}) {
+  const incidents = cases
+    .map(c => ({
+      record: c,
+      lap: c.input?.lap ?? null,
+      turn: c.input?.turn || null,
+      sessionTime: c.input?.sessionTime ?? null,
+      createdAt: c.createdAt
+    }))
+    .sort(byRaceOrder)
+    .map(({ record }, i) => {
+      const view = exportView(record);
+      const protest = record.input?.protestId ? protests[record.input.protestId] : null;
+      return {
+        number: i + 1,
+        caseId: record.id,
+        status: view.status,
+        lap: record.input?.lap ?? null,
+        turn: record.input?.turn || null,
+        flag: record.input?.flag || null,
+        position: describePosition({ lap: record.input?.lap, turn: record.input?.turn, flag: record.input?.flag }),
+        incident: view.incident?.label || record.input?.incidentType || "Incident",
+        title: view.verdict?.video_title || record.input?.manualTitle || "",
+        fault: Object.entries(view.verdict?.fault || {}).map(([car, f]) => ({ car, fault: String(f) })),
+        decision: view.verdict ? verdictSummary(view.verdict) : "No ruling.",
+        rule: view.verdict?.rule || "",
+        action: actionText(view.penalty),
+        penalised: Boolean(view.penalty?.sanction && view.penalty.sanction !== "none"),
+        reviewedBy: view.reviewed_by,
+        protest: protest ? { id: protest.id, replyStatus: replyStatus(protest) } : null
+      };
+    });
+
+  const outstanding = incidents.flatMap(i => [
+    OUTSTANDING[i.status] && { caseId: i.caseId, number: i.number, reason: OUTSTANDING[i.status] },
+    i.protest?.replyStatus === "awaiting_reply" && { caseId: i.caseId, number: i.number, reason: `Protest ${i.protest.id}: accused driver can still reply` }
+  ].filter(Boolean));
+
+  return {
+    event: summarizeEvent(event),
+    generatedAt: new Date().toISOString(),
+    totals: {
+      incidents: incidents.length,
+      published: incidents.filter(i => i.status === "published").length,
+      penalties: incidents.filter(i => i.penalised).length,
+      outstanding: outstanding.length
+    },
+    incidents,
+    outstanding
+  };
+}
+
+const eventLine = e =>
+  [e.track, sessionLabel(e.sessionType), e.round && `Round ${e.round}`, e.league, e.date].filter(Boolean).join(' · ');
+
+/**
+ * Decisions document as Markdown — one section per incident, open items last.
+ * @param {object} report  buildEventReport()
+ * @returns {string}
+ */
+export function eventReportMarkdown(report) {
+  const { event, totals } = report;
+  const sections = [
+    `# Steward Decisions — ${event.name}`,
+    eventLine(event) || null,
+    `${totals.incidents} incident(s) · ${totals.published} published · ${totals.penalties} with a penalty · ${totals.outstanding} outstanding`
+  ].filter(Boolean);
+  if (!report.incidents.length) sections.push("_No incidents were reported for this session._");
+  for (const i of report.incidents) {
+    sections.push(
+      `## ${i.number}. ${i.position || "Position not given"} — ${i.incident}`,
+      ...[
+        i.title && `**Incident:** ${i.title}`,
+        `**Fault:** ${i.fault.map(f => `${f.car}: ${f.fault}`).join(' | ') || "—"}`,
+        `**Decision:** ${i.decision}`,
+        i.rule && `**Rule:** ${i.rule}`,
+        `**Action:** ${i.action}`,
+        `**Status:** ${i.status}${i.reviewedBy ? ` (reviewed by ${i.reviewedBy})` : ""} · Case ${i.caseId}`
+      ].filter(Boolean)
+    );
+  }
+  sections.push(
+    "## Outstanding",
+    report.outstanding.length
+      ? report.outstanding.map(o => `- #${o.number} (${o.caseId}): ${o.reason}`).join('\n')
+      : "Nothing outstanding — every decision is published.",
+    `_Generated ${report.generatedAt.slice(0, 16).replace('T', ' ')} UTC · Sim Racing Stewards_`
+  );
+  return `${sections.join('\n\n')}\n`;
+}
+
+/**
+ * The same document as a printable PDF.
+ * @param {object} report  buildEventReport()
+ * @returns {Buffer}
+ */
+export function eventReportPdf(report) {
+  const { event, totals } = report;
+  const grey = [0.4, 0.4, 0.4];
+  const heading = text => ({ text, size: 12, bold: true, spaceBefore: 16, keepWithNext: true });
+
+  const blocks = [
+    { text: "Steward Decisions", size: 22, bold: true, spaceBefore: 0 },
+    { text: event.name, size: 14, bold: true },
+    { text: eventLine(event), size: 9, colour: grey },
+    { text: `${totals.incidents} incident(s) · ${totals.published} published · ${totals.penalties} with a penalty · ${totals.outstanding} outstanding`, size: 10 }
+  ];
+  if (!report.incidents.length) blocks.push({ text: "No incidents were reported for this session.", colour: grey, spaceBefore: 16 });
+
+  for (const i of report.incidents) {
+    blocks.push(
+      heading(`${i.number}. ${i.position || "Position not given"} — ${i.incident}`),
+      i.title && { text: i.title, size: 10, colour: grey },
+      { text: `Fault: ${i.fault.map(f => `${f.car}: ${f.fault}`).join(' | ') || "—"}`, size: 10 },
+      { text: i.decision, bold: true, size: 10 },
+      i.rule && { text: `Rule: ${i.rule}`, size: 10 },
+      { text: `Action: ${i.action}`, size: 10 },
+      { text: `${i.status}${i.reviewedBy ? ` — reviewed by ${i.reviewedBy}` : ""} · Case ${i.caseId}`, size: 8, colour: grey }
+    );
+  }
+
+  blocks.push(heading("Outstanding"));
+  if (report.outstanding.length) {
+    report.outstanding.forEach(o => blocks.push({ text: `#${o.number} (${o.caseId}): ${o.reason}`, size: 10, indent: 12 }));
+  } else {
+    blocks.push({ text: "Nothing outstanding — every decision is published.", colour: grey });
+  }
+
+  return renderPdf(blocks.filter(Boolean), {
+    title: `Steward Decisions — ${eventName(event)}`,
+    footer: `Sim Racing Stewards — ${event.name}`
+  });
+}
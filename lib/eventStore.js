@@ -0,0 +1,87 @@
+// lib/eventStore.js
+// Event store — stored like protests: one JSON file per event under STEWARDS_DATA_DIR/events.
+// Cases point at their event with input.eventId.
+
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { z } from 'zod';
+import { DATA_DIR } from './caseStore.js';
+import { SESSION_TYPES } from './events.js';
+
+export function newEventId(date = new Date()) {
+  const day = date.toISOString().slice(0, 10).replace(/-/g, '');
+  return `EVT-${day}-${crypto.randomBytes(3).toString('hex').toUpperCase()}`;
+}
+
+const EVENT_ID = /^EVT-\d{8}-[0-9A-F]{6}$/;
+export const isEventId = id => typeof id === 'string' && EVENT_ID.test(id);
+
+// Create body for POST /api/events; PATCH takes any subset
+export const eventSchema = z.object({
+  name: z.string().trim().max(120).optional().default(""),
+  league: z.string().trim().min(1, "League is required").max(80),
+  round: z.coerce.number().int().positive().optional().nullable(),
+  track: z.string().trim().min(1, "Track is required").max(80),
+  sessionType: z.enum(SESSION_TYPES.map(s => s.id)),
+  series: z.string().optional().default(""),
+  date: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, "Date must be YYYY-MM-DD").optional().nullable()
+});
+
+export function createJsonEventStore(dir = path.join(DATA_DIR, 'events')) {
+  const fileFor = id => {
+    if (!isEventId(id)) throw new Error(`Invalid event id: ${id}`);
+    return path.join(dir, `${id}.json`);
+  };
+
+  async function readEvent(id) {
+    try {
+      return JSON.parse(await fs.readFile(fileFor(id), 'utf8'));
+    } catch (e) {
+      if (e.code === 'ENOENT') return null;
+      throw e;
+    }
+  }
+
+  async function writeEvent(record) {
+    await fs.mkdir(dir, { recursive: true });
+    const file = fileFor(record.id);
+    await fs.writeFile(`${file}.tmp`, JSON.stringify(record, null, 2));
+    await fs.rename(`${file}.tmp`, file);
+    return record;
+  }
+
+  async function readAll() {
+    let files = [];
+    try {
+      files = await fs.readdir(dir);
+    } catch (e) {
+      if (e.code === 'ENOENT') return [];
+      throw e;
+    }
+    const events = await Promise.all(
+      files.filter(f => f.endsWith('.json')).map(f => readEvent(f.slice(0, -5)).catch(() => null))
+    );
+    return events.filter(Boolean).sort((a, b) => (b.date || b.createdAt).localeCompare(a.date || a.createdAt));
+  }
+
+  return {
+    async create(fields) {
+      const now = new Date();
+      return writeEvent({ ...fields, id: newEventId(now), createdAt: now.toISOString(), updatedAt: now.toISOString() });
+    },
+    get: id => (isEventId(id) ? readEvent(id) : Promise.resolve(null)),
+    async update(id, patch) {
+      const existing = isEventId(id) ? await readEvent(id) : null;
+      if (!existing) return null;
+      return writeEvent({ ...existing, ...patch, id, createdAt: existing.createdAt, updatedAt: new Date().toISOString() });
+    },
+    all: readAll
+  };
+}
+
+let store = null;
+export function getEventStore() {
+  if (!store) store = createJsonEventStore();
+  return store;
+}
@@ -0,0 +1,67 @@
+// lib/events.js
+// Events — one session of a league round (league, round, track, session type) that incidents
+// belong to, plus the per-incident context the 28k CSV already records: lap, turn and the
+// flag state at the time. The store is lib/eventStore.js; no fs here — the form imports the lists.
+
+export const SESSION_TYPES = [
+  { id: "practice", label: "Practice" },
+  { id: "qualifying", label: "Qualifying" },
+  { id: "sprint", label: "Sprint race" },
+  { id: "race", label: "Race" }
+];
+
+// What each flag changes for the stewards — goes into the prompt with the incident
+export const FLAG_STATES = [
+  { id: "green", label: "Green", rule: "Normal racing." },
+  { id: "sc", label: "Safety car", rule: "No overtaking; cars must follow the queue and keep within the permitted gap." },
+  { id: "vsc", label: "Virtual safety car", rule: "No overtaking; every car must respect the delta time and hold position." },
+  { id: "fcy", label: "Full course yellow", rule: "No overtaking; reduced speed everywhere on track until the flag is withdrawn." },
+  { id: "blue", label: "Blue flag", rule: "The lapped car must let the faster, lapping car through predictably at the first safe opportunity; the lapping car must still pass cleanly." }
+];
+
+export const flagState = id => FLAG_STATES.find(f => f.id === id) || null;
+export const sessionLabel = id => SESSION_TYPES.find(s => s.id === id)?.label || id || "";
+
+// "T3", "Turn 3", "3" → "3" — the form of the CSV's turn column
+export function normalizeTurn(turn) {
+  const text = String(turn ?? "").trim().toLowerCase().replace(/^(turn|t)\s*(?=\d)/, '');
+  return text || null;
+}
+
+// "Lap 12, Turn 3 (Safety car)" — null when nothing is known
+export function describePosition({ lap = null, turn = null, flag = null } = {}) {
+  const parts = [lap !== null && lap !== undefined && `Lap ${lap}`, turn && (/^\d+$/.test(turn) ? `Turn ${turn}` : turn)].filter(Boolean);
+  const flagText = flag && flag !== "green" ? flagState(flag)?.label : null;
+  if (!parts.length && !flagText) return null;
+  return `${parts.join(', ') || "Position not given"}${flagText ? ` (${flagText})` : ""}`;
+}
+
+export const eventName = e =>
+  e.name || [e.league, e.round && `Round ${e.round}`, e.track, sessionLabel(e.sessionType)].filter(Boolean).join(' — ');
+
+export function summarizeEvent(e) {
+  return {
+    id: e.id,
+    name: eventName(e),
+    league: e.league,
+    round: e.round,
+    track: e.track,
+    sessionType: e.sessionType,
+    series: e.series,
+    date: e.date
+  };
+}
+
+/**
+ * Chronological order for a session's incidents: lap, then turn, then session time, then
+ * when the case was saved. Incidents without a lap go last.
+ * @param {object} a  { lap, turn, sessionTime, createdAt }
+ */
+export function byRaceOrder(a, b) {
+  const lap = (a.lap ?? Infinity) - (b.lap ?? Infinity);
+  if (lap) return lap;
+  const [ta, tb] = [parseInt(a.turn), parseInt(b.turn)];
+  if (!Number.isNaN(ta) && !Number.isNaN(tb) && ta !== tb) return ta - tb;
+  if (a.sessionTime != null && b.sessionTime != null && a.sessionTime !== b.sessionTime) return a.sessionTime - b.sessionTime;
+  return String(a.createdAt).localeCompare(String(b.createdAt));
+}
@@ -0,0 +1,200 @@
+// lib/faultEngine.js
+// Weighted fault model — 40% curated precedents + 40% 28k dataset + 20% type baseline,
+// then rule-based adjustments from the steward notes. Every factor is reported in the
+// breakdown so the verdict page can show why Car A got 73% and not 60%. Measured telemetry,
+// when uploaded, adds its own adjustments and overrules what the notes say about overlap.
+// Incidents with more than two cars: splitFault() spreads the pair split over every car.
+
+import { primaryPair } from './cars.js';
+
+const WEIGHTS = { precedents: 0.4, dataset: 0.4, baseline: 0.2 };
+const MIN_FAULT = 2;
+const MAX_FAULT = 98;
+
+// Each contributing car in a multi-car incident takes this share, up to the cap in total
+const CONTRIBUTING_SHARE = 15;
+const MAX_CONTRIBUTING = 45;
+
+// No-fault types start from an even split; everything else from the old 60% default
+const NEUTRAL_TYPES = ["racing incident", "netcode"];
+
+const round1 = v => Math.round(v * 10) / 10;
+
+// Similarity-weighted mean — a zero-similarity precedent of the same type still counts a little
+export function weightedPrecedentFault(precedents) {
+  if (!precedents.length) return null;
+  let total = 0, weights = 0;
+  for (const p of precedents) {
+    const w = 0.25 + (p.similarity || 0);
+    total += w * p.faultA;
+    weights += w;
+  }
+  return total / weights;
+}
+
+// Rule-based adjustments read from the steward notes. `attacker` is "A", "B" or null
+// (null when the car roles aren't overtaking/defending, e.g. rejoins or netcode).
+export function ruleAdjustments(notes = "", attacker = null) {
+  const text = notes.toLowerCase();
+  const adjustments = [];
+  const towardsAttacker = delta => (attacker === "A" ? delta : -delta);
+
+  if (attacker) {
+    const noOverlap = /\b(no|without|zero|little|not enough|insufficient)\s+(real\s+|significant\s+)?overlap\b|\bnot alongside\b/.test(text);
+    const overlap = !noOverlap && /\b(had|with|significant|half|full|enough)\s+overlap\b|\balongside\b|\bside[- ]by[- ]side\b/.test(text);
+    if (overlap) {
+      adjustments.push({ factor: "overlap", label: "Overlap claimed in notes — attacker was owed room", delta: towardsAttacker(-10) });
+    } else if (noOverlap) {
+      adjustments.push({ factor: "no_overlap", label: "No overlap noted — attacker had no right to the corner", delta: towardsAttacker(8) });
+    }
+
+    if (/\bblue[- ]flags?\b|\blapped\b|\bbeing lapped\b/.test(text)) {
+      adjustments.push({ factor: "blue_flag", label: "Blue flag in notes — lapped car had to yield", delta: towardsAttacker(-6) });
+    }
+  }
+
+  const rejoinA = /\bcar\s*a\b[^.]*\b(rejoin\w*|re-join\w*|spun|came back on)/.test(text);
+  const rejoinB = /\bcar\s*b\b[^.]*\b(rejoin\w*|re-join\w*|spun|came back on)/.test(text);
+  if (rejoinA && !rejoinB) {
+    adjustments.push({ factor: "rejoin", label: "Car A rejoined the track — on-track car has priority", delta: 12 });
+  } else if (rejoinB && !rejoinA) {
+    adjustments.push({ factor: "rejoin", label: "Car B rejoined the track — on-track car has priority", delta: -12 });
+  }
+
+  return adjustments;
+}
+
+// Adjustments from measured telemetry (lib/telemetry.js). Measured overlap replaces whatever
+// the notes claimed about overlap. `attacker` is "A", "B" or null, as for ruleAdjustments().
+// telemetry.attacker is only set when the attacker was measured against the defender's own
+// data, never against a bystander's.
+export function telemetryAdjustments(telemetry, attacker = null) {
+  // Values at a guessed turn-in (window midpoint) are not evidence either way
+  if (!telemetry || !attacker || !telemetry.attacker || telemetry.turnIn?.found === false) return [];
+  const adjustments = [];
+  const towardsAttacker = delta => (attacker === "A" ? delta : -delta);
+  const { overlapPct } = telemetry;
+
+  if (overlapPct !== null && overlapPct >= 50) {
+    adjustments.push({ factor: "telemetry_overlap", label: `Telemetry: ${overlapPct}% overlap at turn-in — attacker was owed room`, delta: towardsAttacker(-12) });
+  } else if (overlapPct !== null && overlapPct <= 20) {
+    adjustments.push({ factor: "telemetry_no_overlap", label: `Telemetry: ${overlapPct}% overlap at turn-in — attacker was not alongside`, delta: towardsAttacker(10) });
+  }
+
+  const speedOf = key => telemetry.cars.find(c => c.key === key)?.speedKmh ?? null;
+  const [attackerSpeed, defenderSpeed] = [speedOf(telemetry.attacker), speedOf(telemetry.turnIn?.car)];
+  if (attackerSpeed !== null && defenderSpeed !== null && attackerSpeed - defenderSpeed >= 15) {
+    adjustments.push({
+      factor: "telemetry_speed",
+      label: `Telemetry: attacker arrived ${Math.round(attackerSpeed - defenderSpeed)} km/h faster at turn-in — could not make the corner alongside`,
+      delta: towardsAttacker(5)
+    });
+  }
+  return adjustments;
+}
+
+/**
+ * @param {object} input
+ * @param {string} input.incidentKey   canonical taxonomy id
+ * @param {Array}  input.precedents    curated precedents with faultA + similarity
+ * @param {object} input.dataset       datasetStats() result (median, sampleSize)
+ * @param {string} input.notes         steward notes
+ * @param {string} input.attacker      "A", "B" or null
+ * @param {number} input.override      human override for Car A, or null
+ * @param {object} input.telemetry     analyzeTelemetry() result, or null
+ * @returns {{ faultA: number, breakdown: object }}
+ */
+export function computeFault({ incidentKey, precedents = [], dataset = null, notes = "", attacker = null, override = null, telemetry = null }) {
+  if (override !== null && override !== undefined) {
+    const faultA = Math.min(MAX_FAULT, Math.max(MIN_FAULT, Math.round(override)));
+    return {
+      faultA,
+      breakdown: {
+        model: "human override",
+        components: [{ factor: "override", label: "Human steward override", value: override, weight: 1, contribution: override }],
+        base: override,
+        adjustments: [],
+        clamped: faultA !== Math.round(override),
+        faultA
+      }
+    };
+  }
+
+  const candidates = [
+    {
+      factor: "precedents",
+      label: `Curated precedents (${precedents.length}, similarity-weighted)`,
+      value: weightedPrecedentFault(precedents)
+    },
+    {
+      factor: "dataset",
+      label: `28k dataset median (n=${dataset?.sampleSize || 0})`,
+      value: dataset?.sampleSize ? dataset.median : null
+    },
+    {
+      factor: "baseline",
+      label: "Incident type baseline",
+      value: NEUTRAL_TYPES.includes(incidentKey) ? 50 : 60
+    }
+  ];
+
+  // Weights of missing sources are redistributed over the ones we have
+  const available = candidates.filter(c => c.value !== null);
+  const weightSum = available.reduce((s, c) => s + WEIGHTS[c.factor], 0);
+  const components = available.map(c => {
+    const weight = WEIGHTS[c.factor] / weightSum;
+    return { ...c, value: round1(c.value), weight: Math.round(weight * 1000) / 1000, contribution: round1(weight * c.value) };
+  });
+  const base = available.reduce((s, c) => s + (WEIGHTS[c.factor] / weightSum) * c.value, 0);
+
+  const measured = telemetryAdjustments(telemetry, attacker);
+  const measuredOverlap = Boolean(attacker && telemetry?.attacker && telemetry.overlapPct !== null);
+  const adjustments = [
+    ...ruleAdjustments(notes, attacker).filter(a => !(measuredOverlap && ["overlap", "no_overlap"].includes(a.factor))),
+    ...measured
+  ];
+  const adjusted = Math.round(base + adjustments.reduce((s, a) => s + a.delta, 0));
+  const faultA = Math.min(MAX_FAULT, Math.max(MIN_FAULT, adjusted));
+
+  return {
+    faultA,
+    breakdown: {
+      model: "40% precedents + 40% dataset + 20% baseline, then rule adjustments",
+      components,
+      base: round1(base),
+      adjustments,
+      clamped: faultA !== adjusted,
+      faultA
+    }
+  };
+}
+
+// Rounds to whole percentages that still sum to exactly 100 (largest remainder)
+function roundTo100(raw) {
+  const floors = raw.map(Math.floor);
+  let missing = 100 - floors.reduce((s, v) => s + v, 0);
+  raw.map((v, i) => ({ i, rest: v - floors[i] }))
+    .sort((a, b) => b.rest - a.rest)
+    .forEach(({ i }) => { if (missing-- > 0) floors[i]++; });
+  return floors;
+}
+
+/**
+ * Fault for every car. The initiator / struck pair keeps the computed split between them;
+ * contributing cars take CONTRIBUTING_SHARE each from the pair, collateral cars get 0.
+ * @param {number} faultA  initiator's fault from computeFault()
+ * @param {object[]} cars  buildCars() output
+ * @returns {{ split: number[], pair: number[], contributing: number[] }}
+ */
+export function splitFault(faultA, cars) {
+  const pair = primaryPair(cars);
+  const contributing = cars.map((c, i) => i).filter(i => !pair.includes(i) && cars[i].role === "contributing");
+  const pool = Math.min(MAX_CONTRIBUTING, contributing.length * CONTRIBUTING_SHARE);
+
+  const raw = cars.map(() => 0);
+  raw[pair[0]] = faultA * (100 - pool) / 100;
+  raw[pair[1]] = (100 - faultA) * (100 - pool) / 100;
+  contributing.forEach(i => { raw[i] = pool / contributing.length; });
+
+  return { split: roundTo100(raw), pair, contributing };
+}
@@ -0,0 +1,88 @@
+// lib/ledger.js
+// Penalty-points ledger — derived from published cases, never stored separately, so a
+// reopened or deleted case takes its points with it. Points expire once the league has
+// run `expiryRaces` rounds after the incident round.
+
+import { effectivePenalty, effectiveVerdict } from './review.js';
+import { CAR_LETTERS } from './cars.js';
+
+const faultOf = value => parseFloat(String(value).replace('%', ''));
+
+// Which car the penalty applies to: recorded on the penalty, else the car with the most fault
+function atFaultSide(caseRecord) {
+  const penalty = effectivePenalty(caseRecord);
+  if (penalty?.atFaultCar) return penalty.atFaultCar;
+  const split = Object.values(effectiveVerdict(caseRecord)?.fault || {}).map(faultOf);
+  return CAR_LETTERS[split.indexOf(Math.max(...split))] || "A";
+}
+
+// Car letter of a driver in a case, or null
+const carOf = (caseRecord, driverId) =>
+  Object.entries(caseRecord.result?.drivers || {}).find(([, d]) => d?.id === driverId)?.[0].replace(/^car/, '') || null;
+
+/**
+ * One ledger entry per published case with points for a roster driver.
+ * @returns {object[]} { caseId, driverId, points, round, expiresAfterRound, active, sanction, label, title, publishedAt }
+ */
+export function ledgerEntries(cases, { currentRound = 1, expiryRaces = 6 } = {}) {
+  return cases
+    .filter(c => c.status === "published")
+    .map(c => {
+      const penalty = effectivePenalty(c);
+      const side = atFaultSide(c);
+      const driverId = c.result?.drivers?.[`car${side}`]?.id;
+      if (!penalty || !penalty.points || !driverId) return null;
+      const round = c.input?.round || 1;
+      return {
+        caseId: c.id,
+        driverId,
+        points: penalty.points,
+        round,
+        expiresAfterRound: round + expiryRaces - 1,
+        active: currentRound - round < expiryRaces,
+        sanction: penalty.sanction,
+        label: penalty.label,
+        title: effectiveVerdict(c)?.video_title || "Sim racing incident",
+        publishedAt: c.publishedAt
+      };
+    })
+    .filter(Boolean);
+}
+
+// Roster drivers with their active points total, most points first
+export function standings(roster, cases) {
+  const entries = ledgerEntries(cases, roster);
+  return roster.drivers
+    .map(d => {
+      const own = entries.filter(e => e.driverId === d.id);
+      return {
+        ...d,
+        activePoints: own.filter(e => e.active).reduce((sum, e) => sum + e.points, 0),
+        totalPoints: own.reduce((sum, e) => sum + e.points, 0),
+        incidents: own.length
+      };
+    })
+    .sort((a, b) => b.activePoints - a.activePoints || a.name.localeCompare(b.name));
+}
+
+// Every case a driver was involved in, plus their ledger entries
+export function driverHistory(driver, roster, cases) {
+  const involved = cases.filter(c => carOf(c, driver.id));
+  const ledger = ledgerEntries(involved, roster).filter(e => e.driverId === driver.id);
+  return {
+    driver,
+    activePoints: ledger.filter(e => e.active).reduce((sum, e) => sum + e.points, 0),
+    ledger,
+    cases: involved.map(c => ({
+      id: c.id,
+      status: c.status || "draft",
+      round: c.input?.round || null,
+      title: effectiveVerdict(c)?.video_title || "Sim racing incident",
+      incidentType: c.result?.incident?.label || "",
+      car: carOf(c, driver.id),
+      fault: effectiveVerdict(c)?.fault || {},
+      penalty: effectivePenalty(c)?.label || "",
+      createdAt: c.createdAt
+    }))
+  };
+}
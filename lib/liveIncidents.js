@@ -0,0 +1,249 @@
+// lib/liveIncidents.js
+// Live incident queue — contacts flagged during a race by a SimHub plugin or bridge script
+// (scripts/simulate-live.js stands in for one). Stewards triage them on /live and open the
+// ones worth a ruling as a pre-filled analyze form. One JSON file per incident under
+// STEWARDS_DATA_DIR/live, plus feed.ndjson — every create/update appended as one line, so
+// the race-control stream can tail it from any process that shares the data directory.
+// Ingest runs one report at a time per store (triage updates queue behind it) and checks for duplicates against an in-memory
+// index by session and lap, read from disk once — the ingest endpoint's process owns it.
+
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { DATA_DIR } from './caseStore.js';
+
+export const LIVE_STATUSES = [
+  { id: "new", label: "New" },
+  { id: "investigating", label: "Under investigation" },
+  { id: "no_action", label: "No further action" },
+  { id: "analyzed", label: "Analyzed" }
+];
+
+// Both cars' bridges usually report the same contact — merged when this close together
+export const DUPLICATE_WINDOW_SECONDS = 5;
+
+export function newLiveId(date = new Date()) {
+  const day = date.toISOString().slice(0, 10).replace(/-/g, '');
+  return `LIV-${day}-${crypto.randomBytes(3).toString('hex').toUpperCase()}`;
+}
+
+const LIVE_ID = /^LIV-\d{8}-[0-9A-F]{6}$/;
+export const isLiveId = id => typeof id === 'string' && LIVE_ID.test(id);
+
+// Impact from the peak contact g-force — orders the queue and pre-fills the severity
+export function impactFor(gForce) {
+  if (gForce === null || gForce === undefined) return "unknown";
+  if (gForce >= 8) return "major";
+  if (gForce >= 3) return "moderate";
+  return "minor";
+}
+
+// ISO string, or epoch seconds / milliseconds as bridges tend to send them
+export function occurredAt(timestamp, fallback = new Date()) {
+  if (typeof timestamp === 'number' && Number.isFinite(timestamp)) {
+    return new Date(timestamp > 1e12 ? timestamp : timestamp * 1000).toISOString();
+  }
+  const parsed = timestamp ? new Date(timestamp) : null;
+  return parsed && !Number.isNaN(parsed.getTime()) ? parsed.toISOString() : fallback.toISOString();
+}
+
+export function summarizeLive(i) {
+  return {
+    id: i.id,
+    receivedAt: i.receivedAt,
+    updatedAt: i.updatedAt,
+    occurredAt: i.occurredAt,
+    session: i.session,
+    league: i.league,
+    lap: i.lap,
+    turn: i.turn,
+    cars: i.cars,
+    gForce: i.gForce,
+    impact: impactFor(i.gForce),
+    reports: i.reports,
+    status: i.status,
+    triagedBy: i.triagedBy,
+    note: i.note,
+    caseId: i.caseId
+  };
+}
+
+/**
+ * What the analyze form needs from a flagged incident. The incident type stays the
+ * steward's call — a contact report can't tell a divebomb from a brake test.
+ * @param {object} incident
+ * @returns {object}  { liveId, manualTitle, league, lap, turn, sessionTime, severity, cars: [{ label }], stewardNotes }
+ */
+export function analyzePrefill(incident) {
+  const where = [`Lap ${incident.lap}`, incident.turn && `Turn ${incident.turn}`].filter(Boolean).join(', ');
+  const g = incident.gForce !== null ? `, peak contact ${incident.gForce}g` : "";
+  return {
+    liveId: incident.id,
+    manualTitle: `${incident.session} — ${where}: ${incident.cars.map(c => `#${c}`).join(' / ')}`,
+    league: incident.league || "",
+    lap: incident.lap,
+    turn: incident.turn || "",
+    sessionTime: incident.sessionTime ?? null,
+    severity: impactFor(incident.gForce) === "unknown" ? "moderate" : impactFor(incident.gForce),
+    cars: incident.cars.map(number => ({ label: `#${number}` })),
+    stewardNotes: `Flagged live by the telemetry bridge: ${incident.session}, ${where}${g}.${incident.note ? ` Race control: ${incident.note}` : ""}`
+  };
+}
+
+const sameContact = (a, b) =>
+  a.session === b.session &&
+  a.lap === b.lap &&
+  (!a.turn || !b.turn || String(a.turn) === String(b.turn)) &&
+  a.cars.some(c => b.cars.includes(c)) &&
+  Math.abs(new Date(a.occurredAt) - new Date(b.occurredAt)) <= DUPLICATE_WINDOW_SECONDS * 1000;
+
+const lapKey = i => `${i.session}\u0000${i.lap}`;
+
+export function createJsonLiveStore(dir = path.join(DATA_DIR, 'live')) {
+  const feedFile = path.join(dir, 'feed.ndjson');
+  let writing = Promise.resolve();
+  let byLap = null;   // session + lap → Map(id → incident), built on the first ingest
+
+  // Ingests and updates run one at a time, in arrival order
+  function queued(work) {
+    const run = writing.then(work);
+    writing = run.catch(() => {});
+    return run;
+  }
+
+  function indexIncident(record) {
+    if (!byLap) return;
+    if (!byLap.has(lapKey(record))) byLap.set(lapKey(record), new Map());
+    byLap.get(lapKey(record)).set(record.id, record);
+  }
+
+  const fileFor = id => {
+    if (!isLiveId(id)) throw new Error(`Invalid live incident id: ${id}`);
+    return path.join(dir, `${id}.json`);
+  };
+
+  async function readIncident(id) {
+    try {
+      return JSON.parse(await fs.readFile(fileFor(id), 'utf8'));
+    } catch (e) {
+      if (e.code === 'ENOENT') return null;
+      throw e;
+    }
+  }
+
+  async function writeIncident(record) {
+    await fs.mkdir(dir, { recursive: true });
+    const file = fileFor(record.id);
+    await fs.writeFile(`${file}.tmp`, JSON.stringify(record, null, 2));
+    await fs.rename(`${file}.tmp`, file);
+    await fs.appendFile(feedFile, `${JSON.stringify(summarizeLive(record))}\n`);
+    indexIncident(record);
+    return record;
+  }
+
+  async function readAll() {
+    let files = [];
+    try {
+      files = await fs.readdir(dir);
+    } catch (e) {
+      if (e.code === 'ENOENT') return [];
+      throw e;
+    }
+    const incidents = await Promise.all(
+      files.filter(f => f.endsWith('.json')).map(f => readIncident(f.slice(0, -5)).catch(() => null))
+    );
+    return incidents.filter(Boolean).sort((a, b) => b.occurredAt.localeCompare(a.occurredAt));
+  }
+
+  // A second report of the same contact updates the first instead of queueing it twice
+  async function ingestOne(event) {
+    if (!byLap) {
+      byLap = new Map();
+      (await readAll()).forEach(indexIncident);
+    }
+    const now = new Date();
+    const incoming = { ...event, occurredAt: occurredAt(event.timestamp, now) };
+    const duplicate = [...(byLap.get(lapKey(incoming))?.values() || [])].find(i => sameContact(i, incoming));
+    if (duplicate) {
+      const merged = await writeIncident({
+        ...duplicate,
+        cars: [...new Set([...duplicate.cars, ...incoming.cars])],
+        gForce: Math.max(duplicate.gForce ?? 0, incoming.gForce ?? 0) || duplicate.gForce,
+        turn: duplicate.turn || incoming.turn,
+        reports: duplicate.reports + 1,
+        updatedAt: now.toISOString()
+      });
+      return { incident: merged, duplicate: true };
+    }
+    const incident = await writeIncident({
+      id: newLiveId(now),
+      receivedAt: now.toISOString(),
+      updatedAt: now.toISOString(),
+      occurredAt: incoming.occurredAt,
+      session: incoming.session,
+      league: incoming.league || "",
+      lap: incoming.lap,
+      turn: incoming.turn || "",
+      sessionTime: incoming.sessionTime ?? null,
+      cars: incoming.cars,
+      gForce: incoming.gForce ?? null,
+      source: incoming.source || "",
+      reports: 1,
+      status: "new",
+      triagedBy: "",
+      note: "",
+      caseId: null
+    });
+    return { incident, duplicate: false };
+  }
+
+  return {
+    // Queued, so two bridges reporting the same contact at once can't both create it
+    ingest: event => queued(() => ingestOne(event)),
+    get: id => (isLiveId(id) ? readIncident(id) : Promise.resolve(null)),
+    update: (id, patch) => queued(async () => {
+      const existing = await readIncident(id);
+      if (!existing) return null;
+      return writeIncident({ ...existing, ...patch, id, receivedAt: existing.receivedAt, updatedAt: new Date().toISOString() });
+    }),
+    all: readAll,
+
+    /**
+     * Feed lines appended since byte `offset` — the race-control stream polls this.
+     * @returns {Promise<{ offset: number, incidents: object[] }>}
+     */
+    async feedSince(offset = null) {
+      let size = 0;
+      try {
+        size = (await fs.stat(feedFile)).size;
+      } catch (e) {
+        if (e.code !== 'ENOENT') throw e;
+      }
+      if (offset === null || size <= offset) return { offset: size, incidents: [] };
+
+      const handle = await fs.open(feedFile, 'r');
+      try {
+        const { buffer, bytesRead } = await handle.read(Buffer.alloc(size - offset), 0, size - offset, offset);
+        // Only whole lines — a write still in progress is picked up next time
+        const text = buffer.subarray(0, bytesRead).toString('utf8');
+        const complete = text.slice(0, text.lastIndexOf('\n') + 1);
+        const incidents = complete.split('\n').filter(Boolean).map(line => {
+          try {
+            return JSON.parse(line);
+          } catch {
+            return null;
+          }
+        }).filter(Boolean);
+        return { offset: offset + Buffer.byteLength(complete), incidents };
+      } finally {
+        await handle.close();
+      }
+    }
+  };
+}
+
+let store = null;
+export function getLiveStore() {
+  if (!store) store = createJsonLiveStore();
+  return store;
+}
@@ -0,0 +1,154 @@
+// lib/llm.js
+// Pluggable LLM providers — xAI, any OpenAI-compatible endpoint, or an offline template
+//
+// LLM_PROVIDER           xai (default) | openai | template
+// XAI_MODEL, OPENAI_MODEL              override that provider's default model
+// XAI_TEMPERATURE, OPENAI_TEMPERATURE  override that provider's default temperature
+// XAI_MAX_TOKENS, OPENAI_MAX_TOKENS    override that provider's default max tokens
+// LLM_MODEL, LLM_TEMPERATURE, LLM_MAX_TOKENS  older names, applied to LLM_PROVIDER only — a
+//                        fallback provider never gets the primary's model
+// LLM_BASE_URL           OpenAI-compatible base URL, e.g. http://localhost:11434/v1
+// LLM_API_KEY            key for the OpenAI-compatible endpoint (optional for self-hosted)
+// GROK_API_KEY           key for xAI
+// LLM_FALLBACK_PROVIDER  used when the primary provider fails (default: template, "none" to disable)
+
+export async function fetchWithRetry(url, options = {}, retries = 3) {
+  for (let i = 0; i < retries; i++) {
+    try {
+      const res = await fetch(url, { ...options });
+      if (res.ok) return res;
+      if (i === retries - 1) throw new Error(`Fetch failed: ${res.status}`);
+      await new Promise(r => setTimeout(r, 1000 * (i + 1)));
+    } catch (e) {
+      if (i === retries - 1) throw e;
+    }
+  }
+}
+
+function chatCompletionsProvider({ name, baseUrl, apiKey, model, temperature, maxTokens }) {
+  return {
+    name,
+    model,
+    temperature,
+    maxTokens,
+    async complete({ prompt, signal }) {
+      const headers = { 'Content-Type': 'application/json' };
+      if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+      const res = await fetchWithRetry(`${baseUrl.replace(/\/$/, '')}/chat/completions`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({
+          model,
+          messages: [{ role: 'user', content: prompt }],
+          max_tokens: maxTokens,
+          temperature
+        }),
+        signal
+      });
+      const data = await res.json();
+      return data.choices?.[0]?.message?.content?.trim() || '';
+    }
+  };
+}
+
+// Deterministic verdict from the computed context — no network, same input = same output
+export function templateVerdict(ctx) {
+  const { incidentLabel, cars, rule, ruleSummary, precedents = [], proTip, confidence } = ctx;
+  const listing = items => items.length > 1 ? `${items.slice(0, -1).join(', ')} and ${items[items.length - 1]}` : items[0];
+  const mainly = cars.find(c => c.fault > 55)?.name || "neither car";
+  const split = cars.map(c => `${c.fault}%`).join(' / ');
+
+  const sentences = [
+    `In this ${incidentLabel.toLowerCase()}, ${listing(cars.map(c => `${c.name} was ${c.role}`))}.`,
+    `${rule.article} (${rule.title}) applies — in summary: ${rule.text}`
+  ];
+  const lead = precedents[0];
+  if (lead) {
+    const leadSplit = lead.faultSplit?.length > 2 ? lead.faultSplit.map(f => `${f}%`).join(' / ') : `${lead.faultA}% to the first car`;
+    sentences.push(`Comparable rulings, such as "${lead.title}" (${lead.ruling}, ${leadSplit}), point the same way across ${precedents.length} precedent(s).`);
+  }
+  sentences.push(mainly === "neither car"
+    ? `Responsibility is shared, so the stewards split fault ${split}.`
+    : `The stewards hold ${mainly} mainly responsible: ${cars.map(c => `${c.name} ${c.fault}%`).join(', ')}.`);
+
+  return JSON.stringify({
+    rule: ruleSummary,
+    fault: Object.fromEntries(cars.map(c => [c.name, `${c.fault}%`])),
+    car_identification: cars.map(c => `${c.name} is ${c.role}.`).join(' '),
+    explanation: `${sentences.join(' ')}\n\n${proTip}`,
+    pro_tip: proTip,
+    confidence
+  });
+}
+
+function templateProvider() {
+  return {
+    name: 'template',
+    model: 'template',
+    temperature: 0,
+    maxTokens: 0,
+    async complete({ context }) {
+      return templateVerdict(context);
+    }
+  };
+}
+
+const num = (value, fallback) => (value !== undefined && value !== '' && !Number.isNaN(Number(value)) ? Number(value) : fallback);
+
+// XAI_MODEL for xai, else LLM_MODEL when xai is the configured provider
+function setting(env, name, key) {
+  const own = env[`${name.toUpperCase()}_${key}`];
+  if (own !== undefined && own !== '') return own;
+  return name === (env.LLM_PROVIDER || 'xai') ? env[`LLM_${key}`] : undefined;
+}
+
+export function createProvider(name = process.env.LLM_PROVIDER || 'xai', env = process.env) {
+  const temperature = num(setting(env, name, 'TEMPERATURE'), 0.7);
+  const maxTokens = num(setting(env, name, 'MAX_TOKENS'), 700);
+
+  switch (name) {
+    case 'template':
+      return templateProvider();
+    case 'openai':
+      if (!env.LLM_BASE_URL) throw new Error('LLM_BASE_URL is required for the openai provider');
+      return chatCompletionsProvider({
+        name: 'openai',
+        baseUrl: env.LLM_BASE_URL,
+        apiKey: env.LLM_API_KEY,
+        model: setting(env, name, 'MODEL') || 'gpt-4o-mini',
+        temperature,
+        maxTokens
+      });
+    case 'xai':
+      return chatCompletionsProvider({
+        name: 'xai',
+        baseUrl: 'https://api.x.ai/v1',
+        apiKey: env.GROK_API_KEY,
+        model: setting(env, name, 'MODEL') || 'grok-3',
+        temperature,
+        maxTokens
+      });
+    default:
+      throw new Error(`Unknown LLM provider: ${name}`);
+  }
+}
+
+/**
+ * Runs the configured provider; on failure (quota, outage, timeout) falls back to
+ * LLM_FALLBACK_PROVIDER so a verdict is still produced.
+ * @returns {Promise<{ raw: string, provider: string, model: string, fallback: boolean, error?: string }>}
+ */
+export async function generateVerdict({ prompt, context, signal }, env = process.env) {
+  const primary = createProvider(env.LLM_PROVIDER || 'xai', env);
+  try {
+    const raw = await primary.complete({ prompt, context, signal });
+    return { raw, provider: primary.name, model: primary.model, fallback: false };
+  } catch (e) {
+    const fallbackName = env.LLM_FALLBACK_PROVIDER || 'template';
+    if (fallbackName === 'none' || fallbackName === primary.name) throw e;
+    console.warn(`LLM provider ${primary.name} failed, falling back to ${fallbackName}:`, e.message);
+    const fallback = createProvider(fallbackName, env);
+    const raw = await fallback.complete({ prompt, context, signal });
+    return { raw, provider: fallback.name, model: fallback.model, fallback: true, error: e.message };
+  }
+}
@@ -0,0 +1,69 @@
+// lib/offenders.js
+// Repeat-offender lookup — who is this driver, and what have they done recently?
+// Read after the fault split is computed; the result only feeds the sanction and the prompt.
+
+import { normalizeDriverId } from './roster.js';
+import { effectiveVerdict } from './review.js';
+
+const faultOf = value => parseFloat(String(value).replace('%', ''));
+
+/**
+ * Identifies the driver behind a car field. An explicit driver ID wins, then a roster
+ * match, then the normalized free text ("Red/White Ferrari" → "red-white-ferrari").
+ * @returns {object|null} { id, name, rostered, ...roster fields }
+ */
+export function resolveDriver({ text = "", driverId = "", match = null }, rosterDrivers = []) {
+  if (driverId) {
+    const id = normalizeDriverId(driverId);
+    const rostered = rosterDrivers.find(d => d.id === id);
+    if (rostered) return { ...rostered, rostered: true };
+    if (id) return { id, name: text.trim() || driverId, rostered: false };
+  }
+  if (match) return { ...match, rostered: true };
+  const id = normalizeDriverId(text);
+  return id ? { id, name: text.trim(), rostered: false } : null;
+}
+
+/**
+ * Recent incidents involving a driver in the same league, newest first. Only rounds strictly
+ * before `round` and within the policy window count; a case saved without a round can't be
+ * placed, so it is left out rather than guessed.
+ * @param {string} driverId
+ * @param {object[]} cases      full case records
+ * @param {object} options      { round, league, incidentKey, policy }
+ * @returns {object[]} { caseId, round, incidentType, incidentLabel, fault, status, counted }
+ */
+export function priorIncidents(driverId, cases, { round, league = "", incidentKey = "", policy }) {
+  if (!driverId || !round) return [];
+  return cases
+    .map(c => {
+      if ((c.input?.league || "") !== league) return null;
+      const side = Object.values(c.result?.drivers || {}).findIndex(d => d?.id === driverId);
+      if (side === -1) return null;
+      const priorRound = c.input?.round;
+      if (!priorRound || priorRound >= round || round - priorRound > policy.windowRaces) return null;
+
+      const fault = faultOf(Object.values(effectiveVerdict(c)?.fault || {})[side]);
+      const status = c.status || "draft";
+      const sameType = c.result?.incident?.id === incidentKey;
+      return {
+        caseId: c.id,
+        round: priorRound,
+        incidentType: c.result?.incident?.id || "",
+        incidentLabel: c.result?.incident?.label || "",
+        fault: Number.isNaN(fault) ? null : fault,
+        status,
+        counted: policy.statuses.includes(status) && fault >= policy.minFault && (sameType || !policy.sameTypeOnly)
+      };
+    })
+    .filter(Boolean);
+}
+
+// One prompt line per driver with history; empty when nobody has any
+export function describePriors(name, priors) {
+  if (priors.length === 0) return "";
+  const list = priors
+    .map(p => `round ${p.round} ${p.incidentLabel || p.incidentType} (${p.fault ?? "?"}% fault, ${p.status})`)
+    .join("; ");
+  return `${name}: ${priors.filter(p => p.counted).length} counted prior(s) — ${list}`;
+}
@@ -0,0 +1,245 @@
+// lib/penalties.js
+// Penalty recommendations — incident type + fault split + severity + series → sanction
+//
+// A tariff is an ordered list of rules; the first rule that matches wins. Below
+// RACING_INCIDENT_MAX only a rule naming the incident type can hand out a sanction, and
+// with three or more cars minFault is read against the scaled share (thresholdFault).
+// Built-in tariffs are keyed by rulebook id. Leagues add or replace tariffs in a JSON
+// file (PENALTY_TARIFFS_PATH, default public/penalty_tariffs.json) keyed by league id
+// or rulebook id — see public/penalty_tariffs.example.json.
+//
+// Repeat offenders: a tariff may carry an `escalation` policy. Each counted prior incident
+// moves the sanction one step up ESCALATION_LADDER (capped at maxSanction) and adds points;
+// a sanction that is not on the ladder (penalty points) only gains the points.
+// Escalation only touches the sanction — the fault split is decided before history is read.
+
+import fs from 'fs';
+import path from 'path';
+import { CAR_LETTERS } from './cars.js';
+
+export const SEVERITIES = ["minor", "moderate", "major"];
+
+export const SANCTIONS = {
+  none: "No further action",
+  warning: "Warning",
+  time_penalty: "Time penalty",
+  drive_through: "Drive-through penalty",
+  grid_drop: "Grid drop",
+  penalty_points: "Penalty points",
+  dq: "Disqualification"
+};
+
+// At-fault share below this is treated as a shared / racing incident, unless a rule
+// for the incident type itself matches
+const RACING_INCIDENT_MAX = 60;
+
+const DEFAULT_TARIFF = {
+  name: "Default tariff",
+  rules: [
+    { types: ["intentional wreck"], minFault: 50, sanction: "dq", points: 10 },
+    { types: ["unsportsmanlike"], sanction: "dq", severity: ["major"], points: 6 },
+    { types: ["unsportsmanlike"], sanction: "warning", points: 2 },
+    { types: ["jump start"], minFault: 50, sanction: "drive_through", points: 1 },
+    { types: ["illegal overtake sc"], minFault: 50, sanction: "drive_through", points: 2 },
+    { types: ["wrong way"], minFault: 50, severity: ["major"], sanction: "dq", points: 4 },
+    { types: ["netcode", "racing incident"], sanction: "none" },
+    { types: ["track limits", "rejoin advantage"], minFault: 60, severity: ["minor"], sanction: "warning" },
+    { types: ["track limits", "rejoin advantage"], minFault: 60, sanction: "time_penalty", seconds: 5, points: 1 },
+    { types: ["*"], minFault: 80, severity: ["major"], sanction: "time_penalty", seconds: 10, points: 3 },
+    { types: ["*"], minFault: 80, severity: ["moderate"], sanction: "time_penalty", seconds: 5, points: 2 },
+    { types: ["*"], minFault: 60, severity: ["major"], sanction: "time_penalty", seconds: 5, points: 2 },
+    { types: ["*"], minFault: 60, sanction: "warning", points: 1 },
+    { types: ["*"], sanction: "none" }
+  ]
+};
+
+const BUILT_IN_TARIFFS = {
+  default: DEFAULT_TARIFF,
+  f1: {
+    name: "F1-style tariff",
+    rules: [
+      { types: ["intentional wreck"], minFault: 50, sanction: "dq", points: 12 },
+      { types: ["jump start", "illegal overtake sc"], minFault: 50, sanction: "drive_through", points: 2 },
+      { types: ["*"], minFault: 80, severity: ["major"], sanction: "grid_drop", gridPlaces: 3, points: 3 },
+      { types: ["*"], minFault: 80, sanction: "time_penalty", seconds: 10, points: 2 },
+      { types: ["*"], minFault: 60, severity: ["major", "moderate"], sanction: "time_penalty", seconds: 5, points: 1 },
+      ...DEFAULT_TARIFF.rules.slice(-2)
+    ]
+  },
+  iracing: {
+    name: "iRacing league tariff",
+    rules: [
+      { types: ["intentional wreck"], minFault: 50, sanction: "dq", points: 10 },
+      { types: ["*"], minFault: 80, severity: ["major"], sanction: "drive_through", points: 3 },
+      ...DEFAULT_TARIFF.rules.filter(r => !r.types.includes("intentional wreck"))
+    ]
+  },
+  oval: {
+    name: "Oval tariff",
+    rules: [
+      { types: ["intentional wreck"], minFault: 50, sanction: "dq", points: 10 },
+      { types: ["jump start"], minFault: 50, sanction: "drive_through", points: 1 },
+      { types: ["*"], minFault: 80, severity: ["major"], sanction: "drive_through", points: 3 },
+      { types: ["*"], minFault: 80, sanction: "penalty_points", points: 2 },
+      ...DEFAULT_TARIFF.rules.slice(-2)
+    ]
+  }
+};
+
+// Sanctions in increasing order of severity, for escalation
+const ESCALATION_LADDER = [
+  { sanction: "warning" },
+  { sanction: "time_penalty", seconds: 5 },
+  { sanction: "time_penalty", seconds: 10 },
+  { sanction: "drive_through" },
+  { sanction: "grid_drop", gridPlaces: 3 },
+  { sanction: "grid_drop", gridPlaces: 5 },
+  { sanction: "dq" }
+];
+
+export const DEFAULT_ESCALATION = {
+  windowRaces: 3,          // look back this many rounds
+  minFault: 60,            // a prior only counts when the driver carried at least this much fault
+  sameTypeOnly: true,      // ...for the same incident type
+  statuses: ["published"], // only official verdicts count
+  stepsPerPrior: 1,
+  pointsPerPrior: 1,
+  maxSanction: "grid_drop"
+};
+
+export const TARIFFS_PATH = process.env.PENALTY_TARIFFS_PATH || path.join(process.cwd(), 'public', 'penalty_tariffs.json');
+
+// League tariffs from disk; a missing file just means "built-ins only"
+export function loadLeagueTariffs(file = TARIFFS_PATH) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    if (e.code !== 'ENOENT') console.warn("Penalty tariffs failed:", e.message);
+    return {};
+  }
+}
+
+// League table first, then a league file entry for the series, then built-ins
+export function selectTariff({ league = "", rulebookId = "" } = {}, leagueTariffs = loadLeagueTariffs()) {
+  if (league && leagueTariffs[league]) return { id: league, ...leagueTariffs[league] };
+  if (rulebookId && leagueTariffs[rulebookId]) return { id: rulebookId, ...leagueTariffs[rulebookId] };
+  if (rulebookId && BUILT_IN_TARIFFS[rulebookId]) return { id: rulebookId, ...BUILT_IN_TARIFFS[rulebookId] };
+  return { id: "default", ...DEFAULT_TARIFF };
+}
+
+export function escalationPolicy({ league = "", rulebookId = "" } = {}, leagueTariffs) {
+  return { ...DEFAULT_ESCALATION, ...selectTariff({ league, rulebookId }, leagueTariffs).escalation };
+}
+
+// Position on the ladder: exact match, else the harshest step of the same sanction
+function ladderIndex(p) {
+  const exact = ESCALATION_LADDER.findIndex(s => s.sanction === p.sanction &&
+    (s.seconds === undefined || s.seconds === p.seconds) && (s.gridPlaces === undefined || s.gridPlaces === p.gridPlaces));
+  if (exact !== -1) return exact;
+  return ESCALATION_LADDER.map(s => s.sanction).lastIndexOf(p.sanction);
+}
+
+/**
+ * Steps a recommendation up for a repeat offender.
+ * @param {object} penalty      from recommendPenalty()
+ * @param {number} priorCount   counted prior incidents for the at-fault driver
+ * @param {object} policy       from escalationPolicy()
+ * @returns {object} penalty, with `escalation` describing what changed
+ */
+export function escalatePenalty(penalty, priorCount, policy = DEFAULT_ESCALATION) {
+  // A shared-fault verdict stays "no further action" whatever the driver's record
+  if (!priorCount || penalty.sanction === "none") return { ...penalty, escalation: null };
+
+  const from = ladderIndex(penalty);
+  const points = penalty.points + priorCount * policy.pointsPerPrior;
+  // Off the ladder (penalty points): the sanction stays, only the points go up
+  if (from === -1) {
+    return {
+      ...penalty,
+      label: describeSanction({ ...penalty, points }),
+      points,
+      escalation: { priors: priorCount, from: penalty.label, windowRaces: policy.windowRaces }
+    };
+  }
+  const cap = Math.max(from, ESCALATION_LADDER.map(s => s.sanction).lastIndexOf(policy.maxSanction));
+  const step = ESCALATION_LADDER[Math.min(from + priorCount * policy.stepsPerPrior, cap)];
+  const escalated = { ...step, points };
+
+  return {
+    ...penalty,
+    sanction: step.sanction,
+    label: describeSanction(escalated),
+    seconds: step.sanction === "time_penalty" ? step.seconds : null,
+    gridPlaces: step.sanction === "grid_drop" ? step.gridPlaces : null,
+    points,
+    escalation: { priors: priorCount, from: penalty.label, windowRaces: policy.windowRaces }
+  };
+}
+
+export function describeSanction(s) {
+  const parts = [];
+  switch (s.sanction) {
+    case "time_penalty": parts.push(`${s.seconds || 5}-second time penalty`); break;
+    case "grid_drop": parts.push(`${s.gridPlaces || 3}-place grid drop next race`); break;
+    case "penalty_points": return `${s.points || 1} penalty point${s.points === 1 ? "" : "s"}`;
+    default: parts.push(SANCTIONS[s.sanction] || s.sanction);
+  }
+  if (s.points && s.sanction !== "none") parts.push(`${s.points} penalty point${s.points === 1 ? "" : "s"}`);
+  return parts.join(" + ");
+}
+
+// Share the thresholds are checked against. With more than two cars the top share is judged
+// against an even split, so 100/N reads as 50% and 100% stays 100%: a 50/25/25 pile-up
+// counts like 62/38 between two cars.
+function thresholdFault(split) {
+  const top = Math.max(...split);
+  if (split.length <= 2) return top;
+  const even = 100 / split.length;
+  return Math.round(50 + (top - even) * 50 / (100 - even));
+}
+
+function ruleMatches(rule, { incidentKey, atFault, severity }) {
+  if (!rule.types.includes("*") && !rule.types.includes(incidentKey)) return false;
+  if (rule.minFault !== undefined && atFault < rule.minFault) return false;
+  if (rule.severity && !rule.severity.includes(severity)) return false;
+  return true;
+}
+
+/**
+ * @param {object} input
+ * @param {string} input.incidentKey  canonical taxonomy id
+ * @param {number} input.faultA       Car A's fault % (two-car shorthand for split)
+ * @param {number[]} input.split      fault % per car, in car order
+ * @param {string[]} input.cars       display names, Car A first
+ * @param {string} input.severity     minor | moderate | major
+ * @param {string} input.rulebookId   series rulebook id
+ * @param {string} input.league       optional league tariff id
+ * @returns {object} penalty recommendation
+ */
+export function recommendPenalty({ incidentKey, faultA, split = [faultA, 100 - faultA], cars = ["Car A", "Car B"], severity = "moderate", rulebookId = "", league = "" }, leagueTariffs) {
+  const tariff = selectTariff({ league, rulebookId }, leagueTariffs);
+  const sev = SEVERITIES.includes(severity) ? severity : "moderate";
+  // The sanction goes to the car with the most fault (Car A on a tie)
+  const atFault = Math.max(...split);
+  const atFaultIndex = split.indexOf(atFault);
+  const fault = thresholdFault(split);
+
+  // Shared fault only earns a sanction through a rule written for this incident type
+  const matched = tariff.rules.find(r => ruleMatches(r, { incidentKey, atFault: fault, severity: sev }));
+  const rule = !matched || (fault < RACING_INCIDENT_MAX && !matched.types.includes(incidentKey))
+    ? { sanction: "none" }
+    : matched;
+
+  return {
+    sanction: rule.sanction,
+    label: describeSanction(rule),
+    appliesTo: rule.sanction === "none" ? null : cars[atFaultIndex],
+    atFaultCar: CAR_LETTERS[atFaultIndex],
+    seconds: rule.sanction === "time_penalty" ? rule.seconds || 5 : null,
+    gridPlaces: rule.sanction === "grid_drop" ? rule.gridPlaces || 3 : null,
+    points: rule.sanction === "none" ? 0 : rule.points || 0,
+    severity: sev,
+    atFault,
+    tariff: { id: tariff.id, name: tariff.name }
+  };
+}
@@ -0,0 +1,299 @@
+// lib/precedents.js
+// Curated precedent loader — public/precedents_real.csv, resolved against the taxonomy
+// Multi-car rulings add an optional `fault_split` column ("50/30/20", car order);
+// two-car rows only need fault_a.
+// The curation admin (/precedents) edits the same set: every row has an id, a status
+// (retired rows stay but are never retrieved), tags and provenance — Reddit threads, or our
+// own reviewed cases promoted with the case id, league and steward. The deploy is read-only,
+// so edits never touch the seed in public/: rows added or changed at runtime are kept in
+// STEWARDS_DATA_DIR/precedents.csv and laid over the seed on every read.
+
+import Papa from 'papaparse';
+import fs from 'fs';
+import fsp from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { z } from 'zod';
+import { resolveIncidentType, validateIncidentTypes } from './taxonomy.js';
+import { effectiveVerdict } from './review.js';
+import { DATA_DIR } from './caseStore.js';
+
+export const PRECEDENTS_PATH = path.join(process.cwd(), 'public', 'precedents_real.csv');
+export const PRECEDENT_EDITS_PATH = path.join(DATA_DIR, 'precedents.csv');
+
+export const PRECEDENT_COLUMNS = [
+  "id", "status", "incident_type", "thread_id", "title", "youtube_url", "ruling", "reason",
+  "fault_a", "fault_split", "tags", "source", "case_id", "league", "added_by", "added_at", "updated_by", "updated_at", "note"
+];
+
+export const PRECEDENT_STATUSES = ["active", "retired"];
+
+// Every change to the set needs "Authorization: Bearer <PRECEDENTS_ADMIN_TOKEN>" (lib/auth.js)
+export const PRECEDENT_ADMIN = { env: "PRECEDENTS_ADMIN_TOKEN", what: "Precedent curation" };
+
+// Cases a steward has signed off — the only ones worth learning from
+export const PROMOTABLE_STATUSES = ["reviewed", "published"];
+
+const parseCsv = text => Papa.parse(text, { header: true, skipEmptyLines: true }).data;
+
+// A seed row added to the CSV by hand has no id yet — derive one from its content, so it is
+// the same on every read and an edit can refer to it
+const contentId = row =>
+  `PRC-00000000-${crypto.createHash('sha1').update([row.thread_id, row.case_id, row.title].join('|')).digest('hex').slice(0, 6).toUpperCase()}`;
+
+/**
+ * The seed with the runtime edits laid over it — an edited row replaces the seed row with
+ * its id, rows added at runtime follow the seed.
+ * @param {object[]} seed   public/precedents_real.csv rows
+ * @param {object[]} edits  STEWARDS_DATA_DIR/precedents.csv rows
+ * @returns {object[]}
+ */
+export function mergePrecedentRows(seed, edits = []) {
+  const base = seed.map(row => ({
+    ...row,
+    id: row.id || contentId(row),
+    status: row.status || "active",
+    source: row.source || (row.thread_id ? "reddit" : "")
+  }));
+  const edited = new Map(edits.map(row => [row.id, row]));
+  const seeded = new Set(base.map(row => row.id));
+  return [...base.map(row => edited.get(row.id) || row), ...edits.filter(row => !seeded.has(row.id))];
+}
+
+// Rows as CSV text in PRECEDENT_COLUMNS order, LF line endings like the file in git
+export const precedentRowsCsv = rows =>
+  `${Papa.unparse(rows.map(r => Object.fromEntries(PRECEDENT_COLUMNS.map(c => [c, r[c] ?? ""]))), { columns: PRECEDENT_COLUMNS, newline: "\n" })}\n`;
+
+export function readPrecedentRows() {
+  let edits = [];
+  try {
+    edits = parseCsv(fs.readFileSync(PRECEDENT_EDITS_PATH, 'utf8'));
+  } catch (e) {
+    if (e.code !== 'ENOENT') throw e;
+  }
+  return mergePrecedentRows(parseCsv(fs.readFileSync(PRECEDENTS_PATH, 'utf8')), edits);
+}
+
+// "50/30/20" → [50, 30, 20]; null unless it is a usable split of 3+ cars summing to 100
+export function parseFaultSplit(value = "") {
+  const split = String(value).split('/').map(v => parseInt(v, 10));
+  if (split.length < 3 || split.some(Number.isNaN)) return null;
+  return split.reduce((s, v) => s + v, 0) === 100 ? split : null;
+}
+
+const isRetired = row => row.status === "retired";
+
+// Every active row with its canonical type id (null when the CSV label doesn't resolve)
+export function loadPrecedents() {
+  return readPrecedentRows().filter(row => !isRetired(row)).map(row => {
+    const faultSplit = parseFaultSplit(row.fault_split);
+    return {
+      ...row,
+      typeId: resolveIncidentType(row.incident_type)?.id || null,
+      faultSplit,
+      parties: faultSplit ? faultSplit.length : 2
+    };
+  });
+}
+
+export function precedentReport() {
+  return validateIncidentTypes(readPrecedentRows().filter(row => !isRetired(row)));
+}
+
+export function newPrecedentId(date = new Date()) {
+  const day = date.toISOString().slice(0, 10).replace(/-/g, '');
+  return `PRC-${day}-${crypto.randomBytes(3).toString('hex').toUpperCase()}`;
+}
+
+const PRECEDENT_ID = /^PRC-\d{8}-[0-9A-F]{6}$/;
+export const isPrecedentId = id => typeof id === 'string' && PRECEDENT_ID.test(id);
+
+// "Lap 1, T1 chaos ;netcode" → ["lap 1", "t1 chaos", "netcode"]
+export const parseTags = value =>
+  [...new Set((Array.isArray(value) ? value : String(value || "").split(/[;,]/)).map(t => String(t).trim().toLowerCase()).filter(Boolean))];
+
+// What the admin edits — incident_type must resolve, fault_a is Car A's 0–100%
+const precedentFields = z.object({
+  incident_type: z.string().trim().min(1, "Incident type is required")
+    .refine(v => resolveIncidentType(v), v => ({ message: `Unknown incident type: ${v} (see lib/taxonomy.js)` }))
+    .transform(v => resolveIncidentType(v).label),
+  title: z.string().trim().min(1, "Title is required").max(200),
+  ruling: z.string().trim().min(1, "Ruling is required").max(120),
+  reason: z.string().trim().min(1, "Reason is required").max(1000),
+  fault_a: z.coerce.number({ invalid_type_error: "fault_a must be a number" }).int("fault_a must be a whole number")
+    .min(0, "fault_a must be between 0 and 100").max(100, "fault_a must be between 0 and 100"),
+  fault_split: z.string().trim().optional().default("")
+    .refine(v => !v || parseFaultSplit(v), "fault_split must be 3+ whole numbers summing to 100, e.g. 50/30/20"),
+  thread_id: z.string().trim().regex(/^[a-z0-9]*$/i, "thread_id is the Reddit post id, e.g. 18vneqo").optional().default(""),
+  youtube_url: z.string().trim().optional().default(""),
+  tags: z.union([z.string(), z.array(z.string())]).optional().default([]).transform(parseTags),
+  league: z.string().trim().max(80).optional().default("")
+});
+
+export const PRECEDENT_FIELDS = Object.keys(precedentFields.shape);
+
+export const precedentSchema = precedentFields.superRefine((v, ctx) => {
+  const split = parseFaultSplit(v.fault_split);
+  if (split && split[0] !== v.fault_a) {
+    ctx.addIssue({ code: "custom", path: ["fault_a"], message: `fault_a must equal the first car's share of fault_split (${split[0]})` });
+  }
+});
+
+/**
+ * Range check against the other active rulings of the same type — a typo like 10 for 100
+ * is a valid percentage, so it comes back as a warning, not an error.
+ * @param {object} row   validated precedent
+ * @param {object[]} rows
+ * @returns {string[]}
+ */
+export function faultRangeWarnings(row, rows) {
+  const typeId = resolveIncidentType(row.incident_type)?.id;
+  const peers = rows
+    .filter(r => r.id !== row.id && !isRetired(r) && resolveIncidentType(r.incident_type)?.id === typeId)
+    .map(r => parseInt(r.fault_a, 10))
+    .filter(f => !Number.isNaN(f));
+  if (peers.length < 3) return [];
+  const [min, max] = [Math.min(...peers), Math.max(...peers)];
+  const fault = Number(row.fault_a);
+  if (fault >= min - 10 && fault <= max + 10) return [];
+  return [`fault_a ${fault}% is outside the ${min}–${max}% range of the other ${peers.length} ${row.incident_type} precedents — check the ruling`];
+}
+
+export function summarizePrecedent(row) {
+  return {
+    ...Object.fromEntries(PRECEDENT_COLUMNS.map(c => [c, row[c] ?? ""])),
+    tags: parseTags(row.tags),
+    typeId: resolveIncidentType(row.incident_type)?.id || null,
+    thread: row.thread_id ? `https://old.reddit.com/r/simracingstewards/comments/${row.thread_id}/` : null
+  };
+}
+
+const percent = value => parseInt(String(value).replace('%', ''), 10);
+
+/**
+ * Ruling wording from a fault split and the cars' roles — "Overtaking car fault" when one car
+ * carries 70%+, otherwise "Racing Incident" (close split) or "Shared Fault".
+ * @param {number[]} faults  one % per car
+ * @param {string[]} roles   role text per car ("the overtaking car")
+ * @returns {string}
+ */
+export function rulingFor(faults, roles) {
+  const top = faults.indexOf(Math.max(...faults));
+  const role = String(roles[top] || "").replace(/^the\s+/i, '');
+  if (faults[top] >= 70 && role) return `${role.charAt(0).toUpperCase()}${role.slice(1)} fault`;
+  return Math.abs(faults[0] - faults[1]) <= 20 ? "Racing Incident" : "Shared Fault";
+}
+
+/**
+ * A precedent draft from a steward-reviewed case — the admin edits it before it is added.
+ * @param {object} caseRecord
+ * @returns {object}  precedent fields plus case_id
+ */
+export function precedentFromCase(caseRecord) {
+  const verdict = effectiveVerdict(caseRecord);
+  const faults = Object.values(verdict?.fault || {}).map(percent);
+  const roles = (caseRecord.result?.cars || []).map(c => c.roleText || c.role || "");
+  const explanation = String(verdict?.explanation || "").replace(String(verdict?.pro_tip || ""), '').trim();
+
+  return {
+    incident_type: caseRecord.result?.incident?.label || caseRecord.input?.incidentType || "",
+    title: verdict?.video_title || caseRecord.input?.manualTitle || "League incident",
+    ruling: rulingFor(faults, roles),
+    reason: (caseRecord.review?.reason || explanation.split('\n\n')[0] || "").slice(0, 1000),
+    fault_a: faults[0] ?? 50,
+    fault_split: faults.length > 2 ? faults.join('/') : "",
+    thread_id: "",
+    youtube_url: caseRecord.input?.url || "",
+    tags: ["league"],
+    league: caseRecord.input?.league || "",
+    case_id: caseRecord.id
+  };
+}
+
+/**
+ * The admin's read-modify-write access to the precedent set. Reads merge the seed and the
+ * edits file; writes go one at a time, through a tmp file and a rename, and store only the
+ * rows that differ from the seed.
+ * @param {object} [files]  { seedFile, file (the edits) }
+ */
+export function createPrecedentStore({ seedFile = PRECEDENTS_PATH, file = PRECEDENT_EDITS_PATH } = {}) {
+  let writing = Promise.resolve();
+
+  async function readCsv(csvFile) {
+    try {
+      return parseCsv(await fsp.readFile(csvFile, 'utf8'));
+    } catch (e) {
+      if (e.code === 'ENOENT') return [];
+      throw e;
+    }
+  }
+
+  const readRows = async () => mergePrecedentRows(await readCsv(seedFile), await readCsv(file));
+
+  async function writeRows(rows) {
+    const seed = new Map(mergePrecedentRows(await readCsv(seedFile)).map(r => [r.id, r]));
+    const changed = rows.filter(row => {
+      const original = seed.get(row.id);
+      return !original || PRECEDENT_COLUMNS.some(c => String(original[c] ?? "") !== String(row[c] ?? ""));
+    });
+    await fsp.mkdir(path.dirname(file), { recursive: true });
+    await fsp.writeFile(`${file}.tmp`, precedentRowsCsv(changed));
+    await fsp.rename(`${file}.tmp`, file);
+  }
+
+  // Runs `change(rows)` against the current set and writes the result back
+  function mutate(change) {
+    const run = writing.then(async () => {
+      const rows = await readRows();
+      const outcome = await change(rows);
+      await writeRows(rows);
+      return outcome;
+    });
+    writing = run.catch(() => {});
+    return run;
+  }
+
+  return {
+    all: readRows,
+    async get(id) {
+      return (await readRows()).find(r => r.id === id) || null;
+    },
+    add(fields, { steward, source, caseId = "" }) {
+      const now = new Date().toISOString();
+      return mutate(rows => {
+        if (caseId && rows.some(r => r.case_id === caseId)) return { duplicate: rows.find(r => r.case_id === caseId) };
+        const row = {
+          ...fields,
+          id: newPrecedentId(),
+          status: "active",
+          tags: fields.tags.join('; '),
+          source,
+          case_id: caseId,
+          added_by: steward,
+          added_at: now,
+          updated_by: steward,
+          updated_at: now
+        };
+        rows.push(row);
+        return { row, warnings: faultRangeWarnings(row, rows) };
+      });
+    },
+    update(id, patch, { steward }) {
+      return mutate(rows => {
+        const row = rows.find(r => r.id === id);
+        if (!row) return null;
+        Object.assign(row, patch, patch.tags ? { tags: patch.tags.join('; ') } : {}, {
+          updated_by: steward,
+          updated_at: new Date().toISOString()
+        });
+        return { row, warnings: patch.fault_a !== undefined ? faultRangeWarnings(row, rows) : [] };
+      });
+    }
+  };
+}
+
+let store = null;
+export function getPrecedentStore() {
+  if (!store) store = createPrecedentStore();
+  return store;
+}
@@ -0,0 +1,143 @@
+// lib/protests.js
+// Protest intake — a driver files a protest, the accused gets a private reply link for a
+// counter-statement and their own clip. Both statements reach the verdict as labelled
+// claims, and a protested case can't be published while the right of reply is open.
+// Stored like cases: one JSON file per protest under STEWARDS_DATA_DIR/protests.
+
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { DATA_DIR } from './caseStore.js';
+
+export const REPLY_WINDOW_HOURS = parseInt(process.env.PROTEST_REPLY_HOURS) || 48;
+
+export function newProtestId(date = new Date()) {
+  const day = date.toISOString().slice(0, 10).replace(/-/g, '');
+  return `PRT-${day}-${crypto.randomBytes(3).toString('hex').toUpperCase()}`;
+}
+
+const PROTEST_ID = /^PRT-\d{8}-[0-9A-F]{6}$/;
+export const isProtestId = id => typeof id === 'string' && PROTEST_ID.test(id);
+const isToken = token => typeof token === 'string' && /^[0-9a-f]{32}$/.test(token);
+
+// "awaiting_reply" until the accused answers or the window closes
+export function replyStatus(protest, now = new Date()) {
+  if (protest.accused.repliedAt) return "replied";
+  return now.toISOString() < protest.replyDeadline ? "awaiting_reply" : "no_reply";
+}
+
+// What the accused sees — the protest, never the steward side of the record
+export function publicView(protest) {
+  return {
+    id: protest.id,
+    createdAt: protest.createdAt,
+    replyDeadline: protest.replyDeadline,
+    status: replyStatus(protest),
+    incident: protest.incident,
+    protester: { name: protest.protester.name, car: protest.protester.car, statement: protest.protester.statement, clip: protest.protester.clip },
+    accused: { name: protest.accused.name, car: protest.accused.car, statement: protest.accused.statement, clip: protest.accused.clip, repliedAt: protest.accused.repliedAt }
+  };
+}
+
+export function summarizeProtest(p) {
+  return {
+    id: p.id,
+    createdAt: p.createdAt,
+    status: replyStatus(p),
+    incidentType: p.incident.incidentType,
+    protester: p.protester.name,
+    accused: p.accused.name,
+    replyDeadline: p.replyDeadline,
+    caseId: p.caseId || null
+  };
+}
+
+/**
+ * Statements for the verdict prompt, each labelled with who made it.
+ * @param {object} protest
+ * @param {string[]} carNames  display names, protester's car first when side is "A"
+ */
+export function protestClaims(protest, carNames) {
+  const protesterCar = carNames[protest.protester.side === "B" ? 1 : 0];
+  const accusedCar = carNames[protest.protester.side === "B" ? 0 : 1];
+  const lines = [
+    `Protest by ${protest.protester.name} (${protesterCar}): "${protest.protester.statement}"`,
+    protest.accused.statement
+      ? `Counter-statement by ${protest.accused.name} (${accusedCar}): "${protest.accused.statement}"`
+      : `No counter-statement from ${protest.accused.name} (${accusedCar}) — ${replyStatus(protest) === "no_reply" ? "the reply window closed" : "the reply window is still open"}.`
+  ];
+  if (protest.accused.clip) lines.push(`The accused also submitted their own clip: ${protest.accused.clip}`);
+  return lines;
+}
+
+export function createJsonProtestStore(dir = path.join(DATA_DIR, 'protests')) {
+  const fileFor = id => {
+    if (!isProtestId(id)) throw new Error(`Invalid protest id: ${id}`);
+    return path.join(dir, `${id}.json`);
+  };
+
+  async function readProtest(id) {
+    try {
+      return JSON.parse(await fs.readFile(fileFor(id), 'utf8'));
+    } catch (e) {
+      if (e.code === 'ENOENT') return null;
+      throw e;
+    }
+  }
+
+  async function writeProtest(record) {
+    await fs.mkdir(dir, { recursive: true });
+    const file = fileFor(record.id);
+    await fs.writeFile(`${file}.tmp`, JSON.stringify(record, null, 2));
+    await fs.rename(`${file}.tmp`, file);
+    return record;
+  }
+
+  async function readAll() {
+    let files = [];
+    try {
+      files = await fs.readdir(dir);
+    } catch (e) {
+      if (e.code === 'ENOENT') return [];
+      throw e;
+    }
+    const protests = await Promise.all(
+      files.filter(f => f.endsWith('.json')).map(f => readProtest(f.slice(0, -5)).catch(() => null))
+    );
+    return protests.filter(Boolean).sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  return {
+    async create({ incident, protester, accused, replyHours = REPLY_WINDOW_HOURS }) {
+      const now = new Date();
+      return writeProtest({
+        id: newProtestId(now),
+        createdAt: now.toISOString(),
+        updatedAt: now.toISOString(),
+        replyToken: crypto.randomBytes(16).toString('hex'),
+        replyDeadline: new Date(now.getTime() + replyHours * 3600 * 1000).toISOString(),
+        incident,
+        protester,
+        accused: { ...accused, statement: "", clip: "", repliedAt: null },
+        caseId: null
+      });
+    },
+    get: id => (isProtestId(id) ? readProtest(id) : Promise.resolve(null)),
+    async findByToken(token) {
+      if (!isToken(token)) return null;
+      return (await readAll()).find(p => p.replyToken === token) || null;
+    },
+    async update(id, patch) {
+      const existing = await readProtest(id);
+      if (!existing) return null;
+      return writeProtest({ ...existing, ...patch, id, createdAt: existing.createdAt, updatedAt: new Date().toISOString() });
+    },
+    all: readAll
+  };
+}
+
+let store = null;
+export function getProtestStore() {
+  if (!store) store = createJsonProtestStore();
+  return store;
+}
@@ -0,0 +1,474 @@
+// lib/redditImport.js
+// Offline importer for r/simracingstewards archive dumps — builds precedent candidates from
+// a local Reddit JSON export, no network. Accepts the thread JSON reddit.com serves for a
+// post (or an array of them), Pushshift-style NDJSON of submissions and comments, or
+// { posts: [...], comments: [...] }. Each thread's incident type is classified from its title
+// and body against the taxonomy; the fault split is the upvote-weighted consensus of the
+// top-voted steward-style comments ("100% on the overtaker", "70/30 defender", "racing
+// incident"). Candidates wait in a review queue (STEWARDS_DATA_DIR/precedent-candidates)
+// until a steward accepts them into the precedent set on /precedents.
+
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { DATA_DIR } from './caseStore.js';
+import { INCIDENT_TYPES, getRoles } from './taxonomy.js';
+import { confidenceLabel } from './confidence.js';
+import { rulingFor } from './precedents.js';
+
+export const CANDIDATE_STATUSES = ["pending", "accepted", "rejected"];
+
+export const SUBREDDIT = "simracingstewards";
+export const MAX_VOTING_COMMENTS = 10;
+export const AGREEMENT_RANGE = 15;        // votes within ±15% of the consensus agree with it
+
+export function newCandidateId(date = new Date()) {
+  const day = date.toISOString().slice(0, 10).replace(/-/g, '');
+  return `CND-${day}-${crypto.randomBytes(3).toString('hex').toUpperCase()}`;
+}
+
+const CANDIDATE_ID = /^CND-\d{8}-[0-9A-F]{6}$/;
+export const isCandidateId = id => typeof id === 'string' && CANDIDATE_ID.test(id);
+
+export const threadUrl = id => `https://old.reddit.com/r/${SUBREDDIT}/comments/${id}/`;
+
+const normalize = (text = "") => String(text).toLowerCase().replace(/[‘’]/g, "'").replace(/\s+/g, ' ').trim();
+const escape = s => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const stripId = id => String(id || "").replace(/^t[13]_/, '');
+const isGone = text => ["[deleted]", "[removed]"].includes(String(text || "").trim());
+
+// ---- Dump parsing --------------------------------------------------------------------------
+
+function collect(value, posts, comments) {
+  if (Array.isArray(value)) return value.forEach(v => collect(v, posts, comments));
+  if (!value || typeof value !== 'object') return;
+  if (value.kind === "Listing") return collect(value.data?.children || [], posts, comments);
+  if (value.kind === "t3") return posts.push(value.data);
+  if (value.kind === "t1") {
+    comments.push(value.data);
+    if (value.data?.replies) collect(value.data.replies, posts, comments);
+    return;
+  }
+  if (value.kind) return;                                  // "more" stubs and anything else
+  if (Array.isArray(value.posts) || Array.isArray(value.comments)) {
+    collect(value.posts || [], posts, comments);
+    collect(value.comments || [], posts, comments);
+    return;
+  }
+  if (typeof value.title === 'string' && value.id) posts.push(value);
+  else if (typeof value.body === 'string' && (value.link_id || value.parent_id)) comments.push(value);
+}
+
+/**
+ * Reads one dump file's posts and comments — group them with groupThreads(), across files
+ * when posts and comments were exported separately.
+ * @param {string} text  JSON or NDJSON
+ * @returns {{ posts: object[], comments: object[], errors: string[] }}
+ */
+export function readRedditDump(text) {
+  const posts = [];
+  const comments = [];
+  const errors = [];
+  try {
+    collect(JSON.parse(text), posts, comments);
+  } catch {
+    String(text || "").split('\n').forEach((line, i) => {
+      if (!line.trim()) return;
+      try {
+        collect(JSON.parse(line), posts, comments);
+      } catch {
+        errors.push(`Line ${i + 1}: not JSON`);
+      }
+    });
+  }
+  return { posts, comments, errors };
+}
+
+// One self-contained file → threads
+export function parseRedditDump(text) {
+  const { posts, comments, errors } = readRedditDump(text);
+  return { threads: groupThreads(posts, comments), errors };
+}
+
+// Several files (posts in one, comments in another) make one set of threads
+export function groupThreads(posts, comments) {
+  const byPost = new Map();
+  for (const c of comments) {
+    const postId = stripId(c.link_id || c.parent_id);
+    if (!byPost.has(postId)) byPost.set(postId, []);
+    byPost.get(postId).push(c);
+  }
+  const seen = new Set();
+  return posts.filter(p => p?.id && !seen.has(p.id) && seen.add(p.id)).map(p => {
+    const ownLink = !p.url || /reddit\.com\/r\/[^/]+\/comments\//.test(p.url) || p.is_self;
+    return {
+      id: stripId(p.id),
+      subreddit: p.subreddit || "",
+      title: String(p.title || "").trim(),
+      body: isGone(p.selftext) ? "" : String(p.selftext || "").trim(),
+      author: p.author || "",
+      score: Number(p.score) || 0,
+      createdAt: p.created_utc ? new Date(Number(p.created_utc) * 1000).toISOString() : null,
+      videoUrl: ownLink ? "" : p.url,
+      comments: (byPost.get(stripId(p.id)) || []).map(c => ({
+        id: stripId(c.id),
+        author: c.author || "",
+        body: String(c.body || ""),
+        score: Number(c.score) || 0,
+        topLevel: stripId(c.parent_id) === stripId(p.id)
+      }))
+    };
+  });
+}
+
+// ---- Incident type -------------------------------------------------------------------------
+
+const TYPE_TERMS = INCIDENT_TYPES.map(type => ({
+  type,
+  terms: [...new Set([type.id, ...type.label.split('/'), ...type.aliases.flatMap(a => a.split('/'))]
+    .map(t => normalize(t)).filter(t => t.length > 1))]
+    .map(term => ({ term, pattern: new RegExp(`(^|[^a-z0-9])${escape(term)}(s|d|ed|ing)?(?![a-z0-9])`) }))
+}));
+
+/**
+ * Incident type from the post — title matches count three times the body's, longer
+ * (more specific) terms a little more than short ones.
+ * @returns {{ type: object|null, confidence: number, matched: string[] }}
+ */
+export function classifyIncident(title = "", body = "") {
+  const [t, b] = [normalize(title), normalize(body)];
+  const scored = TYPE_TERMS.map(({ type, terms }) => {
+    let score = 0;
+    const matched = [];
+    for (const { term, pattern } of terms) {
+      const weight = (pattern.test(t) ? 3 : 0) + (pattern.test(b) ? 1 : 0);
+      if (weight) {
+        score += weight * (1 + term.length / 10);
+        matched.push(term);
+      }
+    }
+    return { type, score, matched };
+  }).sort((x, y) => y.score - x.score);
+
+  const [best, next] = scored;
+  if (!best.score) return { type: null, confidence: 0, matched: [] };
+  return { type: best.type, confidence: best.score / (best.score + (next?.score || 0)), matched: best.matched };
+}
+
+// ---- Fault from comments -------------------------------------------------------------------
+
+// How commenters name the two cars, grouped by the role they play
+const ATTACKER = ["overtaker", "overtaking car", "attacker", "attacking car", "car behind", "following car", "chasing car", "diving car", "car from behind", "rear car"];
+const DEFENDER = ["defender", "defending car", "car ahead", "car in front", "lead car", "leading car", "front car"];
+
+const FULL = "fully|entirely|completely|totally|100%|all";
+const MOSTLY = "mostly|mainly|largely|primarily|majority";
+const degree = word => (!word ? 90 : new RegExp(`^(${FULL})$`).test(word) ? 100 : 75);
+const NEGATED = /\b(not|isn't|wasn't|never|no way)\b[^.]{0,12}$/;
+
+// [Car A terms, Car B terms] for a type — its own role names plus the overtaker/defender family
+function sideTerms(type) {
+  return getRoles(type).slice(0, 2).map(role => {
+    const own = normalize(role).replace(/^the\s+/, '');
+    return [own, ...(/overtak/.test(own) ? ATTACKER : /defend/.test(own) ? DEFENDER : [])];
+  });
+}
+
+/**
+ * Car A's fault as one comment states it, or null when it doesn't say.
+ * @param {string} text  comment body
+ * @param {object} type  taxonomy entry the thread was classified as
+ * @returns {{ faultA: number, how: string }|null}
+ */
+export function faultFromComment(text, type) {
+  const t = normalize(text).replace(/\[([^\]]*)\]\([^)]*\)/g, '$1');
+  const sides = sideTerms(type);
+  const side = `(?:the\\s+)?(${sides.flat().sort((a, b) => b.length - a.length).map(escape).join('|')})(?:'s|s')?`;
+  const sideOf = term => (sides[0].includes(term) ? 0 : 1);
+  const forSide = (term, fault) => (sideOf(term) === 0 ? fault : 100 - fault);
+
+  const patterns = [
+    // A percentage only counts right next to a role word, "fault" or "on" — "the car ahead was
+    // 2% slower" says nothing about blame.
+    // "100% on the overtaker", "80% overtaker", "80% fault to the defender"
+    [new RegExp(`(\\d{1,3})\\s*%\\s*(?:(?:at\\s+)?fault\\s+)?(?:on|to|against)?\\s*${side}`, 'g'), m => ({ faultA: forSide(m[2], +m[1]), how: "percent" })],
+    // "overtaker is 80% at fault", "defender 30%."
+    [new RegExp(`${side}\\s+(?:is\\s+|was\\s+|gets\\s+|takes\\s+)?(\\d{1,3})\\s*%\\s*(?:(?:at\\s+)?fault|to\\s+blame|responsible|(?=[.,;!?)]|$))`, 'g'), m => ({ faultA: forSide(m[1], +m[2]), how: "percent" })],
+    // "70/30 overtaker", "70/30 on the defender"
+    [new RegExp(`(\\d{1,3})\\s*[/-]\\s*(\\d{1,3})\\s*(?:on|to|against)?\\s*${side}`, 'g'), m => (+m[1] + +m[2] === 100 ? { faultA: forSide(m[3], +m[1]), how: "split" } : null)],
+    // "overtaker's fault", "defender is mostly to blame"
+    [new RegExp(`${side}\\s+(?:is\\s+|was\\s+)?(${FULL}|${MOSTLY})?\\s*(?:at\\s+fault|fault|to\\s+blame|in\\s+the\\s+wrong|responsible)`, 'g'), m => ({ faultA: forSide(m[1], degree(m[2])), how: "blame" })],
+    // "fault lies with the defender", "blame is fully on the overtaker", "all on the car behind"
+    [new RegExp(`(?:(?:fault|blame|responsibility)\\s+(?:is\\s+|lies\\s+|goes\\s+)?(${FULL}|${MOSTLY})?\\s*|(${FULL}|${MOSTLY})\\s+)(?:on|with)\\s+${side}`, 'g'), m => ({ faultA: forSide(m[3], degree(m[1] || m[2])), how: "blame" })]
+  ];
+
+  for (const [pattern, read] of patterns) {
+    for (const m of t.matchAll(pattern)) {
+      if (NEGATED.test(t.slice(0, m.index))) continue;
+      const found = read(m);
+      if (found && found.faultA >= 0 && found.faultA <= 100) return found;
+    }
+  }
+
+  const neutral = /(racing incident|50\s*\/\s*50|both (?:drivers |cars )?(?:are |were )?(?:at fault|to blame)|no fault)/.exec(t);
+  if (neutral && !NEGATED.test(t.slice(0, neutral.index))) return { faultA: 50, how: "neutral" };
+  return null;
+}
+
+// First two sentences, without quotes and markdown — the candidate's "reason"
+function excerpt(text, max = 300) {
+  const plain = String(text)
+    .split('\n').filter(line => !line.trim().startsWith('>')).join(' ')
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1').replace(/[*_~`#]/g, '').replace(/\s+/g, ' ').trim();
+  const sentences = plain.match(/[^.!?]+[.!?]*/g) || [plain];
+  const short = sentences.slice(0, 2).join('').trim();
+  return short.length > max ? `${short.slice(0, max - 1).trim()}…` : short;
+}
+
+/**
+ * Upvote-weighted consensus over the top-voted top-level comments that state a fault.
+ * @param {object} thread
+ * @param {object} type
+ * @param {object} [options]
+ * @param {number} [options.minScore]  comments below this score don't vote
+ * @returns {{ faultA: number, agreement: number, votes: object[] }|null}
+ */
+export function consensusFault(thread, type, { minScore = 1 } = {}) {
+  const votes = thread.comments
+    .filter(c => c.topLevel && !isGone(c.body) && c.score >= minScore)
+    .filter(c => c.author !== thread.author && c.author !== "AutoModerator")
+    .sort((a, b) => b.score - a.score)
+    .slice(0, MAX_VOTING_COMMENTS)
+    .map(c => ({ comment: c, found: faultFromComment(c.body, type) }))
+    .filter(v => v.found)
+    .map(({ comment, found }) => ({
+      commentId: comment.id,
+      author: comment.author,
+      score: comment.score,
+      faultA: found.faultA,
+      how: found.how,
+      excerpt: excerpt(comment.body)
+    }));
+  if (!votes.length) return null;
+
+  const weight = v => Math.max(1, v.score);
+  const total = votes.reduce((s, v) => s + weight(v), 0);
+  const sorted = [...votes].sort((a, b) => a.faultA - b.faultA);
+  let running = 0;
+  const median = sorted.find(v => (running += weight(v)) >= total / 2).faultA;
+  const faultA = Math.round(median / 5) * 5;
+  const agreeing = votes.filter(v => Math.abs(v.faultA - faultA) <= AGREEMENT_RANGE);
+  return { faultA, agreement: agreeing.reduce((s, v) => s + weight(v), 0) / total, votes };
+}
+
+/**
+ * 0–100 like the verdict confidence: how sure the type is, how many comments voted and how
+ * much of the upvote weight agrees with the consensus.
+ * @returns {{ score: number, label: string, reasons: Array<{ factor, points, detail }> }}
+ */
+export function candidateConfidence(classification, consensus) {
+  const reasons = [
+    { factor: "classification", points: Math.round(30 * classification.confidence), detail: `Type matched on: ${classification.matched.join(', ')}` },
+    { factor: "votes", points: Math.min(consensus.votes.length, 5) * 6, detail: `${consensus.votes.length} steward comment(s) stated a fault` },
+    // One comment always agrees with itself — agreement only counts fully from three votes
+    { factor: "agreement", points: Math.round(40 * consensus.agreement * Math.min(consensus.votes.length, 3) / 3), detail: `${Math.round(consensus.agreement * 100)}% of the upvote weight within ±${AGREEMENT_RANGE}% of the consensus` }
+  ];
+  const score = reasons.reduce((s, r) => s + r.points, 0);
+  return { score, label: confidenceLabel(score), reasons };
+}
+
+/**
+ * Candidate precedent for one thread, or the reason there isn't one.
+ * @param {object} thread
+ * @param {object} [options]  { minScore }
+ * @returns {{ candidate: object }|{ skip: string }}
+ */
+export function buildCandidate(thread, options = {}) {
+  if (thread.subreddit && thread.subreddit.toLowerCase() !== SUBREDDIT) return { skip: "otherSubreddit" };
+  const classification = classifyIncident(thread.title, thread.body);
+  if (!classification.type) return { skip: "unclassified" };
+  const consensus = consensusFault(thread, classification.type, options);
+  if (!consensus) return { skip: "noConsensus" };
+
+  const { type } = classification;
+  const best = consensus.votes
+    .filter(v => Math.abs(v.faultA - consensus.faultA) <= AGREEMENT_RANGE)
+    .sort((a, b) => b.score - a.score)[0];
+  return {
+    candidate: {
+      thread_id: thread.id,
+      thread: threadUrl(thread.id),
+      postedAt: thread.createdAt,
+      postScore: thread.score,
+      incident_type: type.label,
+      typeId: type.id,
+      title: thread.title.slice(0, 200),
+      ruling: rulingFor([consensus.faultA, 100 - consensus.faultA], getRoles(type)),
+      reason: best?.excerpt || "",
+      fault_a: consensus.faultA,
+      youtube_url: thread.videoUrl,
+      agreement: Math.round(consensus.agreement * 100) / 100,
+      votes: consensus.votes,
+      classification: { confidence: Math.round(classification.confidence * 100) / 100, matched: classification.matched },
+      confidence: candidateConfidence(classification, consensus)
+    }
+  };
+}
+
+// ---- Review queue --------------------------------------------------------------------------
+
+export function summarizeCandidate(c) {
+  const { votes, ...rest } = c;
+  return { ...rest, voteCount: votes.length };
+}
+
+export function createJsonCandidateStore(dir = path.join(DATA_DIR, 'precedent-candidates')) {
+  const fileFor = id => {
+    if (!isCandidateId(id)) throw new Error(`Invalid candidate id: ${id}`);
+    return path.join(dir, `${id}.json`);
+  };
+
+  async function readCandidate(id) {
+    try {
+      return JSON.parse(await fs.readFile(fileFor(id), 'utf8'));
+    } catch (e) {
+      if (e.code === 'ENOENT') return null;
+      throw e;
+    }
+  }
+
+  async function writeCandidate(record) {
+    await fs.mkdir(dir, { recursive: true });
+    const file = fileFor(record.id);
+    await fs.writeFile(`${file}.tmp`, JSON.stringify(record, null, 2));
+    await fs.rename(`${file}.tmp`, file);
+    return record;
+  }
+
+  async function readAll() {
+    let files = [];
+    try {
+      files = await fs.readdir(dir);
+    } catch (e) {
+      if (e.code === 'ENOENT') return [];
+      throw e;
+    }
+    const candidates = await Promise.all(
+      files.filter(f => f.endsWith('.json')).map(f => readCandidate(f.slice(0, -5)).catch(() => null))
+    );
+    return candidates.filter(Boolean).sort((a, b) => b.confidence.score - a.confidence.score);
+  }
+
+  let writing = Promise.resolve();
+  let byThread = null;   // thread id → candidate, read from disk at the start of each import
+
+  // Upserts and reviews run one at a time, so two accepts can't both see "pending"
+  function queued(work) {
+    const run = writing.then(work);
+    writing = run.catch(() => {});
+    return run;
+  }
+
+  async function loadThreads() {
+    byThread = new Map((await readAll()).map(c => [c.thread_id, c]));
+  }
+
+  return {
+    // One directory read per import instead of one per thread
+    refresh: () => queued(loadThreads),
+
+    // A re-import refreshes a pending candidate for the same thread instead of queueing it twice
+    upsert: (fields, { source }) => queued(async () => {
+      if (!byThread) await loadThreads();
+      const now = new Date().toISOString();
+      const existing = byThread.get(fields.thread_id);
+      if (existing && existing.status !== "pending") return { candidate: existing, reviewed: true };
+      const candidate = await writeCandidate({
+        ...fields,
+        id: existing?.id || newCandidateId(),
+        status: "pending",
+        source,
+        createdAt: existing?.createdAt || now,
+        updatedAt: now,
+        reviewedBy: "",
+        note: "",
+        precedentId: null
+      });
+      byThread.set(candidate.thread_id, candidate);
+      return { candidate, updated: Boolean(existing) };
+    }),
+    get: id => (isCandidateId(id) ? readCandidate(id) : Promise.resolve(null)),
+
+    /**
+     * `patch` may be an (async) existing => patch, or null for no change — it runs in the
+     * queue, so a check on the candidate's status and the change it leads to are one step.
+     */
+    update: (id, patch) => queued(async () => {
+      const existing = isCandidateId(id) ? await readCandidate(id) : null;
+      if (!existing) return null;
+      const changes = typeof patch === 'function' ? await patch(existing) : patch;
+      if (!changes) return existing;
+      const saved = await writeCandidate({ ...existing, ...changes, id, createdAt: existing.createdAt, updatedAt: new Date().toISOString() });
+      byThread?.set(saved.thread_id, saved);
+      return saved;
+    }),
+    all: readAll
+  };
+}
+
+let store = null;
+export function getCandidateStore() {
+  if (!store) store = createJsonCandidateStore();
+  return store;
+}
+
+/**
+ * Queues a candidate for every usable thread.
+ * @param {object[]} threads                groupThreads() / parseRedditDump() output
+ * @param {object} options
+ * @param {string} options.source           dump file name, kept as provenance
+ * @param {Set<string>} [options.known]     thread ids already in the precedent CSV
+ * @param {number} [options.minConfidence]  0–100; weaker candidates are skipped
+ * @param {number} [options.minScore]       comment score needed to vote
+ * @param {boolean} [options.dryRun]        build candidates without queueing them
+ * @param {object} [options.store]
+ * @returns {Promise<object>}  counts plus the queued candidates
+ */
+export async function importThreads(threads, { source, known = new Set(), minConfidence = 0, minScore = 1, dryRun = false, store = getCandidateStore() }) {
+  const summary = {
+    threads: threads.length,
+    queued: 0,
+    updated: 0,
+    skipped: { alreadyPrecedent: 0, alreadyReviewed: 0, otherSubreddit: 0, unclassified: 0, noConsensus: 0, lowConfidence: 0 },
+    candidates: []
+  };
+  if (!dryRun) await store.refresh();
+  for (const thread of threads) {
+    if (known.has(thread.id)) {
+      summary.skipped.alreadyPrecedent++;
+      continue;
+    }
+    const { candidate, skip } = buildCandidate(thread, { minScore });
+    if (skip) {
+      summary.skipped[skip]++;
+      continue;
+    }
+    if (candidate.confidence.score < minConfidence) {
+      summary.skipped.lowConfidence++;
+      continue;
+    }
+    if (dryRun) {
+      summary.candidates.push(summarizeCandidate({ ...candidate, id: null, status: "pending", source }));
+      summary.queued++;
+      continue;
+    }
+    const { candidate: saved, reviewed, updated } = await store.upsert(candidate, { source });
+    if (reviewed) {
+      summary.skipped.alreadyReviewed++;
+      continue;
+    }
+    summary[updated ? "updated" : "queued"]++;
+    summary.candidates.push(summarizeCandidate(saved));
+  }
+  return summary;
+}
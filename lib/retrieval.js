@@ -0,0 +1,64 @@
+// lib/retrieval.js
+// BM25 retrieval — ranks precedents by similarity to the submitted incident
+// Pure and deterministic: same corpus + same query = same ranking.
+
+const STOPWORDS = new Set([
+  "a", "an", "the", "and", "or", "but", "of", "to", "in", "on", "at", "for", "with", "by", "from",
+  "is", "was", "are", "were", "be", "been", "it", "its", "this", "that", "i", "me", "my", "you",
+  "your", "he", "him", "his", "she", "her", "they", "them", "we", "our", "so", "if", "as", "not",
+  "no", "do", "did", "does", "just", "into", "out", "up", "then", "than", "there", "here", "what",
+  "who", "how", "why", "when", "car", "cars", "sim", "racing", "incident"
+]);
+
+export function tokenize(text = "") {
+  return String(text)
+    .toLowerCase()
+    .replace(/[’']/g, "")
+    .split(/[^a-z0-9]+/)
+    .filter(t => t.length > 1 && !STOPWORDS.has(t));
+}
+
+// texts: one string per document. Returns { search(query, { filter, limit }) }
+export function createBm25Index(texts, { k1 = 1.2, b = 0.75 } = {}) {
+  const docs = texts.map(t => {
+    const tokens = tokenize(t);
+    const tf = new Map();
+    for (const tok of tokens) tf.set(tok, (tf.get(tok) || 0) + 1);
+    return { length: tokens.length, tf };
+  });
+  const avgLength = docs.reduce((sum, d) => sum + d.length, 0) / (docs.length || 1) || 1;
+
+  const df = new Map();
+  for (const d of docs) for (const tok of d.tf.keys()) df.set(tok, (df.get(tok) || 0) + 1);
+  const idf = tok => {
+    const n = df.get(tok) || 0;
+    return Math.log(1 + (docs.length - n + 0.5) / (n + 0.5));
+  };
+
+  function scoreDoc(doc, terms) {
+    let score = 0;
+    const matchedTerms = [];
+    for (const term of terms) {
+      const f = doc.tf.get(term);
+      if (!f) continue;
+      matchedTerms.push(term);
+      score += idf(term) * (f * (k1 + 1)) / (f + k1 * (1 - b + b * doc.length / avgLength));
+    }
+    return { score, matchedTerms };
+  }
+
+  return {
+    size: docs.length,
+    search(query, { filter = () => true, limit = Infinity } = {}) {
+      const terms = [...new Set(tokenize(query))];
+      const scored = docs.map((doc, index) => ({ index, ...scoreDoc(doc, terms) }));
+      const best = scored.reduce((max, s) => Math.max(max, s.score), 0);
+
+      return scored
+        .filter(s => filter(s.index))
+        .map(s => ({ ...s, similarity: best > 0 ? s.score / best : 0 }))
+        .sort((x, y) => y.score - x.score || x.index - y.index)
+        .slice(0, limit);
+    }
+  };
+}
@@ -0,0 +1,138 @@
+// lib/review.js
+// Steward review workflow — draft → reviewed → published
+// The AI verdict (case.result.verdict) is never modified; the human-edited verdict
+// lives in case.final, with who changed what and why in case.review / case.audit.
+// A fault or severity change re-runs the penalty tariff (and repeat-offender escalation from
+// the priors saved with the case), so final.penalty follows the edit.
+// Protested cases also need the accused driver's right of reply honoured before publishing.
+
+import { recommendPenalty, escalationPolicy, escalatePenalty, SEVERITIES } from './penalties.js';
+import { replyStatus } from './protests.js';
+
+export const CASE_STATUSES = ["draft", "reviewed", "published"];
+
+const ACTIONS = {
+  review: ["draft", "reviewed"],      // save edits
+  publish: ["reviewed"],              // make it official
+  reopen: ["published"]               // appeals: back to reviewed for another look
+};
+
+const faultOf = value => parseFloat(String(value).replace('%', ''));
+
+// Car A's fault in the AI verdict (first key of `fault`)
+export function aiFaultA(caseRecord) {
+  const first = Object.values(caseRecord.result?.verdict?.fault || {})[0];
+  return Number.isNaN(faultOf(first)) ? null : faultOf(first);
+}
+
+// The verdict to show: human-edited when reviewed, otherwise the AI one
+export function effectiveVerdict(caseRecord) {
+  return caseRecord.final || caseRecord.result?.verdict || null;
+}
+
+// Same for the recommended action
+export function effectivePenalty(caseRecord) {
+  return caseRecord.final?.penalty || caseRecord.result?.penalty || null;
+}
+
+/**
+ * Builds the store patch for a review action.
+ * @param {object} caseRecord  current case
+ * @param {object} context     { protest } — the filed protest, when the case came from one
+ * @param {object} body        { action, steward, reason, fault | faultA, severity, rule, explanation }
+ *                              fault is one % per car (sums to 100); faultA is the two-car shorthand
+ * @returns {{ patch: object } | { error: string }}
+ */
+export function applyReviewAction(caseRecord, body = {}, { protest = null } = {}) {
+  const { action } = body;
+  const steward = String(body.steward || "");
+  const reason = String(body.reason || "");
+  const status = caseRecord.status || "draft";
+
+  if (!ACTIONS[action]) return { error: `Unknown action: ${action}` };
+  if (!ACTIONS[action].includes(status)) return { error: `Cannot ${action} a ${status} case` };
+  if (!steward.trim()) return { error: "Steward name is required" };
+
+  const now = new Date().toISOString();
+  const audit = [...(caseRecord.audit || []), { action, from: status, steward: steward.trim(), reason: reason.trim(), at: now }];
+
+  if (action === "publish") {
+    const heard = caseRecord.result?.protest?.accusedReplied;
+    if (protest && !heard && replyStatus(protest) === "awaiting_reply") {
+      return { error: `The accused driver can reply until ${protest.replyDeadline} — publish once they reply or the window closes` };
+    }
+    if (protest && !heard && replyStatus(protest) === "replied") {
+      return { error: "The accused driver replied after this verdict was drafted — run the analysis again so their statement is heard" };
+    }
+    return { patch: { status: "published", publishedAt: now, audit } };
+  }
+  if (action === "reopen") {
+    if (!reason.trim()) return { error: "A reason is required to reopen a published case" };
+    return { patch: { status: "reviewed", publishedAt: null, audit } };
+  }
+
+  // review — fault, rule and explanation may all be edited
+  const ai = caseRecord.result.verdict;
+  const base = effectiveVerdict(caseRecord);
+  const names = Object.keys(ai.fault);
+  const originalFault = Object.values(ai.fault).map(faultOf);
+  const hasFaultA = body.faultA !== undefined && body.faultA !== null && body.faultA !== "";
+
+  let split;
+  if (Array.isArray(body.fault)) {
+    split = body.fault.map(v => Math.round(Number(v)));
+  } else if (hasFaultA) {
+    if (names.length !== 2) return { error: "Send `fault` with one value per car for incidents with more than two cars" };
+    const faultA = Math.round(Number(body.faultA));
+    if (Number.isNaN(faultA) || faultA < 0 || faultA > 100) return { error: "faultA must be between 0 and 100" };
+    split = [faultA, 100 - faultA];
+  } else {
+    split = Object.values(base.fault).map(faultOf);
+  }
+
+  if (split.length !== names.length) return { error: `fault needs ${names.length} values, one per car` };
+  if (split.some(v => Number.isNaN(v) || v < 0 || v > 100)) return { error: "fault values must be between 0 and 100" };
+  if (split.reduce((sum, v) => sum + v, 0) !== 100) return { error: "fault must sum to 100" };
+  const overridden = split.some((v, i) => v !== originalFault[i]);
+  if (overridden && !reason.trim()) return { error: "A reason is required when changing the fault split" };
+
+  const severity = body.severity || effectivePenalty(caseRecord)?.severity || caseRecord.input?.severity || "moderate";
+  if (!SEVERITIES.includes(severity)) return { error: `severity must be one of ${SEVERITIES.join(", ")}` };
+
+  const tariffKey = { rulebookId: caseRecord.result.rulebook?.id, league: caseRecord.input?.league };
+  const basePenalty = recommendPenalty({
+    incidentKey: caseRecord.result.incident?.id,
+    split,
+    cars: names,
+    severity,
+    ...tariffKey
+  });
+  const priors = caseRecord.result.prior_incidents?.[`car${basePenalty.atFaultCar}`] || [];
+  const penalty = escalatePenalty(basePenalty, priors.filter(p => p.counted).length, escalationPolicy(tariffKey));
+  const final = {
+    ...base,
+    rule: typeof body.rule === "string" && body.rule.trim() ? body.rule.trim() : base.rule,
+    explanation: typeof body.explanation === "string" && body.explanation.trim() ? body.explanation.trim() : base.explanation,
+    fault: Object.fromEntries(names.map((n, i) => [n, `${split[i]}%`])),
+    confidence: overridden ? "Human Override" : ai.confidence,
+    penalty
+  };
+
+  return {
+    patch: {
+      status: "reviewed",
+      final,
+      review: {
+        steward: steward.trim(),
+        reason: reason.trim(),
+        faultA: split[0],
+        originalFaultA: originalFault[0],
+        fault: split,
+        originalFault,
+        overridden,
+        reviewedAt: now
+      },
+      audit
+    }
+  };
+}
@@ -0,0 +1,117 @@
+// lib/roster.js
+// League roster — drivers imported from CSV (name, car number, class, team) plus the
+// season settings the points ledger needs. Stored as one JSON file next to the cases
+// (STEWARDS_DATA_DIR/roster.json).
+
+import fs from 'fs/promises';
+import path from 'path';
+import Papa from 'papaparse';
+import { DATA_DIR } from './caseStore.js';
+
+export const ROSTER_FILE = path.join(DATA_DIR, 'roster.json');
+
+const DEFAULT_SETTINGS = { currentRound: 1, expiryRaces: 6 };
+
+// CSV headers we accept for each field (compared lowercased, spaces/underscores ignored)
+const HEADER_ALIASES = {
+  name: ["name", "driver", "drivername"],
+  number: ["number", "carnumber", "car", "no", "#"],
+  class: ["class", "carclass", "category"],
+  team: ["team", "teamname"]
+};
+
+// "Max Müller" → "max-muller" — stable across re-imports of the same roster
+export function normalizeDriverId(name = "") {
+  return String(name)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+const headerKey = h => String(h).toLowerCase().replace(/[\s_-]+/g, '');
+
+/**
+ * Parses a roster CSV.
+ * @param {string} text  CSV with a header row
+ * @returns {{ drivers: object[], errors: string[] }}
+ */
+export function parseRosterCsv(text) {
+  const parsed = Papa.parse(String(text || ""), { header: true, skipEmptyLines: true, transformHeader: headerKey });
+  const field = (row, key) => {
+    const col = HEADER_ALIASES[key].find(alias => row[alias] !== undefined);
+    return col ? String(row[col]).trim() : "";
+  };
+
+  const drivers = [];
+  const errors = [];
+  const seen = new Set();
+  parsed.data.forEach((row, i) => {
+    const name = field(row, "name");
+    if (!name) {
+      errors.push(`Row ${i + 2}: missing driver name`);
+      return;
+    }
+    const number = field(row, "number").replace(/^#/, '');
+    let id = normalizeDriverId(name);
+    if (seen.has(id)) id = `${id}-${number || i + 2}`;
+    seen.add(id);
+    drivers.push({ id, name, number, class: field(row, "class"), team: field(row, "team") });
+  });
+  return { drivers, errors };
+}
+
+// What the autocomplete shows and what findDriver() reads back
+export function driverLabel(d) {
+  return [d.number && `#${d.number}`, d.name, d.team && `(${d.team})`].filter(Boolean).join(' ');
+}
+
+/**
+ * Resolves free-text car input ("#12 Max Müller", "Red/White Ferrari #7", "max muller")
+ * to a roster driver. Returns null rather than guessing when the text is ambiguous.
+ */
+export function findDriver(text, drivers = []) {
+  const value = String(text || "").trim();
+  if (!value || drivers.length === 0) return null;
+
+  const byId = normalizeDriverId(value);
+  const exact = drivers.find(d => d.id === byId || normalizeDriverId(driverLabel(d)) === byId);
+  if (exact) return exact;
+
+  const byName = drivers.filter(d => `-${byId}-`.includes(`-${d.id}-`));
+  if (byName.length === 1) return byName[0];
+
+  const number = value.match(/#\s*(\d+)/)?.[1] || value.match(/^(\d+)\b/)?.[1];
+  if (number) {
+    const byNumber = drivers.filter(d => d.number === number);
+    if (byNumber.length === 1) return byNumber[0];
+  }
+  return null;
+}
+
+export async function loadRoster(file = ROSTER_FILE) {
+  try {
+    const saved = JSON.parse(await fs.readFile(file, 'utf8'));
+    return { drivers: [], ...DEFAULT_SETTINGS, ...saved };
+  } catch (e) {
+    if (e.code !== 'ENOENT') throw e;
+    return { drivers: [], ...DEFAULT_SETTINGS, updatedAt: null };
+  }
+}
+
+export async function saveRoster(roster, file = ROSTER_FILE) {
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  const record = { ...roster, updatedAt: new Date().toISOString() };
+  await fs.writeFile(`${file}.tmp`, JSON.stringify(record, null, 2));
+  await fs.rename(`${file}.tmp`, file);
+  return record;
+}
+
+// Merge keeps drivers missing from the CSV (mid-season signings); replace starts over
+export function mergeDrivers(existing, incoming, mode = "merge") {
+  if (mode === "replace") return incoming;
+  const byId = new Map(existing.map(d => [d.id, d]));
+  incoming.forEach(d => byId.set(d.id, { ...byId.get(d.id), ...d }));
+  return [...byId.values()];
+}
@@ -0,0 +1,407 @@
+// lib/rulebooks.js
+// Series-aware rulebooks — selected by the "Series / Game" dropdown
+// Each rulebook maps incident keys to the article the verdict should cite, plus the tip
+// sources and car-role conventions that series uses.
+//
+// The `text` of every rule is a steward's summary of what the article is about, not the
+// official wording, and the article numbers are where to look rather than verified
+// citations — series renumber their codes between seasons. The verdict names the article
+// and explains the summary in its own words; it never presents `text` as a quote.
+
+const F1_OVERTAKING = {
+  article: "FIA ISC Appendix L, Ch. IV, Art. 2(b)",
+  text: "More than one change of direction to defend a position is not permitted. Any driver moving back towards the racing line, having earlier defended his position off-line, should leave at least one car width between his own car and the edge of the track on the approach to the corner."
+};
+
+export const RULEBOOKS = {
+  iracing: {
+    id: "iracing",
+    name: "iRacing Sporting Code",
+    tipSources: ["iracing", "scca", "bmw sim gt"],
+    rules: [
+      {
+        article: "Section 8.1.1.8",
+        title: "Rejoining the racing surface",
+        text: "A driver who leaves the racing surface must rejoin in a safe manner, without impeding cars on track and without gaining an advantage.",
+        keys: ["unsafe rejoin", "rejoin block", "rejoin advantage", "track limits"]
+      },
+      {
+        article: "Section 9.2",
+        title: "Moving under braking",
+        text: "Changing line in the braking zone when another car is alongside or committed to a pass is not permitted.",
+        keys: ["move under braking", "brake test", "punt"]
+      },
+      {
+        article: "Section 9.3",
+        title: "Defending",
+        text: "A defending driver may make one defensive move per straight. Weaving or reactionary blocking to prevent a pass is not permitted.",
+        keys: ["weave block", "aggressive defense"]
+      },
+      {
+        article: "Section 9.4",
+        title: "Racing room",
+        text: "A driver must leave racing room to a car that is significantly alongside and may not use another car as a barrier to make a corner.",
+        keys: ["used as barrier", "side contact"]
+      },
+      {
+        article: "Section 9.1",
+        title: "Overtaking",
+        text: "The overtaking car is responsible for completing the pass safely. Until the attacker is significantly alongside, the car ahead is entitled to its line.",
+        keys: ["divebomb", "vortex exit", "accordion", "t1 chaos"]
+      },
+      {
+        article: "Section 9.6",
+        title: "Blue flags",
+        text: "A lapped car shown the blue flag must hold a predictable line and allow faster cars through without defending.",
+        keys: ["blue flag", "blue flag block"]
+      },
+      {
+        article: "Section 9.7",
+        title: "Caution periods",
+        text: "Positions may not be gained under full-course caution. Cars must hold position until the green flag.",
+        keys: ["illegal overtake sc", "jump start"]
+      },
+      {
+        article: "Section 6.8",
+        title: "Unsportsmanlike conduct",
+        text: "Intentional wrecking, retaliation and abusive chat are unsportsmanlike conduct and subject to protest.",
+        keys: ["intentional wreck", "unsportsmanlike", "wrong way"]
+      },
+      {
+        article: "Section 9.9",
+        title: "Racing incidents",
+        text: "Contact that neither driver could reasonably have avoided, including contact caused by connection issues, is a racing incident.",
+        keys: ["racing incident", "netcode"]
+      }
+    ],
+    fallback: {
+      article: "Section 9",
+      title: "Racing conduct",
+      text: "Drivers must race cleanly and avoid contact, leaving racing room to cars alongside."
+    },
+    roles: {}
+  },
+
+  acc: {
+    id: "acc",
+    name: "LFM Sporting Regulations (ACC)",
+    tipSources: ["lfm", "acc", "sra"],
+    rules: [
+      {
+        article: "Rule 12.3",
+        title: "Rejoining the track",
+        text: "If you go off-track, you must re-enter in a safe and predictable manner without interfering with cars on the track.",
+        keys: ["unsafe rejoin", "rejoin block", "rejoin advantage"]
+      },
+      {
+        article: "Rule 11.2",
+        title: "Defending",
+        text: "You may move once to defend, but you must leave a car's width on the opposite side. Reactionary moves are not permitted.",
+        keys: ["weave block", "aggressive defense", "move under braking", "used as barrier"]
+      },
+      {
+        article: "Rule 11.1",
+        title: "Overtaking",
+        text: "The attacking driver must be significantly alongside before the turn-in point to claim space. A late lunge without overlap is the attacker's responsibility.",
+        keys: ["divebomb", "punt", "side contact", "vortex exit", "accordion", "t1 chaos"]
+      },
+      {
+        article: "Rule 14",
+        title: "Pit lane",
+        text: "Stay in your lane in the pits and respect the blend line on entry and exit. Weaving or blocking in the pit lane is penalised.",
+        keys: ["pit-lane incident"]
+      },
+      {
+        article: "Rule 13.1",
+        title: "Blue flags",
+        text: "Lapped cars must let faster cars through at the first safe opportunity and must not defend their position.",
+        keys: ["blue flag", "blue flag block"]
+      },
+      {
+        article: "Rule 10.4",
+        title: "Track limits",
+        text: "Four wheels outside the white lines is a track limits violation. Repeated abuse or a gained position will be penalised.",
+        keys: ["track limits"]
+      },
+      {
+        article: "Rule 9.2",
+        title: "Full course yellow and safety car",
+        text: "No overtaking is permitted under FCY or safety car. Positions gained must be returned.",
+        keys: ["illegal overtake sc", "jump start"]
+      },
+      {
+        article: "Rule 16",
+        title: "Code of conduct",
+        text: "Deliberate contact, retaliation and toxic behaviour in chat lead to disqualification and a review of the driver's licence.",
+        keys: ["intentional wreck", "unsportsmanlike", "wrong way", "brake test"]
+      },
+      {
+        article: "Rule 11.5",
+        title: "Racing incidents",
+        text: "Where both drivers raced fairly and the contact could not reasonably be avoided, no penalty is applied. Netcode contact is reviewed as a racing incident.",
+        keys: ["racing incident", "netcode"]
+      }
+    ],
+    fallback: {
+      article: "Rule 11",
+      title: "Driving standards",
+      text: "Drivers must race cleanly, leave space to cars alongside and avoid avoidable contact."
+    },
+    roles: {}
+  },
+
+  f1: {
+    id: "f1",
+    name: "FIA International Sporting Code / F1 Sporting Regulations",
+    tipSources: ["f1", "fia", "driver61", "chain bear"],
+    rules: [
+      {
+        article: "FIA ISC Appendix L, Ch. IV, Art. 2(d)",
+        title: "Leaving and rejoining the track",
+        text: "Should a car leave the track the driver may rejoin, however this may only be done when it is safe to do so and without gaining any lasting advantage.",
+        keys: ["unsafe rejoin", "rejoin block", "rejoin advantage", "track limits"]
+      },
+      {
+        ...F1_OVERTAKING,
+        title: "Overtaking and defending",
+        keys: ["weave block", "aggressive defense", "move under braking"]
+      },
+      {
+        article: "FIA ISC Appendix L, Ch. IV, Art. 2(c)",
+        title: "Dangerous manoeuvres",
+        text: "Manoeuvres liable to hinder other drivers, such as deliberate crowding of a car beyond the edge of the track or any other abnormal change of direction, are strictly prohibited.",
+        keys: ["used as barrier", "brake test", "intentional wreck"]
+      },
+      {
+        article: "F1 Sporting Regulations, Art. 33.4",
+        title: "Causing a collision",
+        text: "A driver who causes a collision, or is predominantly to blame for it, may be penalised by the stewards.",
+        keys: ["divebomb", "punt", "side contact", "vortex exit", "accordion", "t1 chaos"]
+      },
+      {
+        article: "F1 Sporting Regulations, Art. 55",
+        title: "Safety car",
+        text: "While the safety car is deployed, no car may overtake another car on the track.",
+        keys: ["illegal overtake sc"]
+      },
+      {
+        article: "F1 Sporting Regulations, Art. 48",
+        title: "Start procedure",
+        text: "A car moving before the start signal is given has made a false start and will be penalised.",
+        keys: ["jump start"]
+      },
+      {
+        article: "FIA ISC Appendix H, Art. 2.5.5",
+        title: "Blue flag",
+        text: "A blue flag indicates to a driver that he is about to be overtaken and must allow the faster car to pass at the first opportunity.",
+        keys: ["blue flag", "blue flag block"]
+      },
+      {
+        article: "F1 Sporting Regulations, Art. 34",
+        title: "Pit lane",
+        text: "Cars must not cross the line separating the pit entry or exit from the track, and may not be released in an unsafe condition.",
+        keys: ["pit-lane incident"]
+      }
+    ],
+    fallback: {
+      ...F1_OVERTAKING,
+      title: "Overtaking and defending"
+    },
+    roles: {}
+  },
+
+  gt7: {
+    id: "gt7",
+    name: "Gran Turismo Sport Mode Sportsmanship Guidelines",
+    tipSources: ["gt7", "gt "],
+    rules: [
+      {
+        article: "Sportsmanship — Corner cutting",
+        title: "Shortcut penalty",
+        text: "Gaining time or a position by cutting the course results in a time penalty that must be served.",
+        keys: ["track limits", "rejoin advantage"]
+      },
+      {
+        article: "Sportsmanship — Collisions",
+        title: "Contact with other cars",
+        text: "The driver responsible for an avoidable collision receives the penalty and a reduction in Sportsmanship Rating.",
+        keys: ["divebomb", "punt", "side contact", "used as barrier", "move under braking", "brake test", "vortex exit", "accordion", "t1 chaos"]
+      },
+      {
+        article: "Sportsmanship — Rejoining",
+        title: "Returning to the course",
+        text: "After leaving the course, rejoin safely and do not obstruct cars on the racing line.",
+        keys: ["unsafe rejoin", "rejoin block"]
+      },
+      {
+        article: "Sportsmanship — Fair play",
+        title: "Blocking and ramming",
+        text: "Deliberate blocking, ramming or wrecking other drivers is against the spirit of fair play.",
+        keys: ["weave block", "aggressive defense", "intentional wreck", "unsportsmanlike", "wrong way", "blue flag", "blue flag block"]
+      }
+    ],
+    fallback: {
+      article: "Sportsmanship — Collisions",
+      title: "Contact with other cars",
+      text: "The driver responsible for an avoidable collision receives the penalty and a reduction in Sportsmanship Rating."
+    },
+    roles: {}
+  },
+
+  rf2: {
+    id: "rf2",
+    name: "rFactor 2 / Le Mans Ultimate League Regulations",
+    tipSources: ["rfactor", "lmu", "sra", "endurance"],
+    rules: [
+      {
+        article: "Art. 5.2",
+        title: "Rejoining",
+        text: "A car rejoining the circuit must do so safely and without gaining an advantage. The car on track has priority.",
+        keys: ["unsafe rejoin", "rejoin block", "rejoin advantage", "track limits"]
+      },
+      {
+        article: "Art. 5.4",
+        title: "Defending",
+        text: "One defensive move is permitted. Changing direction in the braking zone or weaving is prohibited.",
+        keys: ["weave block", "aggressive defense", "move under braking", "used as barrier"]
+      },
+      {
+        article: "Art. 5.3",
+        title: "Overtaking",
+        text: "The overtaking driver is responsible for the pass. Space is only owed once the attacker is significantly alongside before turn-in.",
+        keys: ["divebomb", "punt", "side contact", "vortex exit", "accordion", "t1 chaos"]
+      },
+      {
+        article: "Art. 6.1",
+        title: "Multi-class and blue flags",
+        text: "Slower classes hold a predictable line. Faster classes choose the side and are responsible for a safe pass.",
+        keys: ["blue flag", "blue flag block"]
+      },
+      {
+        article: "Art. 7.1",
+        title: "Full course yellow",
+        text: "Under FCY or safety car no overtaking is permitted and the pit limiter speed applies on track.",
+        keys: ["illegal overtake sc", "jump start"]
+      }
+    ],
+    fallback: {
+      article: "Art. 5",
+      title: "On-track conduct",
+      text: "Drivers must race cleanly and leave racing room to cars alongside."
+    },
+    roles: {
+      "blue flag": ["the faster-class car", "the slower-class car"],
+      "blue flag block": ["the faster-class car", "the slower-class car"]
+    }
+  },
+
+  oval: {
+    id: "oval",
+    name: "Oval Racing Conduct (NASCAR-style)",
+    tipSources: ["spotter", "oval", "nascar", "iracing"],
+    rules: [
+      {
+        article: "Oval Conduct — Holding your line",
+        title: "Lane discipline",
+        text: "Hold your lane through the corner. A car that moves up or down into a car alongside is responsible for the contact.",
+        keys: ["side contact", "used as barrier", "weave block", "aggressive defense", "move under braking"]
+      },
+      {
+        article: "Oval Conduct — Clear",
+        title: "Clearing a car",
+        text: "Do not move across until your spotter calls you clear. Half a car length is not clear.",
+        keys: ["divebomb", "punt", "vortex exit", "accordion"]
+      },
+      {
+        article: "Oval Conduct — Restarts",
+        title: "Restarts and cautions",
+        text: "Hold your restart lane until the restart zone. No passing before the green flag or under caution.",
+        keys: ["jump start", "illegal overtake sc", "t1 chaos"]
+      },
+      {
+        article: "Oval Conduct — Below the line",
+        title: "Apron and rejoining",
+        text: "Stay on the apron until the field has passed, then rejoin low and up to speed. Advancing below the double yellow line is not permitted.",
+        keys: ["unsafe rejoin", "rejoin block", "rejoin advantage", "track limits"]
+      }
+    ],
+    fallback: {
+      article: "Oval Conduct — Holding your line",
+      title: "Lane discipline",
+      text: "Hold your lane through the corner. A car that moves up or down into a car alongside is responsible for the contact."
+    },
+    roles: {
+      "side contact": ["the car on the low line", "the car on the high line"],
+      "divebomb": ["the car diving low", "the car on the high line"],
+      "used as barrier": ["the car running high", "the car being squeezed"]
+    }
+  },
+
+  league: {
+    id: "league",
+    name: "League Community Standards",
+    tipSources: [],
+    rules: [
+      {
+        article: "Standard 1",
+        title: "Overtaking",
+        text: "The overtaking driver is responsible for a safe pass. Overlap before the turn-in point earns the right to racing room.",
+        keys: ["divebomb", "punt", "side contact", "vortex exit", "accordion", "t1 chaos"]
+      },
+      {
+        article: "Standard 2",
+        title: "Defending",
+        text: "One defensive move, made before the braking zone. No weaving, no moving under braking.",
+        keys: ["weave block", "aggressive defense", "move under braking", "used as barrier", "brake test"]
+      },
+      {
+        article: "Standard 3",
+        title: "Rejoining",
+        text: "Rejoin safely and give back any position gained off-track.",
+        keys: ["unsafe rejoin", "rejoin block", "rejoin advantage", "track limits"]
+      },
+      {
+        article: "Standard 4",
+        title: "Sportsmanship",
+        text: "Respect flags, other drivers and race control. Retaliation and abuse are never acceptable.",
+        keys: ["blue flag", "blue flag block", "illegal overtake sc", "jump start", "intentional wreck", "unsportsmanlike", "wrong way"]
+      }
+    ],
+    fallback: {
+      article: "Standard 1",
+      title: "Overtaking",
+      text: "The overtaking driver is responsible for a safe pass. Overlap before the turn-in point earns the right to racing room."
+    },
+    roles: {}
+  }
+};
+
+// Dropdown labels → rulebook id (labels are what app/page.js sends as `series`)
+export const SERIES_OPTIONS = [
+  { label: "Formula 1 (F1 2xxx / Codemasters)", rulebook: "f1" },
+  { label: "Gran Turismo 7", rulebook: "gt7" },
+  { label: "iRacing", rulebook: "iracing" },
+  { label: "Assetto Corsa Competizione (ACC / LFM)", rulebook: "acc" },
+  { label: "NASCAR / Oval Racing", rulebook: "oval" },
+  { label: "Forza Motorsport", rulebook: "league" },
+  { label: "rFactor 2", rulebook: "rf2" },
+  { label: "Dirt / Rallycross", rulebook: "league" },
+  { label: "BeamNG.drive", rulebook: "league" },
+  { label: "Other / League-Specific Rules", rulebook: "league" }
+];
+
+export function getRulebook(series = "") {
+  const key = series.trim();
+  if (RULEBOOKS[key]) return RULEBOOKS[key];
+  const option = SERIES_OPTIONS.find(o => o.label.toLowerCase() === key.toLowerCase());
+  return RULEBOOKS[option?.rulebook] || RULEBOOKS.league;
+}
+
+export function findRule(rulebook, incidentKey) {
+  return rulebook.rules.find(r => r.keys.includes(incidentKey)) || rulebook.fallback;
+}
+
+// "iRacing Sporting Code, Section 9.3 (Defending) — in summary: A defending driver may…"
+export function formatRule(rulebook, rule) {
+  return `${rulebook.name}, ${rule.article} (${rule.title}) — in summary: ${rule.text}`;
+}
@@ -0,0 +1,185 @@
+// lib/taxonomy.js
+// Canonical incident taxonomy — shared by the form, the API and the precedent CSV
+// `id` is the incident key used by rulebooks and tips2.txt categories.
+// `aliases` cover old dropdown labels, CSV spellings and tip keywords.
+
+const DEFAULT_ROLES = ["the overtaking car", "the defending car"];
+
+export const INCIDENT_TYPES = [
+  {
+    id: "divebomb",
+    label: "Divebomb / Late lunge",
+    aliases: ["divebomb", "dive", "lunge", "late lunge"]
+  },
+  {
+    id: "weave block",
+    label: "Weave / Block / Defending move",
+    aliases: ["Blocking / Weaving", "weave block", "weave", "block", "blocking", "defending", "defense"],
+    roles: ["the defending car", "the overtaking car"]
+  },
+  {
+    id: "unsafe rejoin",
+    label: "Unsafe rejoin",
+    aliases: ["unsafe rejoin", "rejoin", "re-join", "rejoining"],
+    roles: ["the rejoining car", "the on-track car"]
+  },
+  {
+    id: "vortex exit",
+    label: "Vortex of Danger",
+    aliases: ["vortex", "draft lift-off", "lift-off", "lift in draft", "vortex of danger"]
+  },
+  {
+    id: "netcode",
+    label: "Netcode / Lag / Teleport",
+    aliases: ["Netcode / Lag incident", "netcode", "lag", "teleport", "desync"],
+    roles: ["the teleporting car", "the affected car"]
+  },
+  {
+    id: "used as barrier",
+    label: "Used as a barrier / Squeeze",
+    aliases: ["used as barrier", "squeeze", "barrier"],
+    roles: ["the car using another as a barrier", "the car used as a barrier"]
+  },
+  {
+    id: "pit-lane incident",
+    label: "Pit-lane incident",
+    aliases: ["pit-lane", "pit lane"]
+  },
+  {
+    id: "t1 chaos",
+    label: "Start-line chaos / T1 pile-up",
+    aliases: ["T1 chaos / Lap 1 pileup", "t1", "start-line", "lap 1", "pile-up"],
+    roles: ["the car that triggered the pile-up", "the first car hit"]
+  },
+  {
+    id: "intentional wreck",
+    label: "Intentional wreck / Revenge",
+    aliases: ["Revenge / Intentional wreck", "intentional wreck", "revenge", "wrecking"],
+    roles: ["the aggressor", "the victim"]
+  },
+  {
+    id: "racing incident",
+    label: "Racing incident (no fault)",
+    aliases: ["Racing Incident / 50-50", "racing incident", "no fault", "50/50", "both at fault"],
+    roles: ["Car A", "Car B"]
+  },
+  {
+    id: "accordion",
+    label: "Crowd-strike / Accordion effect",
+    aliases: ["accordion", "crowd-strike", "concertina"],
+    roles: ["the car that braked late into the pack", "the car ahead it hit"]
+  },
+  {
+    id: "blue flag block",
+    label: "Blocking while being lapped",
+    aliases: ["blue flag block", "lapped block"]
+  },
+  {
+    id: "blue flag",
+    label: "Blue-flag violation / Ignoring blue flags",
+    aliases: ["Blue flag incident", "blue flag", "lapped", "yield"]
+  },
+  {
+    id: "brake test",
+    label: "Brake test / Brake check",
+    aliases: ["Brake test", "Brake check", "Brake check / Brake test", "brake test", "brake check"]
+  },
+  {
+    id: "track limits",
+    label: "Cutting the track / Track limits abuse",
+    aliases: ["track limits", "cutting", "track cut"]
+  },
+  {
+    id: "jump start",
+    label: "False start / Jump start",
+    aliases: ["jump start", "false start"]
+  },
+  {
+    id: "illegal overtake sc",
+    label: "Illegal overtake under SC/VSC/FCY",
+    aliases: ["illegal overtake", "sc", "vsc", "fcy"]
+  },
+  {
+    id: "move under braking",
+    label: "Move under braking",
+    aliases: ["move under braking"]
+  },
+  {
+    id: "aggressive defense",
+    label: "Over-aggressive defense (2+ moves)",
+    aliases: ["Over-aggressive defense", "aggressive defense", "2+ moves"]
+  },
+  {
+    id: "punt",
+    label: "Punt / Rear-end under braking",
+    aliases: ["punt", "rear-end", "shunt"]
+  },
+  {
+    id: "rejoin advantage",
+    label: "Re-entry after off-track (gaining advantage)",
+    aliases: ["rejoin advantage", "gaining advantage"]
+  },
+  {
+    id: "side contact",
+    label: "Side-by-side contact / Mid-corner",
+    aliases: ["Side-by-side contact mid-corner", "Side-by-side contact", "side contact", "side-by-side", "mid-corner"]
+  },
+  {
+    id: "rejoin block",
+    label: "Track rejoin blocking racing line",
+    aliases: ["rejoin block", "blocking racing line"]
+  },
+  {
+    id: "unsportsmanlike",
+    label: "Unsportsmanlike conduct / Chat abuse",
+    aliases: ["unsportsmanlike", "chat abuse"]
+  },
+  {
+    id: "wrong way",
+    label: "Wrong way / Ghosting violation",
+    aliases: ["wrong way", "ghosting"]
+  }
+];
+
+// Used when a submitted type doesn't resolve — keeps the old "general contact" behaviour
+export const GENERAL_CONTACT = {
+  id: "general contact",
+  label: "General contact",
+  aliases: ["general contact"]
+};
+
+const normalize = (s = "") => s.toLowerCase().replace(/\s+/g, " ").replace(/\s*\/\s*/g, " / ").trim();
+
+const lookup = new Map();
+for (const type of INCIDENT_TYPES) {
+  for (const name of [type.id, type.label, ...type.aliases]) {
+    const key = normalize(name);
+    if (!lookup.has(key)) lookup.set(key, type);
+  }
+}
+
+// Accepts an id, a display label or any alias; returns null when nothing matches
+export function resolveIncidentType(value) {
+  if (!value) return null;
+  return lookup.get(normalize(value)) || null;
+}
+
+export function getRoles(type) {
+  return type?.roles || DEFAULT_ROLES;
+}
+
+// Lists CSV rows whose incident_type doesn't resolve (line numbers count the header as line 1)
+export function validateIncidentTypes(rows, field = "incident_type") {
+  const unresolved = [];
+  const counts = {};
+  rows.forEach((row, i) => {
+    const type = resolveIncidentType(row[field]);
+    if (type) {
+      counts[type.id] = (counts[type.id] || 0) + 1;
+    } else {
+      unresolved.push({ line: i + 2, value: row[field] ?? "", title: row.title || "" });
+    }
+  });
+  const missing = INCIDENT_TYPES.filter(t => !counts[t.id]).map(t => t.id);
+  return { total: rows.length, resolved: rows.length - unresolved.length, counts, missing, unresolved };
+}
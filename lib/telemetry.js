@@ -0,0 +1,356 @@
+// lib/telemetry.js
+// Telemetry import — CSV exports for the seconds around an incident (SimHub, MoTeC, iRacing
+// IBT converted to CSV, ACC broadcast position logs) turned into measured facts at the
+// defending car's turn-in: speed, brake, lateral position and overlap per car. The facts
+// feed the fault engine and the prompt; the downsampled traces feed the result charts.
+// No fs here — the form imports the format list.
+
+import Papa from 'papaparse';
+
+export const TELEMETRY_FORMATS = ["auto", "simhub", "motec", "iracing", "acc"];
+export const MAX_TELEMETRY_FILES = 8;
+
+const DEFAULT_CAR_LENGTH = 4.6;   // metres — a GT3 car
+const CHART_POINTS = 120;
+
+// Header aliases, compared after headerKey() — SimHub's "DataCorePlugin.GameData.NewData.SpeedKmh"
+// is read by its last segment
+const CHANNELS = {
+  time: ["time", "sessiontime", "timestamp", "elapsedtime", "t"],
+  car: ["racenumber", "carnumber", "carindex", "caridx", "carid", "car"],   // race numbers first — car labels carry them
+  speed: ["speedkmh", "speed", "groundspeed", "kmh", "vehiclespeed", "speedms", "speedmph"],
+  brake: ["brake", "brakepos", "brakepct", "brakeposition", "brakeinput", "brakeraw"],
+  throttle: ["throttle", "throttlepos", "throttlepct", "throttleposition", "gas"],
+  steer: ["steering", "steeringwheelangle", "steer", "steerangle", "steeringangle", "steeringinput"],
+  lateral: ["lateral", "lateralposition", "lateraloffset", "trackoffset", "latoffset", "tracklateral"],
+  x: ["worldpositionx", "worldposx", "carcoordinatesx", "posx", "x"],
+  y: ["worldpositionz", "worldposz", "carcoordinatesz", "posz", "z", "worldpositiony", "worldposy", "posy", "y"],
+  lat: ["lat", "latitude"],
+  lon: ["lon", "long", "longitude"],
+  yaw: ["yaw", "heading", "yawnorth"],
+  dist: ["lapdist", "lapdistance", "distance", "dist"],
+  pct: ["lapdistpct", "splineposition", "trackpositionpercent", "carcoordinatespct", "normalizedcarposition"]
+};
+
+const headerKey = h => String(h).split('.').pop().toLowerCase().replace(/[^a-z0-9]/g, '');
+const toNumber = v => {
+  const n = parseFloat(String(v ?? "").replace(',', '.'));
+  return Number.isFinite(n) ? n : null;
+};
+// Math.max(...values) overflows the call stack on a few hundred thousand samples
+const maxOf = values => values.reduce((max, v) => (v > max ? v : max), -Infinity);
+
+export function detectFormat(text, headers) {
+  if (/motec/i.test(String(text).slice(0, 300))) return "motec";
+  const keys = headers.map(headerKey);
+  if (keys.some(k => ["carindex", "racenumber"].includes(k)) && keys.some(k => ["splineposition", "worldposx"].includes(k))) return "acc";
+  if (keys.includes("sessiontime") || keys.includes("lapdistpct")) return "iracing";
+  if (headers.some(h => /gamedata|datacoreplugin/i.test(h)) || keys.includes("speedkmh")) return "simhub";
+  return "simhub";
+}
+
+/**
+ * Parses one telemetry CSV into per-car sample lists.
+ * @param {string} text
+ * @param {string} format  "auto" or one of TELEMETRY_FORMATS
+ * @returns {{ format: string, cars: Map<string, object[]>, channels: string[], errors: string[] }}
+ */
+export function parseTelemetryCsv(text, format = "auto") {
+  const rows = Papa.parse(String(text || "").trim(), { skipEmptyLines: true }).data;
+  const errors = [];
+
+  // MoTeC puts a metadata block (and a units row) around the header; find the row that names time
+  const headerIndex = rows.findIndex(r => r.filter(c => String(c).trim()).length >= 2 && r.some(c => CHANNELS.time.includes(headerKey(c))));
+  if (headerIndex === -1) return { format, cars: new Map(), channels: [], errors: ["No time column (Time, SessionTime or Timestamp)"] };
+  const headers = rows[headerIndex].map(String);
+  const resolved = format === "auto" ? detectFormat(text, headers) : format;
+
+  const units = rows[headerIndex + 1]?.every(c => toNumber(c) === null) ? rows[headerIndex + 1].map(u => String(u).toLowerCase()) : [];
+  const keys = headers.map(headerKey);
+  const column = {};
+  for (const [channel, aliases] of Object.entries(CHANNELS)) {
+    const alias = aliases.find(a => keys.includes(a));
+    if (alias) column[channel] = keys.indexOf(alias);
+  }
+
+  // Speed arrives as km/h (SimHub, ACC), m/s (iRacing) or whatever MoTeC's units row says
+  const speedKey = column.speed !== undefined ? keys[column.speed] : "";
+  const speedUnit = units[column.speed] || (speedKey === "speedms" || (resolved === "iracing" && speedKey === "speed") ? "m/s" : speedKey === "speedmph" ? "mph" : "km/h");
+  const speedFactor = /m\/s/.test(speedUnit) ? 3.6 : /mph/.test(speedUnit) ? 1.609 : 1;
+
+  const cars = new Map();
+  for (const row of rows.slice(headerIndex + (units.length ? 2 : 1))) {
+    const t = toNumber(row[column.time]);
+    if (t === null) continue;
+    const read = channel => (column[channel] === undefined ? null : toNumber(row[column[channel]]));
+    const sample = {
+      t,
+      speed: read("speed") === null ? null : read("speed") * speedFactor,
+      brake: read("brake"),
+      throttle: read("throttle"),
+      steer: read("steer"),
+      lateral: read("lateral"),
+      x: read("x"),
+      y: read("y"),
+      lat: read("lat"),
+      lon: read("lon"),
+      yaw: read("yaw"),
+      dist: read("dist"),
+      pct: read("pct")
+    };
+    const carId = column.car === undefined ? "_" : String(row[column.car]).trim();
+    if (!cars.has(carId)) cars.set(carId, []);
+    cars.get(carId).push(sample);
+  }
+
+  for (const samples of cars.values()) {
+    samples.sort((a, b) => a.t - b.t);
+    // Pedals as 0–100 whether the export used 0–1 or percent
+    for (const pedal of ["brake", "throttle"]) {
+      const max = maxOf(samples.map(s => s[pedal] ?? 0));
+      if (max > 0 && max <= 1) samples.forEach(s => { if (s[pedal] !== null) s[pedal] *= 100; });
+    }
+    // GPS to local metres, so positions work like world coordinates
+    if (samples[0] && samples[0].x === null && samples[0].lat !== null && samples[0].lon !== null) {
+      const [lat0, lon0] = [samples[0].lat, samples[0].lon];
+      samples.forEach(s => {
+        s.x = (s.lon - lon0) * 111320 * Math.cos(lat0 * Math.PI / 180);
+        s.y = (s.lat - lat0) * 110540;
+      });
+    }
+  }
+
+  if (cars.size === 0) errors.push("No data rows with a readable time value");
+  return { format: resolved, cars, channels: Object.keys(column), errors };
+}
+
+// Linear interpolation of one channel at time t; null outside the samples or when missing
+function valueAt(samples, t, channel) {
+  if (!samples.length || t < samples[0].t || t > samples[samples.length - 1].t) return null;
+  let i = samples.findIndex(s => s.t >= t);
+  if (i <= 0) return samples[0][channel];
+  const [a, b] = [samples[i - 1], samples[i]];
+  if (a[channel] === null || b[channel] === null) return a[channel] ?? b[channel];
+  const f = b.t === a.t ? 0 : (t - a.t) / (b.t - a.t);
+  return a[channel] + (b[channel] - a[channel]) * f;
+}
+
+// Direction of travel (radians) at sample i, from positions. Games disagree on how yaw is
+// measured, so the exported yaw is only used for turn-in (rates), never for geometry.
+function headingAtIndex(samples, i) {
+  const [before, after] = [samples[Math.max(0, i - 1)], samples[Math.min(samples.length - 1, i + 1)]];
+  if (before === after || before.x === null || after.x === null) return null;
+  return Math.atan2(after.y - before.y, after.x - before.x);
+}
+
+function headingAt(samples, t) {
+  const i = samples.findIndex(s => s.t >= t);
+  return i === -1 ? null : headingAtIndex(samples, i);
+}
+
+// Index where a signal first rises past 30% of the way from its quiet level to its peak
+function onset(values) {
+  const finite = values.filter(v => v !== null);
+  if (finite.length < 5) return -1;
+  const quiet = [...finite.slice(0, Math.max(3, Math.floor(finite.length / 5)))].sort((a, b) => a - b)[0];
+  const peak = maxOf(finite);
+  if (peak - quiet < 1e-6) return -1;
+  return values.findIndex(v => v !== null && v >= quiet + (peak - quiet) * 0.3);
+}
+
+/**
+ * When the defending car turns in. Steering input first, then yaw rate, then brake release.
+ * @returns {{ time: number, method: string }}
+ */
+export function detectTurnIn(samples, given = null) {
+  if (given !== null && given !== undefined) return { time: given, method: "given" };
+
+  const steer = samples.map(s => (s.steer === null ? null : Math.abs(s.steer)));
+  let i = onset(steer);
+  if (i > 0) return { time: samples[i].t, method: "steering" };
+
+  const headings = samples.map((s, j) => s.yaw ?? headingAtIndex(samples, j));
+  const rates = samples.map((s, j) => {
+    if (j === 0) return null;
+    const [h0, h1] = [headings[j - 1], headings[j]];
+    if (h0 === null || h1 === null || s.t === samples[j - 1].t) return null;
+    const delta = Math.atan2(Math.sin(h1 - h0), Math.cos(h1 - h0));
+    return Math.abs(delta / (s.t - samples[j - 1].t));
+  });
+  i = onset(rates);
+  if (i > 0) return { time: samples[i].t, method: "yaw rate" };
+
+  const brake = samples.map(s => s.brake);
+  const peak = maxOf(brake.map(b => b ?? 0));
+  if (peak > 5) {
+    const peakAt = brake.indexOf(peak);
+    const release = brake.findIndex((b, j) => j > peakAt && b !== null && b < peak * 0.5);
+    if (release > 0) return { time: samples[release].t, method: "brake release" };
+  }
+  return { time: samples[Math.floor(samples.length / 2)].t, method: "window midpoint" };
+}
+
+/**
+ * Longitudinal gap (m, + = attacker ahead) and lateral offset (m; which side is positive
+ * depends on the game's axes) between two cars at time t, from positions or lap distance.
+ */
+function relativePosition(attacker, defender, t, trackLength) {
+  const [ax, ay, dx, dy] = [valueAt(attacker, t, "x"), valueAt(attacker, t, "y"), valueAt(defender, t, "x"), valueAt(defender, t, "y")];
+  const heading = headingAt(defender, t);
+  if (ax !== null && dx !== null && heading !== null) {
+    const [rx, ry] = [ax - dx, ay - dy];
+    return {
+      gap: rx * Math.cos(heading) + ry * Math.sin(heading),
+      lateral: -rx * Math.sin(heading) + ry * Math.cos(heading),
+      basis: "positions"
+    };
+  }
+  const [aDist, dDist] = [valueAt(attacker, t, "dist"), valueAt(defender, t, "dist")];
+  if (aDist !== null && dDist !== null) return { gap: aDist - dDist, lateral: null, basis: "lap distance" };
+  const [aPct, dPct] = [valueAt(attacker, t, "pct"), valueAt(defender, t, "pct")];
+  if (aPct !== null && dPct !== null && trackLength) {
+    // Spline positions wrap at the line — take the short way round
+    let diff = aPct - dPct;
+    if (diff > 0.5) diff -= 1;
+    if (diff < -0.5) diff += 1;
+    return { gap: diff * trackLength, lateral: null, basis: "lap distance" };
+  }
+  return null;
+}
+
+// 0% = attacker's nose at the defender's rear bumper, 100% = level with its nose
+export const overlapPercent = (gap, carLength = DEFAULT_CAR_LENGTH) =>
+  Math.round(Math.min(1, Math.max(0, (gap + carLength) / carLength)) * 100);
+
+// Which file's car belongs to which incident car: the file's own tag, then race numbers in
+// the car descriptions ("#12 …"), then order of appearance
+function assignCars(files, cars) {
+  const assigned = new Map();
+  for (const file of files) {
+    const ids = [...file.parsed.cars.keys()];
+    if (ids.length === 1 && ids[0] === "_") {
+      if (file.car && !assigned.has(file.car)) assigned.set(file.car, { samples: file.parsed.cars.get("_"), file });
+      continue;
+    }
+    for (const car of cars) {
+      if (assigned.has(car.key)) continue;
+      const wanted = file.carMap?.[car.key] ?? car.label.match(/#\s*(\d+)/)?.[1];
+      if (wanted !== undefined && file.parsed.cars.has(String(wanted))) {
+        assigned.set(car.key, { samples: file.parsed.cars.get(String(wanted)), file });
+      }
+    }
+    const unused = ids.filter(id => ![...assigned.values()].some(a => a.samples === file.parsed.cars.get(id)));
+    for (const car of cars) {
+      if (!assigned.has(car.key) && unused.length) assigned.set(car.key, { samples: file.parsed.cars.get(unused.shift()), file });
+    }
+  }
+  return assigned;
+}
+
+const round = (v, digits = 0) => (v === null || v === undefined ? null : Math.round(v * 10 ** digits) / 10 ** digits);
+
+/**
+ * Measured facts for the incident pair, plus chart traces for every car with data.
+ * @param {object[]} files    [{ name, csv, car: "A".., format, offset (s), carMap: { A: "12" } }]
+ * @param {object[]} cars     buildCars() output
+ * @param {object} options    { attacker, defender (car keys), turnIn (s), trackLength (m), carLength (m) }
+ * @returns {object|null}     null when no file was supplied
+ */
+export function analyzeTelemetry(files = [], cars = [], { attacker, defender, turnIn = null, trackLength = null, carLength = DEFAULT_CAR_LENGTH } = {}) {
+  if (!files.length) return null;
+  const warnings = [];
+
+  const parsed = files.slice(0, MAX_TELEMETRY_FILES).map(f => {
+    const result = parseTelemetryCsv(f.csv, f.format || "auto");
+    result.errors.forEach(e => warnings.push(`${f.name || "file"}: ${e}`));
+    // Per-file clock offset, for recordings that didn't start together
+    if (f.offset) result.cars.forEach(samples => samples.forEach(s => { s.t += f.offset; }));
+    return { ...f, parsed: result };
+  });
+  const assigned = assignCars(parsed, cars);
+  if (assigned.size === 0) return { turnIn: null, overlapPct: null, cars: [], charts: null, facts: [], warnings: [...warnings, "No telemetry could be matched to the cars"] };
+
+  // Without the defender's data, turn-in is read from whichever car has some — but that car
+  // may be a bystander, so the attacker is only measured against the defender itself
+  const reference = assigned.has(defender) ? defender : [...assigned.keys()][0];
+  const defenderData = assigned.get(reference);
+  const attackerData = attacker && attacker !== reference && reference === defender ? assigned.get(attacker) : null;
+  if (attacker && assigned.has(attacker) && reference !== defender) {
+    warnings.push(`No telemetry for Car ${defender}, the defending car — overlap and speed difference were not measured`);
+  }
+  const turn = detectTurnIn(defenderData.samples, turnIn);
+  // A made-up turn-in point would make a made-up overlap — measure none and say so
+  const turnFound = turn.method !== "window midpoint";
+  if (!turnFound) warnings.push("Turn-in not found in steering, yaw or brake data — values are from the middle of the window and overlap was not measured");
+
+  const relative = attackerData && turnFound ? relativePosition(attackerData.samples, defenderData.samples, turn.time, trackLength) : null;
+  if (attackerData && turnFound && !relative) warnings.push("Overlap needs positions (world X/Y, GPS or lap distance) for both cars");
+
+  const perCar = cars.filter(c => assigned.has(c.key)).map(c => {
+    const { samples, file } = assigned.get(c.key);
+    const at = channel => valueAt(samples, turn.time, channel);
+    // Track-relative when the export has it, otherwise relative to the defender's line
+    let lateral = at("lateral");
+    let lateralRef = lateral !== null ? "track" : null;
+    if (lateral === null && relative && relative.lateral !== null && [attacker, reference].includes(c.key)) {
+      lateral = c.key === reference ? 0 : relative.lateral;
+      lateralRef = "defender";
+    }
+    if (samples[0].t > turn.time || samples[samples.length - 1].t < turn.time) warnings.push(`Car ${c.key}: no data at turn-in (${round(turn.time, 2)}s) — check the clock offset`);
+    return {
+      key: c.key,
+      file: file.name || "",
+      format: file.parsed.format,
+      samples: samples.length,
+      speedKmh: round(at("speed")),
+      brakePct: round(at("brake")),
+      throttlePct: round(at("throttle")),
+      lateralM: round(lateral, 2),
+      lateralRef
+    };
+  });
+
+  const overlapPct = relative ? overlapPercent(relative.gap, carLength) : null;
+
+  // Common time grid for the charts, over the span every car has data for
+  const spans = [...assigned.values()].map(a => [a.samples[0].t, a.samples[a.samples.length - 1].t]);
+  const from = Math.min(...spans.map(s => s[0]));
+  const to = Math.max(...spans.map(s => s[1]));
+  const step = (to - from) / (CHART_POINTS - 1) || 1;
+  const time = Array.from({ length: CHART_POINTS }, (_, i) => round(from + i * step, 3));
+  const charts = {
+    time,
+    turnIn: round(turn.time, 3),
+    cars: Object.fromEntries([...assigned.entries()].map(([key, { samples }]) => [key, {
+      speed: time.map(t => round(valueAt(samples, t, "speed"), 1)),
+      brake: time.map(t => round(valueAt(samples, t, "brake"), 1)),
+      lateral: attackerData && key === attacker && relative?.basis === "positions"
+        ? time.map(t => round(relativePosition(attackerData.samples, defenderData.samples, t, trackLength)?.lateral, 2))
+        : time.map(t => round(valueAt(samples, t, "lateral"), 2))
+    }]))
+  };
+
+  const facts = perCar.map(c => {
+    const parts = [
+      c.speedKmh !== null && `${c.speedKmh} km/h`,
+      c.brakePct !== null && (c.brakePct > 5 ? `braking ${c.brakePct}%` : "off the brake"),
+      c.lateralM !== null && c.lateralRef === "defender" && c.key !== reference && `${Math.abs(c.lateralM)} m off Car ${reference}'s line`,
+      c.lateralM !== null && c.lateralRef === "track" && `lateral position ${c.lateralM} m`
+    ].filter(Boolean);
+    return parts.length ? `Car ${c.key}: ${parts.join(", ")}` : null;
+  }).filter(Boolean);
+  if (overlapPct !== null) {
+    facts.push(`Overlap of Car ${attacker} on Car ${reference}: ${overlapPct}% (gap ${round(relative.gap, 1)} m, from ${relative.basis})`);
+  }
+
+  return {
+    turnIn: { time: round(turn.time, 3), car: reference, method: turn.method, found: turnFound },
+    attacker: attackerData ? attacker : null,
+    overlapPct,
+    gapM: relative ? round(relative.gap, 2) : null,
+    cars: perCar,
+    charts,
+    facts,
+    warnings
+  };
+}
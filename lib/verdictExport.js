@@ -0,0 +1,195 @@
+// lib/verdictExport.js
+// Verdict exports for archiving and forum posts — Markdown in the README's
+// Incident / Rule / Fault / Verdict / Action / Tips / Confidence template, a printable
+// steward decision PDF and a PNG share card. All three read the analyze response object
+// (the one the page renders); for saved cases exportView() swaps in the reviewed verdict.
+
+import fs from 'fs';
+import path from 'path';
+import { createElement as h } from 'react';
+import { ImageResponse } from 'next/og.js';
+import { effectiveVerdict, effectivePenalty } from './review.js';
+import { CONFIDENCE_COLOURS } from './confidence.js';
+import { renderPdf } from './pdf.js';
+
+export const EXPORT_FORMATS = {
+  md: { type: "text/markdown; charset=utf-8", extension: "md" },
+  pdf: { type: "application/pdf", extension: "pdf" },
+  png: { type: "image/png", extension: "png" }
+};
+
+const LOGO_PATH = path.join(process.cwd(), 'public', 'logo.png');
+const LOGO_RATIO = 12243 / 3586;
+
+const percent = value => parseInt(String(value).replace('%', ''), 10) || 0;
+
+// The response shape for a saved case, with steward edits applied
+export function exportView(caseRecord) {
+  return {
+    ...caseRecord.result,
+    verdict: effectiveVerdict(caseRecord),
+    penalty: effectivePenalty(caseRecord),
+    case_id: caseRecord.id,
+    status: caseRecord.status || "draft",
+    reviewed_by: caseRecord.final ? caseRecord.review?.steward || null : null
+  };
+}
+
+// The explanation ends with the tip; exports show them separately
+export function splitTip(verdict) {
+  const proTip = String(verdict.pro_tip || "");
+  const explanation = String(verdict.explanation || "").replace(proTip, '').trim();
+  const tip = proTip.replace(/^TheSimRacingStewards Tip:\s*/, '').replace(/^Tip:\s*/, '').trim();
+  return { explanation, tip };
+}
+
+const faultEntries = verdict => Object.entries(verdict.fault || {}).map(([name, f]) => ({ name, fault: percent(f) }));
+
+// One-line ruling for the "Verdict:" row, from the (possibly reviewed) split
+export function verdictSummary(verdict) {
+  const entries = faultEntries(verdict).sort((a, b) => b.fault - a.fault);
+  if (entries.length === 0) return "No ruling.";
+  const [top, next] = entries;
+  if (next && top.fault === next.fault) return "Shared responsibility — no single car predominantly at fault.";
+  return top.fault >= 60 ? `${top.name} is predominantly at fault.` : `${top.name} is mainly at fault.`;
+}
+
+// The "Action:" row — also used for each incident in the post-race report
+export const actionText = penalty => {
+  if (!penalty) return "No further action.";
+  const escalated = penalty.escalation ? ` (escalated from ${penalty.escalation.from}: ${penalty.escalation.priors} prior incident(s))` : "";
+  return `${penalty.appliesTo ? `${penalty.label} — ${penalty.appliesTo}` : penalty.label}${escalated}`;
+};
+
+const confidenceText = result =>
+  `${result.verdict.confidence || "N/A"}${typeof result.confidence?.score === 'number' ? ` (${result.confidence.score}/100)` : ""}`;
+
+const incidentText = result =>
+  [result.incident?.label || "Incident", result.verdict.video_title].filter(Boolean).join(' — ');
+
+/**
+ * README-template Markdown, ready to paste into a forum or Discord.
+ * @param {object} result  analyze response (or exportView(caseRecord))
+ * @returns {string}
+ */
+export function verdictMarkdown(result) {
+  const { verdict } = result;
+  const { explanation, tip } = splitTip(verdict);
+  const lines = [
+    `**Incident:** ${incidentText(result)}`,
+    `**Rule:** ${verdict.rule}`,
+    `**Fault:** ${faultEntries(verdict).map(e => `${e.name}: ${e.fault}%`).join(' | ')}`,
+    `**Verdict:** ${verdictSummary(verdict)}`,
+    `**Action:** ${actionText(result.penalty)}`,
+    `**Tips:** ${tip || "—"}`,
+    `**Confidence:** ${confidenceText(result)}`
+  ];
+  const footer = [result.case_id && `Case ${result.case_id}`, result.reviewed_by && `reviewed by ${result.reviewed_by}`, "Sim Racing Stewards"]
+    .filter(Boolean).join(' · ');
+  return `${lines.join('\n\n')}\n\n---\n\n${explanation}\n\n_${footer}_\n`;
+}
+
+/**
+ * Printable steward decision document, precedents included.
+ * @param {object} result  analyze response (or exportView(caseRecord))
+ * @returns {Buffer}
+ */
+export function verdictPdf(result) {
+  const { verdict } = result;
+  const { explanation, tip } = splitTip(verdict);
+  const grey = [0.4, 0.4, 0.4];
+  const heading = text => ({ text, size: 12, bold: true, spaceBefore: 16, keepWithNext: true });
+
+  const blocks = [
+    { text: "Steward Decision", size: 22, bold: true, spaceBefore: 0 },
+    {
+      text: [result.case_id || "Unsaved verdict", result.status, result.reviewed_by && `reviewed by ${result.reviewed_by}`, new Date().toISOString().slice(0, 10)]
+        .filter(Boolean).join(' · '),
+      size: 9,
+      colour: grey
+    },
+    heading("Incident"),
+    { text: incidentText(result) },
+    result.rulebook && { text: `Rulebook: ${result.rulebook.name}${result.rulebook.article ? `, ${result.rulebook.article}` : ""}`, size: 10, colour: grey },
+    heading("Cars involved"),
+    ...(result.cars?.length
+      ? result.cars.map(c => ({ text: `${c.name}${c.roleText ? ` — ${c.roleText}` : ""}: ${percent(verdict.fault?.[c.name] ?? c.fault)}%`, indent: 12 }))
+      : faultEntries(verdict).map(e => ({ text: `${e.name}: ${e.fault}%`, indent: 12 }))),
+    heading("Rule"),
+    { text: verdict.rule },
+    heading("Decision"),
+    { text: verdictSummary(verdict), bold: true },
+    { text: explanation },
+    heading("Action"),
+    { text: actionText(result.penalty) },
+    tip && heading("Tips"),
+    tip && { text: tip },
+    heading("Confidence"),
+    { text: confidenceText(result) },
+    ...(result.confidence?.reasons || []).map(r => ({ text: `${r.points > 0 ? `+${r.points}` : r.points}  ${r.detail}`, size: 9, colour: grey, indent: 12 })),
+    heading("Precedents")
+  ];
+
+  if (result.precedents?.length) {
+    result.precedents.forEach((p, i) => {
+      const fault = p.faultSplit ? `Fault (${p.parties} cars): ${p.faultSplit.map(f => `${f}%`).join(' / ')}` : `Fault A: ${p.faultA}%`;
+      blocks.push(
+        { text: `${i + 1}. ${p.title}`, bold: true, size: 10, spaceBefore: 8 },
+        { text: `Ruling: ${p.ruling} · ${fault}`, size: 10, indent: 12, spaceBefore: 2 },
+        { text: `"${p.reason}"`, size: 10, indent: 12, spaceBefore: 2, colour: grey },
+        p.thread && { text: p.thread, size: 8, indent: 12, spaceBefore: 2, colour: [0.15, 0.35, 0.8] }
+      );
+    });
+  } else {
+    blocks.push({ text: "No curated precedents matched this incident.", colour: grey });
+  }
+
+  return renderPdf(blocks.filter(Boolean), {
+    title: `Steward Decision ${result.case_id || ""}`.trim(),
+    footer: `Sim Racing Stewards${result.case_id ? ` — ${result.case_id}` : ""}`
+  });
+}
+
+let logoDataUrl = null;
+function logo() {
+  if (!logoDataUrl) logoDataUrl = `data:image/png;base64,${fs.readFileSync(LOGO_PATH).toString('base64')}`;
+  return logoDataUrl;
+}
+
+/**
+ * 1200×630 share card — logo, incident, fault split bars, action and confidence.
+ * @param {object} result  analyze response (or exportView(caseRecord))
+ * @returns {Promise<Buffer>} PNG
+ */
+export async function verdictCard(result) {
+  const { verdict } = result;
+  const entries = faultEntries(verdict);
+  const top = Math.max(...entries.map(e => e.fault));
+  const rowHeight = entries.length > 4 ? 34 : 52;
+  const badge = CONFIDENCE_COLOURS[verdict.confidence] || "#6b7280";
+
+  const bars = entries.map(e => h('div', { key: e.name, style: { display: 'flex', alignItems: 'center', height: rowHeight, fontSize: rowHeight * 0.5 } },
+    h('div', { style: { width: 420, overflow: 'hidden', whiteSpace: 'nowrap', textOverflow: 'ellipsis' } }, e.name),
+    h('div', { style: { display: 'flex', flex: 1, height: rowHeight * 0.55, background: '#374151', borderRadius: 8, margin: '0 20px' } },
+      h('div', { style: { width: `${e.fault}%`, height: '100%', borderRadius: 8, background: e.fault === top ? '#dc2626' : '#3b82f6' } })
+    ),
+    h('div', { style: { width: 90, textAlign: 'right' } }, `${e.fault}%`)
+  ));
+
+  const card = h('div', { style: { display: 'flex', flexDirection: 'column', width: '100%', height: '100%', padding: '36px 56px', background: '#111827', color: 'white' } },
+    h('div', { style: { display: 'flex', justifyContent: 'space-between', alignItems: 'center' } },
+      h('img', { src: logo(), height: 96, width: Math.round(96 * LOGO_RATIO) }),
+      h('div', { style: { display: 'flex', padding: '8px 20px', borderRadius: 999, background: badge, fontSize: 24 } }, `Confidence: ${verdict.confidence || "N/A"}`)
+    ),
+    h('div', { style: { display: 'flex', fontSize: 48, marginTop: 12 } }, result.incident?.label || "Incident"),
+    h('div', { style: { display: 'flex', fontSize: 24, color: '#9ca3af', marginBottom: 16 } }, verdict.video_title || "Sim racing incident"),
+    h('div', { style: { display: 'flex', flexDirection: 'column', flex: 1 } }, ...bars),
+    h('div', { style: { display: 'flex', justifyContent: 'space-between', fontSize: 24, color: '#fbbf24' } },
+      h('div', { style: { display: 'flex', maxWidth: 860 } }, actionText(result.penalty)),
+      h('div', { style: { display: 'flex', color: '#9ca3af' } }, result.case_id || "")
+    )
+  );
+
+  const image = new ImageResponse(card, { width: 1200, height: 630 });
+  return Buffer.from(await image.arrayBuffer());
+}
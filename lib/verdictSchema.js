@@ -0,0 +1,100 @@
+// lib/verdictSchema.js
+// Strict validation of the LLM verdict — the model only writes `rule` and `explanation`.
+// Fault split, confidence, car identification and the tip are server-owned and locked.
+
+import { z } from 'zod';
+
+export const verdictOutputSchema = z.object({
+  rule: z.string().trim().min(1, "rule is empty"),
+  explanation: z.string().trim().min(20, "explanation is too short"),
+  fault: z.record(z.union([z.string(), z.number()])).optional(),
+  car_identification: z.string().optional(),
+  pro_tip: z.string().optional(),
+  confidence: z.string().optional()
+});
+
+export const LLM_OWNED_FIELDS = ["rule", "explanation"];
+
+// Pulls the JSON object out of ```json fences or chatty "Sure! Here is…" replies
+export function extractJson(raw = "") {
+  const text = String(raw).trim();
+  const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  const candidate = fenced ? fenced[1].trim() : text;
+
+  try {
+    return { value: JSON.parse(candidate), repaired: Boolean(fenced) };
+  } catch {}
+
+  // First balanced {...} block, skipping braces inside strings
+  const start = candidate.indexOf('{');
+  if (start === -1) return { value: null, repaired: false };
+  let depth = 0, inString = false, escaped = false;
+  for (let i = start; i < candidate.length; i++) {
+    const ch = candidate[i];
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (ch === '\\') escaped = true;
+      else if (ch === '"') inString = false;
+      continue;
+    }
+    if (ch === '"') inString = true;
+    else if (ch === '{') depth++;
+    else if (ch === '}' && --depth === 0) {
+      try {
+        return { value: JSON.parse(candidate.slice(start, i + 1)), repaired: true };
+      } catch {
+        return { value: null, repaired: false };
+      }
+    }
+  }
+  return { value: null, repaired: false };
+}
+
+const toPercent = v => parseFloat(String(v).replace('%', ''));
+
+/**
+ * @param {string} raw           LLM output
+ * @param {number[]} faultSplit  computed fault per car, in car order
+ * @returns {{ ok: boolean, data: object|null, repaired: boolean, faultChanged: boolean, issues: string[] }}
+ */
+export function validateVerdictOutput(raw, faultSplit) {
+  const { value, repaired } = extractJson(raw);
+  if (!value || typeof value !== 'object') {
+    return { ok: false, data: null, repaired: false, faultChanged: false, issues: ["No JSON object found in LLM output"] };
+  }
+
+  const parsed = verdictOutputSchema.safeParse(value);
+  if (!parsed.success) {
+    return {
+      ok: false,
+      data: null,
+      repaired,
+      faultChanged: false,
+      issues: parsed.error.issues.map(i => `${i.path.join('.') || 'verdict'}: ${i.message}`)
+    };
+  }
+
+  if (parsed.data.fault) {
+    const returned = Object.values(parsed.data.fault).map(toPercent);
+    const changed = returned.length !== faultSplit.length || returned.some((v, i) => Math.round(v) !== faultSplit[i]);
+    if (changed) {
+      return {
+        ok: false,
+        data: null,
+        repaired,
+        faultChanged: true,
+        issues: [`Fault split changed by the model (${returned.join('/')} instead of ${faultSplit.join('/')})`]
+      };
+    }
+  }
+
+  const data = Object.fromEntries(LLM_OWNED_FIELDS.map(f => [f, parsed.data[f].trim()]));
+  return { ok: true, data, repaired, faultChanged: false, issues: [] };
+}
+
+// Appended to the prompt when the first answer was rejected
+export function correctionPrompt(issues, faultSplit) {
+  return `\n\nYour previous answer was rejected: ${issues.join('; ')}.
+Do not change the fault allocation (${faultSplit.map(f => `${f}%`).join(' / ')}).
+Return ONLY the JSON object, with no code fences and no extra text.`;
+}
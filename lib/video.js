@@ -0,0 +1,132 @@
+// lib/video.js
+// Incident video — up to six links per incident (main, onboard A/B, broadcast/replay), each
+// opening at the moment of the incident, plus an optional clip range. Timestamps come from
+// the link itself (?t=45, &t=1m23s, #t=83) or the form. Where a link comes from (YouTube,
+// Twitch, Reddit…) is lib/videoSources.js's job. No fs here — the form imports it too.
+
+import { detectSource } from './videoSources.js';
+
+export const VIDEO_ANGLES = [
+  { id: "main", label: "Main" },
+  { id: "onboard_a", label: "Onboard A" },
+  { id: "onboard_b", label: "Onboard B" },
+  { id: "broadcast", label: "Broadcast / replay" }
+];
+export const MAX_VIDEOS = 6;
+
+const angleLabel = id => VIDEO_ANGLES.find(a => a.id === id)?.label || VIDEO_ANGLES[0].label;
+
+/**
+ * Seconds from "45", "45s", "1:23", "1:02:03" or "1h2m3s"; null when empty or unreadable.
+ * @param {string|number|null} value
+ * @returns {number|null}
+ */
+export function parseTimestamp(value) {
+  if (value === null || value === undefined || value === "") return null;
+  if (typeof value === 'number') return Number.isFinite(value) && value >= 0 ? Math.floor(value) : null;
+  const text = String(value).trim().toLowerCase();
+
+  if (/^\d+(\.\d+)?s?$/.test(text)) return Math.floor(parseFloat(text));
+  const clock = text.match(/^(?:(\d+):)?(\d{1,2}):(\d{2})$/);
+  if (clock) return (parseInt(clock[1] || "0") * 3600) + parseInt(clock[2]) * 60 + parseInt(clock[3]);
+  const units = text.match(/^(?:(\d+)h)?(?:(\d+)m)?(?:(\d+)s)?$/);
+  if (units && (units[1] || units[2] || units[3])) {
+    return (parseInt(units[1] || "0") * 3600) + parseInt(units[2] || "0") * 60 + parseInt(units[3] || "0");
+  }
+  return null;
+}
+
+// 83 → "1:23", 3723 → "1:02:03"
+export function formatTimestamp(seconds) {
+  if (seconds === null || seconds === undefined) return "";
+  const h = Math.floor(seconds / 3600);
+  const m = Math.floor((seconds % 3600) / 60);
+  const s = String(seconds % 60).padStart(2, '0');
+  return h ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+}
+
+/**
+ * The incident's videos, normalized. The `url` field is the main angle; `videos` adds more.
+ * An angle without its own timestamp opens at the clip start; with its own, the clip
+ * length is kept so every angle shows the same stretch of the incident.
+ * @param {object} input  { url, videos: [{ angle, url, start }], clipStart, clipEnd, parent }
+ *                        parent is the site's hostname, which Twitch embeds require
+ * @returns {{ videos: object[], clip: { start: number|null, end: number|null } | null }}
+ */
+export function buildVideos({ url = "", videos = [], clipStart = null, clipEnd = null, parent = "" } = {}) {
+  const links = [url && { angle: "main", url }, ...(videos || [])]
+    .filter(v => String(v?.url || "").trim())
+    .slice(0, MAX_VIDEOS);
+
+  const main = links[0] ? detectSource(links[0].url) : null;
+  const start = parseTimestamp(clipStart) ?? parseTimestamp(main?.match.time) ?? null;
+  const rawEnd = parseTimestamp(clipEnd);
+  const end = rawEnd !== null && rawEnd > (start ?? 0) ? rawEnd : null;
+  const length = start !== null && end !== null ? end - start : null;
+
+  return {
+    clip: start !== null || end !== null ? { start, end } : null,
+    videos: links.map((v, i) => {
+      const link = String(v.url).trim();
+      const detected = detectSource(link);
+      const own = parseTimestamp(v.start) ?? (i === 0 ? null : parseTimestamp(detected?.match.time));
+      const at = own ?? start;
+      const until = own !== null && length !== null ? own + length : end;
+      const player = detected?.source.embed(detected.match, { start: at, end: until, parent, url: link });
+      return {
+        angle: v.angle || "main",
+        label: angleLabel(v.angle),
+        url: link,
+        source: detected?.source.id || "link",
+        sourceLabel: detected?.source.label || "Link",
+        title: null,
+        start: at,
+        end: until,
+        player: player?.player || null,
+        embed: player?.src || null
+      };
+    })
+  };
+}
+
+/**
+ * Looks up titles (and, for Reddit posts, the actual video) for built videos. A failed
+ * lookup leaves that video as built; a Reddit post linking to another source embeds that.
+ * @param {object[]} videos   buildVideos().videos
+ * @param {object} ctx        { fetchImpl, signal, parent }
+ * @returns {Promise<object[]>}
+ */
+export async function resolveVideos(videos, { fetchImpl = fetch, signal, parent = "" } = {}) {
+  return Promise.all(videos.map(async video => {
+    const detected = detectSource(video.url);
+    if (!detected) return video;
+    const ctx = { fetchImpl, signal, parent, url: video.url, start: video.start, end: video.end };
+    try {
+      const found = await detected.source.resolve(detected.match, ctx);
+      const resolved = { ...video, title: found.title || null };
+      if (found.src) return { ...resolved, player: found.player, embed: found.src };
+
+      const linked = found.linked && detectSource(found.linked);
+      if (linked && !resolved.embed) {
+        const player = linked.source.embed(linked.match, { ...ctx, url: found.linked });
+        return { ...resolved, player: player?.player || null, embed: player?.src || null, sourceLabel: `${video.sourceLabel} → ${linked.source.label}` };
+      }
+      return resolved;
+    } catch (e) {
+      if (e.name !== 'AbortError') console.warn(`${detected.source.label} lookup failed:`, e.message);
+      return video;
+    }
+  }));
+}
+
+// One line per angle for the verdict prompt
+export function describeVideos({ videos, clip }) {
+  if (!videos.length) return "";
+  const range = clip?.start !== null && clip?.start !== undefined
+    ? `Incident clip: ${formatTimestamp(clip.start)}${clip.end ? `–${formatTimestamp(clip.end)}` : ""}`
+    : "Incident clip: no timestamp given";
+  const angles = videos.map(v =>
+    `${v.label}: ${v.url}${v.start !== null ? ` (incident at ${formatTimestamp(v.start)}${v.end ? `, until ${formatTimestamp(v.end)}` : ""})` : ""}`
+  );
+  return [range, ...angles].join("\n");
+}
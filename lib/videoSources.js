@@ -0,0 +1,184 @@
+// lib/videoSources.js
+// Video-source adapters — each one recognises its links, builds the embed player and
+// resolves the title. Add a source by appending to VIDEO_SOURCES; links nobody recognises
+// stay plain links. Lookups take an injected fetch (ctx.fetchImpl), so every adapter can
+// run against recorded responses instead of the network. No fs here — the form imports it.
+
+const REDDIT_HEADERS = { 'User-Agent': 'simhub-stewards/2 (incident analysis)' };
+
+const hostOf = u => u.hostname.replace(/^(www|m|old|new)\./, '');
+const rawTime = u => u.searchParams.get('t') || u.searchParams.get('start') || new URLSearchParams(u.hash.slice(1)).get('t');
+
+// 83 → "0h1m23s", the format Twitch's player takes
+const twitchTime = seconds => `${Math.floor(seconds / 3600)}h${Math.floor((seconds % 3600) / 60)}m${seconds % 60}s`;
+
+// Media fragment (#t=45,52) — browsers start and stop <video> playback on it
+export function mediaFragment(src, start, end) {
+  if (!start && !end) return src;
+  return `${src.split('#')[0]}#t=${start || 0}${end ? `,${end}` : ""}`;
+}
+
+const decodeEntities = text => text
+  .replace(/&quot;/g, '"').replace(/&#39;|&#x27;/g, "'").replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&');
+
+// og:title from the page itself, for sources without an oEmbed endpoint
+export async function pageTitle(url, { fetchImpl = fetch, signal } = {}) {
+  const res = await fetchImpl(url, { signal });
+  if (!res.ok) return null;
+  const html = await res.text();
+  const tag = html.match(/<meta[^>]+property=["']og:title["'][^>]*>/i)?.[0];
+  const content = tag?.match(/content=["']([^"']*)["']/i)?.[1];
+  return content ? decodeEntities(content).trim() || null : null;
+}
+
+async function oembedTitle(endpoint, { fetchImpl = fetch, signal } = {}) {
+  const res = await fetchImpl(endpoint, { signal });
+  return res.ok ? (await res.json()).title || null : null;
+}
+
+export const VIDEO_SOURCES = [
+  {
+    id: "youtube",
+    label: "YouTube",
+    match(u) {
+      const host = hostOf(u);
+      if (!["youtube.com", "music.youtube.com", "youtu.be", "youtube-nocookie.com"].includes(host)) return null;
+      const id = host === "youtu.be"
+        ? u.pathname.slice(1).split('/')[0]
+        : u.searchParams.get('v') || u.pathname.match(/^\/(?:shorts|embed|live|v)\/([^/?]+)/)?.[1];
+      return /^[0-9A-Za-z_-]{11}$/.test(id || "") ? { id, time: rawTime(u) } : null;
+    },
+    embed(m, { start, end }) {
+      const params = new URLSearchParams();
+      if (start) params.set('start', start);
+      if (end) params.set('end', end);
+      const query = params.toString();
+      return { player: "iframe", src: `https://www.youtube-nocookie.com/embed/${m.id}${query ? `?${query}` : ""}` };
+    },
+    async resolve(m, ctx) {
+      const watch = encodeURIComponent(`https://www.youtube.com/watch?v=${m.id}`);
+      return { title: await oembedTitle(`https://www.youtube.com/oembed?url=${watch}&format=json`, ctx) };
+    }
+  },
+  {
+    id: "twitch",
+    label: "Twitch",
+    match(u) {
+      const host = hostOf(u);
+      if (host === "clips.twitch.tv") {
+        const slug = u.pathname.split('/').filter(Boolean).find(part => part !== "embed") || u.searchParams.get('clip');
+        return slug ? { kind: "clip", id: slug } : null;
+      }
+      if (host !== "twitch.tv") return null;
+      const clip = u.pathname.match(/^\/[^/]+\/clip\/([^/?]+)/)?.[1];
+      if (clip) return { kind: "clip", id: clip };
+      const vod = u.pathname.match(/^\/videos\/(\d+)/)?.[1];
+      return vod ? { kind: "vod", id: vod, time: rawTime(u) } : null;
+    },
+    // Twitch refuses to embed without the hosting site's domain (parent)
+    embed(m, { start, parent }) {
+      if (!parent) return null;
+      if (m.kind === "clip") return { player: "iframe", src: `https://clips.twitch.tv/embed?clip=${m.id}&parent=${parent}&autoplay=false` };
+      return { player: "iframe", src: `https://player.twitch.tv/?video=${m.id}&parent=${parent}&autoplay=false${start ? `&time=${twitchTime(start)}` : ""}` };
+    },
+    async resolve(m, ctx) {
+      const page = m.kind === "clip" ? `https://clips.twitch.tv/${m.id}` : `https://www.twitch.tv/videos/${m.id}`;
+      return { title: await pageTitle(page, ctx) };
+    }
+  },
+  {
+    id: "streamable",
+    label: "Streamable",
+    match(u) {
+      if (hostOf(u) !== "streamable.com") return null;
+      const id = u.pathname.match(/^\/(?:[eos]\/)?([0-9a-z]+)\/?$/i)?.[1];
+      return id ? { id, time: rawTime(u) } : null;
+    },
+    embed(m) {
+      return { player: "iframe", src: `https://streamable.com/e/${m.id}` };
+    },
+    async resolve(m, ctx) {
+      const video = encodeURIComponent(`https://streamable.com/${m.id}`);
+      return { title: await oembedTitle(`https://api.streamable.com/oembed.json?url=${video}`, ctx) };
+    }
+  },
+  {
+    id: "reddit",
+    label: "Reddit",
+    match(u) {
+      const host = hostOf(u);
+      if (host === "v.redd.it") {
+        const id = u.pathname.split('/').filter(Boolean)[0];
+        return id ? { kind: "video", id } : null;
+      }
+      if (host === "redd.it") {
+        const id = u.pathname.split('/').filter(Boolean)[0];
+        return id ? { kind: "post", id } : null;
+      }
+      if (host !== "reddit.com") return null;
+      const id = u.pathname.match(/\/comments\/([0-9a-z]+)/i)?.[1];
+      return id ? { kind: "post", id } : null;
+    },
+    // The player comes from the post's media, so it is only known after resolve()
+    embed() {
+      return null;
+    },
+    async resolve(m, { fetchImpl = fetch, signal, start, end } = {}) {
+      let postId = m.id;
+      if (m.kind === "video") {
+        // v.redd.it/<id> redirects to the post it belongs to
+        const hop = await fetchImpl(`https://v.redd.it/${m.id}`, { signal, redirect: 'follow', headers: REDDIT_HEADERS });
+        postId = hop.url?.match(/\/comments\/([0-9a-z]+)/i)?.[1];
+        if (!postId) return {};
+      }
+      const res = await fetchImpl(`https://www.reddit.com/comments/${postId}.json?raw_json=1`, { signal, headers: REDDIT_HEADERS });
+      if (!res.ok) return {};
+      const post = (await res.json())?.[0]?.data?.children?.[0]?.data;
+      if (!post) return {};
+
+      const media = [post, ...(post.crosspost_parent_list || [])]
+        .map(p => p.secure_media?.reddit_video || p.media?.reddit_video)
+        .find(Boolean);
+      if (media?.fallback_url) {
+        return { title: post.title || null, player: "video", src: mediaFragment(media.fallback_url, start, end) };
+      }
+      // A post that links out (usually YouTube) — the caller re-detects the linked video
+      return { title: post.title || null, linked: post.url_overridden_by_dest || post.url || null };
+    }
+  },
+  {
+    // A link to a hosted video file — there is no upload; the league hosts the file itself
+    id: "file",
+    label: "Video file",
+    match(u) {
+      return /\.(mp4|webm|mov|m4v)$/i.test(u.pathname) ? { time: new URLSearchParams(u.hash.slice(1)).get('t')?.split(',')[0] } : null;
+    },
+    embed(m, { start, end, url }) {
+      return { player: "video", src: mediaFragment(url, start, end) };
+    },
+    async resolve(m, { url }) {
+      const file = decodeURIComponent(new URL(url).pathname.split('/').pop() || "");
+      return { title: file.replace(/\.[^.]+$/, '').replace(/[-_]+/g, ' ').trim() || null };
+    }
+  }
+];
+
+/**
+ * The adapter for a link, with what it parsed out of it.
+ * @param {string} url
+ * @returns {{ source: object, match: object } | null}  null for unknown sources and non-URLs
+ */
+export function detectSource(url) {
+  let parsed;
+  try {
+    parsed = new URL(String(url || "").trim());
+  } catch {
+    return null;
+  }
+  if (!/^https?:$/.test(parsed.protocol)) return null;
+  for (const source of VIDEO_SOURCES) {
+    const match = source.match(parsed);
+    if (match) return { source, match };
+  }
+  return null;
+}
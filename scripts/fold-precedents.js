@@ -0,0 +1,36 @@
+// scripts/fold-precedents.js
+// Folds the precedents added or changed at runtime (STEWARDS_DATA_DIR/precedents.csv) into
+// the seed, public/precedents_real.csv, so they can be committed — then clears the edits.
+// Run on a checkout, from the repo root, with the same STEWARDS_DATA_DIR as the app.
+//
+//   node scripts/fold-precedents.js [--dry-run]
+
+import fs from 'fs/promises';
+import Papa from 'papaparse';
+import { pathToFileURL } from 'url';
+import { readPrecedentRows, precedentRowsCsv, PRECEDENTS_PATH, PRECEDENT_EDITS_PATH } from '../lib/precedents.js';
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const dryRun = process.argv.includes('--dry-run');
+  try {
+    const edits = await fs.readFile(PRECEDENT_EDITS_PATH, 'utf8').catch(e => {
+      if (e.code === 'ENOENT') return null;
+      throw e;
+    });
+    if (edits === null) {
+      console.log(`No runtime edits in ${PRECEDENT_EDITS_PATH} — nothing to fold.`);
+      process.exit(0);
+    }
+    const rows = readPrecedentRows();
+    const changed = Papa.parse(edits, { header: true, skipEmptyLines: true }).data.length;
+    console.log(`${changed} added or changed row(s) → ${PRECEDENTS_PATH} (${rows.length} rows)${dryRun ? " (dry run — nothing written)" : ""}`);
+    if (!dryRun) {
+      await fs.writeFile(`${PRECEDENTS_PATH}.tmp`, precedentRowsCsv(rows));
+      await fs.rename(`${PRECEDENTS_PATH}.tmp`, PRECEDENTS_PATH);
+      await fs.unlink(PRECEDENT_EDITS_PATH);
+    }
+  } catch (e) {
+    console.error(`Fold failed: ${e.message}`);
+    process.exit(1);
+  }
+}
@@ -0,0 +1,64 @@
+// scripts/import-reddit.js
+// Offline r/simracingstewards importer — reads local Reddit dump files and queues precedent
+// candidates for review on /precedents. Posts and comments may come in separate files
+// (Pushshift RS_/RC_ NDJSON); threads already in the precedent set are skipped.
+// Run from the repo root so the CSV and STEWARDS_DATA_DIR resolve like the app's.
+//
+//   node scripts/import-reddit.js <dump.json|dump.ndjson ...> [--min-confidence=40] [--min-score=1] [--dry-run]
+
+import fs from 'fs/promises';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { readRedditDump, groupThreads, importThreads } from '../lib/redditImport.js';
+import { readPrecedentRows } from '../lib/precedents.js';
+
+/**
+ * @param {string[]} files
+ * @param {object} options  importThreads() options
+ * @returns {Promise<object>}  importThreads() summary plus per-file parse errors
+ */
+export async function importFiles(files, options = {}) {
+  const posts = [];
+  const comments = [];
+  const errors = [];
+  for (const file of files) {
+    const dump = readRedditDump(await fs.readFile(file, 'utf8'));
+    posts.push(...dump.posts);
+    comments.push(...dump.comments);
+    errors.push(...dump.errors.map(e => `${path.basename(file)}: ${e}`));
+  }
+  const known = new Set(readPrecedentRows().map(r => r.thread_id).filter(Boolean));
+  const summary = await importThreads(groupThreads(posts, comments), {
+    source: files.map(f => path.basename(f)).join(', '),
+    known,
+    ...options
+  });
+  return { ...summary, errors };
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const args = process.argv.slice(2);
+  const flag = name => args.find(a => a.startsWith(`--${name}=`))?.split('=').slice(1).join('=');
+  const files = args.filter(a => !a.startsWith('--'));
+  if (!files.length) {
+    console.error("Usage: node scripts/import-reddit.js <dump.json|dump.ndjson ...> [--min-confidence=40] [--min-score=1] [--dry-run]");
+    process.exit(1);
+  }
+
+  try {
+    const summary = await importFiles(files, {
+      minConfidence: parseInt(flag('min-confidence')) || 0,
+      minScore: flag('min-score') !== undefined ? parseInt(flag('min-score')) || 0 : 1,
+      dryRun: args.includes('--dry-run')
+    });
+    for (const c of summary.candidates) {
+      console.log(`${c.id || "(dry run)"}  ${String(c.confidence.score).padStart(3)} ${c.confidence.label.padEnd(9)}  ${c.incident_type} — fault A ${c.fault_a}% (${c.voteCount} votes)  ${c.thread}`);
+    }
+    const skipped = Object.entries(summary.skipped).filter(([, n]) => n).map(([why, n]) => `${n} ${why}`).join(', ');
+    console.log(`\n${summary.threads} thread(s): ${summary.queued} queued, ${summary.updated} updated${skipped ? `, skipped ${skipped}` : ""}${args.includes('--dry-run') ? " (dry run — nothing written)" : ""}`);
+    summary.errors.forEach(e => console.warn(e));
+  } catch (e) {
+    console.error(`Import failed: ${e.message}`);
+    process.exit(1);
+  }
+}
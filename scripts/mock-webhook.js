@@ -0,0 +1,75 @@
+// scripts/mock-webhook.js
+// Local stand-in for a Discord webhook — records every POST and can fail on purpose.
+//
+//   node scripts/mock-webhook.js [port] [--fail=2] [--status=500]
+//   DISCORD_WEBHOOK_URL=http://localhost:4010/webhook npm run dev
+//
+// Importable too: startMockWebhook({ failFirst: 1, status: 429 }) → { url, received, close() };
+// hangFirst: n leaves the first n requests without an answer, like a stalled connection
+
+import http from 'http';
+import { pathToFileURL } from 'url';
+
+export function startMockWebhook({ port = 0, failFirst = 0, hangFirst = 0, status = 500, retryAfter = 0.1, log = false } = {}) {
+  const received = [];
+  let failures = 0;
+  let hung = 0;
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      if (req.method !== 'POST') {
+        res.writeHead(405).end();
+        return;
+      }
+      if (hung < hangFirst) {
+        hung++;
+        if (log) console.log(`… no answer (simulated stall ${hung}/${hangFirst})`);
+        return;
+      }
+      if (failures < failFirst) {
+        failures++;
+        if (log) console.log(`✗ ${status} (simulated failure ${failures}/${failFirst})`);
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(status === 429
+          ? { message: "You are being rate limited.", retry_after: retryAfter }
+          : { message: "Simulated failure" }));
+        return;
+      }
+      let payload = null;
+      try {
+        payload = JSON.parse(body);
+      } catch {
+        res.writeHead(400, { 'Content-Type': 'application/json' }).end(JSON.stringify({ message: "Cannot send an empty message" }));
+        return;
+      }
+      received.push(payload);
+      if (log) console.log(`✓ ${payload.embeds?.[0]?.title || '(no embed)'}`);
+      res.writeHead(204).end();
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(port, () => {
+      const url = `http://localhost:${server.address().port}/webhook`;
+      resolve({ url, received, close: () => new Promise(done => {
+        server.close(done);
+        server.closeAllConnections();  // including the stalled ones
+      }) });
+    });
+  });
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const args = process.argv.slice(2);
+  const flag = name => args.find(a => a.startsWith(`--${name}=`))?.split('=')[1];
+  const port = parseInt(args.find(a => /^\d+$/.test(a))) || 4010;
+  const { url } = await startMockWebhook({
+    port,
+    failFirst: parseInt(flag('fail')) || 0,
+    status: parseInt(flag('status')) || 500,
+    log: true
+  });
+  console.log(`Mock Discord webhook listening on ${url}`);
+}
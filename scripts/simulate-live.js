@@ -0,0 +1,73 @@
+// scripts/simulate-live.js
+// Local stand-in for the SimHub / telemetry bridge — posts random contacts to the live
+// ingest so /live can be tried without a race running. Some contacts are reported twice,
+// once per car, the way real bridges do.
+//
+//   node scripts/simulate-live.js [url] [--count=20] [--interval=3] [--session="Race 1"] [--token=...]
+//   default url http://localhost:3000/api/live; --token falls back to LIVE_INGEST_TOKEN
+//
+// Importable too: randomIncident({ session, lap }) → one ingest event
+
+import { pathToFileURL } from 'url';
+
+const GRID = ["3", "7", "12", "18", "22", "27", "33", "44", "51", "63", "77", "88"];
+const TURNS = ["1", "2", "3", "4", "5", "6", "7", "8", "9", "10", "11", "12"];
+
+const pick = list => list[Math.floor(Math.random() * list.length)];
+
+export function randomIncident({ session = "Race 1", lap = 1, league = "" } = {}) {
+  const first = pick(GRID);
+  const second = pick(GRID.filter(c => c !== first));
+  // Mostly light touches, the odd heavy hit
+  const gForce = Math.round((Math.random() < 0.8 ? 0.5 + Math.random() * 4 : 5 + Math.random() * 15) * 10) / 10;
+  return {
+    session,
+    league,
+    lap,
+    turn: pick(TURNS),
+    cars: Math.random() < 0.1 ? [first, second, pick(GRID.filter(c => c !== first && c !== second))] : [first, second],
+    gForce,
+    timestamp: new Date().toISOString(),
+    source: "simulator"
+  };
+}
+
+async function post(url, event, token) {
+  const res = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...(token && { Authorization: `Bearer ${token}` }) },
+    body: JSON.stringify(event)
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(`${res.status} ${data.error || res.statusText}`);
+  return data.incidents[0];
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const args = process.argv.slice(2);
+  const flag = name => args.find(a => a.startsWith(`--${name}=`))?.split('=').slice(1).join('=');
+  const url = args.find(a => /^https?:\/\//.test(a)) || "http://localhost:3000/api/live";
+  const count = parseInt(flag('count')) || 20;
+  const interval = parseFloat(flag('interval')) || 3;
+  const session = flag('session') || "Race 1";
+  const token = flag('token') || process.env.LIVE_INGEST_TOKEN || "";
+
+  console.log(`Posting ${count} simulated incidents to ${url} every ${interval}s`);
+  let lap = 1;
+  for (let n = 1; n <= count; n++) {
+    if (Math.random() < 0.4) lap++;
+    const event = randomIncident({ session, lap });
+    try {
+      const saved = await post(url, event, token);
+      console.log(`✓ L${event.lap} T${event.turn} ${event.cars.map(c => `#${c}`).join(' vs ')} ${event.gForce}g → ${saved.id}`);
+      // The other car's bridge reports the same contact a moment later
+      if (Math.random() < 0.3) {
+        const again = await post(url, { ...event, cars: [...event.cars].reverse(), gForce: Math.round(event.gForce * 0.8 * 10) / 10 }, token);
+        console.log(`  ↳ second report merged into ${again.id}${again.duplicate ? "" : " (not merged!)"}`);
+      }
+    } catch (e) {
+      console.log(`✗ ${e.message}`);
+    }
+    if (n < count) await new Promise(resolve => setTimeout(resolve, interval * 1000));
+  }
+}
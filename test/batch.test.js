@@ -0,0 +1,74 @@
+// test/batch.test.js
+// Batch steps against a job file in a throwaway directory, with a stub analysis.
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'stewards-test-'));
+process.env.STEWARDS_DATA_DIR = dataDir;
+
+const { createJsonBatchStore, advanceBatch, STALE_ITEM_MS } = await import('../lib/batch.js');
+
+test.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+const statuses = job => job.items.map(i => `${i.index}:${i.status}`).join(' ');
+
+// Answers after `ms`, recording which incidents it was asked for
+function slowAnalysis(ms) {
+  const seen = [];
+  const analyze = async input => {
+    seen.push(input.manualTitle);
+    await sleep(ms);
+    return { status: 200, body: { case_id: `SRS-${input.manualTitle}`, verdict: { fault: {} } } };
+  };
+  return { analyze, seen };
+}
+
+const items = n => Array.from({ length: n }, (_, i) => ({ incidentType: "Divebomb", manualTitle: `item-${i}` }));
+
+test('overlapping polls take different items and keep each other\'s results', async () => {
+  const store = createJsonBatchStore(path.join(dataDir, 'overlap'));
+  const job = await store.create({ items: items(4), source: "json", concurrency: 2 });
+  const { analyze, seen } = slowAnalysis(30);
+
+  // Each poll reads its own copy of the job, the way two requests would
+  await Promise.all([
+    advanceBatch(structuredClone(job), { analyze, store }),
+    sleep(5).then(async () => advanceBatch(await store.get(job.id), { analyze, store }))
+  ]);
+
+  const saved = await store.get(job.id);
+  assert.equal(statuses(saved), "0:ok 1:ok 2:ok 3:ok");
+  assert.equal(saved.status, "done");
+  assert.deepEqual([...seen].sort(), ["item-0", "item-1", "item-2", "item-3"]);
+  assert.equal(saved.items[3].caseId, "SRS-item-3");
+});
+
+test('a poll after the last item has nothing to run', async () => {
+  const store = createJsonBatchStore(path.join(dataDir, 'sequence'));
+  const job = await store.create({ items: items(3), source: "json", concurrency: 2 });
+  const { analyze, seen } = slowAnalysis(1);
+
+  assert.equal(statuses(await advanceBatch(job, { analyze, store })), "0:ok 1:ok 2:pending");
+  const last = await advanceBatch(await store.get(job.id), { analyze, store });
+  assert.equal(last.status, "done");
+  assert.equal((await advanceBatch(last, { analyze, store })).status, "done");
+  assert.equal(seen.length, 3);
+});
+
+test('an item a killed request left running is failed once stale', async () => {
+  const store = createJsonBatchStore(path.join(dataDir, 'stale'));
+  const job = await store.create({ items: items(1), source: "json", concurrency: 1 });
+  await store.mutate(job.id, current => Object.assign(current.items[0], { status: "running", startedAt: new Date(Date.now() - STALE_ITEM_MS - 1000).toISOString() }));
+
+  const { analyze, seen } = slowAnalysis(1);
+  const after = await advanceBatch(await store.get(job.id), { analyze, store });
+  assert.equal(after.items[0].status, "failed");
+  assert.equal(after.items[0].error, "Interrupted before the analysis finished");
+  assert.equal(after.status, "done");
+  assert.equal(seen.length, 0);
+});
@@ -0,0 +1,71 @@
+// test/cases.test.js
+// PATCH and DELETE /api/cases/<id> against a throwaway STEWARDS_DATA_DIR, with STEWARDS_TOKEN set.
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'stewards-test-'));
+process.env.STEWARDS_DATA_DIR = dataDir;
+process.env.STEWARDS_TOKEN = 'steward-secret';
+
+const { getCaseStore } = await import('../lib/caseStore.js');
+const { default: caseHandler } = await import('../api/cases/[id].js');
+
+test.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+const steward = { authorization: "Bearer steward-secret" };
+
+const call = async req => {
+  const res = { status(code) { this.code = code; return this; }, json(body) { this.body = body; return this; }, end() { return this; } };
+  await caseHandler({ headers: {}, ...req }, res);
+  return res;
+};
+
+const draftCase = () => getCaseStore().create({
+  status: "draft",
+  input: { incidentType: "Divebomb", league: "" },
+  result: {
+    incident: { id: "divebomb", label: "Divebomb / Late lunge" },
+    rulebook: { id: "default" },
+    verdict: { rule: "Standard 1", fault: { "Car A": "80%", "Car B": "20%" }, explanation: "Car A dived.", confidence: "High" },
+    penalty: { sanction: "warning", label: "Warning" }
+  }
+});
+
+test('two stewards reviewing at once both land in the audit trail', async () => {
+  const { id } = await draftCase();
+  const review = name => call({ method: 'PATCH', query: { id }, headers: steward, body: { action: "review", steward: name, reason: "Checked the onboard" } });
+  const results = await Promise.all([review("Jo"), review("Max")]);
+
+  assert.deepEqual(results.map(r => r.code), [200, 200]);
+  const saved = await getCaseStore().get(id);
+  assert.deepEqual(saved.audit.map(a => a.steward).sort(), ["Jo", "Max"]);
+});
+
+test('deleting a case needs the steward token', async () => {
+  const { id } = await draftCase();
+  assert.equal((await call({ method: 'DELETE', query: { id } })).code, 401);
+  assert.ok(await getCaseStore().get(id));
+  assert.equal((await call({ method: 'DELETE', query: { id }, headers: steward })).code, 204);
+  assert.equal(await getCaseStore().get(id), null);
+});
+
+test('reviewing and publishing need the steward token', async () => {
+  const { id } = await draftCase();
+  const open = await call({ method: 'PATCH', query: { id }, body: { action: "review", steward: "Jo" } });
+  assert.equal(open.code, 401);
+  assert.equal((await getCaseStore().get(id)).status, "draft");
+});
+
+test('steward and reason are read as strings instead of crashing on other JSON types', async () => {
+  const { id } = await draftCase();
+  const numeric = await call({ method: 'PATCH', query: { id }, headers: steward, body: { action: "review", steward: 1, reason: ["x"] } });
+  assert.equal(numeric.code, 200);
+  assert.equal(numeric.body.review.steward, "1");
+  const missing = await call({ method: 'PATCH', query: { id }, headers: steward, body: { action: "publish", steward: null } });
+  assert.equal(missing.code, 400);
+  assert.equal(missing.body.error, "Steward name is required");
+});
@@ -0,0 +1,26 @@
+// test/confidence.test.js
+// The reasons behind a confidence score.
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { scoreConfidence } from '../lib/confidence.js';
+
+const precedents = [{ faultA: 80, similarity: 0.6 }, { faultA: 75, similarity: 0.4 }];
+const precedentReason = evidence => scoreConfidence(evidence).reasons.find(r => r.factor === "precedents");
+const llmReason = llmOutput => scoreConfidence({ llmOutput }).reasons.find(r => r.factor === "llm");
+
+test('the precedent reason says whether the precedents are of this type', () => {
+  assert.equal(precedentReason({ precedents }).detail, "2 curated precedent(s) of this type");
+  assert.equal(precedentReason({ precedents, sameType: false }).detail, "2 closest curated precedent(s) of other types — none of this type");
+  assert.deepEqual(precedentReason({}), { factor: "precedents", points: 0, detail: "No curated precedents — using defaults" });
+});
+
+test('only a first-attempt parse earns the LLM points', () => {
+  assert.deepEqual(llmReason("parsed"), { factor: "llm", points: 10, detail: "LLM verdict parsed cleanly" });
+  assert.equal(llmReason("repaired").points, 0);
+  assert.match(llmReason("repaired").detail, /after repair/);
+  assert.equal(llmReason("re-requested").points, 0);
+  assert.match(llmReason("re-requested").detail, /re-request/);
+  assert.equal(llmReason("fallback").points, 0);
+  assert.equal(llmReason(null), undefined);
+});
@@ -0,0 +1,162 @@
+// test/discord.test.js
+// Webhook publishing against scripts/mock-webhook.js — a real local HTTP server that records
+// what it receives and fails on purpose (5xx, 429 with retry_after, other 4xx).
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { startMockWebhook } from '../scripts/mock-webhook.js';
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'stewards-test-'));
+process.env.STEWARDS_DATA_DIR = dataDir;
+
+const { postWebhook, verdictEmbed, MAX_WEBHOOK_RETRIES } = await import('../lib/discord.js');
+const { getCaseStore } = await import('../lib/caseStore.js');
+const { default: discordHandler } = await import('../api/discord.js');
+
+test.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+// Starts a mock for one test and closes it afterwards
+async function withMock(options, run) {
+  const mock = await startMockWebhook(options);
+  try {
+    return await run(mock);
+  } finally {
+    await mock.close();
+  }
+}
+
+const publishedCase = (verdict = {}) => ({
+  status: "published",
+  input: { incidentType: "Divebomb", league: "" },
+  result: {
+    incident: { id: "divebomb", label: "Divebomb / Late lunge" },
+    verdict: {
+      rule: "Standard 1 (Overtaking)",
+      fault: { "Car A (#7)": "80%", "Car B (#12)": "20%" },
+      explanation: "Car A dived from too far back.\n\nTip: Brake in a straight line",
+      pro_tip: "Tip: Brake in a straight line",
+      confidence: "High",
+      video_title: "T1 lunge",
+      ...verdict
+    },
+    penalty: { sanction: "time_penalty", label: "5-second time penalty", appliesTo: "Car A (#7)" }
+  }
+});
+
+test('a verdict is delivered first time', async () => {
+  await withMock({}, async mock => {
+    const payload = verdictEmbed({ id: "SRS-20260101-AAAAAA", ...publishedCase() });
+    const outcome = await postWebhook(mock.url, payload, { backoffMs: 5 });
+    assert.deepEqual(outcome, { ok: true, status: 204, attempts: 1, error: null });
+    assert.deepEqual(mock.received, [JSON.parse(JSON.stringify(payload))]);
+  });
+});
+
+test('5xx is retried with backoff until it goes through', async () => {
+  await withMock({ failFirst: 2, status: 500 }, async mock => {
+    const outcome = await postWebhook(mock.url, { content: "hi" }, { backoffMs: 5 });
+    assert.equal(outcome.ok, true);
+    assert.equal(outcome.attempts, 3);
+    assert.equal(mock.received.length, 1);
+  });
+});
+
+test('429 waits for retry_after, then retries', async () => {
+  await withMock({ failFirst: 1, status: 429, retryAfter: 0.2 }, async mock => {
+    const started = Date.now();
+    const outcome = await postWebhook(mock.url, { content: "hi" }, { backoffMs: 5 });
+    assert.equal(outcome.ok, true);
+    assert.equal(outcome.attempts, 2);
+    assert.ok(Date.now() - started >= 200, "honours retry_after over the shorter backoff");
+  });
+});
+
+test('429 asking for longer than maxWaitMs fails at once', async () => {
+  await withMock({ failFirst: 1, status: 429, retryAfter: 60 }, async mock => {
+    const started = Date.now();
+    const outcome = await postWebhook(mock.url, { content: "hi" }, { backoffMs: 5 });
+    assert.equal(outcome.ok, false);
+    assert.equal(outcome.status, 429);
+    assert.equal(outcome.attempts, 1);
+    assert.match(outcome.error, /Rate limited by Discord for 60s/);
+    assert.ok(Date.now() - started < 2000);
+    assert.equal(mock.received.length, 0);
+  });
+});
+
+test('other 4xx is not retried', async () => {
+  await withMock({ failFirst: 5, status: 404 }, async mock => {
+    const outcome = await postWebhook(mock.url, { content: "hi" }, { backoffMs: 5 });
+    assert.deepEqual(outcome, { ok: false, status: 404, attempts: 1, error: "Simulated failure" });
+  });
+});
+
+test('retries run out, and are capped however many are asked for', async () => {
+  await withMock({ failFirst: 100, status: 503 }, async mock => {
+    assert.deepEqual(await postWebhook(mock.url, { content: "hi" }, { retries: 2, backoffMs: 1 }), { ok: false, status: 503, attempts: 3, error: "Simulated failure" });
+    const capped = await postWebhook(mock.url, { content: "hi" }, { retries: 1000, backoffMs: 1 });
+    assert.equal(capped.attempts, MAX_WEBHOOK_RETRIES + 1);
+  });
+});
+
+test('an unreachable webhook fails with the network error', async () => {
+  const { url, close } = await startMockWebhook();
+  await close();
+  const outcome = await postWebhook(url, { content: "hi" }, { retries: 1, backoffMs: 1 });
+  assert.equal(outcome.ok, false);
+  assert.equal(outcome.status, null);
+  assert.equal(outcome.attempts, 2);
+});
+
+test('a stalled attempt times out and the next one delivers', async () => {
+  await withMock({ hangFirst: 1 }, async mock => {
+    const outcome = await postWebhook(mock.url, { content: "hi" }, { backoffMs: 1, timeoutMs: 100 });
+    assert.deepEqual(outcome, { ok: true, status: 204, attempts: 2, error: null });
+    assert.equal(mock.received.length, 1);
+  });
+  await withMock({ hangFirst: 100 }, async mock => {
+    const outcome = await postWebhook(mock.url, { content: "hi" }, { retries: 1, backoffMs: 1, timeoutMs: 100 });
+    assert.deepEqual(outcome, { ok: false, status: null, attempts: 2, error: "No answer from Discord within 0.1s" });
+  });
+});
+
+test('the embed stays within Discord\'s 6000-character total', () => {
+  const { embeds: [embed] } = verdictEmbed({
+    id: "SRS-20260101-AAAAAA",
+    ...publishedCase({ rule: "R".repeat(3000), explanation: "E".repeat(9000), pro_tip: `Tip: ${"T".repeat(3000)}`, video_title: "V".repeat(400) })
+  });
+  const total = [embed.title, embed.description, embed.footer.text, ...embed.fields.flatMap(f => [f.name, f.value])]
+    .reduce((sum, text) => sum + text.length, 0);
+  assert.equal(total, 6000);
+  assert.ok(embed.description.endsWith("…"));
+  assert.equal(embed.fields.find(f => f.name === "Rule").value.length, 1024);
+});
+
+test('POST /api/discord publishes through a rate limit and logs the delivery', async () => {
+  await withMock({ failFirst: 1, status: 429, retryAfter: 0.05 }, async mock => {
+    process.env.DISCORD_WEBHOOK_URL = mock.url;
+    try {
+      const saved = await getCaseStore().create(publishedCase());
+      const res = { status(code) { this.code = code; return this; }, json(body) { this.body = body; return this; }, end() { return this; } };
+      await discordHandler({ method: 'POST', body: { caseId: saved.id }, headers: {}, query: {} }, res);
+
+      assert.equal(res.code, 200);
+      assert.equal(res.body.delivery.ok, true);
+      assert.equal(res.body.delivery.attempts, 2);
+      assert.equal(mock.received[0].embeds[0].title, "Divebomb / Late lunge — T1 lunge");
+      assert.equal((await getCaseStore().get(saved.id)).deliveries.length, 1);
+    } finally {
+      delete process.env.DISCORD_WEBHOOK_URL;
+    }
+  });
+});
+
+test('POST /api/discord refuses a draft', async () => {
+  const saved = await getCaseStore().create({ ...publishedCase(), status: "draft" });
+  const res = { status(code) { this.code = code; return this; }, json(body) { this.body = body; return this; } };
+  await discordHandler({ method: 'POST', body: { caseId: saved.id }, headers: {}, query: {} }, res);
+  assert.equal(res.code, 409);
+});
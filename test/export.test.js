@@ -0,0 +1,42 @@
+// test/export.test.js
+// POST /api/export with a verdict as the page would send it.
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'stewards-test-'));
+process.env.STEWARDS_DATA_DIR = dataDir;
+
+const { default: exportHandler } = await import('../api/export.js');
+
+test.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+const exportResult = async result => {
+  const res = {
+    headers: {},
+    setHeader(name, value) { this.headers[name] = value; },
+    status(code) { this.code = code; return this; },
+    send(body) { this.body = body; return this; },
+    json(body) { this.body = body; return this; }
+  };
+  await exportHandler({ method: 'POST', body: { format: "md", result }, headers: {}, query: {} }, res);
+  return res;
+};
+
+const verdict = { rule: "Standard 1 (Overtaking)", fault: { "Car A": "80%", "Car B": "20%" }, explanation: "Car A dived.", confidence: "High" };
+
+test('the download is named after the case id', async () => {
+  const res = await exportResult({ case_id: "SRS-20260101-AAAAAA", verdict });
+  assert.equal(res.code, 200);
+  assert.equal(res.headers['Content-Disposition'], 'attachment; filename="SRS-20260101-AAAAAA.md"');
+});
+
+test('a posted case id cannot break out of the filename', async () => {
+  const res = await exportResult({ case_id: 'x"\r\nSet-Cookie: a=b; ../../evil', verdict });
+  assert.equal(res.code, 200);
+  assert.equal(res.headers['Content-Disposition'], 'attachment; filename="xSet-Cookieabevil.md"');
+  assert.equal((await exportResult({ case_id: '"";', verdict })).headers['Content-Disposition'], 'attachment; filename="verdict.md"');
+});
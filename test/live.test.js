@@ -0,0 +1,37 @@
+// test/live.test.js
+// Triage of a live incident against a throwaway STEWARDS_DATA_DIR, with STEWARDS_TOKEN set.
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'stewards-test-'));
+process.env.STEWARDS_DATA_DIR = dataDir;
+process.env.STEWARDS_TOKEN = 'steward-secret';
+
+const { getLiveStore } = await import('../lib/liveIncidents.js');
+const { default: liveHandler } = await import('../api/live/[id].js');
+
+test.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+const call = async req => {
+  const res = { status(code) { this.code = code; return this; }, json(body) { this.body = body; return this; }, end() { return this; } };
+  await liveHandler({ headers: {}, ...req }, res);
+  return res;
+};
+
+test('triaging a live incident needs the steward token', async () => {
+  const { incident: { id } } = await getLiveStore().ingest({ session: "Race 1", lap: 3, turn: "T1", cars: ["12", "7"], gForce: 4.2 });
+  const body = { status: "no_action", steward: "Jo" };
+
+  assert.equal((await call({ method: 'PATCH', query: { id }, body })).code, 401);
+  assert.equal((await getLiveStore().get(id)).status, "new");
+
+  const res = await call({ method: 'PATCH', query: { id }, headers: { authorization: "Bearer steward-secret" }, body });
+  assert.equal(res.code, 200);
+  assert.equal(res.body.status, "no_action");
+  assert.equal(res.body.triagedBy, "Jo");
+  assert.equal((await call({ method: 'GET', query: { id } })).code, 200);
+});
@@ -0,0 +1,21 @@
+// test/llm.test.js
+// Provider settings from an injected env — nothing is sent anywhere.
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createProvider } from '../lib/llm.js';
+
+const settings = ({ name, model, temperature, maxTokens }) => ({ name, model, temperature, maxTokens });
+
+test('each provider reads its own model, temperature and max tokens', () => {
+  const env = { LLM_PROVIDER: "xai", XAI_MODEL: "grok-4", XAI_TEMPERATURE: "0.2", OPENAI_MODEL: "llama3.1", OPENAI_MAX_TOKENS: "900", LLM_BASE_URL: "http://localhost:11434/v1" };
+  assert.deepEqual(settings(createProvider("xai", env)), { name: "xai", model: "grok-4", temperature: 0.2, maxTokens: 700 });
+  assert.deepEqual(settings(createProvider("openai", env)), { name: "openai", model: "llama3.1", temperature: 0.7, maxTokens: 900 });
+});
+
+test('the older LLM_* names reach the configured provider only, never the fallback', () => {
+  const env = { LLM_PROVIDER: "xai", LLM_MODEL: "grok-3-mini", LLM_MAX_TOKENS: "400", LLM_BASE_URL: "http://localhost:11434/v1" };
+  assert.deepEqual(settings(createProvider("xai", env)), { name: "xai", model: "grok-3-mini", temperature: 0.7, maxTokens: 400 });
+  assert.deepEqual(settings(createProvider("openai", env)), { name: "openai", model: "gpt-4o-mini", temperature: 0.7, maxTokens: 700 });
+  assert.equal(createProvider("xai", { ...env, XAI_MODEL: "grok-4" }).model, "grok-4");
+});
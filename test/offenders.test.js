@@ -0,0 +1,38 @@
+// test/offenders.test.js
+// Which earlier cases count as a driver's priors.
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { priorIncidents } from '../lib/offenders.js';
+import { DEFAULT_ESCALATION } from '../lib/penalties.js';
+
+const caseFor = (id, { league = "gt3", round, fault = "80%", status = "published" } = {}) => ({
+  id,
+  status,
+  input: { league, ...(round !== undefined && { round }) },
+  result: {
+    incident: { id: "divebomb", label: "Divebomb" },
+    drivers: { carA: { id: "alex" }, carB: { id: "sam" } },
+    verdict: { fault: { "Car A": fault, "Car B": `${100 - parseInt(fault, 10)}%` } }
+  }
+});
+
+const priors = (cases, round, league = "gt3") =>
+  priorIncidents("alex", cases, { round, league, incidentKey: "divebomb", policy: DEFAULT_ESCALATION }).map(p => p.caseId);
+
+test('only earlier rounds inside the window count', () => {
+  const cases = [1, 2, 3, 4, 5].map(round => caseFor(`R${round}`, { round }));
+  assert.deepEqual(priors(cases, 5), ["R2", "R3", "R4"]);
+  assert.deepEqual(priors(cases, 1), []);
+});
+
+test('another league\'s cases are not priors', () => {
+  const cases = [caseFor("GT3", { round: 2 }), caseFor("F1", { round: 2, league: "f1-league" }), caseFor("NONE", { round: 2, league: "" })];
+  assert.deepEqual(priors(cases, 3), ["GT3"]);
+  assert.deepEqual(priors(cases, 3, ""), ["NONE"]);
+});
+
+test('a case without a round is left out instead of counted as round 1', () => {
+  assert.deepEqual(priors([caseFor("NO-ROUND"), caseFor("R1", { round: 1 })], 2), ["R1"]);
+  assert.deepEqual(priors([caseFor("R1", { round: 1 })], undefined), []);
+});
@@ -0,0 +1,46 @@
+// test/penalties.test.js
+// Tariff lookup and escalation against the built-in tariffs only — an empty league table keeps
+// public/penalty_tariffs.json out of it.
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { recommendPenalty, escalatePenalty } from '../lib/penalties.js';
+
+const recommend = input => recommendPenalty({ severity: "moderate", ...input }, {});
+
+test('a rule for the incident type fires below the racing-incident cutoff', () => {
+  assert.equal(recommend({ incidentKey: "jump start", faultA: 55 }).sanction, "drive_through");
+  assert.equal(recommend({ incidentKey: "illegal overtake sc", faultA: 50, rulebookId: "f1" }).sanction, "drive_through");
+  assert.equal(recommend({ incidentKey: "wrong way", faultA: 55, severity: "major" }).sanction, "dq");
+  assert.equal(recommend({ incidentKey: "wrong way", faultA: 55 }).sanction, "none");
+});
+
+test('wildcard rules still stop at the cutoff', () => {
+  assert.equal(recommend({ incidentKey: "divebomb", faultA: 55 }).sanction, "none");
+  assert.equal(recommend({ incidentKey: "divebomb", faultA: 70 }).sanction, "warning");
+});
+
+test('a pile-up is judged against an even split', () => {
+  const cars = ["Car A", "Car B", "Car C"];
+  const clear = recommend({ incidentKey: "divebomb", split: [25, 50, 25], cars });
+  assert.equal(clear.sanction, "warning");
+  assert.equal(clear.appliesTo, "Car B");
+  assert.equal(clear.atFault, 50);
+  assert.equal(recommend({ incidentKey: "divebomb", split: [40, 30, 30], cars }).sanction, "none");
+  assert.equal(recommend({ incidentKey: "divebomb", split: [70, 15, 15], cars, severity: "major" }).sanction, "time_penalty");
+});
+
+test('a repeat offender steps up the ladder, penalty points only gain points', () => {
+  const stepped = escalatePenalty(recommend({ incidentKey: "divebomb", faultA: 70 }), 2);
+  assert.equal(stepped.sanction, "time_penalty");
+  assert.equal(stepped.seconds, 10);
+  assert.equal(stepped.points, 3);
+
+  const oval = recommend({ incidentKey: "divebomb", faultA: 85, rulebookId: "oval" });
+  assert.equal(oval.sanction, "penalty_points");
+  const repeat = escalatePenalty(oval, 2);
+  assert.equal(repeat.sanction, "penalty_points");
+  assert.equal(repeat.points, 4);
+  assert.equal(repeat.label, "4 penalty points");
+  assert.equal(repeat.escalation.from, "2 penalty points");
+});
@@ -0,0 +1,94 @@
+// test/pipeline.test.js
+// The whole analysis offline — LLM_PROVIDER=template and a throwaway STEWARDS_DATA_DIR, with
+// fetch disabled so nothing can reach a model or a video site.
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'stewards-test-'));
+process.env.STEWARDS_DATA_DIR = dataDir;
+process.env.LLM_PROVIDER = 'template';
+globalThis.fetch = async url => {
+  throw new Error(`Network access in a test: ${url}`);
+};
+
+// Imported after the env is set — the stores read STEWARDS_DATA_DIR when they load
+const { analyzeIncident } = await import('../api/analyze-intranet.js');
+const { getCaseStore } = await import('../lib/caseStore.js');
+
+test.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+const faults = body => Object.values(body.verdict.fault).map(f => parseInt(f, 10));
+
+test('a divebomb gets a template verdict, a penalty and a saved draft case', async () => {
+  const { status, body } = await analyzeIncident({ incidentType: "Divebomb", carA: "#7", carB: "#12", stewardNotes: "Late lunge, no overlap at turn-in" });
+
+  assert.equal(status, 200);
+  assert.equal(body.incident.id, "divebomb");
+  assert.deepEqual(body.llm, { provider: "template", model: "template", fallback: false, output: "parsed", issues: [] });
+  assert.equal(faults(body).reduce((s, f) => s + f, 0), 100);
+  assert.ok(faults(body)[0] > 50, "the overtaking car carries most of the fault");
+  assert.equal(body.penalty.atFaultCar, "A");
+  assert.match(body.verdict.explanation, /Car A \(#7\) was the overtaking car/);
+  assert.ok(body.confidence.score >= 0 && body.confidence.score <= 100);
+
+  const saved = await getCaseStore().get(body.case_id);
+  assert.equal(saved.status, "draft");
+  assert.equal(saved.input.incidentType, "Divebomb");
+  assert.equal(saved.result.verdict.explanation, body.verdict.explanation);
+});
+
+test('the same incident gets the same ruling twice', async () => {
+  const input = { incidentType: "Unsafe rejoin", carA: "#3", carB: "#44", lap: 5, turn: "T4" };
+  const [first, second] = [await analyzeIncident(input), await analyzeIncident(input)];
+  // Only the pro tip is drawn at random
+  const ruling = ({ pro_tip, explanation, ...rest }) => ({ ...rest, explanation: explanation.split('\n\n')[0] });
+  assert.deepEqual(ruling(first.body.verdict), ruling(second.body.verdict));
+  assert.notEqual(first.body.case_id, second.body.case_id);
+});
+
+test('precedents of other types don\'t weigh in the fault', async () => {
+  const { status, body } = await analyzeIncident({ incidentType: "Unsportsmanlike conduct", carA: "#7", carB: "#12", stewardNotes: "Brake-checked on the straight after the pass" });
+  assert.equal(status, 200);
+  assert.ok(body.precedents.length > 0, "the closest rulings of any type are still shown");
+  assert.deepEqual(body.fault_breakdown.components.map(c => c.factor).filter(f => f === "precedents"), []);
+});
+
+test('three cars get a three-way split summing to 100', async () => {
+  const { status, body } = await analyzeIncident({
+    incidentType: "Divebomb",
+    cars: [{ label: "#7" }, { label: "#12" }, { label: "#33" }]
+  });
+  assert.equal(status, 200);
+  assert.equal(faults(body).length, 3);
+  assert.equal(faults(body).reduce((s, f) => s + f, 0), 100);
+});
+
+test('a steward override sets the split', async () => {
+  const { body } = await analyzeIncident({ incidentType: "Brake test", carA: "#1", carB: "#2", overrideFaultA: 30 });
+  assert.deepEqual(faults(body), [30, 70]);
+});
+
+test('bad input throws and an unknown event is a 400', async () => {
+  await assert.rejects(analyzeIncident({ carA: "#1" }), { name: "ZodError" });
+  assert.deepEqual(await analyzeIncident({ incidentType: "Divebomb", eventId: "EVT-20260101-AAAAAA" }), { status: 400, body: { error: "Event not found" } });
+});
+
+test('an unreachable model falls back to the template verdict', async () => {
+  process.env.LLM_PROVIDER = 'xai';
+  const warn = console.warn;
+  console.warn = () => {};
+  try {
+    const { status, body } = await analyzeIncident({ incidentType: "Divebomb", carA: "#7", carB: "#12" });
+    assert.equal(status, 200);
+    assert.equal(body.llm.provider, "template");
+    assert.equal(body.fallback, true);
+    assert.equal(faults(body).reduce((s, f) => s + f, 0), 100);
+  } finally {
+    console.warn = warn;
+    process.env.LLM_PROVIDER = 'template';
+  }
+});
@@ -0,0 +1,52 @@
+// test/protests.test.js
+// The accused's reply link stays with the stewards — filing never returns it, and the list
+// and single protest need STEWARDS_TOKEN.
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'stewards-test-'));
+process.env.STEWARDS_DATA_DIR = dataDir;
+process.env.STEWARDS_TOKEN = 'steward-secret';
+
+const { default: protestsHandler } = await import('../api/protests/index.js');
+const { default: protestHandler } = await import('../api/protests/[id].js');
+
+test.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+const call = async (handler, req) => {
+  const res = { status(code) { this.code = code; return this; }, json(body) { this.body = body; return this; }, end() { return this; } };
+  await handler({ headers: {}, query: {}, ...req }, res);
+  return res;
+};
+
+const filing = {
+  incidentType: "divebomb",
+  protester: { name: "Alex", car: "#7", side: "B", statement: "Dived from three car lengths back into T1" },
+  accused: { name: "Sam", car: "#12" }
+};
+
+test('the filer gets the protest back without the reply link', async () => {
+  const res = await call(protestsHandler, { method: 'POST', body: filing });
+  assert.equal(res.code, 201);
+  assert.equal(res.body.status, "awaiting_reply");
+  assert.doesNotMatch(JSON.stringify(res.body), /reply\/|replyToken|replyPath/);
+});
+
+test('the list and the reply link need the steward token', async () => {
+  const { body: { id } } = await call(protestsHandler, { method: 'POST', body: filing });
+
+  assert.equal((await call(protestsHandler, { method: 'GET' })).code, 401);
+  const open = await call(protestHandler, { method: 'GET', query: { id } });
+  assert.equal(open.code, 401);
+  assert.equal(open.body.replyPath, undefined);
+
+  const steward = { authorization: "Bearer steward-secret" };
+  assert.equal((await call(protestsHandler, { method: 'GET', headers: steward })).code, 200);
+  const res = await call(protestHandler, { method: 'GET', query: { id }, headers: steward });
+  assert.equal(res.code, 200);
+  assert.match(res.body.replyPath, /^\/protests\/reply\/[0-9a-f]{32}$/);
+});
@@ -0,0 +1,69 @@
+// test/redditImport.test.js
+// Reading a fault split out of r/simracingstewards comments, and the candidate queue against
+// a throwaway STEWARDS_DATA_DIR with PRECEDENTS_ADMIN_TOKEN set.
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'stewards-test-'));
+process.env.STEWARDS_DATA_DIR = dataDir;
+process.env.PRECEDENTS_ADMIN_TOKEN = 'admin-secret';
+
+const { faultFromComment, getCandidateStore } = await import('../lib/redditImport.js');
+const { INCIDENT_TYPES } = await import('../lib/taxonomy.js');
+const { getPrecedentStore } = await import('../lib/precedents.js');
+const { default: candidateHandler } = await import('../api/precedents/candidates/[id].js');
+
+test.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+const divebomb = INCIDENT_TYPES.find(t => t.id === "divebomb");
+const faultA = text => faultFromComment(text, divebomb)?.faultA ?? null;
+
+test('a percentage next to a role word, "fault" or "on" is a fault share', () => {
+  assert.equal(faultA("100% on the overtaker"), 100);
+  assert.equal(faultA("80% overtaker"), 80);
+  assert.equal(faultA("it's 90% fault on the car behind"), 90);
+  assert.equal(faultA("overtaker is 80% at fault"), 80);
+  assert.equal(faultA("Defender 30%."), 70);
+  assert.equal(faultA("70/30 on the defender"), 30);
+});
+
+test('other percentages are ignored', () => {
+  assert.equal(faultA("Car ahead was 2% slower and overtaker dove"), null);
+  assert.equal(faultA("The car behind carried 20% more speed into T1"), null);
+  assert.equal(faultA("Car ahead was 2% slower, but it's the overtaker's fault"), 90);
+});
+
+test('two stewards accepting the same candidate add one precedent', async () => {
+  const { candidate } = await getCandidateStore().upsert({
+    thread_id: "t3conc",
+    incident_type: "Divebomb",
+    title: "Late lunge into T1",
+    ruling: "Overtaker at fault",
+    reason: "Never alongside before the apex",
+    fault_a: 90,
+    votes: [],
+    confidence: { label: "High", score: 0.9 }
+  }, { source: "test" });
+
+  const accept = async steward => {
+    const res = { status(code) { this.code = code; return this; }, json(body) { this.body = body; return this; }, end() { return this; } };
+    await candidateHandler({
+      method: 'PATCH',
+      query: { id: candidate.id },
+      headers: { authorization: "Bearer admin-secret" },
+      body: { action: "accept", steward }
+    }, res);
+    return res;
+  };
+  const results = await Promise.all([accept("Jo"), accept("Max")]);
+
+  assert.deepEqual(results.map(r => r.code).sort(), [200, 400]);
+  assert.match(results.find(r => r.code === 400).body.error, /already accepted/);
+  const added = (await getPrecedentStore().all()).filter(r => r.thread_id === "t3conc");
+  assert.equal(added.length, 1);
+  assert.equal((await getCandidateStore().get(candidate.id)).precedentId, added[0].id);
+});
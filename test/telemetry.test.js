@@ -0,0 +1,105 @@
+// test/telemetry.test.js
+// Parsing, turn-in detection and the measured facts against the exports in
+// test/fixtures/telemetry: two SimHub files for a divebomb (Car A #7 attacking, Car B #12
+// defending, turning in at 1.2 s), a SimHub file for a bystander (#33), the same pass as an
+// ACC position log without steering, and a MoTeC export with its metadata block and units row.
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseTelemetryCsv, detectTurnIn, analyzeTelemetry } from '../lib/telemetry.js';
+import { telemetryAdjustments } from '../lib/faultEngine.js';
+
+const FIXTURES = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'telemetry');
+const fixture = name => fs.readFileSync(path.join(FIXTURES, name), 'utf8');
+const file = (name, car) => ({ name, csv: fixture(name), ...(car && { car }) });
+
+const cars = [{ key: "A", label: "#7" }, { key: "B", label: "#12" }, { key: "C", label: "#33" }];
+const divebomb = { attacker: "A", defender: "B" };
+
+test('SimHub exports are read by the last segment of each header', () => {
+  const { format, cars: parsed, channels, errors } = parseTelemetryCsv(fixture('simhub-car12-defender.csv'));
+  assert.equal(format, "simhub");
+  assert.deepEqual(errors, []);
+  assert.deepEqual(channels, ["time", "speed", "brake", "throttle", "steer", "x", "y"]);
+  const samples = parsed.get("_");
+  assert.equal(samples.length, 21);
+  assert.equal(samples[0].speed, 144);
+  assert.equal(samples[0].brake, 85, "0–1 pedals become percent");
+});
+
+test('MoTeC skips the metadata block and converts speed from the units row', () => {
+  const { format, cars: parsed, channels } = parseTelemetryCsv(fixture('motec-export.csv'));
+  assert.equal(format, "motec");
+  assert.ok(channels.includes("dist"));
+  const [first] = parsed.get("_");
+  assert.equal(first.speed, 144);
+  assert.equal(first.brake, 85);
+  assert.equal(first.dist, 1200);
+});
+
+test('an ACC position log splits into cars by race number', () => {
+  const { format, cars: parsed } = parseTelemetryCsv(fixture('acc-positions.csv'));
+  assert.equal(format, "acc");
+  assert.deepEqual([...parsed.keys()], ["12", "7"]);
+  assert.equal(parsed.get("7")[0].speed, 162);
+});
+
+test('a file without a time column is an error, not an empty result', () => {
+  const { cars: parsed, errors } = parseTelemetryCsv("Speed,Brake\n100,0\n");
+  assert.equal(parsed.size, 0);
+  assert.match(errors[0], /No time column/);
+});
+
+test('turn-in comes from steering, then yaw rate, then brake release, else the window midpoint', () => {
+  const samplesOf = (name, car = "_") => parseTelemetryCsv(fixture(name)).cars.get(car);
+  assert.deepEqual(detectTurnIn(samplesOf('simhub-car12-defender.csv')), { time: 1.2, method: "steering" });
+  assert.deepEqual(detectTurnIn(samplesOf('acc-positions.csv', "12")), { time: 1.2, method: "yaw rate" });
+  assert.deepEqual(detectTurnIn(samplesOf('simhub-car12-defender.csv'), 1.5), { time: 1.5, method: "given" });
+
+  const pedalsOnly = samplesOf('motec-export.csv').map(s => ({ ...s, steer: null, dist: null }));
+  assert.deepEqual(detectTurnIn(pedalsOnly), { time: 0.9, method: "brake release" });
+  const straight = samplesOf('acc-positions.csv', "7");
+  assert.deepEqual(detectTurnIn(straight), { time: straight[10].t, method: "window midpoint" });
+});
+
+test('the attacker is measured against the defender at its turn-in', () => {
+  const telemetry = analyzeTelemetry([file('simhub-car12-defender.csv', "B"), file('simhub-car7-attacker.csv', "A")], cars.slice(0, 2), divebomb);
+  assert.deepEqual(telemetry.turnIn, { time: 1.2, car: "B", method: "steering", found: true });
+  assert.equal(telemetry.attacker, "A");
+  assert.equal(telemetry.overlapPct, 35);
+  assert.equal(telemetry.gapM, -3);
+  assert.deepEqual(telemetry.cars.map(c => [c.key, c.speedKmh, c.lateralM]), [["A", 162, 1.8], ["B", 144, 0]]);
+  assert.ok(telemetry.facts.includes("Overlap of Car A on Car B: 35% (gap -3 m, from positions)"));
+  assert.deepEqual(telemetry.warnings, []);
+  assert.equal(telemetry.charts.time.length, 120);
+
+  assert.deepEqual(telemetryAdjustments(telemetry, "A").map(a => [a.factor, a.delta]), [["telemetry_speed", 5]]);
+});
+
+test('race numbers in the car labels pick the cars out of a multi-car log', () => {
+  const telemetry = analyzeTelemetry([file('acc-positions.csv')], cars.slice(0, 2), divebomb);
+  assert.equal(telemetry.turnIn.method, "yaw rate");
+  assert.equal(telemetry.overlapPct, 36);
+  assert.deepEqual(telemetry.cars.map(c => c.speedKmh), [162, 144]);
+});
+
+test('without the defender\'s data a bystander never stands in for it', () => {
+  const telemetry = analyzeTelemetry([file('simhub-car33-bystander.csv', "C"), file('simhub-car7-attacker.csv', "A")], cars, divebomb);
+  assert.equal(telemetry.turnIn.car, "C");
+  assert.equal(telemetry.turnIn.found, true);
+  assert.equal(telemetry.attacker, null);
+  assert.equal(telemetry.overlapPct, null);
+  assert.match(telemetry.warnings[0], /No telemetry for Car B, the defending car/);
+  assert.deepEqual(telemetryAdjustments(telemetry, "A"), []);
+});
+
+test('no turn-in found means no overlap and no fault adjustment', () => {
+  const straight = fixture('acc-positions.csv').split('\n').filter(line => !line.startsWith('3,')).join('\n').replace(/^5,7,/gm, '3,12,');
+  const telemetry = analyzeTelemetry([{ name: "straight", csv: straight, car: "B" }, file('simhub-car7-attacker.csv', "A")], cars.slice(0, 2), divebomb);
+  assert.equal(telemetry.turnIn.found, false);
+  assert.equal(telemetry.overlapPct, null);
+  assert.deepEqual(telemetryAdjustments(telemetry, "A"), []);
+});
@@ -0,0 +1,132 @@
+// test/videoSources.test.js
+// Every adapter against recorded responses (test/fixtures/video) — fetchImpl stands in for
+// the network, and a lookup that isn't in the fixtures fails the test instead of going out.
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { detectSource, VIDEO_SOURCES } from '../lib/videoSources.js';
+import { buildVideos, resolveVideos } from '../lib/video.js';
+
+const FIXTURES = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'video');
+const fixture = name => fs.readFileSync(path.join(FIXTURES, name), 'utf8');
+
+// URL prefix → recorded response ({ file, status, url }); records what was asked for
+function fixtureFetch(routes) {
+  const calls = [];
+  const fetchImpl = async (url, options = {}) => {
+    calls.push({ url, options });
+    const route = Object.entries(routes).find(([prefix]) => String(url).startsWith(prefix))?.[1];
+    if (!route) throw new Error(`No fixture for ${url}`);
+    const body = route.file ? fixture(route.file) : "";
+    return {
+      ok: (route.status ?? 200) < 400,
+      status: route.status ?? 200,
+      url: route.url || url,
+      text: async () => body,
+      json: async () => JSON.parse(body)
+    };
+  };
+  return { fetchImpl, calls };
+}
+
+const resolveOne = async (url, routes, ctx = {}) => {
+  const { fetchImpl, calls } = fixtureFetch(routes);
+  const { source, match } = detectSource(url);
+  return { found: await source.resolve(match, { fetchImpl, url, ...ctx }), calls };
+};
+
+test('detectSource recognises every adapter and leaves other links alone', () => {
+  const cases = {
+    "https://youtu.be/aBcDeFgHiJk?t=45": "youtube",
+    "https://www.youtube.com/watch?v=aBcDeFgHiJk": "youtube",
+    "https://clips.twitch.tv/BrightFierceOtterKappa": "twitch",
+    "https://www.twitch.tv/videos/2012345678?t=1h2m3s": "twitch",
+    "https://streamable.com/x9k2lm": "streamable",
+    "https://v.redd.it/k3y9video01": "reddit",
+    "https://old.reddit.com/r/simracingstewards/comments/1abc2de/whos_at_fault/": "reddit",
+    "https://cdn.example.com/league/rd4-t1.mp4": "file"
+  };
+  for (const [url, id] of Object.entries(cases)) assert.equal(detectSource(url)?.source.id, id, url);
+  assert.equal(detectSource("https://example.com/watch?v=1"), null);
+  assert.equal(detectSource("ftp://example.com/clip.mp4"), null);
+  assert.equal(detectSource("not a link"), null);
+  assert.deepEqual(VIDEO_SOURCES.map(s => s.id), ["youtube", "twitch", "streamable", "reddit", "file"]);
+});
+
+test('YouTube resolves the title from its oEmbed response', async () => {
+  const { found, calls } = await resolveOne("https://youtu.be/aBcDeFgHiJk?t=45", {
+    "https://www.youtube.com/oembed": { file: "youtube-oembed.json" }
+  });
+  assert.equal(found.title, "Divebomb into T1 at Spa — who's at fault? | GT3 Sprint Rd 4");
+  assert.match(calls[0].url, /url=https%3A%2F%2Fwww\.youtube\.com%2Fwatch%3Fv%3DaBcDeFgHiJk/);
+});
+
+test('Streamable resolves the title from its oEmbed response', async () => {
+  const { found } = await resolveOne("https://streamable.com/x9k2lm", {
+    "https://api.streamable.com/oembed.json": { file: "streamable-oembed.json" }
+  });
+  assert.equal(found.title, "Unsafe rejoin at Eau Rouge");
+});
+
+test('Twitch reads og:title from the clip page, entities decoded', async () => {
+  const { found, calls } = await resolveOne("https://clips.twitch.tv/BrightFierceOtterKappa", {
+    "https://clips.twitch.tv/BrightFierceOtterKappa": { file: "twitch-clip.html" }
+  });
+  assert.equal(found.title, 'Lap 1 chaos at the Bus Stop & a "brake test"');
+  assert.equal(calls.length, 1);
+});
+
+test('a failed lookup resolves to no title', async () => {
+  const { found } = await resolveOne("https://streamable.com/x9k2lm", {
+    "https://api.streamable.com/oembed.json": { status: 404 }
+  });
+  assert.equal(found.title, null);
+});
+
+test('Reddit follows v.redd.it to the post and plays its video from the clip start', async () => {
+  const { found, calls } = await resolveOne("https://v.redd.it/k3y9video01", {
+    "https://v.redd.it/k3y9video01": { url: "https://www.reddit.com/r/simracingstewards/comments/1abc2de/whos_at_fault_here/" },
+    "https://www.reddit.com/comments/1abc2de.json": { file: "reddit-post-video.json" }
+  }, { start: 12, end: 20 });
+  assert.deepEqual(found, {
+    title: "Who's at fault here? Rejoin after the spin at Brands",
+    player: "video",
+    src: "https://v.redd.it/k3y9video01/DASH_720.mp4?source=fallback#t=12,20"
+  });
+  assert.equal(calls[1].options.headers['User-Agent'].startsWith('simhub-stewards'), true);
+});
+
+test('a Reddit post linking to YouTube embeds the YouTube video', async () => {
+  const { fetchImpl } = fixtureFetch({
+    "https://www.reddit.com/comments/1xyz9fg.json": { file: "reddit-post-link.json" }
+  });
+  const { videos } = buildVideos({ url: "https://www.reddit.com/r/simracingstewards/comments/1xyz9fg/divebomb/", clipStart: "0:45" });
+  assert.equal(videos[0].embed, null);
+
+  const [video] = await resolveVideos(videos, { fetchImpl });
+  assert.equal(video.title, "Divebomb or fair move? (YouTube, T1 at 0:45)");
+  assert.equal(video.sourceLabel, "Reddit → YouTube");
+  assert.equal(video.player, "iframe");
+  assert.equal(video.embed, "https://www.youtube-nocookie.com/embed/aBcDeFgHiJk?start=45");
+});
+
+test('a direct video file link needs no lookup', async () => {
+  const { found, calls } = await resolveOne("https://cdn.example.com/league/rd4_t1-divebomb.mp4", {});
+  assert.equal(found.title, "rd4 t1 divebomb");
+  assert.equal(calls.length, 0);
+});
+
+test('resolveVideos keeps the built video when a lookup throws', async () => {
+  const { videos } = buildVideos({ url: "https://youtu.be/aBcDeFgHiJk" });
+  const warn = console.warn;
+  console.warn = () => {};
+  try {
+    const [video] = await resolveVideos(videos, { fetchImpl: fixtureFetch({}).fetchImpl });
+    assert.deepEqual(video, videos[0]);
+  } finally {
+    console.warn = warn;
+  }
+});